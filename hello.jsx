@@ -1,186 +1,431 @@
 // src/MCDM_Optimization_Final.jsx
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
-  BarChart, Bar, LineChart, Line, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid,
+  BarChart, Bar, LineChart, Line, ComposedChart, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid,
   Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine
 } from 'recharts';
 import {
   Upload, Download, PlayCircle, TrendingUp, DollarSign, Activity, Award,
-  AlertCircle, ChevronUp, ChevronDown, Target
+  AlertCircle, Target, XCircle, FileText, Save, FolderOpen, Link
 } from 'lucide-react';
+import * as XLSX from 'xlsx';
+import {
+  GRANULARITIES, DEFAULT_HORIZON, buildPeriods, resizeSeries, periodsToCover, reaggregateData,
+  CRITERION_COLORS, DEFAULT_DATA, DEFAULT_PAIRWISE, EDIT_HISTORY_LIMIT, deepCopyData,
+  makeCriterionId, modeLabel, combinedFormula, weightScaleOf, resizePairwise, CR_THRESHOLD, computeAHPFromMatrix,
+  rankInconsistentJudgments, suggestConsistencyRepairs, FUZZY_AHP_METHODS, computeGroupAHP,
+  DEFAULT_CONSTRAINT_SETTINGS, WORKFORCE_LIMITS, retargetCostCriteria, constraintLabel, solveMode, computeImprovements, planSurcharges, computePayoffTable,
+  filterNonDominated, renormalizeWeights, planDistance,
+  RANKING_METHODS, rankCandidates, IMPORT_DELIMITERS, parseDelimited, detectDelimiter, parseNumber,
+  detectDecimalSeparator, suggestColumnMapping, validateImport, applyImport, seriesOf,
+  applyCellEdits, parseClipboardGrid, loadScenarios, persistScenarios, makeScenario, diffScenarios,
+  fmtM, createJobQueue, ERROR_CODES, resultsTable, resultsToCSV, buildReportHTML,
+  makeProject, parseProject, projectShareURL, decodeProjectToken, shareTokenFromHash,
+  UNCERTAINTY_DISTRIBUTIONS, DEFAULT_UNCERTAINTY_MODEL, MONTE_CARLO_MAX_SAMPLES, NORMALIZATION_METHODS, DEFAULT_NORMALIZATION,
+  normalizeValues, DISTANCE_METRICS, STRATEGY_STATUS, BALANCE_SPREAD_THRESHOLD, compareStrategies, strategyConclusions,
+  hasProducts, syncProductData, mapProductSeries, enableProducts, disableProducts, addProduct, addLine, removeProductEntity
+} from './mcdmCore.mjs';
+import { TradeoffViews } from './mcdmViews.jsx';
 
 /**
  * MCDM_Optimization_Final.jsx
- * Full single-file React component (front-end only)
+ * React front end over the framework-free calculation core in mcdmCore.mjs (AHP, LP, MIP, goal
+ * programming, Pareto, sensitivity, ranking, import parsing); background jobs run in mcdmWorker.mjs
  * - Light theme, navy blue font (#1e3a8a)
  * - Footer / research reference removed
  * - Improved Pareto frontier: interactive scatter, smooth line, clickable points
- * - Verified objective functions:
+ * - Trade-off views across every criterion (mcdmViews.jsx): parallel coordinates with brushing,
+ *   normalized radar, rotatable 3-D scatter and scatter matrix, selection synced with the Pareto chart
+ * - Pareto frontier generation by weighted-sum simplex grid or ε-constraint sweep, dominated plans filtered
+ * - Sensitivity tab: tornado charts over weights and coefficients, weight-stability intervals, what-if weights
+ * - Scenarios tab: named snapshots (inputs, AHP matrix, results) in localStorage with load/clone/rename/delete and diff
+ * - Criteria registry (name, unit, benefit/cost direction, per-period coefficients) drives the
+ *   data editor, AHP matrix size, objectives, charts and CSV import/export
+ * - Verified objective functions (defaults: turnover, cost, productivity):
  *     Z1 = sum(T_i * x_i)
- *     Z2 = sum(C_i * x_i)
+ *     Z2 = sum(C_i * x_i)  (+ h * sum(I_i) with inventory carry-over, + wages, overtime,
+ *                          hiring and firing with the workforce layer)
  *     Z3 = sum(P_i * x_i)
- *     Z  = w1*Z1 - w2*Z2 + w3*Z3
- * - AHP compute, optimization heuristics (LP-like), CSV upload & export
+ *     Z  = w1*N1 + w2*N2 + w3*N3   (N_k = Z_k normalized with the payoff table: min-max, ideal
+ *                                   distance, z-score or vector; raw units give sum_k ±w_k*Z_k)
+ * - Detailed Performance Metrics: pairwise Pareto dominance, weighted L1/L2/Chebyshev distance to the
+ *   ideal point, % of ideal achieved and a compromise rank per strategy, with generated conclusions
+ * - AHP by principal eigenvector (power iteration), Saaty RI up to n = 15, consistency repair suggestions
+ * - Group AHP over an expert panel (AIJ / AIP geometric-mean aggregation, consensus indicators) and
+ *   fuzzy AHP with triangular numbers (Buckley, Chang extent analysis)
+ * - AHP compute, exact LP optimization (two-phase simplex), CSV export
+ * - Solves, frontier sweeps and sensitivity runs execute in a Web Worker job queue with progress,
+ *   per-job status and cancellation (createJobQueue, mcdmWorker.mjs)
+ * - Results download columns (resultsTable) are shared with the headless runner mcdm-cli.mjs
+ * - One-click standalone HTML report (inputs, AHP, every mode run, charts as inline SVG,
+ *   methodology appendix with the objective formulas and constraint set), printable to PDF
+ * - Versioned JSON project files (data, AHP, results, settings, expert panel, metadata) with
+ *   migration of older versions and schema validation, plus compressed share links (#project=...)
+ * - Uncertainty tab: normal / triangular / interval models on orders, capacity and coefficients,
+ *   Monte Carlo evaluation of any solved plan (percentiles, capacity-breach probability) and a
+ *   robust mode with Bertsimas–Sim budgets (solveRobust)
+ * - Spreadsheet grid for every per-period series: direct entry, TSV paste, fill-down, % scaling, undo/redo
+ * - Import wizard: RFC 4180 CSV (comma/semicolon/tab, decimal comma) and .xlsx via SheetJS, with
+ *   preview, explicit column mapping and cell-level validation before anything is applied
+ * - Ranking of candidate plans by SAW, TOPSIS, VIKOR and PROMETHEE II (RANKING_METHODS)
+ * - Planning horizon (start date, day/week/month/quarter granularity, period count) drives the
+ *   input grid, solver dimensions, chart axes and export labels, with re-aggregation between granularities
+ * - Capacity constraints derived from data.capacity (per-period, cumulative, total horizon)
+ *   and optional inventory carry-over with holding cost, each switchable in the Input tab
+ * - Goal programming mode: per-objective targets with under/over penalties, weighted or lexicographic
+ * - Mixed-integer mode: lot sizes, setup binaries with fixed costs and minimum runs, solved by
+ *   branch-and-bound with gap, node count and time-limit status in the Results tab
+ * - Products & lines: per-product firm orders, market caps and coefficients, per-line capacity and a
+ *   line × product routing matrix; the Results tab stacks the per-product plans and shows a line
+ *   utilization heatmap
+ * - Workforce & shifts layer: headcount per shift, overtime, hiring and firing with costs and limits,
+ *   linked to x_i through the productivity coefficients; staffing plan chart in the Results tab
  *
- * Paste into src/ and use like:
+ * Copy into src/ next to mcdmCore.mjs and mcdmWorker.mjs and use like:
  *   import MCDM_Optimization_Final from './MCDM_Optimization_Final';
  *   <MCDM_Optimization_Final />
  */
 
 // ---------------------- Constants ----------------------
-const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-
-const DEFAULT_DATA = {
-  turnover: [1450, 1320, 1167, 1820, 1097, 1085, 1094, 1030, 1007, 1203, 1119, 928],
-  cost: [80, 75, 70, 65, 60, 55, 50, 45, 40, 35, 30, 25],
-  productivity: [9676, 10924, 12131, 11081, 11625, 11499, 11082, 11127, 10943, 13441, 12180, 10342],
-  orders: [2548556, 2550855, 2735389, 2503787, 2750643, 2624632, 2563748, 2563748, 2451276, 2992994, 2761731, 2258991],
-  capacity: [2700000, 2500000, 2700000, 2800000, 2800000, 2700000, 2800000, 3000000, 2800000, 3000000, 2800000, 2100000]
+// All math lives in mcdmCore.mjs; only UI-bound registry data stays here
+const CRITERION_ICONS = { turnover: DollarSign, cost: TrendingUp, productivity: Award };
+
+// Line utilization heatmap cell: white (idle) to navy (full); over-full or capacity-less loads in red
+const utilizationStyle = (load, capacity) => {
+  if (capacity <= 0) return load > 0 ? { backgroundColor: '#fecaca', color: '#7f1d1d' } : { backgroundColor: '#f8fafc', color: '#94a3b8' };
+  if (load > capacity + 1e-6) return { backgroundColor: '#fecaca', color: '#7f1d1d' };
+  const u = load / capacity;
+  return { backgroundColor: `rgba(30, 58, 138, ${(0.05 + 0.9 * u).toFixed(3)})`, color: u > 0.55 ? '#ffffff' : '#0f172a' };
 };
 
-const DEFAULT_PAIRWISE = [[1, 0.2, 0.333], [5, 1, 5], [3, 0.2, 1]];
-
-// ---------------------- Helper functions ----------------------
-const deepCopyData = (d) => ({
-  turnover: [...d.turnover],
-  cost: [...d.cost],
-  productivity: [...d.productivity],
-  orders: [...d.orders],
-  capacity: [...d.capacity]
-});
-
-// AHP: column-normalization / row-average eigenvector approx + consistency
-function computeAHPFromMatrix(matrix) {
-  // matrix: NxN numbers
-  const n = matrix.length;
-  const colSums = Array(n).fill(0);
-  for (let j = 0; j < n; j++) for (let i = 0; i < n; i++) colSums[j] += matrix[i][j];
-
-  const norm = matrix.map(row => row.map((val, j) => val / (colSums[j] || 1)));
-  const weights = norm.map(row => row.reduce((a, b) => a + b, 0) / n);
-
-  // lambda_max approx
-  const lambdaVec = matrix.map((row, i) => row.reduce((s, val, j) => s + val * weights[j], 0) / (weights[i] || 1));
-  const lambdaMax = lambdaVec.reduce((a, b) => a + b, 0) / n;
-  const CI = (lambdaMax - n) / (n - 1);
-  const RI_table = { 1: 0, 2: 0, 3: 0.58, 4: 0.90, 5: 1.12 };
-  const RI = RI_table[n] ?? 1.24;
-  const CR = RI ? CI / RI : 0;
-
-  // normalize weights sum = 1
-  const total = weights.reduce((a, b) => a + b, 0) || 1;
-  const normalized = weights.map(w => w / total);
-
-  return { weights: normalized, lambdaMax, CI, CR };
-}
-
-// LP-like solver (heuristic) that respects lower/upper and cumulative capacity constraints
-function solveLPHeuristic(coeffs, lower, upper, options = { maximize: true }) {
-  // coeffs: array numbers (objective coefficients per month)
-  // lower, upper: arrays of bounds (orders, capacity)
-  const n = coeffs.length;
-  const solution = Array(n).fill(0);
-  let cumulative = 0;
-  // cumCapacity as in your code/paper (cumulative caps)
-  const cumCapacity = [2700000, 5200000, 7900000, 10700000, 13500000, 16200000, 19000000, 22000000, 24800000, 27800000, 30600000, 32700000];
-
-  // avoid division by zero
-  const maxAbs = Math.max(...coeffs.map(c => Math.abs(c)), 1);
-
-  for (let i = 0; i < n; i++) {
-    const lb = lower[i];
-    const ub = upper[i];
-    const sign = options.maximize ? 1 : -1;
-
-    // normalized rank within [0,1]
-    const rank = (coeffs[i] / maxAbs + 1) / 2; // maps [-maxAbs, maxAbs] -> [0,1]
-    let x;
-    if (options.strategy === 'aggressive') {
-      x = lb + (ub - lb) * Math.pow(rank, 0.8);
-    } else if (options.strategy === 'conservative') {
-      x = lb + (ub - lb) * 0.15;
-    } else {
-      // balanced
-      x = lb + (ub - lb) * (0.35 + 0.5 * rank);
-    }
-
-    if (!options.maximize) {
-      // if minimizing, invert rank influence
-      x = lb + (ub - lb) * (1 - rank);
-    }
-
-    // enforce cumulative
-    const expected = cumulative + x;
-    if (expected > cumCapacity[i]) {
-      x = Math.max(lb, cumCapacity[i] - cumulative);
-    }
-
-    // clamp
-    x = Math.min(ub, Math.max(lb, x));
-    solution[i] = Math.round(x);
-    cumulative += solution[i];
-  }
-
-  const objective = solution.reduce((sum, xi, idx) => sum + coeffs[idx] * xi, 0);
-  return { solution, objective };
-}
-
-// Compute Z1, Z2, Z3 given x
-function computeObjectives(turnover, cost, productivity, x) {
-  // Z1 = sum(T_i * x_i)
-  const Z1 = x.reduce((s, xi, i) => s + turnover[i] * xi, 0);
-  // Z2 = sum(C_i * x_i)
-  const Z2 = x.reduce((s, xi, i) => s + cost[i] * xi, 0);
-  // Z3 = sum(P_i * x_i)
-  const Z3 = x.reduce((s, xi, i) => s + productivity[i] * xi, 0);
-  return { Z1, Z2, Z3 };
-}
-
-// Format million with 2 decimals
-const fmtM = (v) => (v / 1e6).toFixed(2);
-
 // ---------------------- Main Component ----------------------
 const MCDM_Optimization_Final = () => {
   const [data, setData] = useState(deepCopyData(DEFAULT_DATA));
   const [pairwise, setPairwise] = useState(DEFAULT_PAIRWISE);
+  const [constraintSettings, setConstraintSettings] = useState({ ...DEFAULT_CONSTRAINT_SETTINGS });
+  const [horizon, setHorizon] = useState({ ...DEFAULT_HORIZON });
+  const [reaggregate, setReaggregate] = useState(true);
   const [ahp, setAhp] = useState(null);
-  const [results, setResults] = useState({
-    turnover: null,
-    cost: null,
-    productivity: null,
-    multiObjective: null
-  });
-  const [activeTab, setActiveTab] = useState('input'); // input | results | comparison
-  const [processing, setProcessing] = useState(false);
+  // keyed by mode: a criterion id or 'multiObjective'
+  const [results, setResults] = useState({});
+  const [activeTab, setActiveTab] = useState('input'); // input | results | comparison | sensitivity | uncertainty | scenarios
+  // background jobs (createJobQueue snapshots) for the status panel
+  const [jobs, setJobs] = useState([]);
+  const jobQueue = useRef(null);
+  const [clock, setClock] = useState(Date.now());
   const [selectedParetoPoint, setSelectedParetoPoint] = useState(null);
+  const [paretoAxes, setParetoAxes] = useState({ x: 'turnover', y: 'cost' });
+  // generated non-dominated set (generateParetoFrontier result) and its sweep options
+  const [frontier, setFrontier] = useState(null);
+  const [frontierOptions, setFrontierOptions] = useState({ method: 'weights', steps: 10 });
+  // sensitivity analysis: options, last run ({ weights, tornado, stability }) and a single what-if weight change
+  const [sensitivityOptions, setSensitivityOptions] = useState({ range: 10, metric: 'combined', rankingMethod: 'saw', top: 15 });
+  const [sensitivity, setSensitivity] = useState(null);
+  const [whatIf, setWhatIf] = useState({ index: 0, value: '', result: null });
+  // plans the user kept as extra ranking candidates: [{ id, name, values, solution }]
+  const [savedPlans, setSavedPlans] = useState([]);
+  // named scenarios persisted to localStorage, the save-as name and the two sides of the diff view
+  const [scenarios, setScenarios] = useState(() => loadScenarios());
+  const [scenarioName, setScenarioName] = useState('');
+  const [diffPair, setDiffPair] = useState({ a: '', b: 'current' });
+  // expert panel for group AHP ([{ id, name, matrix, weight }]) and its aggregation options
+  const [experts, setExperts] = useState([]);
+  const [groupOptions, setGroupOptions] = useState({ aggregation: 'AIJ', fuzzy: '', spread: 1 });
+  // goal programming: method and per-criterion goals { [id]: { enabled, target (M), under, over, priority } }
+  const [goalSettings, setGoalSettings] = useState({ method: 'weighted', goals: {} });
+  // normalization of Z_k before AHP weighting (NORMALIZATION_METHODS)
+  const [normalizationMethod, setNormalizationMethod] = useState(DEFAULT_NORMALIZATION);
+  // distance to the ideal point that ranks the strategies in Detailed Performance Metrics (DISTANCE_METRICS)
+  const [compromiseMetric, setCompromiseMetric] = useState('L2');
+  // uncertainty models per series ('orders', 'capacity' or a criterion id) and robust budgets Γ ('' = whole horizon)
+  const [uncertainty, setUncertainty] = useState({ models: {}, budget: { demand: '', capacity: '', objective: '' } });
+  const [simulationOptions, setSimulationOptions] = useState({ plan: 'multiObjective', samples: 2000, seed: 1 });
+  const [simulation, setSimulation] = useState(null);
+  // name and creation time carried in project files
+  const [projectMeta, setProjectMeta] = useState({ name: '', createdAt: null });
+  // undo/redo stacks of cell-edit batches ([{ category, index, value, before }]) and the grid selection
+  const [editHistory, setEditHistory] = useState({ past: [], future: [] });
+  const [gridSelection, setGridSelection] = useState(null); // { anchor: { r, c }, focus: { r, c } }
+  const [gridScale, setGridScale] = useState('');
+  const [cellDraft, setCellDraft] = useState(null); // { r, c, text } while a cell is being typed in
+  // open CSV/XLSX import: { fileName, text | sheets, sheet, delimiter, decimal, hasHeader, mapping }
+  const [importWizard, setImportWizard] = useState(null);
+  const [newCriterion, setNewCriterion] = useState({ name: '', unit: '', direction: 'benefit' });
+  const [newEntity, setNewEntity] = useState({ product: '', line: '' });
   const [message, setMessage] = useState('');
 
+  const { criteria } = data;
+  const modes = [...criteria.map(c => c.id), 'multiObjective', 'goalProgramming', 'robust'];
+  const uncertaintyModelled = Object.keys(uncertainty.models).length > 0;
+  const periods = useMemo(() => buildPeriods(horizon), [horizon]);
+  const periodLabels = periods.map(p => p.label);
+  const periodUnit = GRANULARITIES[horizon.granularity].unit;
+
+  useEffect(() => {
+    jobQueue.current = createJobQueue({ onChange: setJobs });
+    return () => jobQueue.current.dispose();
+  }, []);
+
+  // Queue an engine job; cancellations are silent, failures are reported like the synchronous handlers did
+  const submitJob = (task, payload, label, onDone, failurePrefix) => {
+    jobQueue.current.submit(task, payload, { label }).promise
+      .then(onDone)
+      .catch(err => {
+        if (err.code !== ERROR_CODES.CANCELLED) alert(failurePrefix + ': ' + err.message);
+      });
+  };
+
+  // ticks once a second while a job runs so the elapsed times in the status panel advance
+  const anyJobRunning = jobs.some(j => j.status === 'running');
+  useEffect(() => {
+    if (!anyJobRunning) return undefined;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [anyJobRunning]);
+
+  const jobActive = (label) => jobs.some(j => j.label === label && (j.status === 'queued' || j.status === 'running'));
+
   // When AHP matrix changes, provide quick compute if needed
   useEffect(() => {
     // if no ahp computed, nothing
   }, [pairwise]);
 
-  // ---------------------- AHP handler ----------------------
-  const computeAHP = () => {
+  useEffect(() => {
     try {
-      const matrix = pairwise.map(row => row.map(val => parseFloat(val) || 1));
-      const res = computeAHPFromMatrix(matrix);
-      setAhp(res);
-      setMessage(`AHP weights computed — CR: ${res.CR.toFixed(3)} ${res.CR < 0.1 ? "✓ Consistent" : "⚠ Inconsistent"}`);
-      return res.weights;
+      persistScenarios(scenarios);
     } catch (err) {
-      alert("AHP error: " + err.message);
-      return [0.33, 0.33, 0.34];
+      alert('Could not save scenarios to browser storage: ' + err.message);
     }
+  }, [scenarios]);
+
+  // edit batches address series by criterion id and period index, so they only replay on the same layout
+  const gridLayout = `${data.criteria.map(c => c.id).join('|')}#${data.orders.length}` +
+    (hasProducts(data) ? `#${data.products.map(p => `${p.id}${p.maxOrders ? '+' : ''}`).join('|')}#${data.lines.map(l => l.id).join('|')}` : '');
+  useEffect(() => {
+    setEditHistory({ past: [], future: [] });
+    setGridSelection(null);
+  }, [gridLayout]);
+
+  // a generated frontier only describes the data and constraints it was swept on
+  useEffect(() => {
+    setFrontier(null);
+    setSensitivity(null);
+    setWhatIf(prev => ({ ...prev, result: null }));
+    setSimulation(null);
+  }, [data, constraintSettings]);
+
+  // ---------------------- AHP handler ----------------------
+  const computeAHP = () => {
+    const matrix = pairwise.map(row => row.map(val => parseFloat(val) || 1));
+    submitJob('ahp', { matrix }, 'AHP weights', (res) => {
+      setAhp(res);
+      setMessage(`AHP weights computed — CR: ${res.CR.toFixed(3)} ${res.CR < CR_THRESHOLD ? "✓ Consistent" : "⚠ Inconsistent"}`);
+    }, 'AHP error');
   };
 
+  // Live consistency check of the matrix being edited, with repair suggestions when CR >= 0.1
+  const consistencyRepair = useMemo(() => {
+    const matrix = pairwise.map(row => row.map(val => parseFloat(val) || 1));
+    const res = computeAHPFromMatrix(matrix);
+    if (res.CR < CR_THRESHOLD) return null;
+    return { CR: res.CR, ranking: rankInconsistentJudgments(matrix, res.weights), ...suggestConsistencyRepairs(matrix) };
+  }, [pairwise]);
+
+  const applyRepair = (suggestion) => updatePairwise(suggestion.i, suggestion.j, suggestion.suggested);
+
   // ---------------------- Update handlers ----------------------
+  // category: a criterion id, 'orders' or 'capacity'
+  // Every per-period edit goes through editCells so it lands on the undo stack as one batch:
+  // edits = [{ category, index, value }], values clamped at 0.
+  const editCells = (edits) => {
+    const batch = edits
+      .map(e => ({ ...e, value: Math.max(0, e.value), before: (seriesOf(data, e.category) || [])[e.index] }))
+      .filter(e => e.before !== undefined && e.before !== e.value);
+    if (!batch.length) return;
+    setData(applyCellEdits(data, batch));
+    setEditHistory(prev => ({ past: [...prev.past.slice(-(EDIT_HISTORY_LIMIT - 1)), batch], future: [] }));
+  };
+
   const updateValue = (category, index, delta) => {
-    setData(prev => {
-      const copy = deepCopyData(prev);
-      copy[category][index] = Math.max(0, copy[category][index] + delta);
-      return copy;
-    });
+    editCells([{ category, index, value: seriesOf(data, category)[index] + delta }]);
+  };
+
+  const undoEdit = () => {
+    const batch = editHistory.past[editHistory.past.length - 1];
+    if (!batch) return;
+    setData(applyCellEdits(data, batch.map(e => ({ ...e, value: e.before }))));
+    setEditHistory(prev => ({ past: prev.past.slice(0, -1), future: [batch, ...prev.future] }));
+  };
+
+  const redoEdit = () => {
+    const batch = editHistory.future[0];
+    if (!batch) return;
+    setData(applyCellEdits(data, batch));
+    setEditHistory(prev => ({ past: [...prev.past, batch], future: prev.future.slice(1) }));
+  };
+
+  // ---------------------- Spreadsheet grid ----------------------
+  // rows are periods, columns are the per-period series; with products the aggregate orders,
+  // capacity and coefficients are derived, so the grid edits the product and line series instead
+  const gridColumns = hasProducts(data)
+    ? [
+      ...data.products.flatMap(p => [
+        { category: `product:${p.id}:min`, label: `${p.name} min`, unit: 'units', color: p.color, step: 1000 },
+        ...(p.maxOrders ? [{ category: `product:${p.id}:max`, label: `${p.name} max`, unit: 'units', color: p.color, step: 1000 }] : []),
+        ...criteria.map(c => ({ category: `product:${p.id}:${c.id}`, label: `${p.name} ${c.name}`, unit: c.unit, color: c.color, step: c.step || 10 }))
+      ]),
+      ...data.lines.map(l => ({ category: `line:${l.id}`, label: `${l.name} capacity`, unit: 'units', color: '#ef4444', step: 1000 }))
+    ]
+    : [
+      ...criteria.map(c => ({ category: c.id, label: c.name, unit: c.unit, color: c.color, step: c.step || 10 })),
+      { category: 'orders', label: 'Orders', unit: 'units', color: '#64748b', step: 1000 },
+      { category: 'capacity', label: 'Capacity', unit: 'units', color: '#ef4444', step: 1000 }
+    ];
+
+  const selectionRange = () => {
+    if (!gridSelection) return null;
+    const { anchor, focus } = gridSelection;
+    return {
+      r0: Math.min(anchor.r, focus.r), r1: Math.max(anchor.r, focus.r),
+      c0: Math.min(anchor.c, focus.c), c1: Math.max(anchor.c, focus.c)
+    };
+  };
+
+  const inSelection = (r, c) => {
+    const range = selectionRange();
+    return !!range && r >= range.r0 && r <= range.r1 && c >= range.c0 && c <= range.c1;
+  };
+
+  const selectCell = (r, c, extend) => {
+    setGridSelection(prev => (extend && prev ? { ...prev, focus: { r, c } } : { anchor: { r, c }, focus: { r, c } }));
+  };
+
+  const focusCell = (r, c) => {
+    const el = document.getElementById(`grid-cell-${r}-${c}`);
+    if (el) el.focus();
+  };
+
+  const commitCell = (r, c, text) => {
+    setCellDraft(null);
+    const value = parseNumber(text, /^[^.]*,\d{1,2}$/.test(String(text).trim()) ? ',' : '.');
+    if (value === null) return;
+    if (Number.isNaN(value)) {
+      setMessage(`"${text}" is not a number — ${gridColumns[c].label} ${periodLabels[r]} unchanged.`);
+      return;
+    }
+    editCells([{ category: gridColumns[c].category, index: r, value }]);
+  };
+
+  // paste a tab-separated block with its top-left corner at (r, c); cells outside the grid are dropped
+  const pasteCells = (r, c, text) => {
+    const block = parseClipboardGrid(text);
+    const edits = [];
+    let skipped = 0;
+    block.forEach((row, dr) => row.forEach((value, dc) => {
+      if (r + dr >= periodLabels.length || c + dc >= gridColumns.length) return;
+      if (value === null || Number.isNaN(value)) { skipped++; return; }
+      edits.push({ category: gridColumns[c + dc].category, index: r + dr, value });
+    }));
+    editCells(edits);
+    const rows = Math.min(block.length, periodLabels.length - r);
+    const cols = Math.min(Math.max(...block.map(row => row.length)), gridColumns.length - c);
+    setGridSelection({ anchor: { r, c }, focus: { r: r + rows - 1, c: c + cols - 1 } });
+    setMessage(`Pasted ${edits.length} cell${edits.length === 1 ? '' : 's'}${skipped ? ` (${skipped} empty or non-numeric skipped)` : ''}.`);
+  };
+
+  // copy the first row of the selection into the rows below it
+  const fillDown = () => {
+    const range = selectionRange();
+    if (!range || range.r1 === range.r0) return;
+    const edits = [];
+    for (let c = range.c0; c <= range.c1; c++) {
+      const { category } = gridColumns[c];
+      const top = seriesOf(data, category)[range.r0];
+      for (let r = range.r0 + 1; r <= range.r1; r++) edits.push({ category, index: r, value: top });
+    }
+    editCells(edits);
+  };
+
+  const scaleSelection = () => {
+    const range = selectionRange();
+    const pct = parseFloat(gridScale);
+    if (!range || Number.isNaN(pct)) return;
+    const edits = [];
+    for (let c = range.c0; c <= range.c1; c++) {
+      const { category } = gridColumns[c];
+      const series = seriesOf(data, category);
+      for (let r = range.r0; r <= range.r1; r++) edits.push({ category, index: r, value: Math.round(series[r] * (1 + pct / 100) * 1e6) / 1e6 });
+    }
+    editCells(edits);
+  };
+
+  const gridKeyDown = (e, r, c) => {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      setCellDraft(null);
+      if (e.shiftKey) redoEdit(); else undoEdit();
+    } else if (mod && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      setCellDraft(null);
+      redoEdit();
+    } else if (mod && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      fillDown();
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      // nudge by the column's step, like the old ± buttons
+      e.preventDefault();
+      setCellDraft(null);
+      updateValue(gridColumns[c].category, r, (e.key === 'ArrowUp' ? 1 : -1) * gridColumns[c].step);
+    } else if (e.key === 'Enter' || e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const next = Math.min(periodLabels.length - 1, Math.max(0, r + (e.key === 'ArrowUp' ? -1 : 1)));
+      e.currentTarget.blur();
+      selectCell(next, c, e.shiftKey);
+      focusCell(next, c);
+    } else if (e.key === 'Escape') {
+      setCellDraft(null);
+      e.currentTarget.blur();
+    }
+  };
+
+  // ---------------------- Expert panel (group / fuzzy AHP) ----------------------
+  const addExpert = () => {
+    const name = (window.prompt('Expert name:', `Expert ${experts.length + 1}`) || '').trim();
+    if (!name) return;
+    setExperts(prev => [...prev, { id: `exp-${Date.now()}`, name, matrix: pairwise.map(row => [...row]), weight: 1 }]);
+    setMessage(`Current matrix stored as ${name}'s judgments.`);
+  };
+
+  const updateExpert = (id, field, value) => setExperts(prev => prev.map(e => (e.id === id ? { ...e, [field]: value } : e)));
+
+  const removeExpert = (id) => setExperts(prev => prev.filter(e => e.id !== id));
+
+  // without a panel the editor matrix alone is used, so fuzzy AHP also works for a single decision maker
+  const groupAHP = useMemo(() => {
+    if (!experts.length && !groupOptions.fuzzy) return null;
+    const panel = experts.length ? experts : [{ name: 'Editor matrix', matrix: pairwise, weight: 1 }];
+    try {
+      return computeGroupAHP(panel, {
+        aggregation: groupOptions.aggregation,
+        fuzzy: groupOptions.fuzzy || null,
+        spread: Math.max(0, parseFloat(groupOptions.spread) || 0)
+      });
+    } catch (err) {
+      return null;
+    }
+  }, [experts, groupOptions, pairwise]);
+
+  // make the group (or fuzzy) weights the ones every optimization uses
+  const applyGroupWeights = (kind) => {
+    if (!groupAHP) return;
+    const weights = kind === 'fuzzy' ? groupAHP.fuzzy.weights : groupAHP.group.weights;
+    const base = groupAHP.group.result || computeAHPFromMatrix(pairwise.map(row => row.map(val => parseFloat(val) || 1)));
+    const source = kind === 'fuzzy'
+      ? `fuzzy AHP (${FUZZY_AHP_METHODS[groupAHP.fuzzy.method].label})`
+      : `group AHP (${groupOptions.aggregation}, ${groupAHP.experts.length} experts)`;
+    setAhp({ ...base, weights, source });
+    setMessage(`Using ${source} weights.`);
   };
 
   const updatePairwise = (i, j, value) => {
@@ -193,53 +438,235 @@ const MCDM_Optimization_Final = () => {
     });
   };
 
-  // ---------------------- File upload (CSV) ----------------------
+  const updateConstraintSetting = (key, value) => {
+    setConstraintSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  // ---------------------- Planning horizon handlers ----------------------
+  // Changing the number or length of periods invalidates every stored plan
+  const changeHorizon = (next, nextData) => {
+    setHorizon(next);
+    if (nextData) setData(nextData);
+    setResults({});
+    setSelectedParetoPoint(null);
+  };
+
+  const updateStartDate = (startDate) => {
+    if (!startDate) return;
+    setHorizon(prev => ({ ...prev, startDate }));
+  };
+
+  const updatePeriodCount = (value) => {
+    const n = Math.max(1, Math.min(366, parseInt(value, 10) || 1));
+    const copy = deepCopyData(data);
+    copy.criteria.forEach(c => { c.values = resizeSeries(c.values, n); });
+    copy.orders = resizeSeries(copy.orders, n);
+    copy.capacity = resizeSeries(copy.capacity, n);
+    changeHorizon({ ...horizon, periods: n }, mapProductSeries(copy, v => resizeSeries(v, n), v => resizeSeries(v, n)));
+  };
+
+  const updateGranularity = (granularity) => {
+    if (granularity === horizon.granularity) return;
+    if (!reaggregate) {
+      // relabel only: keep the same number of periods and the values as entered
+      changeHorizon({ ...horizon, granularity });
+      return;
+    }
+    const next = { ...horizon, granularity, periods: periodsToCover(horizon, granularity) };
+    changeHorizon(next, reaggregateData(data, horizon, next));
+    setMessage(`Data re-aggregated from ${horizon.periods} ${GRANULARITIES[horizon.granularity].unit.toLowerCase()}s to ${next.periods} ${GRANULARITIES[granularity].unit.toLowerCase()}s.`);
+  };
+
+  // ---------------------- Criteria registry handlers ----------------------
+  const updateCriterion = (id, field, value) => {
+    setData(prev => {
+      const copy = deepCopyData(prev);
+      const c = copy.criteria.find(cr => cr.id === id);
+      c[field] = value;
+      return copy;
+    });
+    // direction and the scales change what each mode optimizes, so earlier results no longer apply
+    if (field === 'direction' || field === 'scale' || field === 'weightScale') setResults({});
+  };
+
+  const addCriterion = () => {
+    const name = newCriterion.name.trim();
+    if (!name) return;
+    const id = makeCriterionId(name, criteria);
+    setData(prev => {
+      const copy = deepCopyData(prev);
+      copy.criteria.push({
+        id,
+        name,
+        unit: newCriterion.unit.trim(),
+        direction: newCriterion.direction,
+        scale: 1,
+        step: 10,
+        color: CRITERION_COLORS[prev.criteria.length % CRITERION_COLORS.length],
+        aliases: [],
+        values: Array(prev.orders.length).fill(0)
+      });
+      return syncProductData(copy);
+    });
+    setPairwise(prev => resizePairwise(prev, criteria.length + 1));
+    setExperts(prev => prev.map(e => ({ ...e, matrix: resizePairwise(e.matrix, criteria.length + 1) })));
+    setAhp(null);
+    setResults({});
+    setSavedPlans([]);
+    setSelectedParetoPoint(null);
+    setNewCriterion({ name: '', unit: '', direction: 'benefit' });
+  };
+
+  const removeCriterion = (id) => {
+    if (criteria.length <= 2) {
+      alert('At least two criteria are needed for a multi-criteria model.');
+      return;
+    }
+    const index = criteria.findIndex(c => c.id === id);
+    setData(prev => {
+      const copy = deepCopyData(prev);
+      copy.criteria.splice(index, 1);
+      return syncProductData(copy);
+    });
+    setPairwise(prev => resizePairwise(prev, criteria.length - 1, index));
+    setConstraintSettings(prev => retargetCostCriteria(prev, criteria.filter(c => c.id !== id)));
+    setExperts(prev => prev.map(e => ({ ...e, matrix: resizePairwise(e.matrix, criteria.length - 1, index) })));
+    setAhp(null);
+    setResults({});
+    setSavedPlans([]);
+    setSelectedParetoPoint(null);
+    setParetoAxes(prev => {
+      const remaining = criteria.filter(c => c.id !== id);
+      return {
+        x: prev.x === id ? remaining[0].id : prev.x,
+        y: prev.y === id ? remaining[remaining.length - 1].id : prev.y
+      };
+    });
+  };
+
+  // ---------------------- Products & lines handlers ----------------------
+  // Every structural change re-derives the aggregate series and invalidates stored plans
+  const changeProducts = (update) => {
+    try {
+      setData(update(data));
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    setResults({});
+    setSelectedParetoPoint(null);
+  };
+
+  const updateProductEntity = (kind, index, field, value) => changeProducts(prev => {
+    const copy = deepCopyData(prev);
+    (kind === 'line' ? copy.lines : copy.products)[index][field] = value;
+    return syncProductData(copy);
+  });
+
+  // A market cap starts at the firm orders so the product's plan is unchanged until it is raised
+  const toggleMarketCap = (index) => changeProducts(prev => {
+    const copy = deepCopyData(prev);
+    const p = copy.products[index];
+    p.maxOrders = p.maxOrders ? null : [...p.minOrders];
+    return syncProductData(copy);
+  });
+
+  const toggleRouting = (li, pi) => changeProducts(prev => {
+    const copy = deepCopyData(prev);
+    copy.routing[li][pi] = !copy.routing[li][pi];
+    return syncProductData(copy);
+  });
+
+  const addProductEntity = (kind) => {
+    const name = newEntity[kind].trim();
+    changeProducts(prev => (kind === 'line' ? addLine(prev, name) : addProduct(prev, name)));
+    setNewEntity(prev => ({ ...prev, [kind]: '' }));
+  };
+
+  // ---------------------- File import (CSV / XLSX) ----------------------
+  // Read the file into the import wizard; nothing touches `data` until confirmImport.
   const handleFileUpload = (event) => {
     const file = event.target.files && event.target.files[0];
+    event.target.value = '';
     if (!file) return;
+    const isWorkbook = /\.xlsx?$/i.test(file.name);
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const text = e.target.result;
-        const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
-        const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-        const newData = deepCopyData(data);
-        // expecting 12 rows following header
-        const rows = lines.slice(1, 13);
-        rows.forEach((line, rIdx) => {
-          const cells = line.split(',').map(c => c.trim());
-          headers.forEach((head, hIdx) => {
-            const val = parseFloat(cells[hIdx]) || 0;
-            if (head.includes('turnover') || head.includes('sales')) newData.turnover[rIdx] = val;
-            if (head.includes('cost')) newData.cost[rIdx] = val;
-            if (head.includes('product') || head.includes('productivity')) newData.productivity[rIdx] = val;
-            if (head.includes('order')) newData.orders[rIdx] = val;
-            if (head.includes('capacity') || head.includes('cap')) newData.capacity[rIdx] = val;
+        if (isWorkbook) {
+          const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+          const sheets = {};
+          workbook.SheetNames.forEach(name => {
+            sheets[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' })
+              .filter(r => r.some(cell => String(cell).trim() !== ''));
           });
-        });
-        setData(newData);
-        alert('CSV loaded successfully.');
+          openImportWizard({ fileName: file.name, sheets, sheet: workbook.SheetNames[0], text: null, delimiter: null });
+        } else {
+          const text = e.target.result;
+          openImportWizard({ fileName: file.name, sheets: null, sheet: null, text, delimiter: detectDelimiter(text) });
+        }
       } catch (err) {
-        alert('CSV parse error: ' + err.message);
+        alert('File read error: ' + err.message);
       }
     };
-    reader.readAsText(file);
+    if (isWorkbook) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
+
+  // raw rows of the wizard's current source (CSV text with its delimiter, or the chosen sheet)
+  const importRows = (wizard) => (wizard.text !== null ? parseDelimited(wizard.text, wizard.delimiter) : wizard.sheets[wizard.sheet] || []);
+  const importHeaders = (wizard, rows) => (wizard.hasHeader
+    ? (rows[0] || []).map(h => String(h).trim())
+    : (rows[0] || []).map((_, i) => `Column ${i + 1}`));
+
+  const openImportWizard = (source) => {
+    const wizard = { hasHeader: true, ...source };
+    const rows = importRows(wizard);
+    wizard.decimal = detectDecimalSeparator(rows.slice(1));
+    wizard.mapping = suggestColumnMapping(importHeaders(wizard, rows), criteria);
+    setImportWizard(wizard);
+  };
+
+  // change delimiter / sheet / header flag; the column mapping is re-suggested for the new columns
+  const updateImportSource = (patch) => {
+    setImportWizard(prev => {
+      const next = { ...prev, ...patch };
+      try {
+        next.mapping = suggestColumnMapping(importHeaders(next, importRows(next)), criteria);
+      } catch (err) {
+        next.mapping = [];
+      }
+      return next;
+    });
+  };
+
+  const importPreview = useMemo(() => {
+    if (!importWizard) return null;
+    try {
+      const rows = importRows(importWizard);
+      const headers = importHeaders(importWizard, rows);
+      const dataRows = importWizard.hasHeader ? rows.slice(1) : rows;
+      const mapping = headers.map((_, i) => importWizard.mapping[i] || 'ignore');
+      return { headers, dataRows, mapping, ...validateImport(dataRows, headers, mapping, { decimal: importWizard.decimal, criteria }) };
+    } catch (err) {
+      return { parseError: err.message };
+    }
+  }, [importWizard, criteria]);
+
+  const confirmImport = () => {
+    if (!importPreview || importPreview.parseError || importPreview.errors.length) return;
+    const newData = applyImport(data, importPreview);
+    if (importPreview.rowCount !== horizon.periods) changeHorizon({ ...horizon, periods: importPreview.rowCount }, newData);
+    else setData(newData);
+    setMessage(`Imported ${importPreview.rowCount} ${periodUnit.toLowerCase()} rows from ${importWizard.fileName}${hasProducts(data) ? ' (products and lines removed: the file holds single-product series)' : ''}.`);
+    setImportWizard(null);
   };
 
   // ---------------------- Download results CSV ----------------------
   const downloadResults = (mode) => {
     const res = results[mode];
     if (!res) return;
-    let csv = 'Month,PlannedProduction,TurnoverContribution,CostContribution,ProductivityContribution\n';
-    res.solution.forEach((val, i) => {
-      const tcon = (data.turnover[i] * val).toFixed(2);
-      const ccon = (data.cost[i] * val).toFixed(2);
-      const pcon = (data.productivity[i] * val).toFixed(2);
-      csv += `${MONTHS[i]},${val},${tcon},${ccon},${pcon}\n`;
-    });
-    csv += `\nTotalTurnover,${res.turnoverVal.toFixed(2)}\n`;
-    csv += `TotalCost,${res.costVal.toFixed(2)}\n`;
-    csv += `TotalProductivity,${res.productivityVal.toFixed(2)}\n`;
+    const csv = resultsToCSV(resultsTable(criteria, res, periodLabels, periodUnit));
 
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -250,162 +677,449 @@ const MCDM_Optimization_Final = () => {
     URL.revokeObjectURL(url);
   };
 
+  // ---------------------- Export report ----------------------
+  const exportReport = () => {
+    let html;
+    try {
+      html = buildReportHTML({
+        horizon, data, pairwise, ahp, settings: constraintSettings, results, frontier, axes: paretoAxes
+      });
+    } catch (err) {
+      alert('Report export failed: ' + err.message);
+      return;
+    }
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mcdm_report_${new Date().toISOString().slice(0, 10)}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setMessage(Object.keys(results).length
+      ? 'Report exported — open it in a browser and print to save as PDF.'
+      : 'Report exported with inputs only — run at least one mode to include plans and charts.');
+  };
+
+  // ---------------------- Project files & share links ----------------------
+  const currentProject = (meta = projectMeta) => makeProject({
+    ...meta, horizon, data, pairwise, ahp, results, constraintSettings, goalSettings, experts, groupOptions, savedPlans, uncertainty,
+    normalization: normalizationMethod
+  });
+
+  const applyProject = (project, source) => {
+    setHorizon(project.horizon);
+    setData(project.data);
+    setPairwise(project.pairwise);
+    setAhp(project.ahp || null);
+    setResults(project.results);
+    setConstraintSettings({ ...DEFAULT_CONSTRAINT_SETTINGS, ...project.constraintSettings });
+    setGoalSettings(project.goalSettings);
+    setExperts(project.experts);
+    setGroupOptions(project.groupOptions);
+    setSavedPlans(project.savedPlans);
+    setNormalizationMethod(project.normalization);
+    setUncertainty({ models: project.uncertainty.models, budget: { demand: '', capacity: '', objective: '', ...project.uncertainty.budget } });
+    setProjectMeta({ name: project.metadata.name || '', createdAt: project.metadata.createdAt || null });
+    setSelectedParetoPoint(null);
+    const ids = project.data.criteria.map(c => c.id);
+    setParetoAxes(prev => (ids.includes(prev.x) && ids.includes(prev.y) ? prev : { x: ids[0], y: ids[1] || ids[0] }));
+    setMessage(`${source} loaded${project.migratedFrom ? ` (migrated from format version ${project.migratedFrom})` : ''}.`);
+  };
+
+  const saveProject = () => {
+    const name = (window.prompt('Project name:', projectMeta.name || 'MCDM project') || '').trim();
+    if (!name) return;
+    const project = currentProject({ ...projectMeta, name });
+    setProjectMeta({ name, createdAt: project.metadata.createdAt });
+    const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^A-Za-z0-9._-]+/g, '_')}.mcdm.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openProject = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => applyProject(parseProject(text), `Project ${file.name}`))
+      .catch(err => alert('Could not open project: ' + err.message));
+  };
+
+  const copyShareLink = () => {
+    projectShareURL(currentProject(), window.location.href)
+      .then(url => {
+        window.history.replaceState(null, '', url);
+        return navigator.clipboard.writeText(url).then(
+          () => setMessage(`Share link copied to the clipboard (${url.length.toLocaleString()} characters).`),
+          () => setMessage('Share link placed in the address bar — copy it from there.')
+        );
+      })
+      .catch(err => alert('Could not create share link: ' + err.message));
+  };
+
+  // a share link (#project=...) restores the whole session once on load
+  useEffect(() => {
+    const token = shareTokenFromHash(window.location.hash);
+    if (!token) return;
+    decodeProjectToken(token)
+      .then(project => applyProject(project, 'Shared project'))
+      .catch(err => alert('Could not open shared project: ' + err.message));
+  }, []);
+
   // ---------------------- Run optimization ----------------------
-  const runOptimization = (mode) => {
-    setProcessing(true);
-    setMessage('');
-    setTimeout(() => {
-      try {
-        const { turnover, cost, productivity, orders, capacity } = data;
-        const weights = (ahp && ahp.weights) ? ahp.weights : [0.132, 0.612, 0.256]; // fallback
-        if (!ahp) {
-          // store fallback for display consistency
-          setAhp({ weights, lambdaMax: 0, CI: 0, CR: 0 });
-        }
+  // ---------------------- Goal programming ----------------------
+  const goalFor = (c) => ({
+    enabled: false,
+    target: '',
+    under: c.direction === 'cost' ? 0 : 1,
+    over: c.direction === 'cost' ? 1 : 0,
+    priority: 1,
+    ...goalSettings.goals[c.id]
+  });
 
-        let result = null;
-
-        // NOTE: objective verification per formulas:
-        // Z1 = sum(T_i * x_i) ; Z2 = sum(C_i * x_i) ; Z3 = sum(P_i * x_i)
-        // Combined Z = w1*Z1 - w2*Z2 + w3*Z3
-
-        if (mode === 'turnover') {
-          const { solution, objective } = solveLPHeuristic(turnover, orders, capacity, { maximize: true, strategy: 'aggressive' });
-          const Z1 = objective; // Sum(T_i * x_i)
-          const actualTurnover = Z1 * 1000; // turnover in thousands -> RON
-          const actualCost = solution.reduce((s, xi, i) => s + cost[i] * xi, 0);
-          const actualProductivity = solution.reduce((s, xi, i) => s + productivity[i] * xi, 0);
-          result = {
-            solution, turnoverVal: actualTurnover, costVal: actualCost, productivityVal: actualProductivity,
-            improvements: null
-          };
-        } else if (mode === 'cost') {
-          // For cost minimization we invert cost sign and apply minimize strategy
-          const negCost = cost.map(c => -c);
-          const { solution, objective } = solveLPHeuristic(negCost, orders, capacity, { maximize: false, strategy: 'conservative' });
-          // objective corresponds to sum(-C_i * x_i) so actual cost = -objective
-          const actualCost = solution.reduce((s, xi, i) => s + cost[i] * xi, 0);
-          const actualTurnover = solution.reduce((s, xi, i) => s + turnover[i] * xi, 0) * 1000;
-          const actualProductivity = solution.reduce((s, xi, i) => s + productivity[i] * xi, 0);
-          result = { solution, turnoverVal: actualTurnover, costVal: actualCost, productivityVal: actualProductivity, improvements: null };
-        } else if (mode === 'productivity') {
-          const { solution, objective } = solveLPHeuristic(productivity, orders, capacity, { maximize: true, strategy: 'balanced' });
-          const actualProductivity = objective;
-          const actualTurnover = solution.reduce((s, xi, i) => s + turnover[i] * xi, 0) * 1000;
-          const actualCost = solution.reduce((s, xi, i) => s + cost[i] * xi, 0);
-          result = { solution, turnoverVal: actualTurnover, costVal: actualCost, productivityVal: actualProductivity, improvements: null };
-        } else if (mode === 'multiObjective') {
-          // Combined coefficients per your formula
-          // scale turnover and cost to same magnitude: turnover (thousands) *1000 -> RON
-          // cost is in RON; to be comparable, multiply cost by 1000 too so units align, then productivity raw units
-          const combined = turnover.map((t, i) => weights[0] * t * 1000 - weights[1] * cost[i] * 1000 + weights[2] * productivity[i]);
-          const { solution, objective } = solveLPHeuristic(combined, orders, capacity, { maximize: true, strategy: 'balanced' });
-
-          // compute true Z1, Z2, Z3 for improvements
-          const { Z1, Z2, Z3 } = computeObjectives(turnover, cost, productivity, solution);
-          const actualTurnover = Z1 * 1000;
-          const actualCost = Z2;
-          const actualProductivity = Z3;
-
-          // baseline = meeting orders (orders array x_i)
-          const baselineZ1 = data.orders.reduce((s, xi, i) => s + turnover[i] * xi, 0);
-          const baselineZ2 = data.orders.reduce((s, xi, i) => s + cost[i] * xi, 0);
-          const baselineZ3 = data.orders.reduce((s, xi, i) => s + productivity[i] * xi, 0);
-          const improvements = {
-            turnover: baselineZ1 ? ((actualTurnover - baselineZ1 * 1000) / (baselineZ1 * 1000) * 100).toFixed(2) : '0.00',
-            cost: baselineZ2 ? ((baselineZ2 - actualCost) / baselineZ2 * 100).toFixed(2) : '0.00',
-            productivity: baselineZ3 ? ((actualProductivity - baselineZ3) / baselineZ3 * 100).toFixed(2) : '0.00'
-          };
-
-          result = {
-            solution,
-            turnoverVal: actualTurnover,
-            costVal: actualCost,
-            productivityVal: actualProductivity,
-            weights,
-            improvements
-          };
-        }
+  const updateGoal = (id, field, value) => {
+    const c = criteria.find(cr => cr.id === id);
+    setGoalSettings(prev => ({ ...prev, goals: { ...prev.goals, [id]: { ...goalFor(c), ...prev.goals[id], [field]: value } } }));
+  };
 
-        // store and navigate to comparison
-        setResults(prev => ({ ...prev, [mode === 'multiObjective' ? 'multiObjective' : mode]: result }));
-        setProcessing(false);
-        setActiveTab('comparison');
-
-        // ensure selectedParetoPoint highlights multi-objective if ran
-        if (mode === 'multiObjective') {
-          setSelectedParetoPoint({
-            name: 'Multi-Objective (Pareto Optimal)',
-            x: result.turnoverVal / 1e6,
-            y: result.costVal / 1e6,
-            z: result.productivityVal / 1e6,
-            weights: result.weights,
-            improvements: result.improvements
-          });
-        } else {
-          setMessage(`${mode} optimization complete.`);
-        }
-      } catch (err) {
-        setProcessing(false);
-        alert('Optimization failed: ' + err.message);
+  // enabled goals in solver form (targets entered in M, like every displayed total)
+  const activeGoals = () => criteria
+    .map(c => ({ c, g: goalFor(c) }))
+    .filter(({ g }) => g.enabled)
+    .map(({ c, g }) => {
+      const target = parseFloat(g.target);
+      if (Number.isNaN(target)) throw new Error(`enter a target for ${c.name}`);
+      return { criterionId: c.id, target: target * 1e6, under: parseFloat(g.under) || 0, over: parseFloat(g.over) || 0, priority: parseInt(g.priority, 10) || 1 };
+    });
+
+  // pre-fill every target with the best value the criterion reaches on its own
+  const fillGoalsFromPayoff = () => {
+    try {
+      const payoff = computePayoffTable(data, constraintSettings);
+      setGoalSettings(prev => ({
+        ...prev,
+        goals: Object.fromEntries(criteria.map(c => [c.id, { ...goalFor(c), enabled: true, target: (payoff.ideal[c.id] / 1e6).toFixed(2) }]))
+      }));
+    } catch (err) {
+      alert('Could not compute single-objective optima: ' + err.message);
+    }
+  };
+
+  // batch: queue several modes at once and stay on the current tab until they finish
+  const runOptimization = (mode, { navigate = true } = {}) => {
+    setMessage('');
+    let weights = ahp && ahp.weights;
+    let job;
+    try {
+      if (!weights || weights.length !== criteria.length) {
+        // fall back to the current pairwise matrix and store it for display consistency
+        const fallback = computeAHPFromMatrix(pairwise.map(row => row.map(val => parseFloat(val) || 1)));
+        weights = fallback.weights;
+        setAhp(fallback);
+      }
+      // NOTE: objective verification per formulas:
+      // Z_k = scale_k * sum(v_ki * x_i) (+ h * sum(I_i) / F * sum(y_i) on the holding- / setup-cost criterion)
+      // Combined Z = sum_k ±w_k * Z_k (minus for cost criteria)
+      if (mode === 'robust' && !uncertaintyModelled) throw new Error('attach an uncertainty model to at least one series first');
+      job = mode === 'goalProgramming'
+        ? ['goalProgram', { goals: activeGoals(), data, settings: constraintSettings, method: goalSettings.method }]
+        : mode === 'robust'
+          ? ['robust', { data, settings: constraintSettings, uncertainty: uncertainty.models, weights, mode: 'multiObjective', budget: uncertainty.budget, normalization: { method: normalizationMethod } }]
+          : ['solveMode', { mode, data, weights, settings: constraintSettings, normalization: mode === 'multiObjective' ? { method: normalizationMethod } : null }];
+    } catch (err) {
+      alert('Optimization failed: ' + err.message);
+      return;
+    }
+
+    submitJob(job[0], job[1], modeLabel(mode, criteria), (plan) => {
+      const result = mode === 'multiObjective'
+        ? { ...plan, weights, improvements: computeImprovements(criteria, plan.values, data.orders, planSurcharges(plan, constraintSettings)) }
+        : mode === 'goalProgramming' || mode === 'robust'
+          ? { ...plan, improvements: computeImprovements(criteria, plan.values, data.orders, planSurcharges(plan, constraintSettings)) }
+          : { ...plan, improvements: null };
+
+      // store and navigate to comparison
+      setResults(prev => ({ ...prev, [mode]: result }));
+      if (navigate) setActiveTab('comparison');
+
+      // ensure selectedParetoPoint highlights multi-objective if ran
+      if (mode === 'multiObjective') {
+        setSelectedParetoPoint({
+          id: 'multi',
+          name: modeLabel(mode, criteria),
+          values: result.values,
+          solution: result.solution,
+          weights: result.weights,
+          improvements: result.improvements
+        });
+      } else {
+        setMessage(`${modeLabel(mode, criteria)} complete.`);
       }
-    }, 500); // small artificial delay
+    }, 'Optimization failed');
   };
 
-  // ---------------------- Pareto dataset derived ----------------------
-  const paretoData = useMemo(() => {
-    const arr = [];
-    if (results.turnover) arr.push({
-      id: 'turnover', name: 'Turnover Optimization',
-      x: results.turnover.turnoverVal / 1e6, y: results.turnover.costVal / 1e6, z: results.turnover.productivityVal / 1e6
-    });
-    if (results.cost) arr.push({
-      id: 'cost', name: 'Cost Minimization',
-      x: results.cost.turnoverVal / 1e6, y: results.cost.costVal / 1e6, z: results.cost.productivityVal / 1e6
-    });
-    if (results.productivity) arr.push({
-      id: 'productivity', name: 'Productivity Maximization',
-      x: results.productivity.turnoverVal / 1e6, y: results.productivity.costVal / 1e6, z: results.productivity.productivityVal / 1e6
-    });
-    if (results.multiObjective) arr.push({
-      id: 'multi', name: 'Multi-Objective (Pareto Optimal)',
-      x: results.multiObjective.turnoverVal / 1e6, y: results.multiObjective.costVal / 1e6, z: results.multiObjective.productivityVal / 1e6,
-      weights: results.multiObjective.weights, improvements: results.multiObjective.improvements
+  const runAllModes = () => {
+    modes
+      .filter(mode => mode !== 'goalProgramming' || criteria.some(c => goalFor(c).enabled))
+      .filter(mode => mode !== 'robust' || uncertaintyModelled)
+      .filter(mode => !jobActive(modeLabel(mode, criteria)))
+      .forEach(mode => runOptimization(mode, { navigate: false }));
+  };
+
+  // payoff table of the last multi-objective run and every solved mode on its normalized scale
+  const multiNormalization = results.multiObjective ? results.multiObjective.normalization || null : null;
+  const normalizedContributions = useMemo(() => {
+    if (!multiNormalization) return [];
+    const { weights } = results.multiObjective;
+    return modes.filter(mode => results[mode]).map(mode => {
+      const normalized = normalizeValues(criteria, results[mode].values, multiNormalization.factors);
+      return {
+        mode,
+        name: modeLabel(mode, criteria),
+        normalized,
+        score: criteria.reduce((s, c, k) => s + weights[k] * normalized[c.id], 0),
+        ...Object.fromEntries(criteria.map((c, k) => [c.id, weights[k] * normalized[c.id]]))
+      };
     });
-    // sort by x (turnover) ascending for smooth line plot
-    return arr.filter(d => d.x !== undefined && !Number.isNaN(d.x)).sort((a, b) => a.x - b.x);
-  }, [results]);
-
-  // Determine if multi-objective is visibly better (balanced)
-  const multiBetterCheck = () => {
-    if (!results.multiObjective) return null;
-    // Very simple heuristic: compute normalized spread across the three metrics vs single objective extremes.
-    // Lower spread means more balanced. We'll measure coefficient of variation.
-    const metrics = [
-      ['turnover', results.turnover?.turnoverVal || 0],
-      ['cost', results.cost?.costVal || 0],
-      ['productivity', results.productivity?.productivityVal || 0]
-    ];
-    // compute % deviation from multi for each single objective and average
-    const multi = [results.multiObjective.turnoverVal || 1, results.multiObjective.costVal || 1, results.multiObjective.productivityVal || 1];
-    const singles = [
-      [results.turnover?.turnoverVal || 0, results.turnover?.costVal || 0, results.turnover?.productivityVal || 0],
-      [results.cost?.turnoverVal || 0, results.cost?.costVal || 0, results.cost?.productivityVal || 0],
-      [results.productivity?.turnoverVal || 0, results.productivity?.costVal || 0, results.productivity?.productivityVal || 0]
+  }, [results, criteria, multiNormalization]);
+
+  // dominance / distance-to-ideal metrics of every solved mode, weighted like the multi-objective run
+  const strategyComparison = useMemo(() => compareStrategies(criteria, results, {
+    weights: (results.multiObjective && results.multiObjective.weights) || (ahp && ahp.weights.length === criteria.length ? ahp.weights : null),
+    rankBy: compromiseMetric
+  }), [results, criteria, ahp, compromiseMetric]);
+  const conclusions = useMemo(() => strategyConclusions(criteria, strategyComparison, results), [criteria, strategyComparison, results]);
+
+  // ---------------------- Uncertainty ----------------------
+  const setUncertaintyModel = (key, type) => setUncertainty(prev => {
+    const models = { ...prev.models };
+    if (type) models[key] = { ...DEFAULT_UNCERTAINTY_MODEL, ...prev.models[key], type };
+    else delete models[key];
+    return { ...prev, models };
+  });
+
+  const setUncertaintyParam = (key, param, value) => setUncertainty(prev => ({
+    ...prev,
+    models: { ...prev.models, [key]: { ...prev.models[key], [param]: value } }
+  }));
+
+  const runSimulation = () => {
+    const mode = simulationOptions.plan;
+    const res = results[mode];
+    if (!res) {
+      alert(`Run ${modeLabel(mode, criteria)} first — Monte Carlo evaluates a solved plan.`);
+      return;
+    }
+    const samples = parseInt(simulationOptions.samples, 10);
+    const seed = parseInt(simulationOptions.seed, 10) || 1;
+    const plan = { solution: res.solution, setupCost: res.setupCost, values: res.values };
+    submitJob('monteCarlo', { plan, data, settings: constraintSettings, uncertainty: uncertainty.models, samples, seed }, 'Monte Carlo simulation', (sim) => {
+      setSimulation({ ...sim, mode });
+      setMessage(`Monte Carlo: ${sim.samples.toLocaleString()} samples of ${modeLabel(mode, criteria)} — capacity breach in ${(sim.breachProbability * 100).toFixed(1)}% of them.`);
+    }, 'Monte Carlo simulation failed');
+  };
+
+  // ---------------------- Pareto frontier generation ----------------------
+  const generateFrontier = () => {
+    const steps = Math.max(1, Math.min(50, parseInt(frontierOptions.steps, 10) || 1));
+    submitJob('frontier', { data, settings: constraintSettings, method: frontierOptions.method, steps }, 'Pareto frontier', (res) => {
+      setFrontier(res);
+      setSelectedParetoPoint(null);
+      setMessage(`Pareto frontier: ${res.points.length} non-dominated plans from ${res.evaluated} LP solves (${res.infeasible} infeasible, ${res.removed} dominated or duplicate).`);
+    }, 'Frontier generation failed');
+  };
+
+  // ---------------------- Ranking candidates ----------------------
+  const savePlanAsCandidate = (mode) => {
+    const res = results[mode];
+    if (!res) return;
+    const name = window.prompt('Name for this saved plan:', `${modeLabel(mode, criteria)} #${savedPlans.length + 1}`);
+    if (!name) return;
+    setSavedPlans(prev => [...prev, { id: `saved-${Date.now()}`, name, values: { ...res.values }, solution: [...res.solution] }]);
+    setMessage(`Saved "${name}" as a ranking candidate.`);
+  };
+
+  const removeSavedPlan = (id) => setSavedPlans(prev => prev.filter(p => p.id !== id));
+
+  const ranking = useMemo(() => {
+    const candidates = [
+      ...modes.filter(mode => results[mode]).map(mode => ({ id: mode, name: modeLabel(mode, criteria), values: results[mode].values })),
+      ...savedPlans.map(p => ({ ...p, saved: true }))
     ];
-    // compute imbalance score for each single objective relative to multi (higher is worse)
-    const imbalanceScores = singles.map(s => {
-      if (!s[0] && !s[1] && !s[2]) return Infinity;
-      const diffs = s.map((val, i) => Math.abs((val - multi[i]) / (multi[i] || 1)));
-      return diffs.reduce((a, b) => a + b, 0) / diffs.length;
-    });
-    // multi is better/balanced if its average deviation across singles is lower than singles among themselves
-    const avgImbalance = imbalanceScores.reduce((a, b) => a + b, 0) / imbalanceScores.length;
-    return avgImbalance; // numeric; lower is better
+    if (candidates.length < 2) return null;
+    const weights = ahp && ahp.weights.length === criteria.length
+      ? ahp.weights
+      : computeAHPFromMatrix(pairwise.map(row => row.map(val => parseFloat(val) || 1))).weights;
+    return { candidates, weights, byMethod: rankCandidates(candidates, weights, criteria) };
+  }, [results, savedPlans, ahp, pairwise, criteria]);
+
+  // ---------------------- Scenario management ----------------------
+  const currentSnapshot = () => ({ horizon, data, pairwise, constraintSettings, goalSettings, ahp, results, savedPlans });
+
+  const saveScenario = () => {
+    const name = scenarioName.trim();
+    if (!name) {
+      alert('Enter a scenario name first.');
+      return;
+    }
+    const existing = scenarios.find(sc => sc.name === name);
+    if (existing && !window.confirm(`Overwrite scenario "${name}"?`)) return;
+    const snapshot = makeScenario(name, currentSnapshot());
+    setScenarios(prev => existing
+      ? prev.map(sc => (sc.id === existing.id ? { ...snapshot, id: existing.id, createdAt: existing.createdAt } : sc))
+      : [...prev, snapshot]);
+    setScenarioName('');
+    setMessage(`Scenario "${name}" saved.`);
+  };
+
+  const loadScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc) return;
+    const copy = JSON.parse(JSON.stringify(sc));
+    setHorizon(copy.horizon);
+    setData(copy.data);
+    setPairwise(copy.pairwise);
+    setConstraintSettings({ ...DEFAULT_CONSTRAINT_SETTINGS, ...copy.constraintSettings });
+    setAhp(copy.ahp);
+    setResults(copy.results || {});
+    setSavedPlans(copy.savedPlans || []);
+    setGoalSettings(copy.goalSettings || { method: 'weighted', goals: {} });
+    setSelectedParetoPoint(null);
+    const ids = copy.data.criteria.map(c => c.id);
+    setParetoAxes(prev => (ids.includes(prev.x) && ids.includes(prev.y) ? prev : { x: ids[0], y: ids[1] }));
+    setMessage(`Scenario "${sc.name}" loaded.`);
+  };
+
+  const cloneScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc) return;
+    setScenarios(prev => [...prev, makeScenario(`${sc.name} (copy)`, sc)]);
+  };
+
+  const renameScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc) return;
+    const name = (window.prompt('New scenario name:', sc.name) || '').trim();
+    if (!name || name === sc.name) return;
+    if (scenarios.some(x => x.name === name)) {
+      alert(`A scenario named "${name}" already exists.`);
+      return;
+    }
+    setScenarios(prev => prev.map(x => (x.id === id ? { ...x, name, updatedAt: new Date().toISOString() } : x)));
+  };
+
+  const deleteScenario = (id) => {
+    const sc = scenarios.find(x => x.id === id);
+    if (!sc || !window.confirm(`Delete scenario "${sc.name}"?`)) return;
+    setScenarios(prev => prev.filter(x => x.id !== id));
+    setDiffPair(prev => ({ a: prev.a === id ? '' : prev.a, b: prev.b === id ? 'current' : prev.b }));
+  };
+
+  const scenarioDiff = useMemo(() => {
+    const side = (id) => (id === 'current' ? { name: 'Current (unsaved)', ...currentSnapshot() } : scenarios.find(x => x.id === id));
+    const a = side(diffPair.a);
+    const b = side(diffPair.b);
+    if (!a || !b || diffPair.a === diffPair.b) return null;
+    return { a, b, ...diffScenarios(a, b) };
+  }, [diffPair, scenarios, horizon, data, pairwise, constraintSettings, goalSettings, ahp, results, savedPlans]);
+
+  // ---------------------- Sensitivity analysis ----------------------
+  const currentWeights = () => (ahp && ahp.weights.length === criteria.length
+    ? ahp.weights
+    : computeAHPFromMatrix(pairwise.map(row => row.map(val => parseFloat(val) || 1))).weights);
+
+  const runSensitivity = () => {
+    const weights = currentWeights();
+    const range = Math.min(0.99, Math.max(0.001, (parseFloat(sensitivityOptions.range) || 10) / 100));
+    const { rankingMethod } = sensitivityOptions;
+    const candidates = ranking ? ranking.candidates : [];
+    submitJob('sensitivity', { data, settings: constraintSettings, weights, range, candidates, rankingMethod, normalization: { method: normalizationMethod } }, 'Sensitivity analysis', ({ tornado, stability }) => {
+      setSensitivity({ weights, range, tornado, stability, rankingMethod, candidateCount: candidates.length });
+      setMessage(`Sensitivity analysis complete — ${tornado.entries.length * 2} perturbed plans solved.`);
+    }, 'Sensitivity analysis failed');
+  };
+
+  const runWhatIf = () => {
+    try {
+      const weights = currentWeights();
+      const value = parseFloat(whatIf.value);
+      if (Number.isNaN(value) || value < 0 || value > 1) throw new Error('weight must be between 0 and 1');
+      const nextWeights = renormalizeWeights(weights, Math.min(whatIf.index, criteria.length - 1), value);
+      const base = solveMode('multiObjective', { data, weights, settings: constraintSettings, normalization: { method: normalizationMethod } });
+      const plan = solveMode('multiObjective', { data, weights: nextWeights, settings: constraintSettings, normalization: base.normalization });
+      setWhatIf(prev => ({ ...prev, result: { weights, nextWeights, base, plan, planShift: planDistance(base.solution, plan.solution) } }));
+    } catch (err) {
+      alert('What-if failed: ' + err.message);
+    }
+  };
+
+  // tornado rows for one parameter kind, in display units, sorted by swing
+  const tornadoRows = (kind) => {
+    if (!sensitivity) return [];
+    const { metric, top } = sensitivityOptions;
+    const { baseline } = sensitivity.tornado;
+    const combinedUnitless = sensitivity.tornado.normalization && sensitivity.tornado.normalization !== 'none';
+    const measure = (side) => {
+      if (side.error) return 0;
+      if (metric === 'planShift') return side.planShift * 100;
+      const value = metric === 'combined' ? side.combined : side.values[metric];
+      const base = metric === 'combined' ? baseline.combined : baseline.values[metric];
+      // normalized combined scores are unitless; everything else is shown in millions
+      return metric === 'combined' && combinedUnitless ? value - base : (value - base) / 1e6;
+    };
+    return sensitivity.tornado.entries
+      .filter(e => e.kind === kind)
+      .map(e => {
+        const c = criteria.find(cr => cr.id === e.criterionId);
+        const low = measure(e.low);
+        const high = measure(e.high);
+        return {
+          label: kind === 'weight' ? `w(${c ? c.name : e.criterionId})` : `${c ? c.name : e.criterionId} ${periodLabels[e.period]}`,
+          low,
+          high,
+          swing: Math.abs(high - low),
+          failed: !!(e.low.error || e.high.error)
+        };
+      })
+      .sort((a, b) => b.swing - a.swing)
+      .slice(0, kind === 'weight' ? undefined : Math.max(1, parseInt(top, 10) || 15));
   };
 
+  // ---------------------- Pareto dataset derived ----------------------
+  const paretoData = useMemo(() => {
+    const arr = modes.filter(mode => results[mode]).map(mode => ({
+      id: mode === 'multiObjective' ? 'multi' : mode,
+      name: modeLabel(mode, criteria),
+      values: results[mode].values,
+      solution: results[mode].solution,
+      x: results[mode].values[paretoAxes.x] / 1e6,
+      y: results[mode].values[paretoAxes.y] / 1e6,
+      weights: results[mode].weights,
+      improvements: results[mode].improvements
+    }));
+    // sort by x ascending for smooth line plot
+    return arr.filter(d => d.x !== undefined && !Number.isNaN(d.x)).sort((a, b) => a.x - b.x);
+  }, [results, criteria, paretoAxes]);
+
+  // generated frontier points plus the 2-D trade-off curve: the points that stay non-dominated
+  // when only the two plotted criteria are compared
+  const frontierData = useMemo(() => {
+    if (!frontier) return { points: [], curve: [] };
+    const points = frontier.points.map(p => ({ ...p, x: p.values[paretoAxes.x] / 1e6, y: p.values[paretoAxes.y] / 1e6 }));
+    const axes = [paretoAxes.x, paretoAxes.y].map(id => criteria.find(c => c.id === id)).filter(Boolean);
+    const curve = paretoAxes.x === paretoAxes.y ? [] : filterNonDominated(points, axes).sort((a, b) => a.x - b.x);
+    return { points, curve };
+  }, [frontier, criteria, paretoAxes]);
+
+  // optimized modes and generated frontier points for the all-criteria trade-off views
+  const tradeoffItems = useMemo(() => [...paretoData, ...frontierData.points], [paretoData, frontierData]);
+
   // ---------------------- UI subcomponents ----------------------
-  const MetricCard = ({ icon: Icon, title, value, subtitle, color = '#1e3a8a', improvement }) => (
+  const MetricCard = ({ icon: Icon, title, value, subtitle, color = '#1e3a8a', improvement, goal }) => (
     <div className="bg-white rounded-xl shadow p-5 border-l-4" style={{ borderLeftColor: color }}>
       <div className="flex justify-between items-start">
         <div>
@@ -417,6 +1131,12 @@ const MCDM_Optimization_Final = () => {
               {parseFloat(improvement) > 0 ? '↑' : '↓'} {Math.abs(parseFloat(improvement))}% vs baseline
             </p>
           )}
+          {goal && (
+            <p className="text-sm mt-1 font-semibold" style={{ color: goal.penalty > 1e-9 ? '#ef4444' : '#10b981' }}>
+              {goal.penalty > 1e-9 ? '✗' : '✓'} Goal {fmtM(goal.target)}M: {goal.shortfall > 0 ? `${fmtM(goal.shortfall)}M under` : goal.excess > 0 ? `${fmtM(goal.excess)}M over` : 'met exactly'}
+              {goal.target ? ` (${((goal.value - goal.target) / Math.abs(goal.target) * 100).toFixed(2)}%)` : ''}
+            </p>
+          )}
         </div>
         <div className="rounded-full p-3" style={{ backgroundColor: color + '20' }}>
           <Icon size={28} style={{ color }} />
@@ -425,18 +1145,53 @@ const MCDM_Optimization_Final = () => {
     </div>
   );
 
-  const EditableValue = ({ value, onChange, small = false }) => (
-    <div className="flex items-center justify-center space-x-2">
-      <button onClick={() => onChange(-10)} className="p-1 rounded hover:bg-blue-50">
-        <ChevronDown size={14} style={{ color: '#1e3a8a' }} />
-      </button>
-      <div className="font-mono text-sm text-center w-24" style={{ color: '#0f172a' }}>{value.toLocaleString()}</div>
-      <button onClick={() => onChange(10)} className="p-1 rounded hover:bg-blue-50">
-        <ChevronUp size={14} style={{ color: '#1e3a8a' }} />
-      </button>
+  const JOB_STATUS_STYLES = {
+    queued: 'bg-gray-100 text-gray-700',
+    running: 'bg-blue-100 text-blue-800',
+    done: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    cancelled: 'bg-yellow-100 text-yellow-800'
+  };
+
+  const JobStatusPanel = ({ jobs: list, onCancel, onClear }) => (
+    <div className="bg-white rounded-xl shadow p-4">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm font-semibold" style={{ color: '#1e3a8a' }}>
+          Background jobs · {list.filter(j => j.status === 'running').length} running, {list.filter(j => j.status === 'queued').length} queued
+        </p>
+        <button onClick={onClear} className="text-xs px-2 py-1 rounded border hover:bg-gray-50">Clear finished</button>
+      </div>
+      <div className="space-y-1">
+        {list.slice().reverse().map(job => {
+          const pct = job.progress && job.progress.total ? Math.min(100, job.progress.done / job.progress.total * 100) : null;
+          const seconds = job.startedAt ? ((job.finishedAt || clock) - job.startedAt) / 1000 : null;
+          return (
+            <div key={job.id} className="flex items-center gap-3 text-sm">
+              <span className={`w-20 text-center text-xs font-semibold rounded px-2 py-0.5 ${JOB_STATUS_STYLES[job.status]}`}>{job.status}</span>
+              <span className="w-64 truncate" style={{ color: '#0f172a' }} title={job.error || job.label}>{job.label}</span>
+              <div className="flex-1 h-2 bg-gray-100 rounded overflow-hidden">
+                {job.status === 'running' && (
+                  <div className={`h-full bg-[#1e40af] ${pct === null ? 'animate-pulse w-full opacity-40' : ''}`} style={pct === null ? undefined : { width: `${pct}%` }} />
+                )}
+                {job.status === 'done' && <div className="h-full w-full bg-green-500" />}
+              </div>
+              <span className="w-28 text-right text-xs text-gray-600">
+                {job.progress ? `${job.progress.done}/${job.progress.total} · ` : ''}{seconds !== null ? `${seconds.toFixed(1)} s` : ''}
+              </span>
+              {(job.status === 'queued' || job.status === 'running') ? (
+                <button onClick={() => onCancel(job.id)} className="text-red-600 hover:text-red-800" title="Cancel job">
+                  <XCircle size={16} />
+                </button>
+              ) : <span className="w-4" />}
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 
+  const criterionIcon = (c) => CRITERION_ICONS[c.id] || Activity;
+
   // ---------------------- Render ----------------------
   return (
     <div className="min-h-screen bg-gradient-to-br from-white to-blue-50 text-[#1e3a8a]">
@@ -449,12 +1204,31 @@ const MCDM_Optimization_Final = () => {
           </div>
           <div className="flex items-center space-x-4">
             <label className="cursor-pointer">
-              <input type="file" accept=".csv" onChange={handleFileUpload} className="hidden" />
+              <input type="file" accept=".csv,.tsv,.txt,.xlsx,.xls" onChange={handleFileUpload} className="hidden" />
               <div className="px-4 py-2 rounded-lg bg-[#1e40af] text-white flex items-center space-x-2 shadow">
                 <Upload size={16} />
-                <span className="font-semibold">Upload CSV</span>
+                <span className="font-semibold">Import CSV / Excel</span>
+              </div>
+            </label>
+            <label className="cursor-pointer">
+              <input type="file" accept=".json,application/json" onChange={openProject} className="hidden" />
+              <div className="px-4 py-2 rounded-lg bg-white border border-[#1e40af] text-[#1e40af] flex items-center space-x-2 shadow">
+                <FolderOpen size={16} />
+                <span className="font-semibold">Open project</span>
               </div>
             </label>
+            <button onClick={saveProject} className="px-4 py-2 rounded-lg bg-white border border-[#1e40af] text-[#1e40af] flex items-center space-x-2 shadow hover:bg-blue-50">
+              <Save size={16} />
+              <span className="font-semibold">Save project</span>
+            </button>
+            <button onClick={copyShareLink} className="px-4 py-2 rounded-lg bg-white border border-[#1e40af] text-[#1e40af] flex items-center space-x-2 shadow hover:bg-blue-50">
+              <Link size={16} />
+              <span className="font-semibold">Share link</span>
+            </button>
+            <button onClick={exportReport} className="px-4 py-2 rounded-lg bg-[#0f172a] text-white flex items-center space-x-2 shadow hover:opacity-90">
+              <FileText size={16} />
+              <span className="font-semibold">Export report</span>
+            </button>
           </div>
         </div>
       </div>
@@ -462,7 +1236,7 @@ const MCDM_Optimization_Final = () => {
       {/* Nav Tabs */}
       <div className="max-w-7xl mx-auto px-6 mt-6">
         <div className="flex space-x-2 border-b border-gray-200">
-          {['input', 'results', 'comparison'].map(tab => (
+          {['input', 'results', 'comparison', 'sensitivity', 'uncertainty', 'scenarios'].map(tab => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -478,74 +1252,298 @@ const MCDM_Optimization_Final = () => {
         </div>
       </div>
 
+      {jobs.length > 0 && (
+        <div className="max-w-7xl mx-auto px-6 mt-4">
+          <JobStatusPanel jobs={jobs} onCancel={(id) => jobQueue.current.cancel(id)} onClear={() => jobQueue.current.clearFinished()} />
+        </div>
+      )}
+
       <div className="max-w-7xl mx-auto px-6 py-8">
         {activeTab === 'input' && (
           <div className="space-y-8">
-            {/* Data Input */}
+            {/* Planning horizon */}
             <div className="bg-white rounded-xl shadow-lg p-8">
-              <h2 className="text-2xl font-bold mb-6" style={{ color: '#1e3a8a' }}>
-                <Activity className="inline mr-2" size={20} /> Monthly Performance Data
+              <h2 className="text-2xl font-bold mb-4" style={{ color: '#1e3a8a' }}>Planning Horizon</h2>
+              <div className="grid grid-cols-4 gap-4 items-end">
+                <label className="text-sm" style={{ color: '#0f172a' }}>
+                  Start date
+                  <input type="date" value={horizon.startDate} onChange={(e) => updateStartDate(e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                </label>
+                <label className="text-sm" style={{ color: '#0f172a' }}>
+                  Granularity
+                  <select value={horizon.granularity} onChange={(e) => updateGranularity(e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1">
+                    {Object.entries(GRANULARITIES).map(([key, g]) => <option key={key} value={key}>{g.unit}</option>)}
+                  </select>
+                </label>
+                <label className="text-sm" style={{ color: '#0f172a' }}>
+                  Number of {periodUnit.toLowerCase()}s
+                  <input type="number" min="1" max="366" value={horizon.periods} onChange={(e) => updatePeriodCount(e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                </label>
+                <label className="flex items-center space-x-2 text-sm pb-2" style={{ color: '#0f172a' }}>
+                  <input type="checkbox" checked={reaggregate} onChange={(e) => setReaggregate(e.target.checked)} />
+                  <span>Re-aggregate data when changing granularity</span>
+                </label>
+              </div>
+              <p className="text-xs text-gray-600 mt-3">
+                {periodLabels[0]} – {periodLabels[periodLabels.length - 1]}. Re-aggregation splits or sums orders and capacity by calendar days and averages the criteria coefficients; added periods repeat the last value.
+              </p>
+            </div>
+
+            {/* Criteria registry */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <h2 className="text-2xl font-bold mb-4" style={{ color: '#1e3a8a' }}>
+                <Target className="inline mr-2" size={20} /> Criteria
               </h2>
+              <table className="w-full table-auto border-collapse text-sm mb-4">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border px-3 py-2 text-left">Name</th>
+                    <th className="border px-3 py-2 text-left">Unit</th>
+                    <th className="border px-3 py-2 text-left">Direction</th>
+                    <th className="border px-3 py-2 text-right">Scale</th>
+                    <th className="border px-3 py-2 text-right" title="Multiplies Z_k in the weighted sum when objectives are not normalized">Weight ×</th>
+                    <th className="border px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {criteria.map(c => (
+                    <tr key={c.id}>
+                      <td className="border px-3 py-1">
+                        <input value={c.name} onChange={(e) => updateCriterion(c.id, 'name', e.target.value)} className="w-full px-2 py-1 border rounded" style={{ color: '#0f172a' }} />
+                      </td>
+                      <td className="border px-3 py-1">
+                        <input value={c.unit} onChange={(e) => updateCriterion(c.id, 'unit', e.target.value)} className="w-full px-2 py-1 border rounded" style={{ color: '#0f172a' }} />
+                      </td>
+                      <td className="border px-3 py-1">
+                        <select value={c.direction} onChange={(e) => updateCriterion(c.id, 'direction', e.target.value)} className="px-2 py-1 border rounded" style={{ color: '#0f172a' }}>
+                          <option value="benefit">Benefit (maximize)</option>
+                          <option value="cost">Cost (minimize)</option>
+                        </select>
+                      </td>
+                      <td className="border px-3 py-1 text-right">
+                        <input type="number" value={c.scale} onChange={(e) => updateCriterion(c.id, 'scale', parseFloat(e.target.value) || 1)} className="w-24 px-2 py-1 border rounded text-right" style={{ color: '#0f172a' }} />
+                      </td>
+                      <td className="border px-3 py-1 text-right">
+                        <input type="number" value={weightScaleOf(c)} onChange={(e) => updateCriterion(c.id, 'weightScale', parseFloat(e.target.value) || 1)} className="w-24 px-2 py-1 border rounded text-right" style={{ color: '#0f172a' }} />
+                      </td>
+                      <td className="border px-3 py-1 text-center">
+                        <button onClick={() => removeCriterion(c.id)} className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100">Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex items-center gap-3">
+                <input placeholder="New criterion (e.g. CO2 emissions)" value={newCriterion.name} onChange={(e) => setNewCriterion(prev => ({ ...prev, name: e.target.value }))} className="flex-1 px-3 py-2 border rounded-lg" style={{ color: '#0f172a' }} />
+                <input placeholder="Unit (e.g. kg/piece)" value={newCriterion.unit} onChange={(e) => setNewCriterion(prev => ({ ...prev, unit: e.target.value }))} className="w-48 px-3 py-2 border rounded-lg" style={{ color: '#0f172a' }} />
+                <select value={newCriterion.direction} onChange={(e) => setNewCriterion(prev => ({ ...prev, direction: e.target.value }))} className="px-3 py-2 border rounded-lg" style={{ color: '#0f172a' }}>
+                  <option value="benefit">Benefit</option>
+                  <option value="cost">Cost</option>
+                </select>
+                <button onClick={addCriterion} className="px-4 py-2 rounded-lg bg-[#1e40af] text-white font-semibold hover:bg-[#15357f]">Add Criterion</button>
+              </div>
+              <p className="text-xs text-gray-600 mt-3">
+                Z_k = scale × ∑ v_ik × x_i. Adding or removing a criterion resizes the AHP matrix and clears previous results.
+              </p>
+            </div>
 
-              <div className="grid gap-8">
-                {/* Turnover */}
-                <div>
-                  <h3 className="text-lg font-semibold mb-3" style={{ color: '#0f172a' }}>
-                    <DollarSign className="inline mr-2 text-green-600" size={18} />
-                    Turnover Coefficients (1000 RON)
-                  </h3>
-                  <div className="grid grid-cols-6 gap-3">
-                    {MONTHS.map((m, i) => (
-                      <div key={i} className="bg-gray-50 rounded-lg p-3 text-center">
-                        <p className="text-xs text-gray-600 mb-2">{m}</p>
-                        <EditableValue value={data.turnover[i]} onChange={(d) => updateValue('turnover', i, d)} />
+            {/* Products & lines */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold" style={{ color: '#1e3a8a' }}>Products &amp; Lines</h2>
+                <button onClick={() => changeProducts(hasProducts(data) ? disableProducts : enableProducts)} className="px-4 py-2 rounded-lg border border-[#1e40af] text-[#1e40af] font-semibold hover:bg-blue-50">
+                  {hasProducts(data) ? 'Back to a single product' : 'Plan several products / lines'}
+                </button>
+              </div>
+              {!hasProducts(data) ? (
+                <p className="text-sm text-gray-600">
+                  The model plans one product on one capacity. Switch to several products to give each its own firm orders, optional market cap
+                  and coefficients, each production line its own capacity, and choose which lines can make which products.
+                </p>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 gap-8">
+                    <div>
+                      <h3 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Products</h3>
+                      <table className="w-full table-auto border-collapse text-sm mb-3">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            <th className="border px-3 py-2 text-left">Name</th>
+                            <th className="border px-3 py-2 text-center">Market cap</th>
+                            <th className="border px-3 py-2" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {data.products.map((p, pi) => (
+                            <tr key={p.id}>
+                              <td className="border px-3 py-1">
+                                <div className="flex items-center gap-2">
+                                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: p.color }} />
+                                  <input value={p.name} onChange={(e) => updateProductEntity('product', pi, 'name', e.target.value)} className="w-full px-2 py-1 border rounded" style={{ color: '#0f172a' }} />
+                                </div>
+                              </td>
+                              <td className="border px-3 py-1 text-center">
+                                <input type="checkbox" checked={!!p.maxOrders} onChange={() => toggleMarketCap(pi)} title="Add a per-period maximum (max column in the grid)" />
+                              </td>
+                              <td className="border px-3 py-1 text-center">
+                                <button onClick={() => changeProducts(prev => removeProductEntity(prev, 'product', pi))} className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100">Remove</button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div className="flex items-center gap-3">
+                        <input placeholder="New product" value={newEntity.product} onChange={(e) => setNewEntity(prev => ({ ...prev, product: e.target.value }))} className="flex-1 px-3 py-2 border rounded-lg" style={{ color: '#0f172a' }} />
+                        <button onClick={() => addProductEntity('product')} className="px-4 py-2 rounded-lg bg-[#1e40af] text-white font-semibold hover:bg-[#15357f]">Add Product</button>
                       </div>
-                    ))}
-                  </div>
-                </div>
-
-                {/* Cost */}
-                <div>
-                  <h3 className="text-lg font-semibold mb-3" style={{ color: '#0f172a' }}>
-                    <TrendingUp className="inline mr-2 text-red-600" size={18} />
-                    Cost Coefficients (RON)
-                  </h3>
-                  <div className="grid grid-cols-6 gap-3">
-                    {MONTHS.map((m, i) => (
-                      <div key={i} className="bg-gray-50 rounded-lg p-3 text-center">
-                        <p className="text-xs text-gray-600 mb-2">{m}</p>
-                        <EditableValue value={data.cost[i]} onChange={(d) => updateValue('cost', i, d)} />
+                    </div>
+                    <div>
+                      <h3 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Production lines</h3>
+                      <table className="w-full table-auto border-collapse text-sm mb-3">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            <th className="border px-3 py-2 text-left">Name</th>
+                            <th className="border px-3 py-2" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {data.lines.map((l, li) => (
+                            <tr key={l.id}>
+                              <td className="border px-3 py-1">
+                                <input value={l.name} onChange={(e) => updateProductEntity('line', li, 'name', e.target.value)} className="w-full px-2 py-1 border rounded" style={{ color: '#0f172a' }} />
+                              </td>
+                              <td className="border px-3 py-1 text-center">
+                                <button onClick={() => changeProducts(prev => removeProductEntity(prev, 'line', li))} className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100">Remove</button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div className="flex items-center gap-3">
+                        <input placeholder="New line" value={newEntity.line} onChange={(e) => setNewEntity(prev => ({ ...prev, line: e.target.value }))} className="flex-1 px-3 py-2 border rounded-lg" style={{ color: '#0f172a' }} />
+                        <button onClick={() => addProductEntity('line')} className="px-4 py-2 rounded-lg bg-[#1e40af] text-white font-semibold hover:bg-[#15357f]">Add Line</button>
                       </div>
-                    ))}
+                    </div>
                   </div>
-                </div>
 
-                {/* Productivity */}
-                <div>
-                  <h3 className="text-lg font-semibold mb-3" style={{ color: '#0f172a' }}>
-                    <Award className="inline mr-2 text-purple-600" size={18} />
-                    Productivity Coefficients (pieces/worker)
-                  </h3>
-                  <div className="grid grid-cols-6 gap-3">
-                    {MONTHS.map((m, i) => (
-                      <div key={i} className="bg-gray-50 rounded-lg p-3 text-center">
-                        <p className="text-xs text-gray-600 mb-2">{m}</p>
-                        <EditableValue value={data.productivity[i]} onChange={(d) => updateValue('productivity', i, d * 10)} />
-                      </div>
+                  <h3 className="font-semibold mt-6 mb-2" style={{ color: '#0f172a' }}>Routing (which line can make which product)</h3>
+                  <table className="table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-3 py-2 text-left">Line \ Product</th>
+                        {data.products.map(p => <th key={p.id} className="border px-3 py-2 text-center" style={{ color: p.color }}>{p.name}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.lines.map((l, li) => (
+                        <tr key={l.id}>
+                          <td className="border px-3 py-1" style={{ color: '#0f172a' }}>{l.name}</td>
+                          {data.products.map((p, pi) => (
+                            <td key={p.id} className={`border px-3 py-1 text-center ${data.routing[li][pi] ? 'bg-blue-50' : ''}`}>
+                              <input type="checkbox" checked={data.routing[li][pi]} onChange={() => toggleRouting(li, pi)} />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-gray-600 mt-3">
+                    Per-period firm orders, market caps, coefficients and line capacities are edited in the grid below. Orders, capacity and the
+                    criteria coefficients of the single-product view are derived from them (sums and the order-weighted mean coefficient);
+                    inventory carry-over, setups and the robust mode need the single-product model.
+                  </p>
+                </>
+              )}
+            </div>
+
+            {/* Data Input */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <h2 className="text-2xl font-bold mb-6" style={{ color: '#1e3a8a' }}>
+                <Activity className="inline mr-2" size={20} /> {GRANULARITIES[horizon.granularity].adjective} Performance Data
+              </h2>
+
+              <div className="flex flex-wrap items-center gap-3 mb-4 text-sm" style={{ color: '#0f172a' }}>
+                <button onClick={undoEdit} disabled={!editHistory.past.length} className="px-3 py-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Ctrl+Z">Undo</button>
+                <button onClick={redoEdit} disabled={!editHistory.future.length} className="px-3 py-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Ctrl+Y">Redo</button>
+                <span className="mx-2 text-gray-300">|</span>
+                <button onClick={fillDown} disabled={!gridSelection} className="px-3 py-1 rounded border hover:bg-gray-50 disabled:opacity-40" title="Ctrl+D">Fill down</button>
+                <span className="mx-2 text-gray-300">|</span>
+                <label className="flex items-center gap-1">
+                  Scale selection by
+                  <input type="number" step="0.5" value={gridScale} placeholder="±%" onChange={(e) => setGridScale(e.target.value)} className="w-20 px-2 py-1 border rounded" />
+                  %
+                </label>
+                <button onClick={scaleSelection} disabled={!gridSelection || gridScale === ''} className="px-3 py-1 rounded bg-[#1e40af] text-white hover:bg-[#15357f] disabled:opacity-40">Apply</button>
+                <span className="text-xs text-gray-500 ml-auto">Click or shift-click to select, drag for ranges · paste tab-separated ranges from Excel · Enter moves down · Alt+↑/↓ nudges</span>
+              </div>
+
+              <div className="overflow-auto border rounded-lg" style={{ maxHeight: 520 }}>
+                <table className="w-full table-fixed border-collapse text-sm select-none">
+                  <thead className="sticky top-0 bg-gray-100">
+                    <tr>
+                      <th className="border px-2 py-2 text-left w-24">{periodUnit}</th>
+                      {gridColumns.map(col => {
+                        const Icon = criteria.some(c => c.id === col.category) ? criterionIcon(criteria.find(c => c.id === col.category)) : null;
+                        return (
+                          <th key={col.category} className="border px-2 py-2 text-right" style={{ color: '#0f172a' }}>
+                            {Icon && <Icon className="inline mr-1" size={14} style={{ color: col.color }} />}
+                            {col.label}
+                            {col.unit && <div className="text-xs font-normal text-gray-500">{col.unit}</div>}
+                          </th>
+                        );
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {periodLabels.map((label, r) => (
+                      <tr key={r}>
+                        <td className="border px-2 py-1 text-gray-600 bg-gray-50">{label}</td>
+                        {gridColumns.map((col, c) => {
+                          const value = seriesOf(data, col.category)[r];
+                          const editing = cellDraft && cellDraft.r === r && cellDraft.c === c;
+                          const over = col.category === 'orders' && value > data.capacity[r];
+                          return (
+                            <td key={col.category} className={`border p-0 ${inSelection(r, c) ? 'bg-blue-100' : ''}`}
+                              onMouseDown={(e) => selectCell(r, c, e.shiftKey)}
+                              onMouseEnter={(e) => { if (e.buttons === 1) selectCell(r, c, true); }}>
+                              <input
+                                id={`grid-cell-${r}-${c}`}
+                                type="text"
+                                inputMode="decimal"
+                                value={editing ? cellDraft.text : value}
+                                onFocus={() => setCellDraft({ r, c, text: String(value) })}
+                                onChange={(e) => setCellDraft({ r, c, text: e.target.value })}
+                                onBlur={(e) => { if (editing) commitCell(r, c, e.target.value); }}
+                                onKeyDown={(e) => gridKeyDown(e, r, c)}
+                                onPaste={(e) => {
+                                  const text = e.clipboardData.getData('text/plain');
+                                  if (!/[\t\n]/.test(text.trim())) return; // single value: let the input take it
+                                  e.preventDefault();
+                                  setCellDraft(null);
+                                  pasteCells(r, c, text);
+                                }}
+                                className={`w-full px-2 py-1 text-right font-mono bg-transparent focus:outline-none focus:ring-2 focus:ring-[#1e40af] ${over ? 'text-red-700' : ''}`}
+                                style={over ? undefined : { color: '#0f172a' }}
+                                title={over ? 'Orders exceed capacity in this period' : undefined}
+                              />
+                            </td>
+                          );
+                        })}
+                      </tr>
                     ))}
-                  </div>
-                </div>
+                  </tbody>
+                </table>
               </div>
             </div>
 
             {/* AHP */}
             <div className="bg-white rounded-xl shadow-lg p-8">
               <h2 className="text-2xl font-bold mb-4" style={{ color: '#1e3a8a' }}>AHP Pairwise Comparison Matrix</h2>
-              <div className="grid grid-cols-3 gap-4 mb-6">
-                {['Turnover', 'Cost', 'Productivity'].map((label, i) => (
-                  <div key={i} className="space-y-2">
-                    <p className="text-center font-semibold" style={{ color: '#0f172a' }}>{label}</p>
-                    {[0, 1, 2].map(j => (
+              <div className="grid gap-4 mb-6" style={{ gridTemplateColumns: `repeat(${criteria.length}, minmax(0, 1fr))` }}>
+                {criteria.map((c, i) => (
+                  <div key={c.id} className="space-y-2">
+                    <p className="text-center font-semibold" style={{ color: '#0f172a' }}>{c.name}</p>
+                    {criteria.map((_, j) => (
                       <input
                         key={j}
                         type="number"
@@ -568,30 +1566,384 @@ const MCDM_Optimization_Final = () => {
                   <div className="rounded-lg bg-blue-50 p-4 flex items-center space-x-4">
                     <div>
                       <p className="text-sm font-semibold" style={{ color: '#1e3a8a' }}>
-                        Weights: [{ahp.weights.map(w => w.toFixed(3)).join(', ')}]
+                        Weights: [{ahp.weights.map((w, k) => `${criteria[k] ? criteria[k].name : k + 1} ${w.toFixed(3)}`).join(', ')}]
+                        {ahp.source && <span className="ml-2 text-xs font-normal text-gray-600">from {ahp.source}</span>}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-1">
+                        λmax: {ahp.lambdaMax.toFixed(4)} · CI: {ahp.CI.toFixed(4)} · RI: {(ahp.RI ?? 0).toFixed(2)} · CR: {ahp.CR.toFixed(3)} {ahp.CR < CR_THRESHOLD ? '✓ Consistent' : '⚠ Inconsistent'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {consistencyRepair && (
+                <div className="mt-6 bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                  <div className="flex items-start gap-3">
+                    <AlertCircle size={18} className="text-yellow-600 mt-1" />
+                    <div className="flex-1">
+                      <p className="font-semibold" style={{ color: '#0f172a' }}>
+                        Matrix is inconsistent (CR {consistencyRepair.CR.toFixed(3)} ≥ {CR_THRESHOLD})
                       </p>
-                      <p className="text-xs text-gray-600 mt-1">CR: {ahp.CR.toFixed(3)} {ahp.CR < 0.1 ? '✓ Consistent' : '⚠ Inconsistent'}</p>
+                      <p className="text-sm text-gray-700 mt-1">
+                        Largest contributors: {consistencyRepair.ranking.slice(0, 3).map(it => `${criteria[it.i]?.name} vs ${criteria[it.j]?.name} (${(it.share * 100).toFixed(0)}%)`).join(', ')}
+                      </p>
+                      <table className="w-full text-sm mt-3">
+                        <thead>
+                          <tr className="text-left text-gray-600">
+                            <th className="py-1">Judgment</th>
+                            <th className="py-1 text-right">Current</th>
+                            <th className="py-1 text-right">Suggested</th>
+                            <th className="py-1 text-right">Share of inconsistency</th>
+                            <th className="py-1 text-right">CR after</th>
+                            <th className="py-1" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {consistencyRepair.suggestions.map(sg => (
+                            <tr key={`${sg.i}-${sg.j}`}>
+                              <td className="py-1">{criteria[sg.i]?.name} vs {criteria[sg.j]?.name}</td>
+                              <td className="py-1 text-right font-mono">{Number(sg.current.toFixed(3))}</td>
+                              <td className="py-1 text-right font-mono">{Number(sg.suggested.toFixed(3))}</td>
+                              <td className="py-1 text-right">{(sg.share * 100).toFixed(1)}%</td>
+                              <td className="py-1 text-right">{sg.crAfter.toFixed(3)}</td>
+                              <td className="py-1 text-right">
+                                <button onClick={() => applyRepair(sg)} className="px-2 py-1 text-xs rounded bg-[#1e40af] text-white hover:bg-[#15357f]">Apply</button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div className="flex items-center gap-3 mt-3">
+                        <button onClick={() => consistencyRepair.suggestions.forEach(applyRepair)} className="px-3 py-1 text-sm rounded bg-[#1e40af] text-white hover:bg-[#15357f]">Apply all</button>
+                        <span className="text-xs text-gray-600">
+                          {consistencyRepair.resolved
+                            ? `Applying all suggestions brings CR to ${consistencyRepair.finalCR.toFixed(3)}.`
+                            : `Revisions alone reach CR ${consistencyRepair.finalCR.toFixed(3)}; review the judgments above manually.`}
+                        </span>
+                      </div>
                     </div>
                   </div>
+                </div>
+              )}
+            </div>
+
+            {/* Expert panel: group & fuzzy AHP */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold" style={{ color: '#1e3a8a' }}>Expert Panel · Group &amp; Fuzzy AHP</h2>
+                <button onClick={addExpert} className="px-4 py-2 rounded-lg bg-[#1e40af] text-white font-semibold hover:bg-[#15357f]">
+                  + Store editor matrix as expert
+                </button>
+              </div>
+
+              {experts.length > 0 && (
+                <table className="w-full table-auto border-collapse text-sm mb-4">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-3 py-2 text-left">Expert</th>
+                      <th className="border px-3 py-2 text-right">Weight in panel</th>
+                      <th className="border px-3 py-2 text-right">CR</th>
+                      <th className="border px-3 py-2 text-right">Compatibility</th>
+                      <th className="border px-3 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {experts.map((e, k) => {
+                      const stats = groupAHP && groupAHP.experts[k];
+                      return (
+                        <tr key={e.id}>
+                          <td className="border px-3 py-1">
+                            <input type="text" value={e.name} onChange={(ev) => updateExpert(e.id, 'name', ev.target.value)} className="w-full px-2 py-1 border rounded" />
+                          </td>
+                          <td className="border px-3 py-1">
+                            <input type="number" min="0.1" step="0.1" value={e.weight} onChange={(ev) => updateExpert(e.id, 'weight', ev.target.value)} className="w-full px-2 py-1 border rounded text-right" />
+                          </td>
+                          <td className={`border px-3 py-1 text-right ${stats && stats.result.CR >= CR_THRESHOLD ? 'text-red-700 font-semibold' : ''}`}>
+                            {stats ? stats.result.CR.toFixed(3) : '—'}
+                          </td>
+                          <td className={`border px-3 py-1 text-right ${stats && stats.compatibility > 1.1 ? 'text-red-700 font-semibold' : ''}`}>
+                            {stats ? stats.compatibility.toFixed(3) : '—'}
+                          </td>
+                          <td className="border px-3 py-1 whitespace-nowrap text-right">
+                            <button onClick={() => setPairwise(e.matrix.map(row => [...row]))} className="px-2 py-1 mr-1 text-xs rounded border hover:bg-gray-50">Load into editor</button>
+                            <button onClick={() => updateExpert(e.id, 'matrix', pairwise.map(row => [...row]))} className="px-2 py-1 mr-1 text-xs rounded border hover:bg-gray-50">Replace with editor</button>
+                            <button onClick={() => removeExpert(e.id)} className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100">Remove</button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="flex flex-wrap items-center gap-4 text-sm mb-4" style={{ color: '#0f172a' }}>
+                <label className="flex items-center gap-1">
+                  Aggregation:
+                  <select value={groupOptions.aggregation} onChange={(e) => setGroupOptions(prev => ({ ...prev, aggregation: e.target.value }))} className="px-2 py-1 border rounded">
+                    <option value="AIJ">Geometric mean of judgments (AIJ)</option>
+                    <option value="AIP">Geometric mean of priorities (AIP)</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  Fuzzy AHP:
+                  <select value={groupOptions.fuzzy} onChange={(e) => setGroupOptions(prev => ({ ...prev, fuzzy: e.target.value }))} className="px-2 py-1 border rounded">
+                    <option value="">Off</option>
+                    {Object.entries(FUZZY_AHP_METHODS).map(([id, method]) => <option key={id} value={id}>{method.label}</option>)}
+                  </select>
+                </label>
+                {groupOptions.fuzzy && (
+                  <label className="flex items-center gap-1">
+                    Triangle spread ±
+                    <input type="number" min="0" max="4" step="0.5" value={groupOptions.spread} onChange={(e) => setGroupOptions(prev => ({ ...prev, spread: e.target.value }))} className="w-16 px-2 py-1 border rounded" />
+                  </label>
                 )}
               </div>
+
+              {groupAHP ? (
+                <>
+                  <table className="w-full table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-3 py-2 text-left">Criterion</th>
+                        {groupAHP.experts.map((e, k) => <th key={k} className="border px-3 py-2 text-right">{e.name}</th>)}
+                        <th className="border px-3 py-2 text-right">Editor (computeAHPFromMatrix)</th>
+                        <th className="border px-3 py-2 text-right">Group ({groupOptions.aggregation})</th>
+                        {groupAHP.fuzzy && <th className="border px-3 py-2 text-right">Fuzzy ({groupAHP.fuzzy.method === 'chang' ? 'Chang' : 'Buckley'})</th>}
+                        <th className="border px-3 py-2 text-right">Disagreement (CV)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {criteria.map((c, i) => (
+                        <tr key={c.id}>
+                          <td className="border px-3 py-1" style={{ color: c.color }}>{c.name}</td>
+                          {groupAHP.experts.map((e, k) => <td key={k} className="border px-3 py-1 text-right font-mono">{e.result.weights[i].toFixed(3)}</td>)}
+                          <td className="border px-3 py-1 text-right font-mono">{computeAHPFromMatrix(pairwise.map(row => row.map(val => parseFloat(val) || 1))).weights[i].toFixed(3)}</td>
+                          <td className="border px-3 py-1 text-right font-mono font-semibold">{groupAHP.group.weights[i].toFixed(3)}</td>
+                          {groupAHP.fuzzy && <td className="border px-3 py-1 text-right font-mono font-semibold">{groupAHP.fuzzy.weights[i].toFixed(3)}</td>}
+                          <td className={`border px-3 py-1 text-right ${groupAHP.consensus.criterionCV[i] > 0.5 ? 'text-red-700 font-semibold' : ''}`}>{(groupAHP.consensus.criterionCV[i] * 100).toFixed(1)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <div className="grid grid-cols-2 gap-6 mt-4 text-sm">
+                    <div className="bg-blue-50 p-4 rounded">
+                      <p className="font-semibold" style={{ color: '#0f172a' }}>
+                        Consensus (relative homogeneity): {(groupAHP.consensus.index * 100).toFixed(1)}%{' '}
+                        <span className="font-normal text-gray-600">
+                          {groupAHP.experts.length < 2 ? '(single matrix)' : groupAHP.consensus.index >= 0.75 ? 'high' : groupAHP.consensus.index >= 0.5 ? 'moderate' : 'low'}
+                        </span>
+                      </p>
+                      {groupAHP.group.result && (
+                        <p className="text-xs text-gray-600 mt-1">Aggregated matrix CR: {groupAHP.group.result.CR.toFixed(3)} {groupAHP.group.result.CR < CR_THRESHOLD ? '✓' : '⚠'}</p>
+                      )}
+                      {groupAHP.experts.length > 1 && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Most disputed judgments: {groupAHP.consensus.judgments.slice(0, 3).map(jd =>
+                            `${criteria[jd.i]?.name} vs ${criteria[jd.j]?.name} (${Number(jd.min.toFixed(3))} – ${Number(jd.max.toFixed(3))})`).join(', ')}
+                        </p>
+                      )}
+                      {groupAHP.fuzzy && groupAHP.fuzzy.method === 'chang' && groupAHP.fuzzy.weights.some(w => w === 0) && (
+                        <p className="text-xs text-yellow-800 mt-1">⚠ Chang's extent analysis gave a zero weight — a known property of the method when one extent clearly dominates; consider Buckley.</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <button onClick={() => applyGroupWeights('group')} disabled={!experts.length} className="px-4 py-2 rounded bg-[#1e40af] text-white hover:bg-[#15357f] disabled:opacity-40">Use group weights</button>
+                      {groupAHP.fuzzy && (
+                        <button onClick={() => applyGroupWeights('fuzzy')} className="px-4 py-2 rounded border border-[#1e40af] text-[#1e40af] hover:bg-blue-50">Use fuzzy weights</button>
+                      )}
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded text-sm">Store at least one expert matrix (or switch on fuzzy AHP) to compare group weights with the editor's result.</div>
+              )}
+            </div>
+
+            {/* Constraint settings */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <h2 className="text-2xl font-bold mb-4" style={{ color: '#1e3a8a' }}>
+                <Target className="inline mr-2" size={20} /> Constraint Settings
+              </h2>
+              <div className="grid grid-cols-2 gap-4">
+                {[
+                  ['periodCapacity', `Per-${periodUnit.toLowerCase()} capacity (x_i ≤ Cap_i)`],
+                  ['cumulativeCapacity', `Cumulative capacity (Σ x_k ≤ Σ Cap_k up to each ${periodUnit.toLowerCase()})`],
+                  ['totalCapacity', 'Total-horizon capacity (Σ x_i ≤ Σ Cap_i)'],
+                  ['inventory', `Inventory carry-over between ${periodUnit.toLowerCase()}s`]
+                ].map(([key, label]) => (
+                  <label key={key} className="flex items-center space-x-2 text-sm" style={{ color: '#0f172a' }}>
+                    <input type="checkbox" checked={constraintSettings[key]} onChange={(e) => updateConstraintSetting(key, e.target.checked)} />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+              {constraintSettings.inventory && (
+                <div className="grid grid-cols-3 gap-4 mt-4">
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Initial inventory (units)
+                    <input type="number" min="0" value={constraintSettings.initialInventory} onChange={(e) => updateConstraintSetting('initialInventory', parseFloat(e.target.value) || 0)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Holding cost (RON per unit per {periodUnit.toLowerCase()})
+                    <input type="number" min="0" step="0.1" value={constraintSettings.holdingCost} onChange={(e) => updateConstraintSetting('holdingCost', parseFloat(e.target.value) || 0)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Charge holding cost to
+                    <select value={constraintSettings.holdingCriterion} onChange={(e) => updateConstraintSetting('holdingCriterion', e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1">
+                      {criteria.filter(c => c.direction === 'cost').map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </label>
+                </div>
+              )}
+              <label className="flex items-center space-x-2 text-sm mt-4" style={{ color: '#0f172a' }}>
+                <input type="checkbox" checked={constraintSettings.integerLots} onChange={(e) => updateConstraintSetting('integerLots', e.target.checked)} />
+                <span>Mixed-integer mode: whole production lots, setup costs and minimum runs (branch-and-bound)</span>
+              </label>
+              {constraintSettings.integerLots && (
+                <div className="grid grid-cols-5 gap-4 mt-4">
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Lot size (units)
+                    <input type="number" min="1" value={constraintSettings.lotSize} onChange={(e) => updateConstraintSetting('lotSize', parseFloat(e.target.value) || 1)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Setup cost (RON per producing {periodUnit.toLowerCase()})
+                    <input type="number" min="0" value={constraintSettings.setupCost} onChange={(e) => updateConstraintSetting('setupCost', parseFloat(e.target.value) || 0)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Charge setup cost to
+                    <select value={constraintSettings.setupCriterion} onChange={(e) => updateConstraintSetting('setupCriterion', e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1">
+                      {criteria.filter(c => c.direction === 'cost').map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Minimum run (units)
+                    <input type="number" min="0" value={constraintSettings.minRun} onChange={(e) => updateConstraintSetting('minRun', parseFloat(e.target.value) || 0)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Time limit (seconds)
+                    <input type="number" min="1" value={constraintSettings.mipTimeLimit} onChange={(e) => updateConstraintSetting('mipTimeLimit', parseFloat(e.target.value) || 10)} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                  </label>
+                </div>
+              )}
+              <label className="flex items-center space-x-2 text-sm mt-4" style={{ color: '#0f172a' }}>
+                <input type="checkbox" checked={constraintSettings.workforce} onChange={(e) => updateConstraintSetting('workforce', e.target.checked)} />
+                <span>Workforce &amp; shifts: staff the plan from productivity with headcount, shifts, overtime, hiring and firing</span>
+              </label>
+              {constraintSettings.workforce && (
+                <div className="grid grid-cols-5 gap-4 mt-4">
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Pieces per worker from
+                    <select value={constraintSettings.productivityCriterion} onChange={(e) => updateConstraintSetting('productivityCriterion', e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1">
+                      {criteria.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </label>
+                  {[
+                    ['initialWorkers', 'Initial headcount', 1],
+                    ['minWorkers', 'Min headcount', 1],
+                    ['maxWorkers', 'Max headcount (empty = none)', 1],
+                    ['shifts', `Shifts per ${periodUnit.toLowerCase()}`, 1],
+                    ['workersPerShift', 'Workers per shift (empty = no limit)', 1],
+                    ['wage', `Wage (RON per worker per ${periodUnit.toLowerCase()})`, 100],
+                    ['shiftPremium', 'Later-shift premium (share of wage)', 0.05],
+                    ['overtimeShare', 'Max overtime (share of regular)', 0.05],
+                    ['overtimePremium', 'Overtime premium (share of wage)', 0.05],
+                    ['hireCost', 'Hiring cost (RON per hire)', 100],
+                    ['fireCost', 'Firing cost (RON per separation)', 100],
+                    ['maxHires', `Max hires per ${periodUnit.toLowerCase()} (empty = none)`, 1],
+                    ['maxFires', `Max separations per ${periodUnit.toLowerCase()} (empty = none)`, 1]
+                  ].map(([key, label, step]) => (
+                    <label key={key} className="text-sm" style={{ color: '#0f172a' }}>
+                      {label}
+                      <input type="number" min="0" step={step} value={constraintSettings[key] ?? ''} onChange={(e) => updateConstraintSetting(key, WORKFORCE_LIMITS.includes(key) && e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0))} className="w-full px-3 py-2 border rounded-lg mt-1" />
+                    </label>
+                  ))}
+                  <label className="text-sm" style={{ color: '#0f172a' }}>
+                    Charge workforce cost to
+                    <select value={constraintSettings.workforceCriterion} onChange={(e) => updateConstraintSetting('workforceCriterion', e.target.value)} className="w-full px-3 py-2 border rounded-lg mt-1">
+                      {criteria.filter(c => c.direction === 'cost').map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </label>
+                </div>
+              )}
+              <p className="text-xs text-gray-600 mt-3">
+                Capacity limits are built from the Cap_i values currently loaded. With inventory carry-over each period satisfies I_(i-1) + x_i − I_i = Orders_i instead of x_i ≥ Orders_i.
+                {constraintSettings.integerLots && ' In mixed-integer mode x_i is a multiple of the lot size; a setup cost or minimum run adds a binary y_i per period with x_i ≤ Cap_i·y_i and x_i ≥ MinRun·y_i. Without inventory carry-over every period still has to cover its orders, so setups only pay off with carry-over enabled.'}
+                {constraintSettings.workforce && ` The workforce layer needs x_i / P_i ≤ W_i + V_i worker-${periodUnit.toLowerCase()}s (P_i pieces per worker, V_i overtime ≤ the set share of W_i) with W_i = W_(i-1) + hires − separations, and adds wages (plus the premium on later shifts), overtime, hiring and firing costs to the chosen cost criterion.`}
+              </p>
+            </div>
+
+            {/* Goal programming */}
+            <div className="bg-white rounded-xl shadow-lg p-8">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold" style={{ color: '#1e3a8a' }}>
+                  <Award className="inline mr-2" size={20} /> Goal Programming Targets
+                </h2>
+                <div className="flex items-center gap-3 text-sm" style={{ color: '#0f172a' }}>
+                  <label className="flex items-center gap-1">
+                    Priorities:
+                    <select value={goalSettings.method} onChange={(e) => setGoalSettings(prev => ({ ...prev, method: e.target.value }))} className="px-2 py-1 border rounded">
+                      <option value="weighted">Weighted (one combined penalty)</option>
+                      <option value="lexicographic">Lexicographic (preemptive levels)</option>
+                    </select>
+                  </label>
+                  <button onClick={fillGoalsFromPayoff} className="px-3 py-1 rounded border hover:bg-gray-50">Use single-objective optima</button>
+                </div>
+              </div>
+              <table className="w-full table-auto border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border px-3 py-2 text-left">Objective</th>
+                    <th className="border px-3 py-2 text-center">Use</th>
+                    <th className="border px-3 py-2 text-right">Target (M)</th>
+                    <th className="border px-3 py-2 text-right">Penalty under</th>
+                    <th className="border px-3 py-2 text-right">Penalty over</th>
+                    {goalSettings.method === 'lexicographic' && <th className="border px-3 py-2 text-right">Priority (1 = first)</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {criteria.map(c => {
+                    const g = goalFor(c);
+                    return (
+                      <tr key={c.id} className={g.enabled ? '' : 'text-gray-400'}>
+                        <td className="border px-3 py-2" style={{ color: g.enabled ? c.color : undefined }}>{c.name} <span className="text-xs">({c.direction === 'cost' ? 'cost' : 'benefit'}, {c.unit})</span></td>
+                        <td className="border px-3 py-2 text-center"><input type="checkbox" checked={g.enabled} onChange={(e) => updateGoal(c.id, 'enabled', e.target.checked)} /></td>
+                        <td className="border px-3 py-1"><input type="number" value={g.target} placeholder="e.g. 1500" onChange={(e) => updateGoal(c.id, 'target', e.target.value)} className="w-full px-2 py-1 border rounded text-right" /></td>
+                        <td className="border px-3 py-1"><input type="number" min="0" step="0.1" value={g.under} onChange={(e) => updateGoal(c.id, 'under', e.target.value)} className="w-full px-2 py-1 border rounded text-right" /></td>
+                        <td className="border px-3 py-1"><input type="number" min="0" step="0.1" value={g.over} onChange={(e) => updateGoal(c.id, 'over', e.target.value)} className="w-full px-2 py-1 border rounded text-right" /></td>
+                        {goalSettings.method === 'lexicographic' && (
+                          <td className="border px-3 py-1"><input type="number" min="1" step="1" value={g.priority} onChange={(e) => updateGoal(c.id, 'priority', e.target.value)} className="w-full px-2 py-1 border rounded text-right" /></td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-600 mt-3">
+                Each goal adds deviations d⁻ (short of the target) and d⁺ (over it), measured as a fraction of the target so penalties on different units are comparable.
+                A "≥ target" goal penalizes only d⁻, a "≤ target" goal only d⁺, and penalizing both asks to hit the target exactly.
+                {goalSettings.method === 'lexicographic' && ' Lower priority numbers are optimized first and never worsened by later levels.'}
+              </p>
             </div>
 
             {/* Optimization Buttons */}
             <div className="grid grid-cols-2 gap-6">
-              <button onClick={() => runOptimization('turnover')} disabled={processing} className="py-4 bg-green-600 text-white font-bold rounded-xl hover:bg-green-700 shadow">
-                <PlayCircle className="inline mr-2" size={18} /> Run Turnover Optimization
-              </button>
-              <button onClick={() => runOptimization('cost')} disabled={processing} className="py-4 bg-red-600 text-white font-bold rounded-xl hover:bg-red-700 shadow">
-                <PlayCircle className="inline mr-2" size={18} /> Run Cost Minimization
-              </button>
-              <button onClick={() => runOptimization('productivity')} disabled={processing} className="py-4 bg-purple-600 text-white font-bold rounded-xl hover:bg-purple-700 shadow">
-                <PlayCircle className="inline mr-2" size={18} /> Run Productivity Optimization
-              </button>
-              <button onClick={() => runOptimization('multiObjective')} disabled={processing} className="py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold rounded-xl hover:from-blue-700 hover:to-indigo-700 shadow">
+              {criteria.map(c => (
+                <button key={c.id} onClick={() => runOptimization(c.id)} disabled={jobActive(modeLabel(c.id, criteria))} className="py-4 text-white font-bold rounded-xl hover:opacity-90 shadow disabled:opacity-50" style={{ backgroundColor: c.color }}>
+                  <PlayCircle className="inline mr-2" size={18} /> Run {modeLabel(c.id, criteria)}
+                </button>
+              ))}
+              <button onClick={() => runOptimization('multiObjective')} disabled={jobActive(modeLabel('multiObjective', criteria))} className="py-4 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold rounded-xl hover:from-blue-700 hover:to-indigo-700 shadow disabled:opacity-50">
                 <PlayCircle className="inline mr-2" size={18} /> Run Multi-Objective Optimization
               </button>
+              <button onClick={() => runOptimization('goalProgramming')} disabled={jobActive(modeLabel('goalProgramming', criteria)) || !criteria.some(c => goalFor(c).enabled)} className="py-4 text-white font-bold rounded-xl hover:opacity-90 shadow disabled:opacity-50" style={{ backgroundColor: '#0f172a' }}>
+                <PlayCircle className="inline mr-2" size={18} /> Run Goal Programming ({goalSettings.method})
+              </button>
             </div>
+            <button onClick={runAllModes} className="w-full py-3 rounded-xl border-2 border-[#1e40af] text-[#1e40af] font-bold hover:bg-blue-50">
+              <PlayCircle className="inline mr-2" size={18} /> Queue all modes as a batch
+            </button>
 
             {message && <div className="mt-3 text-sm text-gray-700">{message}</div>}
           </div>
@@ -599,36 +1951,152 @@ const MCDM_Optimization_Final = () => {
 
         {activeTab === 'results' && (
           <div className="space-y-8">
-            {Object.entries(results).filter(([k, v]) => v).map(([mode, res]) => (
+            {modes.filter(mode => results[mode]).map(mode => [mode, results[mode]]).map(([mode, res]) => (
               <div key={mode} className="bg-white rounded-xl shadow p-6">
                 <div className="flex justify-between items-center mb-4">
-                  <h3 className="text-xl font-bold" style={{ color: '#1e3a8a' }}>{mode.replace(/([A-Z])/g, ' $1')} Results</h3>
+                  <h3 className="text-xl font-bold" style={{ color: '#1e3a8a' }}>{modeLabel(mode, criteria)} Results</h3>
                   <div className="flex items-center space-x-3">
+                    <button onClick={() => savePlanAsCandidate(mode)} className="px-3 py-2 border border-[#1e40af] text-[#1e40af] rounded hover:bg-blue-50">
+                      Save as candidate
+                    </button>
                     <button onClick={() => downloadResults(mode)} className="px-3 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f]">
                       <Download size={14} /> Export CSV
                     </button>
                   </div>
                 </div>
 
+                {res.shortfall?.length > 0 && (
+                  <div className="mb-4 p-3 bg-red-50 rounded text-sm text-red-800 flex items-start gap-2">
+                    <AlertCircle size={16} className="mt-0.5" />
+                    <span>
+                      Orders exceed capacity in {res.shortfall.map(s => `${periodLabels[s.period]} (${(s.shortfall / 1e3).toFixed(1)}k short)`).join(', ')} — those {periodUnit.toLowerCase()}s are planned at capacity and the orders are not fully met. Enable inventory carry-over to build stock ahead.
+                    </span>
+                  </div>
+                )}
+
                 <div className="grid grid-cols-3 gap-6 mb-6">
-                  <MetricCard icon={DollarSign} title="Total Turnover" value={`${(res.turnoverVal / 1e6).toFixed(2)}M`} subtitle="RON (thousands)" color="#10b981" improvement={res.improvements?.turnover} />
-                  <MetricCard icon={TrendingUp} title="Total Cost" value={`${(res.costVal / 1e6).toFixed(2)}M`} subtitle="RON" color="#ef4444" improvement={res.improvements?.cost} />
-                  <MetricCard icon={Award} title="Total Productivity" value={`${(res.productivityVal / 1e6).toFixed(2)}M`} subtitle="pieces/worker" color="#8b5cf6" improvement={res.improvements?.productivity} />
+                  {criteria.map(c => (
+                    <MetricCard key={c.id} icon={criterionIcon(c)} title={`Total ${c.name}`} value={`${(res.values[c.id] / 1e6).toFixed(2)}M`} subtitle={c.unit} color={c.color} improvement={res.improvements?.[c.id]} goal={res.goals?.find(g => g.criterionId === c.id)} />
+                  ))}
                 </div>
 
-                <div className="bg-gray-50 rounded p-4">
-                  <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Monthly Production Plan</h4>
-                  <ResponsiveContainer width="100%" height={260}>
-                    <LineChart data={res.solution.map((v, i) => ({ month: MONTHS[i], value: v }))}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="month" />
-                      <YAxis />
-                      <Tooltip formatter={(val) => val.toLocaleString()} />
-                      <Legend />
-                      <Line type="monotone" dataKey="value" stroke="#1e40af" strokeWidth={3} dot={{ r: 4 }} />
-                    </LineChart>
-                  </ResponsiveContainer>
+                <div className={res.workforce ? 'grid grid-cols-2 gap-6' : ''}>
+                  <div className="bg-gray-50 rounded p-4">
+                    <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>{GRANULARITIES[horizon.granularity].adjective} Production Plan</h4>
+                    <ResponsiveContainer width="100%" height={260}>
+                      <LineChart data={res.solution.map((v, i) => ({ period: periodLabels[i], value: v, inventory: res.inventory ? res.inventory[i] : undefined }))}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis />
+                        <Tooltip formatter={(val) => val.toLocaleString()} />
+                        <Legend />
+                        <Line type="monotone" dataKey="value" stroke="#1e40af" strokeWidth={3} dot={{ r: 4 }} />
+                        {res.inventory && <Line type="monotone" dataKey="inventory" name={`inventory (end of ${periodUnit.toLowerCase()})`} stroke="#f59e0b" strokeWidth={2} dot={{ r: 3 }} />}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+
+                  {res.workforce && (
+                    <div className="bg-gray-50 rounded p-4">
+                      <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Staffing Plan</h4>
+                      <ResponsiveContainer width="100%" height={260}>
+                        <ComposedChart data={periodLabels.map((period, i) => ({
+                          period,
+                          ...Object.fromEntries(res.workforce.byShift.map((w, s) => [`shift${s + 1}`, w[i]])),
+                          hires: res.workforce.hires[i],
+                          fires: res.workforce.fires[i],
+                          overtime: res.workforce.overtime[i]
+                        }))}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="period" />
+                          <YAxis />
+                          <Tooltip formatter={(val) => val.toLocaleString(undefined, { maximumFractionDigits: 1 })} />
+                          <Legend />
+                          {res.workforce.byShift.map((_, s) => (
+                            <Bar key={s} dataKey={`shift${s + 1}`} name={`shift ${s + 1} workers`} stackId="headcount" fill={['#1e3a8a', '#3b82f6', '#93c5fd', '#bfdbfe'][s % 4]} />
+                          ))}
+                          <Line type="monotone" dataKey="overtime" name={`overtime (worker-${periodUnit.toLowerCase()}s)`} stroke="#f59e0b" strokeWidth={2} dot={{ r: 3 }} />
+                          <Line type="monotone" dataKey="hires" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} />
+                          <Line type="monotone" dataKey="fires" name="separations" stroke="#ef4444" strokeWidth={2} dot={{ r: 3 }} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                      <p className="text-xs text-gray-600 mt-2">
+                        Workforce cost {res.workforceCost.toLocaleString(undefined, { maximumFractionDigits: 0 })} RON: wages {res.workforce.costs.wages.toLocaleString(undefined, { maximumFractionDigits: 0 })},
+                        overtime {res.workforce.costs.overtime.toLocaleString(undefined, { maximumFractionDigits: 0 })},
+                        hiring {res.workforce.costs.hiring.toLocaleString(undefined, { maximumFractionDigits: 0 })},
+                        firing {res.workforce.costs.firing.toLocaleString(undefined, { maximumFractionDigits: 0 })} · peak headcount {Math.max(...res.workforce.headcount).toFixed(1)}
+                      </p>
+                    </div>
+                  )}
                 </div>
+
+                {res.mix && (
+                  <div className="grid grid-cols-2 gap-6 mt-6">
+                    <div className="bg-gray-50 rounded p-4">
+                      <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Production by Product</h4>
+                      <ResponsiveContainer width="100%" height={260}>
+                        <BarChart data={periodLabels.map((period, i) => ({ period, ...Object.fromEntries(res.mix.products.map(p => [p.id, p.quantities[i]])) }))}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="period" />
+                          <YAxis />
+                          <Tooltip formatter={(val) => val.toLocaleString()} />
+                          <Legend />
+                          {res.mix.products.map(p => <Bar key={p.id} dataKey={p.id} name={p.name} stackId="products" fill={p.color} />)}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div className="bg-gray-50 rounded p-4 overflow-x-auto">
+                      <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Line Utilization (load / capacity)</h4>
+                      <table className="border-collapse text-xs">
+                        <thead>
+                          <tr>
+                            <th className="px-2 py-1 text-left">Line</th>
+                            {periodLabels.map(label => <th key={label} className="px-1 py-1 font-normal text-gray-600">{label}</th>)}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {res.mix.lines.map(l => (
+                            <tr key={l.id}>
+                              <td className="px-2 py-1 whitespace-nowrap" style={{ color: '#0f172a' }}>{l.name}</td>
+                              {l.load.map((load, i) => (
+                                <td key={i} className="px-1 py-1 text-center font-mono border border-white" style={utilizationStyle(load, l.capacity[i])}
+                                  title={`${l.name} ${periodLabels[i]}: ${Math.round(load).toLocaleString()} of ${l.capacity[i].toLocaleString()} units`}>
+                                  {l.capacity[i] > 0 ? `${Math.round((load / l.capacity[i]) * 100)}%` : '—'}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {res.mip && (
+                  <div className={`text-sm mt-3 p-3 rounded ${res.mip.status === 'optimal' ? 'bg-green-50 text-green-900' : 'bg-yellow-50 text-yellow-900'}`}>
+                    Branch-and-bound: <strong>{res.mip.status === 'optimal' ? 'proven optimal' : res.mip.status === 'timeLimit' ? 'time limit reached — best plan found so far' : 'node limit reached — best plan found so far'}</strong>
+                    {' · '}gap {(res.mip.gap * 100).toFixed(4)}% · {res.mip.nodes.toLocaleString()} nodes · {(res.mip.elapsedMs / 1000).toFixed(2)} s
+                    {res.setups && ` · ${res.setups.filter(Boolean).length} of ${res.setups.length} ${periodUnit.toLowerCase()}s set up (setup cost ${res.setupCost.toLocaleString()} RON)`}
+                  </div>
+                )}
+
+                {res.goals && (
+                  <p className="text-sm text-gray-700 mt-3">
+                    Goal programming ({res.method}):{' '}
+                    {res.levels.map(l => `${l.priority !== null ? `priority ${l.priority} ` : ''}penalty ${l.penalty.toFixed(6)}`).join(' · ')}
+                  </p>
+                )}
+
+                {res.shadowPrices && (
+                  <p className="text-xs text-gray-600 mt-3">
+                    LP status: <strong>{res.status}</strong>
+                    {res.shadowPrices.some(sp => Math.abs(sp.value) > 1e-9) && (
+                      <> — binding constraints (shadow price per unit):{' '}
+                        {res.shadowPrices.filter(sp => Math.abs(sp.value) > 1e-9).map(sp => `${constraintLabel(sp, periodLabels)}: ${sp.value.toFixed(2)}`).join(' · ')}
+                      </>
+                    )}
+                  </p>
+                )}
               </div>
             ))}
           </div>
@@ -644,27 +2112,32 @@ const MCDM_Optimization_Final = () => {
                   <AlertCircle size={18} className="text-yellow-600 mt-1" />
                   <div>
                     <p className="font-semibold" style={{ color: '#0f172a' }}>Why Multi-Objective Usually Produces Balanced Results</p>
-                    <p className="text-sm text-gray-700 mt-1">Single-objective solutions prioritize one metric — multi-objective uses AHP weights to balance across Turnover, Cost, and Productivity.</p>
+                    <p className="text-sm text-gray-700 mt-1">Single-objective solutions prioritize one metric — multi-objective uses AHP weights to balance across {criteria.map(c => c.name).join(', ')}.</p>
                   </div>
                 </div>
               </div>
 
               {/* Bar comparison */}
               <ResponsiveContainer width="100%" height={360}>
-                <BarChart data={[
-                  { name: 'Turnover\nOptimization', turnover: results.turnover?.turnoverVal / 1e6, cost: results.turnover?.costVal / 1e6, productivity: results.turnover?.productivityVal / 1e6 },
-                  { name: 'Cost\nMinimization', turnover: results.cost?.turnoverVal / 1e6, cost: results.cost?.costVal / 1e6, productivity: results.cost?.productivityVal / 1e6 },
-                  { name: 'Productivity\nMaximization', turnover: results.productivity?.turnoverVal / 1e6, cost: results.productivity?.costVal / 1e6, productivity: results.productivity?.productivityVal / 1e6 },
-                  { name: 'Multi-Objective\n(Balanced)', turnover: results.multiObjective?.turnoverVal / 1e6, cost: results.multiObjective?.costVal / 1e6, productivity: results.multiObjective?.productivityVal / 1e6 }
-                ]}>
+                {/* grouped, not stacked: the criteria are not additive, so each bar is its own % of the ideal */}
+                <BarChart data={modes.filter(mode => (mode !== 'goalProgramming' && mode !== 'robust') || results[mode]).map(mode => {
+                  const metrics = strategyComparison && strategyComparison.strategies.find(s => s.mode === mode);
+                  return {
+                    name: mode === 'multiObjective' ? 'Multi-Objective\n(Balanced)' : modeLabel(mode, criteria).replace(' ', '\n'),
+                    raw: results[mode] ? results[mode].values : {},
+                    ...Object.fromEntries(criteria.map(c => [c.id, metrics ? metrics.achievement[c.id] : undefined]))
+                  };
+                })}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="name" style={{ fontSize: 12 }} />
-                  <YAxis label={{ value: 'Million RON / Units', angle: -90, position: 'insideLeft' }} />
-                  <Tooltip formatter={(val) => val !== undefined ? `${val.toFixed(2)}M` : 'N/A'} />
+                  <YAxis domain={[0, 100]} label={{ value: '% of ideal (worst → best)', angle: -90, position: 'insideLeft' }} />
+                  <Tooltip formatter={(val, name, item) => (val !== undefined
+                    ? [`${val.toFixed(1)}% (${fmtM(item.payload.raw[item.dataKey])} M)`, name]
+                    : 'N/A')} />
                   <Legend />
-                  <Bar dataKey="turnover" name="Turnover (M)" stackId="a" fill="#10b981" />
-                  <Bar dataKey="cost" name="Cost (M)" stackId="a" fill="#ef4444" />
-                  <Bar dataKey="productivity" name="Productivity (M)" stackId="a" fill="#8b5cf6" />
+                  {criteria.map(c => (
+                    <Bar key={c.id} dataKey={c.id} name={c.name} fill={c.color} />
+                  ))}
                 </BarChart>
               </ResponsiveContainer>
 
@@ -672,9 +2145,9 @@ const MCDM_Optimization_Final = () => {
                 <div className="bg-red-50 p-4 rounded">
                   <h4 className="font-semibold text-red-800 mb-2">Single-Objective Trade-offs</h4>
                   <ul className="text-sm text-gray-700">
-                    <li>• Turnover focus: highest revenue but highest cost</li>
-                    <li>• Cost focus: lowest cost but lower revenue and productivity</li>
-                    <li>• Productivity focus: highest output but may increase cost</li>
+                    {criteria.map(c => (
+                      <li key={c.id}>• {c.name} focus: {c.direction === 'cost' ? 'lowest' : 'highest'} {c.name.toLowerCase()}, other criteria are ignored</li>
+                    ))}
                   </ul>
                 </div>
                 <div className="bg-green-50 p-4 rounded">
@@ -688,38 +2161,134 @@ const MCDM_Optimization_Final = () => {
               </div>
             </div>
 
+            {/* MCDM ranking comparison */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-xl font-bold mb-3" style={{ color: '#1e3a8a' }}>Ranking by MCDM Method</h3>
+              {ranking ? (
+                <>
+                  <p className="text-sm text-gray-700 mb-4">
+                    Candidate plans ranked with the current AHP weights [{ranking.weights.map(w => w.toFixed(3)).join(', ')}]. Rank 1 is best.
+                  </p>
+                  <div className="overflow-x-auto">
+                    <table className="w-full table-auto border-collapse">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border px-4 py-2 text-left">Candidate</th>
+                          {Object.entries(RANKING_METHODS).map(([id, method]) => (
+                            <th key={id} className="border px-4 py-2 text-center">
+                              {method.label}
+                              <div className="text-xs font-normal text-gray-500">{method.scoreLabel}</div>
+                            </th>
+                          ))}
+                          <th className="border px-4 py-2" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ranking.candidates.map((cand, i) => (
+                          <tr key={cand.id}>
+                            <td className="border px-4 py-2">{cand.name}{cand.saved && <span className="ml-2 text-xs text-gray-500">(saved)</span>}</td>
+                            {Object.keys(RANKING_METHODS).map(id => {
+                              const rank = ranking.byMethod[id].ranks[i];
+                              return (
+                                <td key={id} className="border px-4 py-2 text-center">
+                                  <span className={`px-2 py-1 rounded text-sm font-semibold ${rank === 1 ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-800'}`}>#{rank}</span>
+                                  <div className="text-xs text-gray-500 mt-1">{ranking.byMethod[id].scores[i].toFixed(4)}</div>
+                                </td>
+                              );
+                            })}
+                            <td className="border px-4 py-2 text-center">
+                              {cand.saved && (
+                                <button onClick={() => removeSavedPlan(cand.id)} className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100">Remove</button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded">Run at least two optimizations (or save plans from the Results tab) to compare rankings.</div>
+              )}
+            </div>
+
             {/* Interactive Pareto Frontier */}
             <div className="bg-white rounded-xl shadow p-6">
-              <h3 className="text-xl font-bold mb-3" style={{ color: '#1e3a8a' }}>Interactive Pareto Frontier: Turnover vs Cost</h3>
-              <p className="text-sm text-gray-700 mb-4">Click any point to highlight full metrics. Multi-objective solution is shown as glowing green star when available.</p>
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="text-xl font-bold" style={{ color: '#1e3a8a' }}>
+                  Interactive Pareto Frontier: {criteria.find(c => c.id === paretoAxes.x)?.name} vs {criteria.find(c => c.id === paretoAxes.y)?.name}
+                </h3>
+                <div className="flex items-center gap-2 text-sm">
+                  {['x', 'y'].map(axis => (
+                    <label key={axis} className="flex items-center gap-1" style={{ color: '#0f172a' }}>
+                      {axis.toUpperCase()}:
+                      <select value={paretoAxes[axis]} onChange={(e) => setParetoAxes(prev => ({ ...prev, [axis]: e.target.value }))} className="px-2 py-1 border rounded">
+                        {criteria.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-3 mb-3 text-sm" style={{ color: '#0f172a' }}>
+                <label className="flex items-center gap-1">
+                  Method:
+                  <select value={frontierOptions.method} onChange={(e) => setFrontierOptions(prev => ({ ...prev, method: e.target.value }))} className="px-2 py-1 border rounded">
+                    <option value="weights">Weighted sum (simplex grid)</option>
+                    <option value="epsilon">ε-constraint (optimize {criteria[0].name})</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  Steps:
+                  <input type="number" min="1" max="50" value={frontierOptions.steps} onChange={(e) => setFrontierOptions(prev => ({ ...prev, steps: e.target.value }))} className="w-16 px-2 py-1 border rounded" />
+                </label>
+                <button onClick={generateFrontier} disabled={jobActive('Pareto frontier')} className="flex items-center gap-1 px-3 py-1 bg-[#1e40af] text-white rounded hover:bg-[#15357f] disabled:opacity-50">
+                  <Target size={14} /> Generate Frontier
+                </button>
+                {frontier && (
+                  <span className="text-gray-600">
+                    {frontier.points.length} non-dominated of {frontier.evaluated} solves ({frontier.infeasible} infeasible, {frontier.removed} dominated or duplicate)
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-gray-700 mb-4">Click any point to highlight full metrics and its production plan. Multi-objective solution is shown as glowing green star when available; generated frontier points are shown in orange.</p>
 
               <ResponsiveContainer width="100%" height={420}>
                 <ScatterChart margin={{ top: 20, right: 30, bottom: 40, left: 50 }}>
                   <CartesianGrid strokeDasharray="4 4" />
-                  <XAxis dataKey="x" name="Turnover (M RON)" label={{ value: 'Turnover (Million RON)', position: 'bottom', offset: 0 }} />
-                  <YAxis dataKey="y" name="Cost (M RON)" label={{ value: 'Cost (Million RON)', angle: -90, position: 'insideLeft' }} />
+                  <XAxis dataKey="x" name={criteria.find(c => c.id === paretoAxes.x)?.name} label={{ value: `${criteria.find(c => c.id === paretoAxes.x)?.name} (Million)`, position: 'bottom', offset: 0 }} />
+                  <YAxis dataKey="y" name={criteria.find(c => c.id === paretoAxes.y)?.name} label={{ value: `${criteria.find(c => c.id === paretoAxes.y)?.name} (Million)`, angle: -90, position: 'insideLeft' }} />
                   <Tooltip content={({ active, payload }) => {
                     if (!active || !payload || !payload.length) return null;
                     const p = payload[0].payload;
                     return (
                       <div className="bg-white border p-3 rounded shadow" style={{ minWidth: 220 }}>
                         <div className="font-bold mb-1" style={{ color: '#1e3a8a' }}>{p.name}</div>
-                        <div className="text-sm text-gray-700">Turnover: {p.x.toFixed(2)} M RON</div>
-                        <div className="text-sm text-gray-700">Cost: {p.y.toFixed(2)} M RON</div>
-                        <div className="text-sm text-gray-700">Productivity: {p.z.toFixed(2)} M units</div>
+                        {criteria.map(c => (
+                          <div key={c.id} className="text-sm text-gray-700">{c.name}: {fmtM(p.values[c.id])} M {c.unit}</div>
+                        ))}
                       </div>
                     );
                   }} />
 
                   <Legend verticalAlign="top" />
 
-                  {/* smooth line connecting points (if more than 1) */}
-                  {paretoData.length > 1 && (
-                    <Line type="monotone" data={paretoData} dataKey="y" stroke="#2563eb" strokeWidth={2} dot={false} />
+                  {/* trade-off curve through the points non-dominated on the plotted pair */}
+                  {frontierData.curve.length > 1 && (
+                    <Line type="linear" data={frontierData.curve} dataKey="y" name="Trade-off curve" stroke="#f59e0b" strokeWidth={2} dot={false} legendType="none" />
+                  )}
+
+                  {/* generated non-dominated set */}
+                  {frontierData.points.length > 0 && (
+                    <Scatter name="Pareto frontier" data={frontierData.points} fill="#f59e0b" onClick={(e) => {
+                      if (!e) return;
+                      setSelectedParetoPoint(e);
+                      const el = document.getElementById('pareto-metrics-card');
+                      if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    }} />
                   )}
 
                   {/* scatter points */}
-                  <Scatter data={paretoData} fill="#3b82f6" onClick={(e) => {
+                  <Scatter name="Optimized modes" data={paretoData} fill="#3b82f6" onClick={(e) => {
                     if (!e) return;
                     setSelectedParetoPoint(e);
                     // scroll to metrics card (optional)
@@ -739,8 +2308,8 @@ const MCDM_Optimization_Final = () => {
                   {/* highlight multi-objective vertical/horizontal reference lines */}
                   {results.multiObjective && (
                     <>
-                      <ReferenceLine x={results.multiObjective.turnoverVal / 1e6} stroke="#10b981" strokeDasharray="3 3" />
-                      <ReferenceLine y={results.multiObjective.costVal / 1e6} stroke="#10b981" strokeDasharray="3 3" />
+                      <ReferenceLine x={results.multiObjective.values[paretoAxes.x] / 1e6} stroke="#10b981" strokeDasharray="3 3" />
+                      <ReferenceLine y={results.multiObjective.values[paretoAxes.y] / 1e6} stroke="#10b981" strokeDasharray="3 3" />
                     </>
                   )}
                 </ScatterChart>
@@ -752,24 +2321,49 @@ const MCDM_Optimization_Final = () => {
                   <div className="bg-blue-50 p-4 rounded-lg shadow flex items-start gap-6">
                     <div>
                       <h4 className="text-lg font-semibold" style={{ color: '#0f172a' }}>{selectedParetoPoint.name}</h4>
-                      <p className="text-sm text-gray-700">Turnover: <strong style={{ color: '#059669' }}>{selectedParetoPoint.x.toFixed(2)} M RON</strong></p>
-                      <p className="text-sm text-gray-700">Cost: <strong style={{ color: '#ef4444' }}>{selectedParetoPoint.y.toFixed(2)} M RON</strong></p>
-                      <p className="text-sm text-gray-700">Productivity: <strong style={{ color: '#7c3aed' }}>{selectedParetoPoint.z.toFixed(2)} M units</strong></p>
+                      {criteria.map(c => (
+                        <p key={c.id} className="text-sm text-gray-700">{c.name}: <strong style={{ color: c.color }}>{fmtM(selectedParetoPoint.values[c.id] || 0)} M {c.unit}</strong></p>
+                      ))}
                       {selectedParetoPoint.weights && (
-                        <p className="text-xs mt-2 text-gray-600">AHP Weights: [{selectedParetoPoint.weights.map(w => (w*100).toFixed(1)).join('% , ')}%]</p>
+                        <p className="text-xs mt-2 text-gray-600">{selectedParetoPoint.id.startsWith('frontier') ? 'Sweep weights (range-normalized objectives)' : 'AHP Weights'}: [{selectedParetoPoint.weights.map(w => (w*100).toFixed(1)).join('% , ')}%]</p>
                       )}
                       {selectedParetoPoint.improvements && (
-                        <p className="text-xs mt-1 text-gray-600">Improvements vs baseline (Turnover / Cost / Productivity): {selectedParetoPoint.improvements.turnover}% / {selectedParetoPoint.improvements.cost}% / {selectedParetoPoint.improvements.productivity}%</p>
+                        <p className="text-xs mt-1 text-gray-600">Improvements vs baseline ({criteria.map(c => c.name).join(' / ')}): {criteria.map(c => `${selectedParetoPoint.improvements[c.id]}%`).join(' / ')}</p>
                       )}
                     </div>
+                    {selectedParetoPoint.solution && (
+                      <div className="flex-1" style={{ minWidth: 280, height: 200 }}>
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart data={selectedParetoPoint.solution.map((v, i) => ({
+                            period: periodLabels[i],
+                            production: v,
+                            orders: data.orders[i],
+                            capacity: data.capacity[i],
+                            inventory: selectedParetoPoint.inventory ? selectedParetoPoint.inventory[i] : undefined
+                          }))}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="period" />
+                            <YAxis />
+                            <Tooltip formatter={(val) => val.toLocaleString()} />
+                            <Legend />
+                            <Line type="monotone" dataKey="production" stroke="#1e40af" strokeWidth={3} dot={{ r: 3 }} />
+                            <Line type="monotone" dataKey="orders" stroke="#64748b" strokeDasharray="4 4" dot={false} />
+                            <Line type="monotone" dataKey="capacity" stroke="#ef4444" strokeDasharray="2 2" dot={false} />
+                            {selectedParetoPoint.inventory && <Line type="monotone" dataKey="inventory" stroke="#f59e0b" strokeWidth={2} dot={false} />}
+                          </LineChart>
+                        </ResponsiveContainer>
+                      </div>
+                    )}
                     <div className="ml-auto text-right">
-                      <button onClick={() => {
-                        // find which result corresponds and open its results panel
-                        if (selectedParetoPoint.name.includes('Turnover')) setActiveTab('results');
-                        if (selectedParetoPoint.name.includes('Cost')) setActiveTab('results');
-                        if (selectedParetoPoint.name.includes('Productivity')) setActiveTab('results');
-                        if (selectedParetoPoint.name.includes('Multi')) setActiveTab('results');
-                      }} className="px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f]">View Details</button>
+                      {selectedParetoPoint.id.startsWith('frontier') ? (
+                        <button onClick={() => {
+                          const p = selectedParetoPoint;
+                          setSavedPlans(prev => [...prev, { id: `saved-${Date.now()}`, name: p.name, values: { ...p.values }, solution: [...p.solution] }]);
+                          setMessage(`Saved "${p.name}" as a ranking candidate.`);
+                        }} className="px-4 py-2 border border-[#1e40af] text-[#1e40af] rounded hover:bg-blue-50">Save as candidate</button>
+                      ) : (
+                        <button onClick={() => setActiveTab('results')} className="px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f]">View Details</button>
+                      )}
                     </div>
                   </div>
                 ) : (
@@ -779,76 +2373,780 @@ const MCDM_Optimization_Final = () => {
 
               {/* improvement annotation */}
               <div className="mt-4 text-sm text-gray-700">
-                <strong>Note:</strong> The combined multi-objective function used is \( Z = w_1 Z_1 - w_2 Z_2 + w_3 Z_3 \) where Z1, Z2, Z3 are defined as:
+                <strong>Note:</strong> The combined multi-objective function used is <span style={{ fontFamily: 'monospace' }}>{combinedFormula(criteria, multiNormalization ? multiNormalization.method : normalizationMethod)}</span> where the objectives are defined as:
                 <div className="mt-2 prose text-sm">
-                  <p><em>Z1</em> = ∑ T_i × x_i (Turnover)</p>
-                  <p><em>Z2</em> = ∑ C_i × x_i (Cost)</p>
-                  <p><em>Z3</em> = ∑ P_i × x_i (Productivity)</p>
+                  {criteria.map((c, k) => (
+                    <p key={c.id}><em>Z{k + 1}</em> = {c.scale !== 1 ? `${c.scale} × ` : ''}∑ v_i × x_i ({c.name}, {c.direction === 'cost' ? 'minimized' : 'maximized'})</p>
+                  ))}
                 </div>
               </div>
             </div>
 
+            {/* every criterion at once */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-xl font-bold mb-1" style={{ color: '#1e3a8a' }}>Trade-off Views Across All Criteria</h3>
+              <p className="text-sm text-gray-700 mb-4">
+                Every view scales each criterion from its worst (0) to its best (1) value over the points shown. Clicking a line, slice or point selects it here and in the Pareto chart above.
+              </p>
+              <TradeoffViews criteria={criteria} items={tradeoffItems} selectedId={selectedParetoPoint ? selectedParetoPoint.id : null} onSelect={setSelectedParetoPoint} />
+            </div>
+
+            {/* Payoff table and normalized contributions */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-lg font-bold mb-2" style={{ color: '#1e3a8a' }}>Objective Normalization</h3>
+              <div className="flex flex-wrap items-center gap-4 text-sm mb-4" style={{ color: '#0f172a' }}>
+                <label className="flex items-center gap-1">
+                  Normalize before weighting:
+                  <select value={normalizationMethod} onChange={(e) => setNormalizationMethod(e.target.value)} className="px-2 py-1 border rounded">
+                    {Object.entries(NORMALIZATION_METHODS).map(([id, m]) => <option key={id} value={id}>{m.label} — {m.description}</option>)}
+                  </select>
+                </label>
+                {multiNormalization && multiNormalization.method !== normalizationMethod && (
+                  <span className="text-xs text-amber-700">The multi-objective result below used {NORMALIZATION_METHODS[multiNormalization.method].label}; re-run it to apply the new choice.</span>
+                )}
+              </div>
+              {multiNormalization ? (
+                <div className="grid grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Payoff table (M)</h4>
+                    <table className="w-full table-auto border-collapse text-sm">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border px-3 py-2 text-left">Plan optimizing</th>
+                          {criteria.map(c => <th key={c.id} className="border px-3 py-2 text-right">Z: {c.name}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {criteria.filter(row => multiNormalization.payoff.table[row.id]).map(row => (
+                          <tr key={row.id}>
+                            <td className="border px-3 py-2">{row.name}</td>
+                            {criteria.map(c => <td key={c.id} className="border px-3 py-2 text-right">{fmtM(multiNormalization.payoff.table[row.id][c.id])}</td>)}
+                          </tr>
+                        ))}
+                        <tr className="bg-green-50 font-semibold">
+                          <td className="border px-3 py-2">Ideal</td>
+                          {criteria.map(c => <td key={c.id} className="border px-3 py-2 text-right">{fmtM(multiNormalization.payoff.ideal[c.id])}</td>)}
+                        </tr>
+                        <tr className="bg-red-50 font-semibold">
+                          <td className="border px-3 py-2">Nadir</td>
+                          {criteria.map(c => <td key={c.id} className="border px-3 py-2 text-right">{fmtM(multiNormalization.payoff.nadir[c.id])}</td>)}
+                        </tr>
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-2">
+                      N_k = (Z_k − offset_k) / divisor_k, higher is better: {criteria.map((c, k) => `N${k + 1} offset ${fmtM(multiNormalization.factors[c.id].offset)}M, divisor ${fmtM(multiNormalization.factors[c.id].divisor)}M`).join(' · ')}
+                    </p>
+                  </div>
+                  <div>
+                    <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Weighted contributions w_k · N_k</h4>
+                    <ResponsiveContainer width="100%" height={240}>
+                      <BarChart data={normalizedContributions}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" style={{ fontSize: 11 }} />
+                        <YAxis />
+                        <Tooltip formatter={(v) => v.toFixed(4)} />
+                        <Legend />
+                        {criteria.map(c => <Bar key={c.id} dataKey={c.id} name={c.name} stackId="n" fill={c.color} />)}
+                      </BarChart>
+                    </ResponsiveContainer>
+                    <table className="w-full table-auto border-collapse text-sm mt-2">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border px-3 py-2 text-left">Strategy</th>
+                          {criteria.map((c, k) => <th key={c.id} className="border px-3 py-2 text-right">N{k + 1} {c.name}</th>)}
+                          <th className="border px-3 py-2 text-right">Σ w·N</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {normalizedContributions.map(row => (
+                          <tr key={row.mode} className={row.mode === 'multiObjective' ? 'bg-green-50 font-semibold' : ''}>
+                            <td className="border px-3 py-2">{row.name}</td>
+                            {criteria.map(c => <td key={c.id} className="border px-3 py-2 text-right">{row.normalized[c.id].toFixed(3)}</td>)}
+                            <td className="border px-3 py-2 text-right">{row.score.toFixed(4)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded text-sm">Run the multi-objective optimization to build the payoff table (each criterion is optimized alone first) and see the normalized contributions.</div>
+              )}
+            </div>
+
             {/* Detailed comparison table */}
             <div className="bg-white rounded-xl shadow p-6">
-              <h3 className="text-lg font-bold mb-3" style={{ color: '#1e3a8a' }}>Detailed Performance Metrics</h3>
-              <div className="overflow-x-auto">
-                <table className="w-full table-auto border-collapse">
-                  <thead>
-                    <tr className="bg-gray-100">
-                      <th className="border px-4 py-2 text-left">Strategy</th>
-                      <th className="border px-4 py-2 text-right">Turnover (M RON)</th>
-                      <th className="border px-4 py-2 text-right">Cost (M RON)</th>
-                      <th className="border px-4 py-2 text-right">Productivity (M units)</th>
-                      <th className="border px-4 py-2 text-center">Balance</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    <tr>
-                      <td className="border px-4 py-2">Turnover Optimization</td>
-                      <td className="border px-4 py-2 text-right">{results.turnover ? fmtM(results.turnover.turnoverVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.turnover ? fmtM(results.turnover.costVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.turnover ? fmtM(results.turnover.productivityVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-center"><span className="px-3 py-1 bg-yellow-100 rounded text-yellow-800 text-sm">Imbalanced</span></td>
-                    </tr>
-                    <tr>
-                      <td className="border px-4 py-2">Cost Minimization</td>
-                      <td className="border px-4 py-2 text-right">{results.cost ? fmtM(results.cost.turnoverVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.cost ? fmtM(results.cost.costVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.cost ? fmtM(results.cost.productivityVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-center"><span className="px-3 py-1 bg-yellow-100 rounded text-yellow-800 text-sm">Imbalanced</span></td>
-                    </tr>
-                    <tr>
-                      <td className="border px-4 py-2">Productivity Maximization</td>
-                      <td className="border px-4 py-2 text-right">{results.productivity ? fmtM(results.productivity.turnoverVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.productivity ? fmtM(results.productivity.costVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right">{results.productivity ? fmtM(results.productivity.productivityVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-center"><span className="px-3 py-1 bg-yellow-100 rounded text-yellow-800 text-sm">Imbalanced</span></td>
-                    </tr>
-                    <tr className="bg-green-50">
-                      <td className="border px-4 py-2 font-semibold">Multi-Objective (AHP-Weighted)</td>
-                      <td className="border px-4 py-2 text-right font-semibold">{results.multiObjective ? fmtM(results.multiObjective.turnoverVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right font-semibold">{results.multiObjective ? fmtM(results.multiObjective.costVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-right font-semibold">{results.multiObjective ? fmtM(results.multiObjective.productivityVal) : 'N/A'}</td>
-                      <td className="border px-4 py-2 text-center"><span className="px-3 py-1 bg-green-600 text-white rounded text-sm font-semibold">Optimal</span></td>
-                    </tr>
-                  </tbody>
-                </table>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <h3 className="text-lg font-bold" style={{ color: '#1e3a8a' }}>Detailed Performance Metrics</h3>
+                <label className="flex items-center gap-2 text-sm" style={{ color: '#0f172a' }}>
+                  Rank by
+                  <select value={compromiseMetric} onChange={(e) => setCompromiseMetric(e.target.value)} className="px-2 py-1 border rounded">
+                    {Object.entries(DISTANCE_METRICS).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+                  </select>
+                </label>
               </div>
+              {strategyComparison ? (
+                <>
+                  <div className="overflow-x-auto">
+                    <table className="w-full table-auto border-collapse">
+                      <thead>
+                        <tr className="bg-gray-100">
+                          <th className="border px-4 py-2 text-left">Strategy</th>
+                          {criteria.map(c => (
+                            <th key={c.id} className="border px-4 py-2 text-right">{c.name} (M{c.unit ? ` ${c.unit}` : ''})<div className="text-xs font-normal text-gray-500">% of ideal</div></th>
+                          ))}
+                          {Object.entries(DISTANCE_METRICS).map(([id, m]) => (
+                            <th key={id} className={`border px-4 py-2 text-right ${id === compromiseMetric ? 'bg-blue-50' : ''}`} title={m.description}>{id === 'Linf' ? 'L∞' : id}</th>
+                          ))}
+                          <th className="border px-4 py-2 text-center">Rank</th>
+                          <th className="border px-4 py-2 text-left">Dominated by</th>
+                          <th className="border px-4 py-2 text-center">Balance</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {strategyComparison.strategies.map(s => (
+                          <tr key={s.mode} className={s.mode === 'multiObjective' ? 'bg-green-50' : ''}>
+                            <td className={`border px-4 py-2 ${s.mode === 'multiObjective' ? 'font-semibold' : ''}`}>{s.mode === 'multiObjective' ? 'Multi-Objective (AHP-Weighted)' : modeLabel(s.mode, criteria)}</td>
+                            {criteria.map(c => (
+                              <td key={c.id} className="border px-4 py-2 text-right">
+                                {fmtM(s.values[c.id])}
+                                <div className="text-xs text-gray-500">{s.achievement[c.id].toFixed(1)}%</div>
+                              </td>
+                            ))}
+                            {Object.keys(DISTANCE_METRICS).map(id => (
+                              <td key={id} className={`border px-4 py-2 text-right ${id === compromiseMetric ? 'bg-blue-50 font-semibold' : ''}`}>{s.distance[id].toFixed(4)}</td>
+                            ))}
+                            <td className="border px-4 py-2 text-center">{s.rank}</td>
+                            <td className="border px-4 py-2 text-sm">{s.dominatedBy.length ? s.dominatedBy.map(m => modeLabel(m, criteria)).join(', ') : '—'}</td>
+                            <td className="border px-4 py-2 text-center">
+                              <span className={`px-3 py-1 rounded text-sm ${{
+                                compromise: 'bg-green-600 text-white font-semibold',
+                                balanced: 'bg-blue-100 text-blue-800',
+                                imbalanced: 'bg-yellow-100 text-yellow-800',
+                                dominated: 'bg-red-100 text-red-800'
+                              }[s.status]}`} title={STRATEGY_STATUS[s.status].description}>{STRATEGY_STATUS[s.status].label}</span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-600 mt-2">
+                    % of ideal = (Z_k − nadir_k) / (ideal_k − nadir_k) over the strategies shown; distances weigh the shortfalls 1 − % with {results.multiObjective ? 'the multi-objective run\'s' : 'the current'} AHP weights.
+                    Imbalanced: best and worst criterion more than {BALANCE_SPREAD_THRESHOLD} points apart.
+                  </p>
+                </>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded text-sm">Run at least one optimization mode to compare strategies.</div>
+              )}
             </div>
 
-            {/* final explanation card */}
+            {/* conclusions generated from the metrics above */}
             <div className="bg-white p-4 rounded shadow">
-              <h4 className="font-semibold text-lg" style={{ color: '#1e3a8a' }}>Why Multi-Objective is Superior (short)</h4>
-              <p className="text-sm text-gray-700">
+              <h4 className="font-semibold text-lg" style={{ color: '#1e3a8a' }}>Conclusions</h4>
+              {conclusions.length ? (
+                <ul className="list-disc pl-5 text-sm text-gray-700 space-y-1 mt-1">
+                  {conclusions.map((line, i) => <li key={i}>{line}</li>)}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-700">No strategy has been solved yet.</p>
+              )}
+              <p className="text-sm text-gray-700 mt-3">
                 The multi-objective solution is computed with AHP-derived weights and the combined objective:
-                <span style={{ fontFamily: 'monospace', display: 'block', marginTop: 6 }}>Z = w1 * Z1 - w2 * Z2 + w3 * Z3</span>
-                This formulation (minus before cost) ensures cost reduction is treated as a minimization, while turnover and productivity are maximized.
+                <span style={{ fontFamily: 'monospace', display: 'block', marginTop: 6 }}>{combinedFormula(criteria, multiNormalization ? multiNormalization.method : normalizationMethod)}</span>
+              </p>
+            </div>
+          </div>
+        )}
+        {activeTab === 'sensitivity' && (
+          <div className="space-y-8">
+            <div className="bg-white rounded-xl shadow p-6">
+              <h2 className="text-2xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Sensitivity of the Multi-Objective Plan</h2>
+              <p className="text-sm text-gray-700 mb-4">
+                Each AHP weight (others renormalized to keep the sum at 1) and each per-{periodUnit.toLowerCase()} coefficient is moved by ± the chosen range and the multi-objective LP is re-solved.
+              </p>
+              <div className="flex flex-wrap items-center gap-4 text-sm" style={{ color: '#0f172a' }}>
+                <label className="flex items-center gap-1">
+                  Range ±
+                  <input type="number" min="0.1" max="99" step="1" value={sensitivityOptions.range} onChange={(e) => setSensitivityOptions(prev => ({ ...prev, range: e.target.value }))} className="w-16 px-2 py-1 border rounded" />
+                  %
+                </label>
+                <label className="flex items-center gap-1">
+                  Output:
+                  <select value={sensitivityOptions.metric} onChange={(e) => setSensitivityOptions(prev => ({ ...prev, metric: e.target.value }))} className="px-2 py-1 border rounded">
+                    <option value="combined">Combined objective Z{normalizationMethod === 'none' ? ' (M)' : ''}</option>
+                    {criteria.map(c => <option key={c.id} value={c.id}>{c.name} (M {c.unit})</option>)}
+                    <option value="planShift">Plan change (%)</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  Ranking method:
+                  <select value={sensitivityOptions.rankingMethod} onChange={(e) => setSensitivityOptions(prev => ({ ...prev, rankingMethod: e.target.value }))} className="px-2 py-1 border rounded">
+                    {Object.entries(RANKING_METHODS).map(([id, method]) => <option key={id} value={id}>{method.label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  Show top
+                  <input type="number" min="1" max="100" value={sensitivityOptions.top} onChange={(e) => setSensitivityOptions(prev => ({ ...prev, top: e.target.value }))} className="w-16 px-2 py-1 border rounded" />
+                  coefficients
+                </label>
+                <button onClick={runSensitivity} disabled={jobActive('Sensitivity analysis')} className="flex items-center gap-2 px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f] disabled:opacity-50">
+                  <Activity size={16} /> Run Sensitivity Analysis
+                </button>
+              </div>
+              {sensitivity && (
+                <p className="text-xs text-gray-600 mt-3">
+                  Weights used: [{sensitivity.weights.map(w => w.toFixed(3)).join(', ')}] · range ±{(sensitivity.range * 100).toFixed(1)}% · {sensitivity.tornado.normalization && sensitivity.tornado.normalization !== 'none'
+                    ? `${NORMALIZATION_METHODS[sensitivity.tornado.normalization].label} normalization · baseline Z = ${sensitivity.tornado.baseline.combined.toFixed(4)}`
+                    : `baseline Z = ${fmtM(sensitivity.tornado.baseline.combined)} M`}
+                </p>
+              )}
+            </div>
+
+            {sensitivity ? (
+              <>
+                {/* Weight-stability intervals */}
+                <div className="bg-white rounded-xl shadow p-6">
+                  <h3 className="text-xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Weight-Stability Intervals</h3>
+                  <p className="text-sm text-gray-700 mb-4">
+                    Range of each weight (others renormalized) over which the multi-objective plan stays optimal
+                    {sensitivity.stability[0].ranking ? ` and the ${RANKING_METHODS[sensitivity.rankingMethod].label} ranking of the ${sensitivity.candidateCount} candidate plans is unchanged` : ' (run at least two optimizations to also test the ranking)'}.
+                  </p>
+                  <table className="w-full table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-4 py-2 text-left">Criterion</th>
+                        <th className="border px-4 py-2 text-right">Current weight</th>
+                        <th className="border px-4 py-2 text-center">Plan stable for w in</th>
+                        {sensitivity.stability[0].ranking && <th className="border px-4 py-2 text-center">Ranking stable for w in</th>}
+                        <th className="border px-4 py-2" style={{ width: '35%' }}>0 ─ 1</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sensitivity.stability.map(st => {
+                        const c = criteria.find(cr => cr.id === st.id);
+                        return (
+                          <tr key={st.id}>
+                            <td className="border px-4 py-2">{c ? c.name : st.id}</td>
+                            <td className="border px-4 py-2 text-right">{st.weight.toFixed(3)}</td>
+                            <td className="border px-4 py-2 text-center">[{st.plan.lower.toFixed(3)}, {st.plan.upper.toFixed(3)}]</td>
+                            {st.ranking && <td className="border px-4 py-2 text-center">[{st.ranking.lower.toFixed(3)}, {st.ranking.upper.toFixed(3)}]</td>}
+                            <td className="border px-4 py-2">
+                              <div className="relative h-4 bg-gray-200 rounded">
+                                <div className="absolute h-4 rounded opacity-60" style={{ left: `${st.plan.lower * 100}%`, width: `${(st.plan.upper - st.plan.lower) * 100}%`, background: c ? c.color : '#3b82f6' }} />
+                                {st.ranking && (
+                                  <div className="absolute h-1 bg-[#0f172a]" style={{ top: 6, left: `${st.ranking.lower * 100}%`, width: `${(st.ranking.upper - st.ranking.lower) * 100}%` }} />
+                                )}
+                                <div className="absolute h-4 w-1 bg-[#1e3a8a]" style={{ left: `calc(${st.weight * 100}% - 2px)` }} />
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-gray-500 mt-2">Shaded band: plan stability interval; dark line: ranking stability interval; marker: current weight.</p>
+                </div>
+
+                {/* Tornado charts */}
+                {['weight', 'coefficient'].map(kind => {
+                  const rows = tornadoRows(kind);
+                  return (
+                    <div key={kind} className="bg-white rounded-xl shadow p-6">
+                      <h3 className="text-xl font-bold mb-2" style={{ color: '#1e3a8a' }}>
+                        Tornado: {kind === 'weight' ? 'AHP weights' : `per-${periodUnit.toLowerCase()} coefficients (top ${rows.length})`}
+                      </h3>
+                      <p className="text-sm text-gray-700 mb-4">
+                        Change in {sensitivityOptions.metric === 'combined' ? `combined objective Z (${sensitivity.tornado.normalization && sensitivity.tornado.normalization !== 'none' ? 'normalized' : 'M'}, measured with the baseline weights)` : sensitivityOptions.metric === 'planShift' ? 'production plan (% of total volume moved)' : `${criteria.find(c => c.id === sensitivityOptions.metric)?.name} (M)`} when each parameter is set to −/+ {(sensitivity.range * 100).toFixed(1)}%.
+                        {rows.some(r => r.failed) && ' Parameters whose perturbed LP was infeasible are plotted as 0.'}
+                      </p>
+                      <ResponsiveContainer width="100%" height={Math.max(160, rows.length * 28 + 60)}>
+                        <BarChart data={rows} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 30, left: 40, bottom: 5 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis type="number" />
+                          <YAxis type="category" dataKey="label" width={150} style={{ fontSize: 12 }} />
+                          <Tooltip formatter={(val) => val.toFixed(4)} />
+                          <Legend />
+                          <ReferenceLine x={0} stroke="#0f172a" />
+                          <Bar dataKey="low" name={`−${(sensitivity.range * 100).toFixed(1)}%`} stackId="t" fill="#ef4444" />
+                          <Bar dataKey="high" name={`+${(sensitivity.range * 100).toFixed(1)}%`} stackId="t" fill="#10b981" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  );
+                })}
+              </>
+            ) : (
+              <div className="bg-gray-50 p-4 rounded">Run the sensitivity analysis to see weight-stability intervals and tornado charts.</div>
+            )}
+
+            {/* What-if weight change */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-xl font-bold mb-2" style={{ color: '#1e3a8a' }}>What-if: change one weight</h3>
+              <div className="flex flex-wrap items-center gap-3 text-sm" style={{ color: '#0f172a' }}>
+                <select value={Math.min(whatIf.index, criteria.length - 1)} onChange={(e) => setWhatIf(prev => ({ ...prev, index: parseInt(e.target.value, 10), result: null }))} className="px-2 py-1 border rounded">
+                  {criteria.map((c, k) => <option key={c.id} value={k}>{c.name}</option>)}
+                </select>
+                <span>weight →</span>
+                <input type="number" min="0" max="1" step="0.01" value={whatIf.value} placeholder="e.g. 0.55" onChange={(e) => setWhatIf(prev => ({ ...prev, value: e.target.value }))} className="w-24 px-2 py-1 border rounded" />
+                <button onClick={runWhatIf} className="px-3 py-1 bg-[#1e40af] text-white rounded hover:bg-[#15357f]">Re-solve</button>
+              </div>
+              {whatIf.result && (
+                <div className="mt-4 text-sm text-gray-700">
+                  <p>
+                    Weights [{whatIf.result.weights.map(w => w.toFixed(3)).join(', ')}] → [{whatIf.result.nextWeights.map(w => w.toFixed(3)).join(', ')}]:{' '}
+                    {whatIf.result.planShift < 1e-9
+                      ? <strong className="text-green-700">the plan does not change.</strong>
+                      : <strong className="text-red-700">{(whatIf.result.planShift * 100).toFixed(2)}% of production volume moves.</strong>}
+                  </p>
+                  <ul className="mt-2 list-disc pl-6">
+                    {criteria.map(c => (
+                      <li key={c.id}>{c.name}: {fmtM(whatIf.result.base.values[c.id])} M → {fmtM(whatIf.result.plan.values[c.id])} M {c.unit}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+        {activeTab === 'uncertainty' && (
+          <div className="space-y-8">
+            {/* Uncertainty models */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h2 className="text-2xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Uncertainty Models</h2>
+              <p className="text-sm text-gray-700 mb-4">
+                Spreads are percentages of each {periodUnit.toLowerCase()}'s value. Normal models use ± 1.96 SD as their robust band; series without a model stay exact.
+              </p>
+              <table className="w-full table-auto border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border px-4 py-2 text-left">Series</th>
+                    <th className="border px-4 py-2 text-left">Distribution</th>
+                    <th className="border px-4 py-2 text-right">SD %</th>
+                    <th className="border px-4 py-2 text-right">Low −%</th>
+                    <th className="border px-4 py-2 text-right">High +%</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[{ key: 'orders', name: 'Orders' }, { key: 'capacity', name: 'Capacity' }, ...criteria.map(c => ({ key: c.id, name: `${c.name} coefficient` }))].map(({ key, name }) => {
+                    const model = uncertainty.models[key];
+                    const params = model ? UNCERTAINTY_DISTRIBUTIONS[model.type].params : [];
+                    return (
+                      <tr key={key}>
+                        <td className="border px-4 py-2">{name}</td>
+                        <td className="border px-4 py-2">
+                          <select value={model ? model.type : ''} onChange={(e) => setUncertaintyModel(key, e.target.value)} className="px-2 py-1 border rounded">
+                            <option value="">Exact (none)</option>
+                            {Object.entries(UNCERTAINTY_DISTRIBUTIONS).map(([id, dist]) => <option key={id} value={id}>{dist.label}</option>)}
+                          </select>
+                        </td>
+                        {['sd', 'low', 'high'].map(param => (
+                          <td key={param} className="border px-4 py-2 text-right">
+                            {params.includes(param) ? (
+                              <input type="number" min="0" step="1" value={model[param]} onChange={(e) => setUncertaintyParam(key, param, e.target.value)} className="w-20 px-2 py-1 border rounded text-right" />
+                            ) : <span className="text-gray-400">—</span>}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Robust optimization */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h2 className="text-2xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Robust Plan (Bertsimas–Sim)</h2>
+              <p className="text-sm text-gray-700 mb-4">
+                The budget Γ is how many {periodUnit.toLowerCase()}s may sit at the adverse edge of their band at once; leave it empty to protect against all {periods.length} (box uncertainty). The AHP weights define the objective.
+              </p>
+              <div className="flex flex-wrap items-center gap-4 text-sm" style={{ color: '#0f172a' }}>
+                {[['demand', 'Demand Γ'], ['capacity', 'Capacity Γ'], ['objective', 'Objective Γ']].map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-1">
+                    {label}
+                    <input type="number" min="0" max={periods.length} step="0.5" placeholder={`${periods.length}`} value={uncertainty.budget[key]}
+                      onChange={(e) => setUncertainty(prev => ({ ...prev, budget: { ...prev.budget, [key]: e.target.value } }))} className="w-20 px-2 py-1 border rounded" />
+                  </label>
+                ))}
+                <button onClick={() => runOptimization('robust', { navigate: false })} disabled={!uncertaintyModelled || jobActive(modeLabel('robust', criteria))} className="flex items-center gap-2 px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f] disabled:opacity-50">
+                  <Target size={16} /> Solve Robust Plan
+                </button>
+              </div>
+              {results.robust && (
+                <div className="mt-4 space-y-3">
+                  <div className="grid grid-cols-4 gap-4 text-sm">
+                    <div className="p-3 bg-blue-50 rounded"><div className="text-gray-600">Worst-case Z</div><div className="font-bold text-lg">{fmtM(results.robust.robust.worstCase)} M</div></div>
+                    <div className="p-3 bg-blue-50 rounded"><div className="text-gray-600">Nominal Z of robust plan</div><div className="font-bold text-lg">{fmtM(results.robust.robust.nominal)} M</div></div>
+                    <div className="p-3 bg-blue-50 rounded"><div className="text-gray-600">Nominal optimum Z</div><div className="font-bold text-lg">{results.robust.robust.nominalOptimum === null ? '—' : `${fmtM(results.robust.robust.nominalOptimum)} M`}</div></div>
+                    <div className="p-3 bg-blue-50 rounded"><div className="text-gray-600">Price of robustness</div><div className="font-bold text-lg">{results.robust.robust.priceOfRobustness !== null ? `${(results.robust.robust.priceOfRobustness * 100).toFixed(2)}%` : results.robust.robust.absolutePriceOfRobustness !== null ? `${fmtM(results.robust.robust.absolutePriceOfRobustness)} M` : '—'}</div></div>
+                  </div>
+                  {results.robust.robust.uncovered.length > 0 && (
+                    <div className="p-3 bg-red-50 rounded text-sm text-red-800 flex items-start gap-2">
+                      <AlertCircle size={16} className="mt-0.5" />
+                      <span>
+                        Worst-case orders exceed worst-case capacity in {results.robust.robust.uncovered.map(u => `${periodLabels[u.period]} (${(u.shortfall / 1e3).toFixed(1)}k short)`).join(', ')} — those {periodUnit.toLowerCase()}s are planned at capacity. Enable inventory carry-over to build stock ahead.
+                      </span>
+                    </div>
+                  )}
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={periodLabels.map((label, i) => ({
+                      period: label,
+                      robust: results.robust.solution[i] / 1e6,
+                      ...(results.multiObjective ? { nominal: results.multiObjective.solution[i] / 1e6 } : {}),
+                      orders: data.orders[i] / 1e6
+                    }))}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="period" />
+                      <YAxis label={{ value: 'Million units', angle: -90, position: 'insideLeft' }} />
+                      <Tooltip formatter={(v) => v.toFixed(3)} />
+                      <Legend />
+                      <Bar dataKey="robust" name="Robust plan" fill="#1e40af" />
+                      {results.multiObjective && <Bar dataKey="nominal" name="Multi-objective plan" fill="#94a3b8" />}
+                      <Bar dataKey="orders" name="Orders" fill="#f59e0b" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </div>
+
+            {/* Monte Carlo */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h2 className="text-2xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Monte Carlo Evaluation</h2>
+              <p className="text-sm text-gray-700 mb-4">
+                Simulates a solved plan against random orders, capacity and coefficients. A capacity breach means covering a sample's orders would need more than its capacity in some {periodUnit.toLowerCase()}.
               </p>
+              <div className="flex flex-wrap items-center gap-4 text-sm" style={{ color: '#0f172a' }}>
+                <label className="flex items-center gap-1">
+                  Plan:
+                  <select value={simulationOptions.plan} onChange={(e) => setSimulationOptions(prev => ({ ...prev, plan: e.target.value }))} className="px-2 py-1 border rounded">
+                    {modes.map(mode => <option key={mode} value={mode} disabled={!results[mode]}>{modeLabel(mode, criteria)}{results[mode] ? '' : ' (not run)'}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-1">
+                  Samples
+                  <input type="number" min="1" max={MONTE_CARLO_MAX_SAMPLES} step="500" value={simulationOptions.samples} onChange={(e) => setSimulationOptions(prev => ({ ...prev, samples: e.target.value }))} className="w-24 px-2 py-1 border rounded" />
+                </label>
+                <label className="flex items-center gap-1">
+                  Seed
+                  <input type="number" value={simulationOptions.seed} onChange={(e) => setSimulationOptions(prev => ({ ...prev, seed: e.target.value }))} className="w-20 px-2 py-1 border rounded" />
+                </label>
+                <button onClick={runSimulation} disabled={!uncertaintyModelled || jobActive('Monte Carlo simulation')} className="flex items-center gap-2 px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f] disabled:opacity-50">
+                  <Activity size={16} /> Run Simulation
+                </button>
+              </div>
+              {!uncertaintyModelled && <p className="text-xs text-gray-500 mt-2">Attach a model to at least one series above to simulate or solve robustly.</p>}
+
+              {simulation && (
+                <div className="mt-6 space-y-6">
+                  <div className="grid grid-cols-3 gap-4 text-sm">
+                    <div className="p-3 bg-red-50 rounded"><div className="text-gray-600">P(capacity breach)</div><div className="font-bold text-lg">{(simulation.breachProbability * 100).toFixed(1)}%</div></div>
+                    <div className="p-3 bg-amber-50 rounded"><div className="text-gray-600">P(plan misses orders)</div><div className="font-bold text-lg">{(simulation.shortfallProbability * 100).toFixed(1)}%</div></div>
+                    <div className="p-3 bg-blue-50 rounded"><div className="text-gray-600">Expected unmet orders</div><div className="font-bold text-lg">{(simulation.expectedShortfall / 1e3).toFixed(1)}k units</div></div>
+                  </div>
+                  <table className="w-full table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-4 py-2 text-left">{modeLabel(simulation.mode, criteria)} · {simulation.samples.toLocaleString()} samples · seed {simulation.seed}</th>
+                        {['Nominal', 'Mean', 'SD', 'P5', 'P25', 'Median', 'P75', 'P95'].map(h => <th key={h} className="border px-4 py-2 text-right">{h}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {criteria.filter(c => simulation.stats[c.id]).map(c => {
+                        const st = simulation.stats[c.id];
+                        return (
+                          <tr key={c.id}>
+                            <td className="border px-4 py-2">{c.name} (M {c.unit})</td>
+                            {[st.nominal, st.mean, st.sd, st.p5, st.p25, st.p50, st.p75, st.p95].map((v, k) => <td key={k} className="border px-4 py-2 text-right">{fmtM(v)}</td>)}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <div className="grid grid-cols-2 gap-6">
+                    {criteria.filter(c => simulation.stats[c.id] && simulation.stats[c.id].sd > 0).map(c => (
+                      <div key={c.id}>
+                        <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>{c.name} distribution (M {c.unit})</h4>
+                        <ResponsiveContainer width="100%" height={200}>
+                          <BarChart data={simulation.stats[c.id].histogram.map(b => ({ bin: fmtM((b.from + b.to) / 2), count: b.count }))}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="bin" />
+                            <YAxis />
+                            <Tooltip />
+                            <Bar dataKey="count" name="Samples" fill={c.color} />
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                    ))}
+                    <div>
+                      <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Capacity-breach probability by {periodUnit.toLowerCase()} (%)</h4>
+                      <ResponsiveContainer width="100%" height={200}>
+                        <BarChart data={periodLabels.map((label, i) => ({ period: label, breach: simulation.breachByPeriod[i] * 100 }))}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="period" />
+                          <YAxis domain={[0, 100]} />
+                          <Tooltip formatter={(v) => `${v.toFixed(1)}%`} />
+                          <Bar dataKey="breach" name="Breach probability" fill="#ef4444" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'scenarios' && (
+          <div className="space-y-8">
+            <div className="bg-white rounded-xl shadow p-6">
+              <h2 className="text-2xl font-bold mb-2" style={{ color: '#1e3a8a' }}>Scenarios</h2>
+              <p className="text-sm text-gray-700 mb-4">Save the full input set, AHP matrix and results under a name. Scenarios are kept in this browser's local storage.</p>
+              <div className="flex items-center gap-3 mb-6">
+                <input type="text" value={scenarioName} placeholder="Scenario name" onChange={(e) => setScenarioName(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') saveScenario(); }} className="px-3 py-2 border rounded w-72" />
+                <button onClick={saveScenario} className="flex items-center gap-2 px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f]">
+                  <Download size={16} /> Save current state
+                </button>
+              </div>
+
+              {scenarios.length ? (
+                <div className="overflow-x-auto">
+                  <table className="w-full table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-4 py-2 text-left">Name</th>
+                        <th className="border px-4 py-2 text-left">Saved</th>
+                        <th className="border px-4 py-2 text-left">Horizon</th>
+                        <th className="border px-4 py-2 text-left">Criteria</th>
+                        <th className="border px-4 py-2 text-left">Solved modes</th>
+                        <th className="border px-4 py-2" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {scenarios.map(sc => (
+                        <tr key={sc.id}>
+                          <td className="border px-4 py-2 font-semibold" style={{ color: '#0f172a' }}>{sc.name}</td>
+                          <td className="border px-4 py-2">{new Date(sc.updatedAt).toLocaleString()}</td>
+                          <td className="border px-4 py-2">{sc.horizon.periods} × {sc.horizon.granularity} from {sc.horizon.startDate}</td>
+                          <td className="border px-4 py-2">{sc.data.criteria.map(c => c.name).join(', ')}</td>
+                          <td className="border px-4 py-2">{Object.keys(sc.results || {}).map(mode => modeLabel(mode, sc.data.criteria)).join(', ') || '—'}</td>
+                          <td className="border px-4 py-2 whitespace-nowrap">
+                            <button onClick={() => loadScenario(sc.id)} className="px-2 py-1 mr-1 rounded bg-[#1e40af] text-white hover:bg-[#15357f]">Load</button>
+                            <button onClick={() => cloneScenario(sc.id)} className="px-2 py-1 mr-1 rounded border hover:bg-gray-50">Clone</button>
+                            <button onClick={() => renameScenario(sc.id)} className="px-2 py-1 mr-1 rounded border hover:bg-gray-50">Rename</button>
+                            <button onClick={() => deleteScenario(sc.id)} className="px-2 py-1 rounded bg-red-50 text-red-700 hover:bg-red-100">Delete</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded">No saved scenarios yet.</div>
+              )}
+            </div>
+
+            {/* Diff view */}
+            <div className="bg-white rounded-xl shadow p-6">
+              <h3 className="text-xl font-bold mb-3" style={{ color: '#1e3a8a' }}>Compare Scenarios</h3>
+              <div className="flex items-center gap-3 text-sm mb-4" style={{ color: '#0f172a' }}>
+                {['a', 'b'].map(key => (
+                  <label key={key} className="flex items-center gap-1">
+                    {key === 'a' ? 'Before:' : 'After:'}
+                    <select value={diffPair[key]} onChange={(e) => setDiffPair(prev => ({ ...prev, [key]: e.target.value }))} className="px-2 py-1 border rounded">
+                      <option value="">— choose —</option>
+                      <option value="current">Current (unsaved)</option>
+                      {scenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {scenarioDiff ? (
+                <div className="grid grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Changed inputs ({scenarioDiff.inputs.length})</h4>
+                    {scenarioDiff.inputs.length ? (
+                      <table className="w-full table-auto border-collapse text-sm">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            <th className="border px-3 py-2 text-left">Section</th>
+                            <th className="border px-3 py-2 text-left">Item</th>
+                            <th className="border px-3 py-2 text-right">{scenarioDiff.a.name}</th>
+                            <th className="border px-3 py-2 text-right">{scenarioDiff.b.name}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scenarioDiff.inputs.map((d, idx) => (
+                            <tr key={idx} className="bg-yellow-50">
+                              <td className="border px-3 py-1">{d.section}</td>
+                              <td className="border px-3 py-1">{d.label}</td>
+                              <td className="border px-3 py-1 text-right">{d.before === undefined ? '—' : String(d.before)}</td>
+                              <td className="border px-3 py-1 text-right font-semibold">{d.after === undefined ? '—' : String(d.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="text-sm text-gray-600">The inputs are identical.</p>
+                    )}
+                  </div>
+                  <div>
+                    <h4 className="font-semibold mb-2" style={{ color: '#0f172a' }}>Objective changes</h4>
+                    {scenarioDiff.objectives.length ? (
+                      <table className="w-full table-auto border-collapse text-sm">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            <th className="border px-3 py-2 text-left">Mode</th>
+                            <th className="border px-3 py-2 text-left">Criterion</th>
+                            <th className="border px-3 py-2 text-right">Before (M)</th>
+                            <th className="border px-3 py-2 text-right">After (M)</th>
+                            <th className="border px-3 py-2 text-right">Δ (M)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scenarioDiff.objectives.map((o, idx) => (
+                            <tr key={idx}>
+                              <td className="border px-3 py-1">{modeLabel(o.mode, scenarioDiff.b.data.criteria)}</td>
+                              <td className="border px-3 py-1">{o.name}</td>
+                              <td className="border px-3 py-1 text-right">{o.before === undefined ? 'not run' : fmtM(o.before)}</td>
+                              <td className="border px-3 py-1 text-right">{o.after === undefined ? 'not run' : fmtM(o.after)}</td>
+                              <td className={`border px-3 py-1 text-right font-semibold ${o.improved === null || o.delta === 0 ? 'text-gray-600' : o.improved ? 'text-green-700' : 'text-red-700'}`}>
+                                {o.delta === null ? '—' : `${o.delta >= 0 ? '+' : ''}${fmtM(o.delta)}`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="text-sm text-gray-600">Neither side has optimization results.</p>
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded">Choose two different scenarios (or the current state) to see what changed.</div>
+              )}
             </div>
           </div>
         )}
       </div>
 
+      {/* Import wizard */}
+      {importWizard && importPreview && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center" style={{ background: 'rgba(15, 23, 42, 0.45)' }}>
+          <div className="bg-white rounded-xl shadow-xl p-6 w-full max-w-6xl overflow-auto" style={{ maxHeight: '90vh' }}>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-bold" style={{ color: '#1e3a8a' }}>Import {importWizard.fileName}</h2>
+              <button onClick={() => setImportWizard(null)} className="px-3 py-1 rounded border hover:bg-gray-50">Cancel</button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 text-sm mb-4" style={{ color: '#0f172a' }}>
+              {importWizard.text !== null ? (
+                <label className="flex items-center gap-1">
+                  Delimiter:
+                  <select value={importWizard.delimiter} onChange={(e) => updateImportSource({ delimiter: e.target.value })} className="px-2 py-1 border rounded">
+                    {Object.entries(IMPORT_DELIMITERS).map(([d, label]) => <option key={label} value={d}>{label}</option>)}
+                  </select>
+                </label>
+              ) : (
+                <label className="flex items-center gap-1">
+                  Sheet:
+                  <select value={importWizard.sheet} onChange={(e) => updateImportSource({ sheet: e.target.value })} className="px-2 py-1 border rounded">
+                    {Object.keys(importWizard.sheets).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                </label>
+              )}
+              <label className="flex items-center gap-1">
+                Decimal separator:
+                <select value={importWizard.decimal} onChange={(e) => setImportWizard(prev => ({ ...prev, decimal: e.target.value }))} className="px-2 py-1 border rounded">
+                  <option value=".">Point (1,234.5)</option>
+                  <option value=",">Comma (1.234,5)</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={importWizard.hasHeader} onChange={(e) => updateImportSource({ hasHeader: e.target.checked })} />
+                First row is a header
+              </label>
+            </div>
+
+            {importPreview.parseError ? (
+              <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded text-sm text-red-800">Could not parse the file: {importPreview.parseError}</div>
+            ) : (
+              <>
+                <div className="overflow-x-auto mb-4">
+                  <table className="table-auto border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="border px-2 py-1 text-left">Row</th>
+                        {importPreview.headers.map((h, col) => (
+                          <th key={col} className="border px-2 py-1 text-left">
+                            <div className="font-semibold">{h}</div>
+                            <select value={importPreview.mapping[col]} onChange={(e) => {
+                              const target = e.target.value;
+                              setImportWizard(prev => ({ ...prev, mapping: importPreview.mapping.map((t, k) => (k === col ? target : t)) }));
+                            }} className="mt-1 px-1 py-1 border rounded font-normal">
+                              <option value="ignore">— ignore —</option>
+                              <option value="period">{periodUnit} label</option>
+                              <option value="orders">Orders</option>
+                              <option value="capacity">Capacity</option>
+                              {criteria.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importPreview.dataRows.slice(0, 12).map((row, r) => (
+                        <tr key={r}>
+                          <td className="border px-2 py-1 text-gray-500">{r + 1}</td>
+                          {importPreview.headers.map((_, col) => {
+                            const bad = importPreview.errors.some(err => err.row === r + 1 && err.column === importPreview.headers[col]);
+                            return <td key={col} className={`border px-2 py-1 ${bad ? 'bg-red-100 text-red-800' : ''}`}>{row[col] === undefined ? '' : String(row[col])}</td>;
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {importPreview.dataRows.length > 12 && (
+                    <p className="text-xs text-gray-500 mt-1">Showing 12 of {importPreview.dataRows.length} rows.</p>
+                  )}
+                </div>
+
+                <p className="text-sm text-gray-700 mb-2">
+                  {importPreview.rowCount} data rows → {importPreview.rowCount} {importPreview.rowCount === 1 ? periodUnit.toLowerCase() : `${periodUnit.toLowerCase()}s`}
+                  {importPreview.rowCount !== horizon.periods && ` (the horizon changes from ${horizon.periods} periods)`}.
+                  {importPreview.mapping.includes('period') && ' The period column is for reference; the horizon start date is unchanged.'}
+                </p>
+                {importPreview.warnings.map((w, idx) => (
+                  <p key={idx} className="text-sm text-yellow-800">⚠ {w}</p>
+                ))}
+                {importPreview.errors.length > 0 && (
+                  <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded mt-3 text-sm text-red-800">
+                    <p className="font-semibold mb-1">{importPreview.errors.length} validation error{importPreview.errors.length === 1 ? '' : 's'} — fix the file or the mapping to continue:</p>
+                    <ul className="list-disc pl-6">
+                      {importPreview.errors.slice(0, 50).map((err, idx) => (
+                        <li key={idx}>
+                          {err.row !== null ? `Row ${err.row}` : 'File'}{err.column ? `, column "${err.column}"` : ''}: {err.message}
+                        </li>
+                      ))}
+                    </ul>
+                    {importPreview.errors.length > 50 && <p className="mt-1">…and {importPreview.errors.length - 50} more.</p>}
+                  </div>
+                )}
+              </>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+              <button onClick={() => setImportWizard(null)} className="px-4 py-2 rounded border hover:bg-gray-50">Cancel</button>
+              <button onClick={confirmImport} disabled={!!importPreview.parseError || importPreview.errors.length > 0}
+                className="px-4 py-2 bg-[#1e40af] text-white rounded hover:bg-[#15357f] disabled:opacity-50">
+                Apply import
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* End: No footer / research reference (removed) */}
     </div>
   );
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * mcdm-cli.mjs
+ * Headless runner for batch optimization (e.g. a nightly job on an ERP extract), built on the
+ * same mcdmCore.mjs functions as the MCDM_Optimization_Final component.
+ *
+ *   node mcdm-cli.mjs --data plan.csv --pairwise ahp.json --mode multiObjective --format csv --out result.csv
+ *
+ * Input data: CSV/TSV with a header row (columns mapped like the import wizard: orders, capacity and
+ * one column per criterion) or JSON ({ criteria, orders, capacity }, optionally with products, lines and
+ * routing, a saved scenario with `data`, or a project file, which is migrated and validated like in the app).
+ * Output: the columns of the Results tab download (period, PlannedProduction, contributions, totals)
+ * as CSV, or the same table as JSON. Diagnostics go to stderr; see EXIT_CODES for the exit status.
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  MCDMError, ERROR_CODES, DEFAULT_DATA, DEFAULT_PAIRWISE, DEFAULT_HORIZON, DEFAULT_CONSTRAINT_SETTINGS,
+  GRANULARITIES, CR_THRESHOLD, buildPeriods, deepCopyData, validateProblemData, computeAHPFromMatrix, solveMode, modeLabel,
+  computeImprovements, planSurcharges, parseDelimited, detectDelimiter, detectDecimalSeparator, parseNumber,
+  suggestColumnMapping, validateImport, applyImport, resultsTable, resultsToCSV, PROJECT_FORMAT, parseProject,
+  NORMALIZATION_METHODS, DEFAULT_NORMALIZATION, syncProductData
+} from './mcdmCore.mjs';
+
+export const EXIT_CODES = {
+  OK: 0,
+  USAGE: 1,        // bad command line or unexpected failure
+  PARSE: 2,        // unreadable data / pairwise file or invalid values (MCDMError PARSE_ERROR / INVALID_INPUT)
+  INCONSISTENT: 3, // AHP consistency ratio >= 0.1 (override with --allow-inconsistent)
+  INFEASIBLE: 4,   // no plan satisfies the constraints (or the model is unbounded)
+  SOLVER_LIMIT: 5  // branch-and-bound hit its time or node limit without an integer plan
+};
+
+const USAGE = `Usage: node mcdm-cli.mjs --data <file.csv|file.json> [options]
+
+  --data <file>             per-period data (CSV/TSV with header, or JSON)
+  --pairwise <file|matrix>  AHP matrix: JSON [[...]], CSV rows, or inline "1,0.2,0.333;5,1,5;3,0.2,1"
+                            (default: the app's matrix, only for the three default criteria)
+  --mode <mode>             a criterion id (turnover, cost, productivity, ...) or multiObjective
+                            (default: multiObjective)
+  --normalization <method>  ${Object.keys(NORMALIZATION_METHODS).join(' | ')}: how multiObjective scales Z_k
+                            with the payoff table before weighting (default ${DEFAULT_NORMALIZATION})
+  --format <csv|json>       output format (default: csv, or from the --out extension)
+  --out <file>              write to a file instead of stdout
+  --delimiter <char>        CSV delimiter (default: detected)
+  --decimal <. | ,>         decimal separator (default: detected)
+  --start <YYYY-MM-DD>      first period (default ${DEFAULT_HORIZON.startDate})
+  --granularity <unit>      ${Object.keys(GRANULARITIES).join(' | ')} (default ${DEFAULT_HORIZON.granularity})
+  --no-period-capacity      drop x_i <= Cap_i
+  --no-cumulative-capacity  drop the cumulative capacity rows
+  --total-capacity          add sum x_i <= sum Cap_i
+  --inventory               allow inventory carry-over
+  --initial-inventory <n>   units on hand before the first period
+  --holding-cost <n>        RON per unit held per period
+  --integer-lots            mixed-integer mode (branch-and-bound)
+  --lot-size <n>  --setup-cost <n>  --min-run <n>  --time-limit <seconds>
+  --workforce               staff the plan from the productivity criterion (headcount, shifts, overtime,
+                            hiring and firing costs added to cost); --max-* limits apply only when given, 0 forbids:
+  --initial-workers <n>  --min-workers <n>  --max-workers <n>  --shifts <n>  --workers-per-shift <n>
+  --wage <n>  --shift-premium <share>  --overtime-share <share>  --overtime-premium <share>
+  --hire-cost <n>  --fire-cost <n>  --max-hires <n>  --max-fires <n>
+  --allow-inconsistent      solve even if CR >= ${CR_THRESHOLD} (a warning is still printed)
+  --help
+
+Exit codes: ${Object.entries(EXIT_CODES).map(([k, v]) => `${v} ${k.toLowerCase()}`).join(', ')}`;
+
+const OPTIONS = {
+  data: { type: 'string' },
+  pairwise: { type: 'string' },
+  mode: { type: 'string', default: 'multiObjective' },
+  normalization: { type: 'string', default: DEFAULT_NORMALIZATION },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  delimiter: { type: 'string' },
+  decimal: { type: 'string' },
+  start: { type: 'string', default: DEFAULT_HORIZON.startDate },
+  granularity: { type: 'string', default: DEFAULT_HORIZON.granularity },
+  'no-period-capacity': { type: 'boolean', default: false },
+  'no-cumulative-capacity': { type: 'boolean', default: false },
+  'total-capacity': { type: 'boolean', default: false },
+  inventory: { type: 'boolean', default: false },
+  'initial-inventory': { type: 'string' },
+  'holding-cost': { type: 'string' },
+  'integer-lots': { type: 'boolean', default: false },
+  'lot-size': { type: 'string' },
+  'setup-cost': { type: 'string' },
+  'min-run': { type: 'string' },
+  'time-limit': { type: 'string' },
+  workforce: { type: 'boolean', default: false },
+  'allow-inconsistent': { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+// Numeric workforce options and the constraint setting each one sets
+const WORKFORCE_OPTIONS = {
+  'initial-workers': 'initialWorkers',
+  'min-workers': 'minWorkers',
+  'max-workers': 'maxWorkers',
+  shifts: 'shifts',
+  'workers-per-shift': 'workersPerShift',
+  wage: 'wage',
+  'shift-premium': 'shiftPremium',
+  'overtime-share': 'overtimeShare',
+  'overtime-premium': 'overtimePremium',
+  'hire-cost': 'hireCost',
+  'fire-cost': 'fireCost',
+  'max-hires': 'maxHires',
+  'max-fires': 'maxFires'
+};
+Object.keys(WORKFORCE_OPTIONS).forEach(name => { OPTIONS[name] = { type: 'string' }; });
+
+class UsageError extends Error {}
+
+const numberOption = (values, name, fallback) => {
+  if (values[name] === undefined) return fallback;
+  const n = Number(values[name]);
+  if (!Number.isFinite(n) || n < 0) throw new UsageError(`--${name} must be a non-negative number`);
+  return n;
+};
+
+function readText(file) {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`cannot read ${file}: ${err.message}`);
+  }
+}
+
+function parseJSON(text, file) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file} is not valid JSON: ${err.message}`, { file });
+  }
+}
+
+// Data file -> { data, warnings }; CSV goes through the import wizard's mapping and validation
+export function loadData(text, { file = 'data', delimiter, decimal } = {}) {
+  const trimmed = text.trim();
+  if (extname(file).toLowerCase() === '.json' || trimmed.startsWith('{')) {
+    let json = parseJSON(text, file);
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file} must hold a JSON object with criteria, orders and capacity`, { file });
+    }
+    if (json.format === PROJECT_FORMAT) {
+      try {
+        json = parseProject(json);
+      } catch (err) {
+        throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file}: ${err.message}`, { file, ...err.details });
+      }
+    }
+    const data = json.data && json.data.criteria ? json.data : json;
+    if (!Array.isArray(data.criteria)) throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file} has no criteria array`, { file });
+    try {
+      // validate before copying: the copy assumes well-formed series
+      validateProblemData(data);
+      return { data: syncProductData(deepCopyData(data)), warnings: [] };
+    } catch (err) {
+      throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file}: ${err.message}`, { file, ...err.details });
+    }
+  }
+
+  const sep = delimiter || detectDelimiter(text);
+  const [headers, ...rows] = parseDelimited(text, sep);
+  if (!headers) throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file} is empty`, { file });
+  const dec = decimal || detectDecimalSeparator(rows);
+  const { criteria } = DEFAULT_DATA;
+  const mapping = suggestColumnMapping(headers, criteria);
+  const result = validateImport(rows, headers, mapping, { decimal: dec, criteria });
+  if (result.errors.length) {
+    const first = result.errors[0];
+    const where = [first.row && `row ${first.row}`, first.column && `column "${first.column}"`].filter(Boolean).join(', ');
+    throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${file}: ${first.message}${where ? ` (${where})` : ''}` +
+      (result.errors.length > 1 ? ` and ${result.errors.length - 1} more error(s)` : ''), { file, errors: result.errors });
+  }
+  return { data: applyImport(deepCopyData(DEFAULT_DATA), result), warnings: result.warnings };
+}
+
+// A judgment as a number; reciprocals may be written as fractions ("1/3")
+const parseJudgment = (v) => {
+  if (typeof v === 'number') return v;
+  const fraction = String(v).trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  return fraction ? Number(fraction[1]) / Number(fraction[2]) : parseNumber(v);
+};
+
+// --pairwise value -> number matrix (JSON file, CSV file or inline "a,b;c,d")
+export function loadPairwise(spec) {
+  const fromFile = existsSync(spec);
+  const text = fromFile ? readText(spec) : spec;
+  const source = fromFile ? spec : 'pairwise matrix';
+  const matrix = text.trim().startsWith('[')
+    ? parseJSON(text, source)
+    : text.trim().split(/\s*[;\r\n]+\s*/).filter(Boolean).map(line => parseDelimited(line, detectDelimiter(line))[0]);
+  const numeric = Array.isArray(matrix) && matrix.map(row => (Array.isArray(row) ? row.map(parseJudgment) : null));
+  if (!numeric || numeric.some(row => !row || row.some(v => !Number.isFinite(v)))) {
+    throw new MCDMError(ERROR_CODES.PARSE_ERROR, `${source} must be a square matrix of numbers`, { source });
+  }
+  return numeric;
+}
+
+// Map an error to its exit code
+export function exitCodeFor(err) {
+  if (err instanceof UsageError) return EXIT_CODES.USAGE;
+  if (!(err instanceof MCDMError)) return EXIT_CODES.USAGE;
+  switch (err.code) {
+    case ERROR_CODES.PARSE_ERROR:
+    case ERROR_CODES.INVALID_INPUT: return EXIT_CODES.PARSE;
+    case ERROR_CODES.INFEASIBLE:
+    case ERROR_CODES.UNBOUNDED: return EXIT_CODES.INFEASIBLE;
+    case ERROR_CODES.SOLVER_LIMIT: return EXIT_CODES.SOLVER_LIMIT;
+    default: return EXIT_CODES.USAGE;
+  }
+}
+
+export function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+  if (values.help) {
+    stdout.write(USAGE + '\n');
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    if (!values.data) throw new UsageError('--data is required');
+    if (!GRANULARITIES[values.granularity]) throw new UsageError(`--granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+    const format = values.format || (values.out && extname(values.out).toLowerCase() === '.json' ? 'json' : 'csv');
+    if (!['csv', 'json'].includes(format)) throw new UsageError('--format must be csv or json');
+
+    const { data, warnings } = loadData(readText(values.data), { file: values.data, delimiter: values.delimiter, decimal: values.decimal });
+    warnings.forEach(w => stderr.write(`warning: ${w}\n`));
+    const { criteria } = data;
+    const mode = values.mode;
+    if (mode !== 'multiObjective' && !criteria.some(c => c.id === mode)) {
+      throw new UsageError(`--mode must be multiObjective or one of ${criteria.map(c => c.id).join(', ')}`);
+    }
+    if (!NORMALIZATION_METHODS[values.normalization]) {
+      throw new UsageError(`--normalization must be one of ${Object.keys(NORMALIZATION_METHODS).join(', ')}`);
+    }
+
+    const settings = {
+      ...DEFAULT_CONSTRAINT_SETTINGS,
+      periodCapacity: !values['no-period-capacity'],
+      cumulativeCapacity: !values['no-cumulative-capacity'],
+      totalCapacity: values['total-capacity'],
+      inventory: values.inventory,
+      initialInventory: numberOption(values, 'initial-inventory', 0),
+      holdingCost: numberOption(values, 'holding-cost', 0),
+      integerLots: values['integer-lots'],
+      lotSize: numberOption(values, 'lot-size', 1),
+      setupCost: numberOption(values, 'setup-cost', 0),
+      minRun: numberOption(values, 'min-run', 0),
+      mipTimeLimit: numberOption(values, 'time-limit', DEFAULT_CONSTRAINT_SETTINGS.mipTimeLimit),
+      workforce: values.workforce,
+      ...Object.fromEntries(Object.entries(WORKFORCE_OPTIONS).map(([name, key]) => [key, numberOption(values, name, DEFAULT_CONSTRAINT_SETTINGS[key])]))
+    };
+
+    let ahp = null;
+    if (mode === 'multiObjective' || values.pairwise) {
+      const defaultCriteria = DEFAULT_DATA.criteria.map(c => c.id).join('|');
+      if (!values.pairwise && criteria.map(c => c.id).join('|') !== defaultCriteria) {
+        throw new UsageError('--pairwise is required when the data does not use the default criteria');
+      }
+      const matrix = values.pairwise ? loadPairwise(values.pairwise) : DEFAULT_PAIRWISE;
+      if (matrix.length !== criteria.length) {
+        throw new MCDMError(ERROR_CODES.INVALID_INPUT, `the pairwise matrix is ${matrix.length}x${matrix.length} but there are ${criteria.length} criteria`);
+      }
+      ahp = computeAHPFromMatrix(matrix);
+      if (ahp.CR >= CR_THRESHOLD) {
+        stderr.write(`${values['allow-inconsistent'] ? 'warning' : 'error'}: AHP matrix is inconsistent (CR = ${ahp.CR.toFixed(3)} >= ${CR_THRESHOLD})\n`);
+        if (!values['allow-inconsistent']) return EXIT_CODES.INCONSISTENT;
+      }
+    }
+
+    const normalization = mode === 'multiObjective' ? { method: values.normalization } : null;
+    const plan = solveMode(mode, { data, weights: ahp && ahp.weights, settings, normalization });
+    const horizon = { startDate: values.start, granularity: values.granularity, periods: data.orders.length };
+    const periodLabels = buildPeriods(horizon).map(p => p.label);
+    const table = resultsTable(criteria, plan, periodLabels, GRANULARITIES[values.granularity].unit);
+
+    const output = format === 'csv'
+      ? resultsToCSV(table)
+      : JSON.stringify({
+        mode,
+        label: modeLabel(mode, criteria),
+        status: plan.status,
+        objective: plan.objective,
+        mip: plan.mip || null,
+        ahp: ahp && { weights: ahp.weights, lambdaMax: ahp.lambdaMax, CI: ahp.CI, CR: ahp.CR },
+        normalization: plan.normalization ? { method: plan.normalization.method, ideal: plan.normalization.payoff.ideal, nadir: plan.normalization.payoff.nadir, normalized: plan.normalized } : null,
+        improvements: computeImprovements(criteria, plan.values, data.orders, planSurcharges(plan, settings)),
+        workforce: plan.workforce ? { cost: plan.workforceCost, ...plan.workforce.costs } : null,
+        shortfall: plan.shortfall.map(s => ({ period: periodLabels[s.period], shortfall: s.shortfall })),
+        columns: table.columns,
+        rows: table.rows.map(row => Object.fromEntries(table.columns.map((col, k) => [col, row[k]]))),
+        totals: Object.fromEntries(table.totals)
+      }, null, 2) + '\n';
+
+    if (values.out) writeFileSync(values.out, output);
+    else stdout.write(output);
+    if (plan.mip && plan.mip.status !== 'optimal') {
+      stderr.write(`warning: branch-and-bound stopped at its ${plan.mip.status === 'timeLimit' ? 'time' : 'node'} limit (gap ${(plan.mip.gap * 100).toFixed(2)}%)\n`);
+    }
+    plan.shortfall.forEach(s => stderr.write(`warning: orders exceed capacity in ${periodLabels[s.period]} by ${Math.round(s.shortfall)}; the period is planned at capacity\n`));
+    return EXIT_CODES.OK;
+  } catch (err) {
+    const code = exitCodeFor(err);
+    stderr.write(`error: ${err.message}\n`);
+    if (code === EXIT_CODES.USAGE && err instanceof UsageError) stderr.write(`\n${USAGE}\n`);
+    return code;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = run(process.argv.slice(2));
+}
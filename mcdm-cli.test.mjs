@@ -0,0 +1,104 @@
+// mcdm-cli.test.mjs — run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { run, EXIT_CODES } from './mcdm-cli.mjs';
+import { DEFAULT_DATA } from './mcdmCore.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'mcdm-cli-'));
+const file = (name, text) => {
+  const path = join(dir, name);
+  writeFileSync(path, text);
+  return path;
+};
+const capture = (argv) => {
+  const out = { stdout: '', stderr: '' };
+  const code = run(argv, { stdout: { write: s => { out.stdout += s; } }, stderr: { write: s => { out.stderr += s; } } });
+  return { code, ...out };
+};
+
+const header = 'Month,Orders,Capacity,Turnover (1000 RON),Cost,Productivity';
+const csv = [header, ...DEFAULT_DATA.orders.map((o, i) =>
+  [`P${i + 1}`, o, DEFAULT_DATA.capacity[i], ...DEFAULT_DATA.criteria.map(c => c.values[i])].join(','))].join('\n');
+const dataFile = file('data.csv', csv);
+
+test('single-objective CSV output matches the Results tab columns', () => {
+  const { code, stdout } = capture(['--data', dataFile, '--mode', 'cost']);
+  assert.equal(code, EXIT_CODES.OK);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'Month,PlannedProduction,TurnoverContribution,CostContribution,ProductivityContribution');
+  assert.equal(lines[1].split(',')[0], 'Jan');
+  assert.ok(lines.includes('TotalCost,1634237795.00'));
+});
+
+test('JSON output carries AHP and totals', () => {
+  const { code, stdout } = capture(['--data', dataFile, '--pairwise', '1,1/3,1;3,1,3;1,1/3,1', '--format', 'json']);
+  assert.equal(code, EXIT_CODES.OK);
+  const result = JSON.parse(stdout);
+  assert.equal(result.rows.length, 12);
+  assert.ok(result.ahp.CR < 1e-9);
+  assert.deepEqual(Object.keys(result.totals), ['TotalTurnover', 'TotalCost', 'TotalProductivity']);
+  assert.equal(result.normalization.method, 'minMax');
+  assert.ok(Object.values(result.normalization.normalized).every(n => n >= -1e-9 && n <= 1 + 1e-9));
+});
+
+test('JSON data with products and lines derives the aggregates and adds per-product columns', () => {
+  const products = {
+    ...DEFAULT_DATA,
+    products: [
+      { id: 'a', name: 'A', minOrders: DEFAULT_DATA.orders.map(o => Math.round(o / 2)), maxOrders: null, values: {} },
+      { id: 'b', name: 'B', minOrders: DEFAULT_DATA.orders.map(o => Math.round(o / 4)), maxOrders: null, values: {} }
+    ],
+    lines: [{ id: 'l1', name: 'L1', capacity: DEFAULT_DATA.capacity }],
+    routing: [[true, true]]
+  };
+  const { code, stdout } = capture(['--data', file('products.json', JSON.stringify(products)), '--mode', 'cost']);
+  assert.equal(code, EXIT_CODES.OK);
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], 'Month,PlannedProduction,ProductionA,ProductionB,TurnoverContribution,CostContribution,ProductivityContribution');
+  const [, total, a, b] = lines[1].split(',').map(Number);
+  assert.equal(total, a + b);
+});
+
+test('--workforce adds the staffing columns and the workforce cost to the totals', () => {
+  const { code, stdout } = capture(['--data', dataFile, '--mode', 'cost', '--workforce', '--wage', '5000', '--max-fires', '10', '--format', 'json']);
+  assert.equal(code, EXIT_CODES.OK);
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.columns.slice(2, 8), ['Headcount', 'Shifts', 'Hires', 'Separations', 'OvertimeWorkerPeriods', 'WorkforceCost']);
+  assert.ok(result.rows.every(row => row.Separations <= 10 + 1e-6));
+  assert.ok(Number(result.totals.TotalCost) > 1634237795 + result.workforce.cost - 1);
+  assert.equal(capture(['--data', dataFile, '--mode', 'cost', '--workforce', '--wage', '-1']).code, EXIT_CODES.USAGE);
+  assert.equal(capture(['--data', dataFile, '--mode', 'cost', '--workforce', '--max-hires', '0', '--initial-workers', '0']).code, EXIT_CODES.INFEASIBLE);
+});
+
+test('unmapped CSV columns are warned about once', () => {
+  const { code, stderr } = capture(['--data', file('partial.csv', 'Month,Orders,Capacity\nJan,100,200\nFeb,100,200\n'), '--mode', 'cost']);
+  assert.equal(code, EXIT_CODES.OK);
+  const warnings = stderr.trim().split('\n').filter(line => line.startsWith('warning:'));
+  assert.equal(warnings.length, DEFAULT_DATA.criteria.length);
+  assert.equal(new Set(warnings).size, warnings.length);
+});
+
+test('orders above capacity are warned about per period', () => {
+  const { code, stdout, stderr } = capture(['--data', file('over.csv', 'Month,Orders,Capacity\nJan,100,50\nFeb,100,50\n'), '--mode', 'cost', '--format', 'json']);
+  assert.equal(code, EXIT_CODES.OK);
+  assert.ok(stderr.includes('warning: orders exceed capacity in Jan by 50'));
+  assert.deepEqual(JSON.parse(stdout).shortfall, [{ period: 'Jan', shortfall: 50 }, { period: 'Feb', shortfall: 50 }]);
+});
+
+test('exit codes for inconsistent AHP, parse errors, infeasible models and usage', () => {
+  assert.equal(capture(['--data', dataFile]).code, EXIT_CODES.INCONSISTENT);
+  assert.equal(capture(['--data', dataFile, '--allow-inconsistent']).code, EXIT_CODES.OK);
+  assert.equal(capture(['--data', file('bad.csv', 'Month,Orders,Capacity\nJan,abc,5\n')]).code, EXIT_CODES.PARSE);
+  assert.equal(capture(['--data', file('bad.json', '{oops')]).code, EXIT_CODES.PARSE);
+  ['null', '[]', '{"criteria":[]}', JSON.stringify({ criteria: DEFAULT_DATA.criteria })].forEach((text, k) =>
+    assert.equal(capture(['--data', file(`invalid${k}.json`, text)]).code, EXIT_CODES.PARSE, text));
+  assert.equal(capture(['--data', dataFile, '--pairwise', '1,2;0.5,1']).code, EXIT_CODES.PARSE);
+  const infeasible = file('inf.csv', 'Month,Orders,Capacity\nJan,100,5\nFeb,100,5\n');
+  assert.equal(capture(['--data', infeasible, '--mode', 'cost', '--no-period-capacity']).code, EXIT_CODES.INFEASIBLE);
+  assert.equal(capture(['--data', dataFile, '--mode', 'nope']).code, EXIT_CODES.USAGE);
+  assert.equal(capture(['--data', dataFile, '--normalization', 'log']).code, EXIT_CODES.USAGE);
+  assert.equal(capture(['--bogus']).code, EXIT_CODES.USAGE);
+});
@@ -0,0 +1,3901 @@
+/**
+ * mcdmCore.mjs
+ * Framework-free calculation core of the MCDM production-planning app (no React, no DOM):
+ * - planning horizon and criteria registry helpers
+ * - AHP (eigenvector, consistency repair), group AHP and fuzzy AHP
+ * - exact LP (two-phase simplex) and branch-and-bound, the production constraint model,
+ *   single-/multi-objective modes, goal programming, Pareto frontier and sensitivity analysis
+ * - products × lines × periods planning with per-product order bounds, line capacities and routing
+ * - an optional workforce layer: headcount by shift, overtime, hiring and firing staffed from productivity
+ * - strategy comparison: dominance, distance to the ideal point and generated conclusions
+ * - coordinates for the trade-off views (parallel coordinates, radar, 3-D scatter, scatter matrix)
+ * - uncertainty models, Monte Carlo plan evaluation and robust (Bertsimas–Sim) plans
+ * - SAW / TOPSIS / VIKOR / PROMETHEE II ranking, CSV import parsing, scenarios
+ * - versioned project files and share links, the standalone HTML report
+ * - the background job queue and the message loop run by mcdmWorker.mjs
+ *
+ * Nothing here alerts or logs: invalid input and solver failures throw MCDMError with a
+ * machine-readable `code` (see ERROR_CODES) and a `details` object.
+ *
+ * Tests: node --test (mcdmCore.test.mjs)
+ */
+
+// ---------------------- Types ----------------------
+/**
+ * @typedef {Object} Criterion
+ * @property {string} id          stable key (also the mode name when optimized alone)
+ * @property {string} name
+ * @property {string} unit
+ * @property {'benefit'|'cost'} direction
+ * @property {number} scale       multiplies sum(v_i * x_i) into the reported total
+ * @property {number} [weightScale] multiplies Z_k in the unnormalized weighted sum (default 1)
+ * @property {number[]} values    per-period coefficients v_i
+ * @property {number} [step]
+ * @property {string} [color]
+ * @property {string[]} [aliases] extra CSV header names
+ */
+
+/**
+ * @typedef {Object} ProblemData
+ * @property {Criterion[]} criteria
+ * @property {number[]} orders    per-period demand
+ * @property {number[]} capacity  per-period production capacity
+ * @property {Object[]} [products] multi-product model (see syncProductData); orders, capacity and
+ *                                 criterion values are then derived aggregates
+ * @property {Object[]} [lines]
+ * @property {boolean[][]} [routing] lines × products eligibility
+ */
+
+/**
+ * @typedef {Object} AHPResult
+ * @property {number[]} weights   principal eigenvector, sums to 1
+ * @property {number} lambdaMax
+ * @property {number} CI
+ * @property {number} RI
+ * @property {number} CR          consistent when below CR_THRESHOLD
+ * @property {number} iterations
+ */
+
+/**
+ * @typedef {Object} LPProblem
+ * @property {number[]} objective
+ * @property {number[]} [lower]   finite, default 0
+ * @property {number[]} [upper]   default Infinity
+ * @property {{ coeffs: number[], op: '<='|'>='|'=', rhs: number }[]} [constraints]
+ * @property {boolean} [maximize]
+ */
+
+/**
+ * @typedef {Object} LPResult
+ * @property {'optimal'|'infeasible'|'unbounded'} status
+ * @property {number[]|null} x
+ * @property {number|null} objective
+ * @property {number[]|null} duals
+ * @property {number[]|null} reducedCosts
+ */
+
+/**
+ * @typedef {Object} Plan
+ * @property {number[]} solution          production x_i per period
+ * @property {number[]|null} inventory    end-of-period stock I_i (carry-over mode)
+ * @property {number[]|null} setups       setup binaries y_i (mixed-integer mode)
+ * @property {number[]} variables         full solver vector
+ * @property {number} holdingCost
+ * @property {number} setupCost
+ * @property {number} [workforceCost]  wages, overtime, hiring and firing (workforce layer)
+ * @property {Object|null} [workforce]  staffing plan: headcount, byShift, hires, fires, overtime, shiftsUsed, cost, costs
+ * @property {{ period: number, shortfall: number }[]} shortfall  orders the period capacity cannot cover
+ *   (no carry-over); those periods are planned at capacity
+ * @property {number} objective
+ * @property {string} status
+ * @property {{ family: string, period: number|null, label?: string, value: number }[]|null} shadowPrices
+ * @property {{ status: string, gap: number, nodes: number, elapsedMs: number, bound: number }} [mip]
+ * @property {Object<string, number>} values  Z_k per criterion id
+ * @property {{ products: Object[], lines: Object[], allocation: number[][][], contributions: Object<string, number[]> }} [mix]
+ *   product model only: quantities per product, load per line, x_{p,l,i} and per-period contributions
+ */
+
+// ---------------------- Errors ----------------------
+export const ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',     // malformed or inconsistent arguments
+  INFEASIBLE: 'INFEASIBLE',           // no plan satisfies the constraints
+  UNBOUNDED: 'UNBOUNDED',             // the objective can grow without limit
+  ITERATION_LIMIT: 'ITERATION_LIMIT', // simplex did not terminate
+  SOLVER_LIMIT: 'SOLVER_LIMIT',       // branch-and-bound hit its time or node limit without a plan
+  PARSE_ERROR: 'PARSE_ERROR',         // unreadable import text
+  CANCELLED: 'CANCELLED',             // background job cancelled by the user
+  INTERNAL: 'INTERNAL'                // anything else (a bug)
+};
+
+/** Error thrown by every function in this module; `code` is one of ERROR_CODES. */
+export class MCDMError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {Object} [details]
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'MCDMError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// MCDMError <-> structured-clone friendly message (errors lose their class crossing postMessage)
+const errorToMessage = (err) => ({
+  code: err instanceof MCDMError ? err.code : 'INTERNAL',
+  message: err && err.message ? err.message : String(err),
+  details: err instanceof MCDMError ? err.details : {}
+});
+
+const errorFromMessage = ({ code, message, details }) => new MCDMError(code || 'INTERNAL', message, details || {});
+
+// ---------------------- Constants ----------------------
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// ---------------------- Planning horizon ----------------------
+// A horizon is { startDate: 'YYYY-MM-DD', granularity, periods }; every per-period series
+// (criteria coefficients, orders, capacity) has exactly `periods` entries.
+export const GRANULARITIES = {
+  day: { unit: 'Day', adjective: 'Daily' },
+  week: { unit: 'Week', adjective: 'Weekly' },
+  month: { unit: 'Month', adjective: 'Monthly' },
+  quarter: { unit: 'Quarter', adjective: 'Quarterly' }
+};
+
+export const DEFAULT_HORIZON = { startDate: '2024-01-01', granularity: 'month', periods: 12 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseISODate = (iso) => {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  return new Date(Date.UTC(y || 1970, (m || 1) - 1, d || 1));
+};
+
+// Date k periods after `date` (UTC); month/quarter steps clamp the day to the target month's length
+function addPeriods(date, granularity, k) {
+  if (granularity === 'day') return new Date(date.getTime() + k * DAY_MS);
+  if (granularity === 'week') return new Date(date.getTime() + 7 * k * DAY_MS);
+  const months = granularity === 'quarter' ? 3 * k : k;
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+}
+
+// ISO-8601 week number of a UTC date
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+}
+
+// Periods of a horizon: [{ label, start, end }] with `end` exclusive. Labels carry the year
+// only when the horizon spans more than one calendar year.
+export function buildPeriods(horizon) {
+  const start = parseISODate(horizon.startDate);
+  const { granularity } = horizon;
+  const periods = Array.from({ length: horizon.periods }, (_, k) => ({
+    start: addPeriods(start, granularity, k),
+    end: addPeriods(start, granularity, k + 1)
+  }));
+  const years = new Set(periods.map(p => p.start.getUTCFullYear()));
+  const withYear = (label, d) => (years.size > 1 ? `${label} ${d.getUTCFullYear()}` : label);
+  return periods.map(p => {
+    const d = p.start;
+    let label;
+    if (granularity === 'day') label = `${String(d.getUTCDate()).padStart(2, '0')} ${MONTHS[d.getUTCMonth()]}`;
+    else if (granularity === 'week') label = `W${String(isoWeek(d)).padStart(2, '0')}`;
+    else if (granularity === 'quarter') label = `Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+    else label = MONTHS[d.getUTCMonth()];
+    return { ...p, label: withYear(label, d) };
+  });
+}
+
+// Truncate a series, or pad it by repeating its last value
+export const resizeSeries = (values, n) =>
+  Array.from({ length: n }, (_, i) => (i < values.length ? values[i] : values.length ? values[values.length - 1] : 0));
+
+// Number of `granularity` periods needed to cover the span of an existing horizon
+export function periodsToCover(horizon, granularity) {
+  const start = parseISODate(horizon.startDate);
+  const end = addPeriods(start, horizon.granularity, horizon.periods);
+  let k = 1;
+  while (addPeriods(start, granularity, k) < end) k++;
+  return k;
+}
+
+/**
+ * Re-aggregate per-period data from one horizon onto another by day overlap.
+ * Orders and capacity are quantities per period, so they are split/summed pro rata;
+ * criteria coefficients are per-unit rates, so they are overlap-weighted averages.
+ * Target periods outside the source span take the nearest source period.
+ */
+export function reaggregateData(data, fromHorizon, toHorizon) {
+  const src = buildPeriods(fromHorizon);
+  const dst = buildPeriods(toHorizon);
+  const length = (p) => p.end - p.start;
+  const mid = (p) => (p.start.getTime() + p.end.getTime()) / 2;
+  const overlaps = dst.map(d => src.map(p => Math.max(0, Math.min(d.end, p.end) - Math.max(d.start, p.start))));
+  const nearest = (d) => src.reduce((best, p, k) => (Math.abs(mid(p) - mid(d)) < Math.abs(mid(src[best]) - mid(d)) ? k : best), 0);
+
+  const quantities = (values) => dst.map((d, t) => {
+    if (overlaps[t].every(o => o === 0)) {
+      const k = nearest(d);
+      return Math.round(values[k] * length(d) / length(src[k]));
+    }
+    return Math.round(overlaps[t].reduce((s, o, k) => s + values[k] * o / length(src[k]), 0));
+  });
+  const rates = (values) => dst.map((d, t) => {
+    const total = overlaps[t].reduce((a, b) => a + b, 0);
+    if (!total) return values[nearest(d)];
+    return overlaps[t].reduce((s, o, k) => s + values[k] * o, 0) / total;
+  });
+
+  const next = {
+    criteria: data.criteria.map(c => ({ ...c, aliases: [...(c.aliases || [])], values: rates(c.values) })),
+    orders: quantities(data.orders),
+    capacity: quantities(data.capacity)
+  };
+  return hasProducts(data) ? mapProductSeries({ ...next, ...copyProductData(data) }, quantities, rates) : next;
+}
+
+// ---------------------- Criteria registry ----------------------
+// Every criterion contributes one objective Z_k = scale_k * sum(v_ki * x_i), maximized when
+// direction is 'benefit' and minimized when it is 'cost'. `scale` converts the coefficient unit
+// into the reported total (turnover coefficients are in 1000 RON). `weightScale` multiplies Z_k
+// in the weighted sum without normalization: cost keeps the original w1*T*1000 - w2*C*1000 + w3*P.
+export const DEFAULT_CRITERIA = [
+  {
+    id: 'turnover', name: 'Turnover', unit: '1000 RON', direction: 'benefit', scale: 1000, step: 10, color: '#10b981',
+    aliases: ['sales'],
+    values: [1450, 1320, 1167, 1820, 1097, 1085, 1094, 1030, 1007, 1203, 1119, 928]
+  },
+  {
+    id: 'cost', name: 'Cost', unit: 'RON', direction: 'cost', scale: 1, weightScale: 1000, step: 10, color: '#ef4444',
+    aliases: [],
+    values: [80, 75, 70, 65, 60, 55, 50, 45, 40, 35, 30, 25]
+  },
+  {
+    id: 'productivity', name: 'Productivity', unit: 'pieces/worker', direction: 'benefit', scale: 1, step: 100, color: '#8b5cf6',
+    aliases: ['product'],
+    values: [9676, 10924, 12131, 11081, 11625, 11499, 11082, 11127, 10943, 13441, 12180, 10342]
+  }
+];
+
+export const CRITERION_COLORS = ['#10b981', '#ef4444', '#8b5cf6', '#f59e0b', '#0ea5e9', '#ec4899', '#14b8a6', '#64748b'];
+
+export const DEFAULT_DATA = {
+  criteria: DEFAULT_CRITERIA,
+  orders: [2548556, 2550855, 2735389, 2503787, 2750643, 2624632, 2563748, 2563748, 2451276, 2992994, 2761731, 2258991],
+  capacity: [2700000, 2500000, 2700000, 2800000, 2800000, 2700000, 2800000, 3000000, 2800000, 3000000, 2800000, 2100000]
+};
+
+export const DEFAULT_PAIRWISE = [[1, 0.2, 0.333], [5, 1, 5], [3, 0.2, 1]];
+export const EDIT_HISTORY_LIMIT = 100;
+
+// ---------------------- Helper functions ----------------------
+export const deepCopyData = (d) => ({
+  criteria: d.criteria.map(c => ({ ...c, aliases: [...(c.aliases || [])], values: [...c.values] })),
+  orders: [...d.orders],
+  capacity: [...d.capacity],
+  ...(hasProducts(d) ? copyProductData(d) : {})
+});
+
+// +1 for criteria we maximize, -1 for criteria we minimize
+export const directionSign = (criterion) => (criterion.direction === 'cost' ? -1 : 1);
+
+// Stable id for a user-added criterion ("CO2 emissions" -> "co2Emissions"), unique within the registry
+export function makeCriterionId(name, criteria) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+(.)?/g, (_, ch) => (ch ? ch.toUpperCase() : '')) || 'criterion';
+  const taken = new Set([...criteria.map(c => c.id), 'multiObjective', 'goalProgramming', 'robust', 'orders', 'capacity']);
+  let id = base;
+  for (let k = 2; taken.has(id); k++) id = `${base}${k}`;
+  return id;
+}
+
+// Display name of an optimization mode (a criterion id, 'multiObjective', 'goalProgramming' or 'robust')
+export function modeLabel(mode, criteria) {
+  if (mode === 'multiObjective') return 'Multi-Objective (Pareto Optimal)';
+  if (mode === 'goalProgramming') return 'Goal Programming';
+  if (mode === 'robust') return 'Robust (Bertsimas–Sim)';
+  const c = criteria.find(cr => cr.id === mode);
+  if (!c) return mode;
+  return `${c.name} ${c.direction === 'cost' ? 'Minimization' : 'Maximization'}`;
+}
+
+// Multiplier of Z_k in the unnormalized weighted sum
+export const weightScaleOf = (criterion) => (Number.isFinite(criterion.weightScale) && criterion.weightScale > 0 ? criterion.weightScale : 1);
+
+// "Z = w1*Z1 - w2*1000*Z2 + w3*Z3" for the current registry
+// (or "Z = w1*N1 + w2*N2 + w3*N3" over normalized objectives, whose N_k already point upwards)
+export const combinedFormula = (criteria, normalization = 'none') => 'Z = ' + criteria
+  .map((c, k) => (normalization && normalization !== 'none'
+    ? `${k === 0 ? '' : ' + '}w${k + 1}*N${k + 1}`
+    : `${k === 0 ? (c.direction === 'cost' ? '-' : '') : (c.direction === 'cost' ? ' - ' : ' + ')}w${k + 1}*${weightScaleOf(c) !== 1 ? `${weightScaleOf(c)}*` : ''}Z${k + 1}`))
+  .join('');
+
+// Grow/shrink a pairwise matrix when a criterion is added (neutral 1s) or removed
+export function resizePairwise(matrix, n, removeIndex = -1) {
+  const kept = removeIndex < 0 ? matrix : matrix.filter((_, i) => i !== removeIndex).map(row => row.filter((_, j) => j !== removeIndex));
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (kept[i] && kept[i][j] !== undefined ? kept[i][j] : 1)));
+}
+
+// ---------------------- AHP ----------------------
+// Saaty's random consistency index RI(n), n = 1..15 (index 0 unused)
+export const RANDOM_INDEX = [0, 0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49, 1.51, 1.48, 1.56, 1.57, 1.59];
+export const CR_THRESHOLD = 0.1;
+
+// Saaty's 1-9 scale and its reciprocals, ascending
+export const SAATY_SCALE = [9, 8, 7, 6, 5, 4, 3, 2].map(v => 1 / v).concat([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+/**
+ * AHP: principal eigenvector by power iteration + consistency.
+ * @param {number[][]} matrix  n x n positive reciprocal pairwise matrix
+ * @param {{ tolerance?: number, maxIterations?: number }} [options]
+ * @returns {AHPResult}
+ * @throws {MCDMError} INVALID_INPUT for an empty, non-square or non-positive matrix
+ */
+export function computeAHPFromMatrix(matrix, { tolerance = 1e-12, maxIterations = 1000 } = {}) {
+  // matrix: NxN positive reciprocal matrix
+  const n = matrix.length;
+  if (!n) throw new MCDMError('INVALID_INPUT', 'the pairwise matrix is empty');
+  matrix.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== n) throw new MCDMError('INVALID_INPUT', `pairwise matrix row ${i + 1} does not have ${n} entries`, { row: i });
+    row.forEach((val, j) => {
+      if (!Number.isFinite(val) || val <= 0) {
+        throw new MCDMError('INVALID_INPUT', `pairwise judgment (${i + 1}, ${j + 1}) must be a positive number`, { row: i, column: j, value: val });
+      }
+    });
+  });
+  let weights = Array(n).fill(1 / n);
+  let lambdaMax = n;
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    const next = matrix.map(row => row.reduce((s, val, j) => s + val * weights[j], 0));
+    // weights sum to 1, so the sum of A·w converges to lambda_max
+    lambdaMax = next.reduce((a, b) => a + b, 0);
+    const normalized = next.map(v => v / (lambdaMax || 1));
+    const delta = Math.max(...normalized.map((v, i) => Math.abs(v - weights[i])));
+    weights = normalized;
+    if (delta < tolerance) break;
+  }
+
+  const CI = n > 1 ? (lambdaMax - n) / (n - 1) : 0;
+  const RI = RANDOM_INDEX[Math.min(n, RANDOM_INDEX.length - 1)];
+  const CR = RI ? CI / RI : 0;
+
+  return { weights, lambdaMax, CI, RI, CR, iterations };
+}
+
+// Nearest Saaty-scale judgment to a ratio (compared on a log scale, so 1/3 and 3 are symmetric)
+const nearestSaatyValue = (ratio) =>
+  SAATY_SCALE.reduce((best, v) => (Math.abs(Math.log(v / ratio)) < Math.abs(Math.log(best / ratio)) ? v : best), 1);
+
+/**
+ * Upper-triangle judgments ranked by their contribution to the inconsistency.
+ * e_ij = a_ij * w_j / w_i is 1 for a perfectly consistent judgment; a judgment's share is
+ * ln(e_ij)^2 over the sum for the whole matrix.
+ */
+export function rankInconsistentJudgments(matrix, weights) {
+  const items = [];
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = i + 1; j < matrix.length; j++) {
+      const implied = weights[i] / weights[j];
+      const error = Math.log(matrix[i][j] / implied) ** 2;
+      items.push({ i, j, value: matrix[i][j], implied, error });
+    }
+  }
+  const total = items.reduce((s, it) => s + it.error, 0) || 1;
+  return items.map(it => ({ ...it, share: it.error / total })).sort((a, b) => b.error - a.error);
+}
+
+/**
+ * Revise the worst judgment to the Saaty value closest to the ratio implied by the weights,
+ * recompute, and repeat until CR < threshold. A judgment may be revised more than once; it is
+ * reported once with its original value, its share of the initial inconsistency and the final
+ * suggestion; crAfter is the CR right after its last revision (with all revisions made so far).
+ */
+export function suggestConsistencyRepairs(matrix, { threshold = CR_THRESHOLD, maxSteps = 4 * matrix.length * matrix.length } = {}) {
+  const current = matrix.map(row => [...row]);
+  let res = computeAHPFromMatrix(current);
+  const initialShares = new Map(rankInconsistentJudgments(current, res.weights).map(it => [`${it.i},${it.j}`, it.share]));
+  const byPair = new Map();
+  for (let step = 0; step < maxSteps && res.CR >= threshold; step++) {
+    // first judgment whose revision actually changes the matrix
+    let pick = null;
+    for (const it of rankInconsistentJudgments(current, res.weights)) {
+      const snapped = nearestSaatyValue(it.implied);
+      const suggested = Math.abs(snapped - it.value) > 1e-9 ? snapped : Number(it.implied.toFixed(3));
+      if (Math.abs(suggested - it.value) > 1e-3) {
+        pick = { ...it, suggested };
+        break;
+      }
+    }
+    if (!pick) break;
+    const key = `${pick.i},${pick.j}`;
+    if (!byPair.has(key)) byPair.set(key, { i: pick.i, j: pick.j, current: matrix[pick.i][pick.j], share: initialShares.get(key) });
+    current[pick.i][pick.j] = pick.suggested;
+    current[pick.j][pick.i] = 1 / pick.suggested;
+    res = computeAHPFromMatrix(current);
+    // keep the pair in the order it was first revised, with its latest value
+    Object.assign(byPair.get(key), { suggested: pick.suggested, crAfter: res.CR });
+  }
+  const suggestions = [...byPair.values()];
+  return { suggestions, resolved: res.CR < threshold, finalCR: res.CR };
+}
+
+// ---------------------- Group & fuzzy AHP ----------------------
+const geometricMean = (values, weights) => {
+  const total = weights ? weights.reduce((a, b) => a + b, 0) : values.length;
+  return Math.exp(values.reduce((s, v, k) => s + (weights ? weights[k] : 1) * Math.log(v), 0) / total);
+};
+
+// AIJ: cell-wise (weighted) geometric mean of the experts' judgments; stays reciprocal
+export function aggregateJudgments(matrices, expertWeights) {
+  const n = matrices[0].length;
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+    geometricMean(matrices.map(m => Number(m[i][j]) || 1), expertWeights)));
+}
+
+// AIP: (weighted) geometric mean of the experts' priority vectors, renormalized
+export function aggregatePriorities(priorityVectors, expertWeights) {
+  const gm = priorityVectors[0].map((_, i) => geometricMean(priorityVectors.map(w => Math.max(w[i], 1e-12)), expertWeights));
+  const sum = gm.reduce((a, b) => a + b, 0);
+  return gm.map(v => v / sum);
+}
+
+/**
+ * Triangular fuzzy pairwise matrix [l, m, u] per cell. Each expert's judgment a >= 1 becomes
+ * (max(1, a - spread), a, min(9, a + spread)) with reciprocals for a < 1; the panel is then
+ * aggregated as (min l, geometric mean m, max u), so disagreement widens the triangles.
+ */
+export function buildFuzzyMatrix(matrices, spread = 1) {
+  const n = matrices[0].length;
+  const fuzzify = (a) => {
+    if (a >= 1) return [Math.max(1, a - spread), a, Math.min(9, a + spread)];
+    const [l, m, u] = fuzzify(1 / a);
+    return [1 / u, 1 / m, 1 / l];
+  };
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+    if (i === j) return [1, 1, 1];
+    const triangles = matrices.map(mat => fuzzify(Number(mat[i][j]) || 1));
+    return [
+      Math.min(...triangles.map(t => t[0])),
+      geometricMean(triangles.map(t => t[1])),
+      Math.max(...triangles.map(t => t[2]))
+    ];
+  }));
+}
+
+const normalizeVector = (v) => {
+  const sum = v.reduce((a, b) => a + b, 0);
+  return sum > 0 ? v.map(x => x / sum) : v.map(() => 1 / v.length);
+};
+
+// Buckley: fuzzy geometric mean of each row, divided by the fuzzy row sum, centroid-defuzzified
+export function fuzzyWeightsBuckley(fuzzy) {
+  const n = fuzzy.length;
+  const r = fuzzy.map(row => [0, 1, 2].map(k => Math.pow(row.reduce((p, t) => p * t[k], 1), 1 / n)));
+  const sum = [0, 1, 2].map(k => r.reduce((s, t) => s + t[k], 0));
+  const triangles = r.map(t => [t[0] / sum[2], t[1] / sum[1], t[2] / sum[0]]);
+  return { triangles, weights: normalizeVector(triangles.map(t => (t[0] + t[1] + t[2]) / 3)) };
+}
+
+// Chang's extent analysis: synthetic extents S_i, weight_i from min_k V(S_i >= S_k)
+export function fuzzyWeightsChang(fuzzy) {
+  const rowSums = fuzzy.map(row => [0, 1, 2].map(k => row.reduce((s, t) => s + t[k], 0)));
+  const total = [0, 1, 2].map(k => rowSums.reduce((s, t) => s + t[k], 0));
+  const triangles = rowSums.map(t => [t[0] / total[2], t[1] / total[1], t[2] / total[0]]);
+  const possibility = (a, b) => {
+    if (a[1] >= b[1]) return 1;
+    if (b[0] >= a[2]) return 0;
+    return (b[0] - a[2]) / ((a[1] - a[2]) - (b[1] - b[0]));
+  };
+  const degrees = triangles.map((si, i) => Math.min(...triangles.map((sk, k) => (k === i ? 1 : possibility(si, sk)))));
+  return { triangles, weights: normalizeVector(degrees) };
+}
+
+export const FUZZY_AHP_METHODS = {
+  buckley: { label: "Buckley (fuzzy geometric mean)", solve: fuzzyWeightsBuckley },
+  chang: { label: "Chang (extent analysis)", solve: fuzzyWeightsChang }
+};
+
+export const shannonEntropy = (w) => -w.reduce((s, p) => s + (p > 0 ? p * Math.log(p) : 0), 0);
+
+/**
+ * Group AHP over a panel of experts [{ name, matrix, weight }].
+ *   aggregation 'AIJ' (aggregate judgments) or 'AIP' (aggregate priorities)
+ *   fuzzy: null, 'buckley' or 'chang', on the panel's triangular fuzzy matrix with `spread`
+ * Returns {
+ *   experts: [{ name, weight, result (computeAHPFromMatrix), compatibility }],
+ *   group: { weights, matrix (AIJ only), result (AIJ only) },
+ *   fuzzy: { method, weights, triangles } | null,
+ *   consensus: { index, criterionCV: [], judgments: [{ i, j, geometricSD, min, max }] }
+ * }
+ * consensus.index is Goepel's entropy-based relative homogeneity (1 = identical priorities);
+ * compatibility is Saaty's index of an expert's matrix against the group weights (<= 1.1 is compatible).
+ * @param {{ name: string, matrix: number[][], weight?: number }[]} panel
+ * @param {{ aggregation?: 'AIJ'|'AIP', fuzzy?: null|'buckley'|'chang', spread?: number }} [options]
+ * @returns {Object}
+ */
+export function computeGroupAHP(panel, { aggregation = 'AIJ', fuzzy = null, spread = 1 } = {}) {
+  if (!panel.length) throw new MCDMError('INVALID_INPUT', 'the expert panel is empty');
+  const n = panel[0].matrix.length;
+  const matrices = panel.map(e => e.matrix.map(row => row.map(v => Number(v) || 1)));
+  const expertWeights = panel.map(e => (Number(e.weight) > 0 ? Number(e.weight) : 1));
+  const results = matrices.map(m => computeAHPFromMatrix(m));
+
+  let group;
+  if (aggregation === 'AIP') {
+    group = { weights: aggregatePriorities(results.map(r => r.weights), expertWeights), matrix: null, result: null };
+  } else {
+    const matrix = aggregateJudgments(matrices, expertWeights);
+    const result = computeAHPFromMatrix(matrix);
+    group = { weights: result.weights, matrix, result };
+  }
+
+  const fuzzyResult = fuzzy && FUZZY_AHP_METHODS[fuzzy]
+    ? { method: fuzzy, ...FUZZY_AHP_METHODS[fuzzy].solve(buildFuzzyMatrix(matrices, spread)) }
+    : null;
+
+  const compatibility = (m) =>
+    m.reduce((s, row, i) => s + row.reduce((t, a, j) => t + a * group.weights[j] / group.weights[i], 0), 0) / (n * n);
+
+  // Goepel: H_alpha = mean expert entropy, H_gamma = entropy of the mean priorities, D_beta = exp(H_gamma - H_alpha)
+  const meanWeights = results[0].weights.map((_, i) => results.reduce((s, r) => s + r.weights[i], 0) / results.length);
+  const hAlpha = results.reduce((s, r) => s + shannonEntropy(r.weights), 0) / results.length;
+  const dBeta = Math.exp(shannonEntropy(meanWeights) - hAlpha);
+  const dGammaMax = Math.min(panel.length, n);
+  const index = panel.length < 2 ? 1 : Math.min(1, Math.max(0, (1 / dBeta - 1 / dGammaMax) / (1 - 1 / dGammaMax)));
+
+  const criterionCV = meanWeights.map((mean, i) => {
+    const sd = Math.sqrt(results.reduce((s, r) => s + (r.weights[i] - mean) ** 2, 0) / results.length);
+    return mean > 0 ? sd / mean : 0;
+  });
+
+  const judgments = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const logs = matrices.map(m => Math.log(m[i][j]));
+      const mu = logs.reduce((a, b) => a + b, 0) / logs.length;
+      const sd = Math.sqrt(logs.reduce((s, l) => s + (l - mu) ** 2, 0) / logs.length);
+      judgments.push({ i, j, geometricSD: Math.exp(sd), min: Math.min(...matrices.map(m => m[i][j])), max: Math.max(...matrices.map(m => m[i][j])) });
+    }
+  }
+  judgments.sort((a, b) => b.geometricSD - a.geometricSD);
+
+  return {
+    experts: panel.map((e, k) => ({ name: e.name, weight: expertWeights[k], result: results[k], compatibility: compatibility(matrices[k]) })),
+    group,
+    fuzzy: fuzzyResult,
+    consensus: { index, criterionCV, judgments }
+  };
+}
+
+// ---------------------- LP solver (two-phase simplex) ----------------------
+export const LP_EPS = 1e-9;
+const LP_MAX_ITERATIONS = 50000;
+
+// Pivot the tableau on (row, col) and record the new basic variable
+function pivotTableau(T, basis, row, col) {
+  const pivotRow = T[row];
+  const p = pivotRow[col];
+  for (let j = 0; j < pivotRow.length; j++) pivotRow[j] /= p;
+  for (let i = 0; i < T.length; i++) {
+    if (i === row) continue;
+    const factor = T[i][col];
+    if (Math.abs(factor) < LP_EPS) continue;
+    const r = T[i];
+    for (let j = 0; j < r.length; j++) r[j] -= factor * pivotRow[j];
+  }
+  basis[row] = col;
+}
+
+// Maximize cost·v over the tableau; only columns flagged in `allowed` may enter.
+// Dantzig pricing, switching to Bland's rule after a run of degenerate pivots so it cannot cycle.
+function runSimplex(T, basis, cost, allowed) {
+  const rhs = cost.length;
+  const tol = LP_EPS * Math.max(1, ...cost.map(c => Math.abs(c)));
+  let degenerateRun = 0;
+  for (let iter = 0; iter < LP_MAX_ITERATIONS; iter++) {
+    const useBland = degenerateRun > 50;
+    let enter = -1;
+    let best = tol;
+    for (let j = 0; j < rhs; j++) {
+      if (!allowed[j]) continue;
+      let d = cost[j];
+      for (let i = 0; i < T.length; i++) d -= cost[basis[i]] * T[i][j];
+      if (d > best) {
+        enter = j;
+        if (useBland) break;
+        best = d;
+      }
+    }
+    if (enter < 0) return 'optimal';
+
+    let leave = -1;
+    let minRatio = Infinity;
+    for (let i = 0; i < T.length; i++) {
+      const a = T[i][enter];
+      if (a <= LP_EPS) continue;
+      const ratio = T[i][rhs] / a;
+      if (ratio < minRatio - LP_EPS || (Math.abs(ratio - minRatio) <= LP_EPS && basis[i] < basis[leave])) {
+        minRatio = ratio;
+        leave = i;
+      }
+    }
+    if (leave < 0) return 'unbounded';
+
+    degenerateRun = minRatio <= LP_EPS ? degenerateRun + 1 : 0;
+    pivotTableau(T, basis, leave, enter);
+  }
+  throw new MCDMError('ITERATION_LIMIT', 'Simplex iteration limit reached', { limit: LP_MAX_ITERATIONS });
+}
+
+/**
+ * Exact LP solver (dense two-phase simplex).
+ *   objective:   c, one coefficient per variable
+ *   lower/upper: variable bounds (lower must be finite, upper may be Infinity)
+ *   constraints: [{ coeffs, op: '<=' | '>=' | '=', rhs }]
+ * Returns { status: 'optimal' | 'infeasible' | 'unbounded', x, objective, duals, reducedCosts }.
+ * duals[k] is the change in objective per unit increase of constraints[k].rhs.
+ * @param {LPProblem} problem
+ * @returns {LPResult}
+ * @throws {MCDMError} INVALID_INPUT for infinite lower bounds, ITERATION_LIMIT if simplex cycles
+ */
+export function solveLP({ objective, lower, upper, constraints = [], maximize = true }) {
+  const n = objective.length;
+  const lb = Array.from({ length: n }, (_, j) => (lower && lower[j] !== undefined ? lower[j] : 0));
+  const ub = Array.from({ length: n }, (_, j) => (upper && upper[j] !== undefined ? upper[j] : Infinity));
+  if (lb.some(v => !Number.isFinite(v))) throw new MCDMError('INVALID_INPUT', 'solveLP: lower bounds must be finite');
+
+  const fail = (status) => ({ status, x: null, objective: null, duals: null, reducedCosts: null });
+  if (lb.some((l, j) => ub[j] < l - LP_EPS)) return fail('infeasible');
+
+  // Substitute x = lb + y (y >= 0); finite upper bounds become rows y_j <= ub_j - lb_j
+  const rows = constraints.map(({ coeffs, op, rhs }) => ({
+    a: coeffs.slice(0, n),
+    op,
+    b: rhs - coeffs.reduce((s, a, j) => s + a * lb[j], 0)
+  }));
+  ub.forEach((u, j) => {
+    if (!Number.isFinite(u)) return;
+    const a = Array(n).fill(0);
+    a[j] = 1;
+    rows.push({ a, op: '<=', b: u - lb[j] });
+  });
+
+  // Make every rhs non-negative, remembering the flip for the duals
+  const signs = rows.map(r => {
+    if (r.b >= 0) return 1;
+    r.a = r.a.map(v => -v);
+    r.b = -r.b;
+    r.op = r.op === '<=' ? '>=' : r.op === '>=' ? '<=' : '=';
+    return -1;
+  });
+
+  // Columns: structural | slack/surplus | artificial | rhs
+  const m = rows.length;
+  const slackCount = rows.filter(r => r.op !== '=').length;
+  const artCount = rows.filter(r => r.op !== '<=').length;
+  const cols = n + slackCount + artCount;
+  const T = rows.map(r => {
+    const row = Array(cols + 1).fill(0);
+    r.a.forEach((v, j) => { row[j] = v; });
+    row[cols] = r.b;
+    return row;
+  });
+  const basis = Array(m).fill(-1);
+  const identityCol = Array(m).fill(-1);
+  const isArtificial = Array(cols).fill(false);
+  let nextSlack = n;
+  let nextArt = n + slackCount;
+  rows.forEach((r, i) => {
+    if (r.op === '<=') {
+      T[i][nextSlack] = 1;
+      identityCol[i] = nextSlack++;
+    } else {
+      if (r.op === '>=') T[i][nextSlack++] = -1;
+      T[i][nextArt] = 1;
+      isArtificial[nextArt] = true;
+      identityCol[i] = nextArt++;
+    }
+    basis[i] = identityCol[i];
+  });
+
+  // Phase 1: drive the artificials to zero
+  if (artCount > 0) {
+    const phase1Cost = isArtificial.map(a => (a ? -1 : 0));
+    runSimplex(T, basis, phase1Cost, Array(cols).fill(true));
+    const infeasibility = basis.reduce((s, b, i) => s + (isArtificial[b] ? T[i][cols] : 0), 0);
+    const scale = Math.max(1, ...rows.map(r => Math.abs(r.b)));
+    if (infeasibility > 1e-7 * scale) return fail('infeasible');
+    // Pivot degenerate artificials out of the basis (rows left behind are redundant)
+    basis.forEach((b, i) => {
+      if (!isArtificial[b]) return;
+      const j = T[i].findIndex((v, k) => k < cols && !isArtificial[k] && Math.abs(v) > LP_EPS);
+      if (j >= 0) pivotTableau(T, basis, i, j);
+    });
+  }
+
+  // Phase 2: optimize the real objective (internally always a maximization)
+  const sense = maximize ? 1 : -1;
+  const cost = Array(cols).fill(0);
+  objective.forEach((c, j) => { cost[j] = sense * c; });
+  const status = runSimplex(T, basis, cost, isArtificial.map(a => !a));
+  if (status !== 'optimal') return fail(status);
+
+  const y = Array(cols).fill(0);
+  basis.forEach((b, i) => { y[b] = T[i][cols]; });
+  const x = lb.map((l, j) => l + y[j]);
+
+  // Shadow prices: y = c_B B^-1, read from the columns that formed the initial identity
+  const rowDuals = identityCol.map((q, r) =>
+    sense * signs[r] * basis.reduce((s, b, i) => s + cost[b] * T[i][q], 0)
+  );
+  const duals = rowDuals.slice(0, constraints.length);
+  const reducedCosts = objective.map((c, j) =>
+    c - constraints.reduce((s, con, k) => s + duals[k] * con.coeffs[j], 0)
+  );
+
+  return {
+    status,
+    x,
+    objective: x.reduce((s, xi, j) => s + objective[j] * xi, 0),
+    duals,
+    reducedCosts
+  };
+}
+
+// ---------------------- Branch-and-bound ----------------------
+export const MIP_INTEGRALITY_EPS = 1e-6;
+export const MIP_MAX_NODES = 200000;
+
+/**
+ * Mixed-integer solver: branch-and-bound over solveLP relaxations, depth-first until the first
+ * integer solution is found, then best-bound first.
+ *   integer:   [{ index, step }], variable `index` must be a multiple of `step`
+ *   timeLimit: milliseconds before the search stops and returns its best plan
+ *   gapTolerance: relative gap at which a node is pruned against the incumbent
+ *   initial:   optional known feasible integer solution to start from (warm start)
+ * Returns { status: 'optimal' | 'timeLimit' | 'nodeLimit' | 'infeasible' | 'unbounded', x, objective,
+ *   bound, gap, nodes, elapsedMs }. x is null when no integer solution was found; bound is the best
+ *   objective any unexplored node could still reach and gap = |bound - objective| / max(1, |objective|).
+ * @param {LPProblem & { integer?: { index: number, step?: number }[], timeLimit?: number, gapTolerance?: number, maxNodes?: number, initial?: number[]|null }} problem
+ * @returns {Object}
+ */
+export function solveMIP({ objective, lower, upper, constraints = [], maximize = true, integer = [], timeLimit = 10000, gapTolerance = 1e-6, maxNodes = MIP_MAX_NODES, initial = null }) {
+  const started = Date.now();
+  const sense = maximize ? 1 : -1; // search in maximize form
+  // same bound defaults as solveLP; integrality steps default to whole units
+  const lb = Array.from({ length: objective.length }, (_, j) => (lower && lower[j] !== undefined ? lower[j] : 0));
+  const ub = Array.from({ length: objective.length }, (_, j) => (upper && upper[j] !== undefined ? upper[j] : Infinity));
+  const integrality = integer.map(({ index, step }) => ({ index, step: step > 0 ? step : 1 }));
+  let incumbent = initial ? [...initial] : null;
+  let incumbentValue = initial ? sense * objective.reduce((s, c, j) => s + c * initial[j], 0) : -Infinity;
+  let nodes = 0;
+  let stopped = null;
+
+  const fractional = (x) => {
+    let pick = null;
+    let worst = MIP_INTEGRALITY_EPS;
+    integrality.forEach(({ index, step }) => {
+      const q = x[index] / step;
+      const frac = Math.abs(q - Math.round(q));
+      if (frac > worst) { worst = frac; pick = { index, step, q }; }
+    });
+    return pick;
+  };
+
+  // each open node carries its parent's relaxation value as an optimistic bound
+  const stack = [{ lower: lb, upper: ub, bound: Infinity }];
+  const nextNode = () => {
+    if (!incumbent) return stack.pop();
+    let best = 0;
+    for (let k = 1; k < stack.length; k++) if (stack[k].bound > stack[best].bound) best = k;
+    return stack.splice(best, 1)[0];
+  };
+  while (stack.length) {
+    if (Date.now() - started > timeLimit) { stopped = 'timeLimit'; break; }
+    if (nodes >= maxNodes) { stopped = 'nodeLimit'; break; }
+    const node = nextNode();
+    if (node.bound <= incumbentValue + gapTolerance * Math.max(1, Math.abs(incumbentValue))) continue;
+    nodes++;
+    const res = solveLP({ objective, lower: node.lower, upper: node.upper, constraints, maximize });
+    if (res.status === 'unbounded') {
+      if (nodes === 1) return { status: 'unbounded', x: null, objective: null, bound: Infinity, gap: null, nodes, elapsedMs: Date.now() - started };
+      continue;
+    }
+    if (res.status !== 'optimal') continue;
+    const value = sense * res.objective;
+    if (value <= incumbentValue + gapTolerance * Math.max(1, Math.abs(incumbentValue))) continue;
+
+    const branch = fractional(res.x);
+    if (!branch) {
+      incumbent = res.x.map((v, j) => {
+        const spec = integrality.find(it => it.index === j);
+        return spec ? Math.round(v / spec.step) * spec.step : v;
+      });
+      incumbentValue = value;
+      continue;
+    }
+    const down = { lower: node.lower, upper: [...node.upper], bound: value };
+    down.upper[branch.index] = Math.floor(branch.q) * branch.step;
+    const up = { lower: [...node.lower], upper: node.upper, bound: value };
+    up.lower[branch.index] = Math.ceil(branch.q) * branch.step;
+    // explore the nearer rounding first (pushed last); an empty branch fails its LP and is dropped
+    const roundUpFirst = branch.q - Math.floor(branch.q) >= 0.5;
+    stack.push(roundUpFirst ? down : up, roundUpFirst ? up : down);
+  }
+
+  const elapsedMs = Date.now() - started;
+  const openBound = stack.reduce((b, nd) => Math.max(b, nd.bound), -Infinity);
+  const bound = stopped ? Math.max(openBound, incumbentValue) : incumbentValue;
+  if (!incumbent) {
+    return { status: stopped || 'infeasible', x: null, objective: null, bound: stopped ? sense * bound : null, gap: null, nodes, elapsedMs };
+  }
+  return {
+    status: stopped || 'optimal',
+    x: incumbent,
+    objective: sense * incumbentValue,
+    bound: sense * bound,
+    gap: Number.isFinite(bound) ? Math.abs(bound - incumbentValue) / Math.max(1, Math.abs(incumbentValue)) : Infinity,
+    nodes,
+    elapsedMs
+  };
+}
+
+// ---------------------- Products and lines ----------------------
+// Optional multi-product model on top of ProblemData:
+//   products [{ id, name, color, minOrders[], maxOrders[]|null, values: { [criterionId]: number[] } }]
+//     minOrders are the firm orders (a lower bound, like Orders), maxOrders an optional market cap
+//   lines    [{ id, name, capacity[] }]
+//   routing  lines × products booleans: routing[l][p] when line l can run product p
+// With products the decision vector is x_{p,l,i} and orders / capacity / criterion values become
+// aggregates derived by syncProductData, so charts, the baseline plan and the report keep working.
+export const hasProducts = (data) => Array.isArray(data.products) && data.products.length > 0;
+
+const copyProductData = (d) => ({
+  products: d.products.map(p => ({
+    ...p,
+    minOrders: [...p.minOrders],
+    maxOrders: p.maxOrders ? [...p.maxOrders] : null,
+    values: Object.fromEntries(Object.entries(p.values || {}).map(([id, v]) => [id, [...v]]))
+  })),
+  lines: (d.lines || []).map(l => ({ ...l, capacity: [...l.capacity] })),
+  routing: (d.routing || []).map(row => [...row])
+});
+
+// Per-unit coefficient of criterion c for a product in period i (the aggregate series when the product has none)
+const productCoefficient = (product, c, i) => (product.values && product.values[c.id] ? product.values[c.id][i] : c.values[i]);
+
+/**
+ * Recompute the derived single-product series of a product model: Orders_i = sum_p minOrders_pi,
+ * Capacity_i = sum_l Cap_li and v_ki = the minOrders-weighted mean product coefficient (the plain
+ * mean when nothing is ordered), so the baseline plan x_i = Orders_i keeps its exact objective values.
+ * Products gain coefficients for criteria they lack (copied from the aggregate) and lose those of
+ * removed criteria; routing is resized to lines × products (new cells eligible). Data without
+ * products is returned as is.
+ * @param {ProblemData} data
+ * @returns {ProblemData}
+ */
+export function syncProductData(data) {
+  if (!hasProducts(data)) return data;
+  const copy = deepCopyData(data);
+  const n = copy.products[0].minOrders.length;
+  copy.products.forEach(p => {
+    p.values = Object.fromEntries(copy.criteria.map(c => [c.id, p.values[c.id] ? p.values[c.id] : resizeSeries(c.values, n)]));
+  });
+  copy.routing = copy.lines.map((l, li) => copy.products.map((p, pi) => (copy.routing[li] && copy.routing[li][pi] !== undefined ? !!copy.routing[li][pi] : true)));
+  copy.orders = Array.from({ length: n }, (_, i) => copy.products.reduce((s, p) => s + p.minOrders[i], 0));
+  copy.capacity = Array.from({ length: n }, (_, i) => copy.lines.reduce((s, l) => s + l.capacity[i], 0));
+  copy.criteria.forEach(c => {
+    c.values = Array.from({ length: n }, (_, i) => {
+      const ordered = copy.orders[i];
+      return ordered > 0
+        ? copy.products.reduce((s, p) => s + p.values[c.id][i] * p.minOrders[i], 0) / ordered
+        : copy.products.reduce((s, p) => s + p.values[c.id][i], 0) / copy.products.length;
+    });
+  });
+  return copy;
+}
+
+// Apply quantity(series) to minOrders, maxOrders and line capacities and rate(series) to product
+// coefficients (horizon resizing and re-aggregation); data without products passes through.
+export function mapProductSeries(data, quantity, rate) {
+  if (!hasProducts(data)) return data;
+  const copy = deepCopyData(data);
+  copy.products.forEach(p => {
+    p.minOrders = quantity(p.minOrders);
+    if (p.maxOrders) p.maxOrders = quantity(p.maxOrders);
+    Object.keys(p.values).forEach(id => { p.values[id] = rate(p.values[id]); });
+  });
+  copy.lines.forEach(l => { l.capacity = quantity(l.capacity); });
+  return syncProductData(copy);
+}
+
+// A one-product, one-line model with the current orders, capacity and coefficients (the multi-product editor's start)
+export function enableProducts(data) {
+  const copy = deepCopyData(data);
+  return syncProductData({
+    ...copy,
+    products: [{ id: 'product1', name: 'Product 1', color: CRITERION_COLORS[0], minOrders: [...copy.orders], maxOrders: null, values: {} }],
+    lines: [{ id: 'line1', name: 'Line 1', capacity: [...copy.capacity] }],
+    routing: [[true]]
+  });
+}
+
+// Back to the single-product model; the last derived aggregates become its series
+export function disableProducts(data) {
+  return deepCopyData({ criteria: data.criteria, orders: data.orders, capacity: data.capacity });
+}
+
+const nextEntityId = (prefix, items) => {
+  let k = items.length + 1;
+  while (items.some(item => item.id === `${prefix}${k}`)) k++;
+  return `${prefix}${k}`;
+};
+
+// New product with no firm orders, the aggregate coefficients, no market cap, eligible on every line
+export function addProduct(data, name) {
+  const copy = deepCopyData(data);
+  const n = copy.orders.length;
+  copy.products.push({
+    id: nextEntityId('product', copy.products),
+    name: name || `Product ${copy.products.length + 1}`,
+    color: CRITERION_COLORS[copy.products.length % CRITERION_COLORS.length],
+    minOrders: Array(n).fill(0),
+    maxOrders: null,
+    values: Object.fromEntries(copy.criteria.map(c => [c.id, [...c.values]]))
+  });
+  copy.routing.forEach(row => row.push(true));
+  return syncProductData(copy);
+}
+
+// New line with zero capacity that can run every product
+export function addLine(data, name) {
+  const copy = deepCopyData(data);
+  copy.lines.push({ id: nextEntityId('line', copy.lines), name: name || `Line ${copy.lines.length + 1}`, capacity: Array(copy.orders.length).fill(0) });
+  copy.routing.push(copy.products.map(() => true));
+  return syncProductData(copy);
+}
+
+// Remove a product or line by index (the last one of either cannot go: use disableProducts)
+export function removeProductEntity(data, kind, index) {
+  const copy = deepCopyData(data);
+  const list = kind === 'line' ? copy.lines : copy.products;
+  if (list.length <= 1) throw new MCDMError('INVALID_INPUT', `a product model needs at least one ${kind}`, { kind });
+  list.splice(index, 1);
+  if (kind === 'line') copy.routing.splice(index, 1);
+  else copy.routing.forEach(row => row.splice(index, 1));
+  return syncProductData(copy);
+}
+
+// Check products, lines and routing against n periods and the criteria; throws INVALID_INPUT
+function validateProductData(data, n) {
+  const { products, lines, routing } = data;
+  const series = (values, name, { nonNegative = true } = {}) => {
+    if (!Array.isArray(values) || values.length !== n) throw new MCDMError('INVALID_INPUT', `${name} must have ${n} per-period values`, { series: name });
+    const k = values.findIndex(v => !Number.isFinite(v) || (nonNegative && v < 0));
+    if (k >= 0) throw new MCDMError('INVALID_INPUT', `${name} period ${k + 1} must be a number ≥ 0`, { series: name, period: k });
+  };
+  if (!Array.isArray(lines) || !lines.length) throw new MCDMError('INVALID_INPUT', 'a product model needs at least one production line');
+  if (!Array.isArray(routing) || routing.length !== lines.length || routing.some(row => !Array.isArray(row) || row.length !== products.length)) {
+    throw new MCDMError('INVALID_INPUT', `routing must be a ${lines.length} × ${products.length} (lines × products) matrix`);
+  }
+  products.forEach((p, pi) => {
+    series(p.minOrders, `${p.name} min orders`);
+    if (p.maxOrders) {
+      series(p.maxOrders, `${p.name} max orders`);
+      const k = p.maxOrders.findIndex((v, i) => v < p.minOrders[i]);
+      if (k >= 0) throw new MCDMError('INVALID_INPUT', `${p.name} max orders are below its min orders in period ${k + 1}`, { product: p.id, period: k });
+    }
+    data.criteria.forEach(c => { if (p.values && p.values[c.id]) series(p.values[c.id], `${p.name} ${c.name}`, { nonNegative: false }); });
+    if (!lines.some((l, li) => routing[li][pi]) && p.minOrders.some(v => v > 0)) {
+      throw new MCDMError('INVALID_INPUT', `${p.name} has orders but no line is routed to make it`, { product: p.id });
+    }
+  });
+  lines.forEach(l => series(l.capacity, `${l.name} capacity`));
+}
+
+// ---------------------- Constraint model ----------------------
+// Constraint families the user can switch on/off in the Input tab
+export const DEFAULT_CONSTRAINT_SETTINGS = {
+  periodCapacity: true,     // x_i <= Cap_i
+  cumulativeCapacity: true, // sum_{k<=i} x_k <= sum_{k<=i} Cap_k
+  totalCapacity: false,     // sum_i x_i <= sum_i Cap_i
+  inventory: false,         // carry surplus production forward: I_{i-1} + x_i - I_i = Orders_i
+  initialInventory: 0,      // units on hand before the first period
+  holdingCost: 0,           // RON per unit held at the end of a period
+  holdingCriterion: 'cost', // criterion the holding cost is charged to
+  integerLots: false,       // mixed-integer mode: x_i in whole lots, solved by branch-and-bound
+  lotSize: 1,               // units per lot
+  setupCost: 0,             // fixed RON for every period with x_i > 0 (adds on/off setup binaries y_i)
+  minRun: 0,                // x_i >= minRun whenever the period produces at all (also uses y_i)
+  setupCriterion: 'cost',   // criterion the setup cost is charged to
+  mipTimeLimit: 10,         // seconds before branch-and-bound returns its best plan so far
+  // Workforce layer (see appendWorkforce): staff x_i with workers at the productivity criterion's
+  // pieces per worker and period; a limit of null means "no limit" and 0 is a real bound
+  workforce: false,
+  productivityCriterion: 'productivity',
+  initialWorkers: 250,      // headcount before the first period
+  minWorkers: 0,            // headcount floor per period
+  maxWorkers: null,         // headcount ceiling per period
+  shifts: 2,                // shifts that can run per period
+  workersPerShift: 150,     // workstations: most workers on one shift
+  wage: 6000,               // RON per worker and period on the first shift
+  shiftPremium: 0.15,       // extra wage share on the second and later shifts
+  overtimeShare: 0.1,       // overtime output at most this share of the regular output
+  overtimePremium: 0.5,     // overtime is paid at wage × (1 + premium) per worker-period
+  hireCost: 4000,           // RON per hire
+  fireCost: 8000,           // RON per separation
+  maxHires: null,           // hires per period
+  maxFires: null,           // separations per period
+  workforceCriterion: 'cost' // criterion wages, overtime, hiring and firing are charged to
+};
+
+// Workforce settings that may be null (no limit) instead of a number
+export const WORKFORCE_LIMITS = ['maxWorkers', 'workersPerShift', 'maxHires', 'maxFires'];
+
+// A workforce limit as a non-negative number, or null when it is unset ('' comes from a cleared input)
+function workforceLimit(settings, key) {
+  const value = settings[key];
+  return value === null || value === undefined || value === '' ? null : Math.max(0, Number(value) || 0);
+}
+
+// Settings whose holding, setup or workforce cost is charged to a criterion no longer in the
+// registry move that charge to the first cost criterion (else the first criterion)
+export function retargetCostCriteria(settings, criteria) {
+  const fallback = (criteria.find(c => c.direction === 'cost') || criteria[0]).id;
+  const next = { ...settings };
+  ['holdingCriterion', 'setupCriterion', 'workforceCriterion'].forEach(key => {
+    if (!criteria.some(c => c.id === next[key])) next[key] = fallback;
+  });
+  return next;
+}
+
+/**
+ * Check that every per-period series has one finite entry per period and that there is at
+ * least one criterion and one period; throws MCDMError('INVALID_INPUT') naming the first problem.
+ * @param {ProblemData} data
+ */
+export function validateProblemData(data) {
+  if (!data || !Array.isArray(data.criteria) || !data.criteria.length) throw new MCDMError('INVALID_INPUT', 'at least one criterion is required');
+  if (!Array.isArray(data.orders) || !data.orders.length) throw new MCDMError('INVALID_INPUT', 'the planning horizon has no periods');
+  const n = data.orders.length;
+  const check = (values, name) => {
+    if (!Array.isArray(values) || values.length !== n) {
+      throw new MCDMError('INVALID_INPUT', `${name} must have ${n} per-period values`, { series: name });
+    }
+    const k = values.findIndex(v => !Number.isFinite(v));
+    if (k >= 0) throw new MCDMError('INVALID_INPUT', `${name} period ${k + 1} is not a number`, { series: name, period: k });
+  };
+  check(data.orders, 'Orders');
+  check(data.capacity, 'Capacity');
+  data.criteria.forEach(c => check(c.values, c.name || c.id));
+  if (hasProducts(data)) validateProductData(data, n);
+}
+
+const prefixRow = (numVars, upTo) => Array.from({ length: numVars }, (_, k) => (k <= upTo ? 1 : 0));
+
+/**
+ * Build the production LP from the loaded data and the enabled constraint families.
+ * Variables are x_0..x_{n-1} (production), followed by I_0..I_{n-1} (end-of-period inventory)
+ * when inventory carry-over is on, followed by setup binaries y_0..y_{n-1} in mixed-integer mode
+ * with a setup cost or minimum run, followed by the staffing variables of the workforce layer
+ * (appendWorkforce). Without carry-over each period must cover its own orders, capped at that
+ * period's capacity (in whole lots in mixed-integer mode); the capped periods and their uncovered
+ * orders are listed in `shortfall` and carried onto every plan. With carry-over only the inventory
+ * balance has to hold, so orders the horizon cannot build ahead for make the model infeasible.
+ * `integer` lists the variables branch-and-bound must make whole.
+ * Data with products is modelled per product and line instead (buildProductModel).
+ * @param {ProblemData} data
+ * @param {typeof DEFAULT_CONSTRAINT_SETTINGS} [settings]
+ * @returns {Object} { n, numVars, lower, upper, constraints, holdingCoeffs, setupCoeffs, workforceCoeffs, integer, ... }
+ * @throws {MCDMError} INVALID_INPUT when a per-period series is missing or not numeric
+ */
+export function buildConstraintModel(data, settings = DEFAULT_CONSTRAINT_SETTINGS) {
+  validateProblemData(data);
+  if (hasProducts(data)) return buildProductModel(data, settings);
+  const { orders, capacity } = data;
+  const n = orders.length;
+  const mip = !!settings.integerLots;
+  const lot = mip && Number(settings.lotSize) > 0 ? Number(settings.lotSize) : 1;
+  const setupCost = mip ? Number(settings.setupCost) || 0 : 0;
+  const minRun = mip ? Number(settings.minRun) || 0 : 0;
+  const setups = mip && (setupCost > 0 || minRun > 0);
+  const setupOffset = settings.inventory ? 2 * n : n;
+  const numVars = setupOffset + (setups ? n : 0);
+  const lower = Array(numVars).fill(0);
+  const upper = Array(numVars).fill(Infinity);
+  const constraints = [];
+  const shortfall = [];
+
+  for (let i = 0; i < n; i++) {
+    if (settings.periodCapacity) upper[i] = capacity[i];
+    const reachable = settings.periodCapacity ? (mip ? Math.floor(capacity[i] / lot) * lot : capacity[i]) : Infinity;
+    if (settings.inventory) continue;
+    lower[i] = Math.min(orders[i], reachable);
+    if (orders[i] > reachable) shortfall.push({ period: i, shortfall: orders[i] - reachable });
+  }
+
+  if (settings.cumulativeCapacity) {
+    let cumCapacity = 0;
+    for (let i = 0; i < n; i++) {
+      cumCapacity += capacity[i];
+      constraints.push({ coeffs: prefixRow(numVars, i), op: '<=', rhs: cumCapacity, family: 'cumulativeCapacity', period: i });
+    }
+  }
+
+  if (settings.totalCapacity) {
+    constraints.push({
+      coeffs: prefixRow(numVars, n - 1),
+      op: '<=',
+      rhs: capacity.reduce((a, b) => a + b, 0),
+      family: 'totalCapacity',
+      period: null
+    });
+  }
+
+  if (settings.inventory) {
+    for (let i = 0; i < n; i++) {
+      const coeffs = Array(numVars).fill(0);
+      coeffs[i] = 1;       // x_i
+      coeffs[n + i] = -1;  // I_i
+      if (i > 0) coeffs[n + i - 1] = 1; // I_{i-1}
+      const rhs = orders[i] - (i === 0 ? Number(settings.initialInventory) || 0 : 0);
+      constraints.push({ coeffs, op: '=', rhs, family: 'inventoryBalance', period: i });
+    }
+  }
+
+  if (setups) {
+    // big-M: the period's own capacity, else the most the horizon could ever need
+    const horizonMax = Math.max(capacity.reduce((a, b) => a + b, 0), orders.reduce((a, b) => a + b, 0));
+    for (let i = 0; i < n; i++) {
+      const y = setupOffset + i;
+      upper[y] = 1;
+      const bigM = Number.isFinite(upper[i]) ? upper[i] : horizonMax;
+      const link = Array(numVars).fill(0);
+      link[i] = 1;
+      link[y] = -bigM;
+      constraints.push({ coeffs: link, op: '<=', rhs: 0, family: 'setupLink', period: i });
+      if (minRun > 0) {
+        const run = Array(numVars).fill(0);
+        run[i] = 1;
+        run[y] = -minRun;
+        constraints.push({ coeffs: run, op: '>=', rhs: 0, family: 'minRun', period: i });
+      }
+    }
+  }
+
+  // Holding cost per variable (h for each inventory variable) and setup cost (F for each y_i)
+  const holdingCoeffs = Array.from({ length: numVars }, (_, k) => (k >= n && k < 2 * n && settings.inventory ? Number(settings.holdingCost) || 0 : 0));
+  const setupCoeffs = Array.from({ length: numVars }, (_, k) => (setups && k >= setupOffset ? setupCost : 0));
+  const integer = mip
+    ? [
+      ...Array.from({ length: n }, (_, i) => ({ index: i, step: lot })),
+      ...(setups ? Array.from({ length: n }, (_, i) => ({ index: setupOffset + i, step: 1 })) : [])
+    ]
+    : [];
+
+  const model = {
+    n, numVars, lower, upper, constraints, holdingCoeffs, setupCoeffs, integer,
+    workforceCoeffs: Array(numVars).fill(0),
+    inventory: !!settings.inventory,
+    setups,
+    setupOffset,
+    shortfall,
+    timeLimit: (Number(settings.mipTimeLimit) || 10) * 1000
+  };
+  if (!settings.workforce) return model;
+  const productivity = staffingCriterion(data, settings);
+  return appendWorkforce(model, settings, Array.from({ length: n }, (_, i) => ({ index: i, period: i, productivity: productivity.values[i] })));
+}
+
+// Largest t in [0, 1] such that every product can get t × its firm orders from the lines routed to it
+// within their capacities (1 when everything fits): a small LP over x_{p,l} of one period.
+function coverableShare(firm, capacities, routing) {
+  const pairs = [];
+  firm.forEach((f, pi) => capacities.forEach((cap, li) => { if (routing[li][pi]) pairs.push({ pi, li }); }));
+  const numVars = pairs.length + 1; // ..., t
+  const row = (pick) => Array.from({ length: numVars }, (_, k) => (k < pairs.length ? pick(pairs[k]) : 0));
+  const constraints = [
+    ...firm.map((f, pi) => ({ coeffs: row(v => (v.pi === pi ? 1 : 0)).map((c, k) => (k === pairs.length ? -f : c)), op: '>=', rhs: 0 })),
+    ...capacities.map((cap, li) => ({ coeffs: row(v => (v.li === li ? 1 : 0)), op: '<=', rhs: cap }))
+  ];
+  const upper = Array(numVars).fill(Infinity);
+  upper[pairs.length] = 1;
+  const res = solveLP({ objective: row(() => 0).map((c, k) => (k === pairs.length ? 1 : 0)), lower: Array(numVars).fill(0), upper, constraints, maximize: true });
+  return res.status === 'optimal' ? Math.max(0, Math.min(1, res.x[pairs.length])) : 0;
+}
+
+/**
+ * Products × lines × periods LP behind buildConstraintModel. Variables are X_0..X_{n-1} (total
+ * production per period, so plan.solution and the cumulative / total capacity rows keep their
+ * meaning) followed by x_{p,l,i} for every line l routed to product p. Rows: X_i = sum_{p,l} x_{p,l,i};
+ * sum_l x_{p,l,i} >= minOrders_pi (all scaled by one share when the lines cannot make every product's
+ * firm orders, like Orders is capped at Capacity — see coverableShare — with the uncovered firm
+ * orders listed in `shortfall`) and <= maxOrders_pi when the product has a cap;
+ * sum_p x_{p,l,i} <= Cap_li with period capacity on.
+ * Integer lots apply to every x_{p,l,i}; inventory carry-over and setups stay single-product features.
+ * The workforce layer staffs every x_{p,l,i} at its product's productivity.
+ */
+function buildProductModel(data, settings) {
+  if (settings.inventory) {
+    throw new MCDMError('INVALID_INPUT', 'inventory carry-over is not available with several products — switch it off or remove the products', { setting: 'inventory' });
+  }
+  const mip = !!settings.integerLots;
+  if (mip && ((Number(settings.setupCost) || 0) > 0 || (Number(settings.minRun) || 0) > 0)) {
+    throw new MCDMError('INVALID_INPUT', 'setup costs and minimum runs are not available with several products — set them to 0 or remove the products', { setting: 'setups' });
+  }
+  const lot = mip && Number(settings.lotSize) > 0 ? Number(settings.lotSize) : 1;
+  const { products, lines, routing, capacity } = data;
+  const n = data.orders.length;
+  const productVars = [];
+  products.forEach((p, pi) => lines.forEach((l, li) => {
+    if (!routing[li][pi]) return;
+    for (let i = 0; i < n; i++) productVars.push({ index: n + productVars.length, product: pi, line: li, period: i });
+  }));
+  const numVars = n + productVars.length;
+  const constraints = [];
+  const sumRow = (vars, extra = []) => {
+    const coeffs = Array(numVars).fill(0);
+    vars.forEach(v => { coeffs[v.index] = 1; });
+    extra.forEach(([k, value]) => { coeffs[k] = value; });
+    return coeffs;
+  };
+
+  for (let i = 0; i < n; i++) {
+    constraints.push({ coeffs: sumRow([], [[i, 1], ...productVars.filter(v => v.period === i).map(v => [v.index, -1])]), op: '=', rhs: 0, family: 'productTotal', period: i });
+  }
+  const share = Array.from({ length: n }, (_, i) => (settings.periodCapacity
+    ? coverableShare(products.map(p => p.minOrders[i]), lines.map(l => (mip ? Math.floor(l.capacity[i] / lot) * lot : l.capacity[i])), routing)
+    : 1));
+  const shortfall = share.flatMap((t, i) => (t < 1 ? [{ period: i, shortfall: (1 - t) * products.reduce((sum, p) => sum + p.minOrders[i], 0) }] : []));
+  products.forEach((p, pi) => {
+    for (let i = 0; i < n; i++) {
+      const vars = productVars.filter(v => v.product === pi && v.period === i);
+      const firm = p.minOrders[i] * share[i];
+      if (firm > 0) constraints.push({ coeffs: sumRow(vars), op: '>=', rhs: firm, family: 'productOrders', period: i, label: p.name });
+      if (p.maxOrders) constraints.push({ coeffs: sumRow(vars), op: '<=', rhs: p.maxOrders[i], family: 'productDemand', period: i, label: p.name });
+    }
+  });
+  if (settings.periodCapacity) {
+    lines.forEach((l, li) => {
+      for (let i = 0; i < n; i++) {
+        const vars = productVars.filter(v => v.line === li && v.period === i);
+        if (vars.length) constraints.push({ coeffs: sumRow(vars), op: '<=', rhs: l.capacity[i], family: 'lineCapacity', period: i, label: l.name });
+      }
+    });
+  }
+  if (settings.cumulativeCapacity) {
+    let cumCapacity = 0;
+    for (let i = 0; i < n; i++) {
+      cumCapacity += capacity[i];
+      constraints.push({ coeffs: prefixRow(numVars, i), op: '<=', rhs: cumCapacity, family: 'cumulativeCapacity', period: i });
+    }
+  }
+  if (settings.totalCapacity) {
+    constraints.push({ coeffs: prefixRow(numVars, n - 1), op: '<=', rhs: capacity.reduce((a, b) => a + b, 0), family: 'totalCapacity', period: null });
+  }
+
+  const model = {
+    n, numVars, constraints,
+    lower: Array(numVars).fill(0),
+    upper: Array(numVars).fill(Infinity),
+    holdingCoeffs: Array(numVars).fill(0),
+    setupCoeffs: Array(numVars).fill(0),
+    workforceCoeffs: Array(numVars).fill(0),
+    integer: mip ? productVars.map(v => ({ index: v.index, step: lot })) : [],
+    inventory: false,
+    setups: false,
+    setupOffset: numVars,
+    shortfall,
+    timeLimit: (Number(settings.mipTimeLimit) || 10) * 1000,
+    products,
+    lines,
+    productVars
+  };
+  if (!settings.workforce) return model;
+  // each product is staffed at its own pieces per worker
+  const productivity = staffingCriterion(data, settings);
+  return appendWorkforce(model, settings, productVars.map(v => ({ ...v, productivity: productCoefficient(products[v.product], productivity, v.period) })));
+}
+
+// Production per product and load per line of a product-model solution vector:
+// { products: [{ id, name, color, quantities[] }], lines: [{ id, name, load[], capacity[] }], allocation[p][l][i] }
+function productMix(model, x) {
+  const { n, products, lines, productVars } = model;
+  const allocation = products.map(() => lines.map(() => Array(n).fill(0)));
+  productVars.forEach(v => { allocation[v.product][v.line][v.period] = x[v.index]; });
+  return {
+    products: products.map((p, pi) => ({
+      id: p.id, name: p.name, color: p.color,
+      quantities: Array.from({ length: n }, (_, i) => allocation[pi].reduce((s, row) => s + row[i], 0))
+    })),
+    lines: lines.map((l, li) => ({
+      id: l.id, name: l.name, capacity: [...l.capacity],
+      load: Array.from({ length: n }, (_, i) => allocation.reduce((s, rows) => s + rows[li][i], 0))
+    })),
+    allocation
+  };
+}
+
+// ---------------------- Workforce and shifts ----------------------
+// The criterion whose coefficients are pieces per worker and period (settings.productivityCriterion)
+function staffingCriterion(data, settings) {
+  const c = data.criteria.find(cr => cr.id === settings.productivityCriterion);
+  if (!c) {
+    throw new MCDMError('INVALID_INPUT', `workforce planning needs the productivity criterion "${settings.productivityCriterion}" (pieces per worker)`,
+      { setting: 'productivityCriterion' });
+  }
+  return c;
+}
+
+/**
+ * Add the workforce layer to a built model (in place). Per period i and shift s = 1..S the
+ * variables are W_si (workers on the shift), H_i (hires), F_i (separations) and V_i (overtime in
+ * worker-periods); `units` lists the production variables { index, period, productivity }. Rows:
+ *   sum_s W_si - sum_s W_s,i-1 - H_i + F_i = 0 (initialWorkers for i = 0)      workforce balance
+ *   sum_units x / productivity <= sum_s W_si + V_i                             staffed output
+ *   V_i <= overtimeShare × sum_s W_si                                          overtime limit
+ *   minWorkers <= sum_s W_si <= maxWorkers, W_si <= workersPerShift, H_i <= maxHires, F_i <= maxFires
+ * where a limit left null is dropped and a limit of 0 forbids (see WORKFORCE_LIMITS).
+ * Wages (with the shift premium after the first shift), overtime, hiring and firing costs go into
+ * workforceCoeffs, charged to settings.workforceCriterion. Mixed-integer mode makes W, H and F whole.
+ */
+function appendWorkforce(model, settings, units) {
+  const { n } = model;
+  const bad = units.find(u => !(u.productivity > 0));
+  if (bad) throw new MCDMError('INVALID_INPUT', `productivity must be above 0 pieces per worker to staff period ${bad.period + 1}`, { period: bad.period });
+  const num = (key) => Math.max(0, Number(settings[key]) || 0);
+  const shifts = Math.max(1, Math.floor(num('shifts')) || 1);
+  const first = appendModelVariables(model, (shifts + 3) * n);
+  const W = (s, i) => first + s * n + i;
+  const H = (i) => first + shifts * n + i;
+  const F = (i) => first + (shifts + 1) * n + i;
+  const V = (i) => first + (shifts + 2) * n + i;
+  const row = (entries) => {
+    const coeffs = Array(model.numVars).fill(0);
+    entries.forEach(([k, value]) => { coeffs[k] += value; });
+    return coeffs;
+  };
+  const headcount = (i, factor = 1) => Array.from({ length: shifts }, (_, s) => [W(s, i), factor]);
+  const wage = num('wage');
+  const limit = (key) => workforceLimit(settings, key);
+
+  for (let i = 0; i < n; i++) {
+    model.constraints.push({
+      coeffs: row([...headcount(i), ...(i > 0 ? headcount(i - 1, -1) : []), [H(i), -1], [F(i), 1]]),
+      op: '=', rhs: i === 0 ? num('initialWorkers') : 0, family: 'workforceBalance', period: i
+    });
+    model.constraints.push({
+      coeffs: row([...units.filter(u => u.period === i).map(u => [u.index, 1 / u.productivity]), ...headcount(i, -1), [V(i), -1]]),
+      op: '<=', rhs: 0, family: 'staffedOutput', period: i
+    });
+    if (num('overtimeShare') > 0) {
+      model.constraints.push({ coeffs: row([[V(i), 1], ...headcount(i, -num('overtimeShare'))]), op: '<=', rhs: 0, family: 'overtimeLimit', period: i });
+    } else {
+      model.upper[V(i)] = 0;
+    }
+    if (num('minWorkers') > 0) model.constraints.push({ coeffs: row(headcount(i)), op: '>=', rhs: num('minWorkers'), family: 'headcountMin', period: i });
+    if (limit('maxWorkers') !== null) model.constraints.push({ coeffs: row(headcount(i)), op: '<=', rhs: limit('maxWorkers'), family: 'headcountMax', period: i });
+    for (let s = 0; s < shifts; s++) {
+      if (limit('workersPerShift') !== null) model.upper[W(s, i)] = limit('workersPerShift');
+      model.workforceCoeffs[W(s, i)] = s === 0 ? wage : wage * (1 + num('shiftPremium'));
+    }
+    if (limit('maxHires') !== null) model.upper[H(i)] = limit('maxHires');
+    if (limit('maxFires') !== null) model.upper[F(i)] = limit('maxFires');
+    model.workforceCoeffs[H(i)] = num('hireCost');
+    model.workforceCoeffs[F(i)] = num('fireCost');
+    model.workforceCoeffs[V(i)] = wage * (1 + num('overtimePremium'));
+  }
+  if (settings.integerLots) {
+    model.integer.push(...Array.from({ length: (shifts + 2) * n }, (_, k) => ({ index: first + k, step: 1 })));
+  }
+  model.workforce = { first, shifts };
+  return model;
+}
+
+// Staffing plan of a solution vector: per-period headcount (total and by shift), hires, separations,
+// overtime (worker-periods), shifts in use and workforce cost, plus the cost split over the horizon
+function workforcePlan(model, x) {
+  const { n, workforceCoeffs } = model;
+  const { first, shifts } = model.workforce;
+  const series = (offset) => Array.from({ length: n }, (_, i) => x[first + offset * n + i]);
+  const cost = (offsets) => offsets.reduce((sum, offset) => sum + series(offset).reduce((s, v, i) => s + workforceCoeffs[first + offset * n + i] * v, 0), 0);
+  const byShift = Array.from({ length: shifts }, (_, s) => series(s));
+  const shiftOffsets = Array.from({ length: shifts }, (_, s) => s);
+  return {
+    headcount: Array.from({ length: n }, (_, i) => byShift.reduce((s, w) => s + w[i], 0)),
+    byShift,
+    hires: series(shifts),
+    fires: series(shifts + 1),
+    overtime: series(shifts + 2),
+    shiftsUsed: Array.from({ length: n }, (_, i) => byShift.filter(w => w[i] > 1e-6).length),
+    cost: Array.from({ length: n }, (_, i) => Array.from({ length: shifts + 3 }, (_, k) => workforceCoeffs[first + k * n + i] * x[first + k * n + i]).reduce((a, b) => a + b, 0)),
+    costs: { wages: cost(shiftOffsets), overtime: cost([shifts + 2]), hiring: cost([shifts]), firing: cost([shifts + 1]) }
+  };
+}
+
+/**
+ * values (Z_k per criterion) of an optimized plan. Product-model plans also get
+ * mix.contributions[criterionId][i] = sum_p v_kpi q_pi (unscaled, like v_i * x_i in the results table).
+ */
+function evaluatePlan(model, criteria, plan, settings) {
+  if (!model.productVars) return { ...plan, values: computeObjectives(criteria, plan.solution, planSurcharges(plan, settings)) };
+  const contributions = Object.fromEntries(criteria.map(c => [c.id, Array.from({ length: model.n }, (_, i) =>
+    model.products.reduce((s, p, pi) => s + productCoefficient(p, c, i) * plan.mix.products[pi].quantities[i], 0))]));
+  const surcharges = planSurcharges(plan, settings);
+  const values = Object.fromEntries(criteria.map(c => [c.id, c.scale * contributions[c.id].reduce((a, b) => a + b, 0) + (surcharges[c.id] || 0)]));
+  return { ...plan, values, mix: { ...plan.mix, contributions } };
+}
+
+// Objective row of one criterion over every model variable: scaled per-unit coefficients on x
+// (on each x_{p,l,i} in a product model), plus the holding, setup and workforce costs charged to it
+// (RON, not scaled) on I, y and the staffing variables.
+export function criterionObjectiveRow(model, c, settings) {
+  const row = Array.from({ length: model.numVars }, (_, k) => {
+    let coeff = k < model.n && !model.productVars ? c.scale * c.values[k] : 0;
+    if (c.id === settings.holdingCriterion) coeff += model.holdingCoeffs[k];
+    if (c.id === settings.setupCriterion) coeff += model.setupCoeffs[k];
+    if (c.id === settings.workforceCriterion) coeff += model.workforceCoeffs[k];
+    return coeff;
+  });
+  if (model.productVars) model.productVars.forEach(v => { row[v.index] += c.scale * productCoefficient(model.products[v.product], c, v.period); });
+  return row;
+}
+
+// Readable name of a model row, used to list binding constraints with their shadow prices
+export function constraintLabel(con, periodLabels) {
+  switch (con.family) {
+    case 'cumulativeCapacity': return `Cumulative capacity ≤ ${periodLabels[con.period]}`;
+    case 'totalCapacity': return 'Total-horizon capacity';
+    case 'inventoryBalance': return `Inventory balance ${periodLabels[con.period]}`;
+    case 'setupLink': return `Setup link ${periodLabels[con.period]}`;
+    case 'minRun': return `Minimum run ${periodLabels[con.period]}`;
+    case 'goal': return `Goal on ${con.label}`;
+    case 'goalLevel': return 'Higher-priority goal level';
+    case 'robustCover': return `Robust demand cover ≤ ${periodLabels[con.period]}`;
+    case 'robustObjective': return `Objective protection ${periodLabels[con.period]}`;
+    case 'productTotal': return `Total production ${periodLabels[con.period]}`;
+    case 'productOrders': return `${con.label} orders ${periodLabels[con.period]}`;
+    case 'productDemand': return `${con.label} demand cap ${periodLabels[con.period]}`;
+    case 'lineCapacity': return `${con.label} capacity ${periodLabels[con.period]}`;
+    case 'workforceBalance': return `Workforce balance ${periodLabels[con.period]}`;
+    case 'staffedOutput': return `Staffed output ${periodLabels[con.period]}`;
+    case 'overtimeLimit': return `Overtime limit ${periodLabels[con.period]}`;
+    case 'headcountMin': return `Minimum headcount ${periodLabels[con.period]}`;
+    case 'headcountMax': return `Maximum headcount ${periodLabels[con.period]}`;
+    default: return con.family;
+  }
+}
+
+// Solve one objective row over the model; returns the variable vector and the plan's solver fields
+function solveProductionModel(model, objective, maximize, initial) {
+  const problem = { objective, lower: model.lower, upper: model.upper, constraints: model.constraints, maximize };
+  if (model.integer.length) {
+    const res = solveMIP({ ...problem, integer: model.integer, timeLimit: model.timeLimit, initial });
+    if (!res.x) {
+      if (res.status === 'infeasible' || res.status === 'unbounded') {
+        throw new MCDMError(res.status.toUpperCase(), `MIP is ${res.status} — check lot size, minimum run, orders and capacity`, { status: res.status });
+      }
+      throw new MCDMError('SOLVER_LIMIT', `branch-and-bound found no integer plan within the ${res.status === 'timeLimit' ? 'time' : 'node'} limit`,
+        { status: res.status, nodes: res.nodes, elapsedMs: res.elapsedMs });
+    }
+    return {
+      x: res.x,
+      objective: res.objective,
+      status: res.status,
+      shadowPrices: null,
+      mip: { status: res.status, gap: res.gap, nodes: res.nodes, elapsedMs: res.elapsedMs, bound: res.bound }
+    };
+  }
+  const res = solveLP(problem);
+  if (res.status !== 'optimal') {
+    throw new MCDMError(res.status.toUpperCase(), `LP is ${res.status} — check orders, capacity and the enabled constraint families`, { status: res.status });
+  }
+  return {
+    x: res.x,
+    objective: res.objective,
+    status: res.status,
+    shadowPrices: model.constraints.map((con, k) => ({ family: con.family, period: con.period, label: con.label, value: res.duals[k] }))
+  };
+}
+
+/**
+ * Optimize an objective row (one coefficient per model variable) over the constraint model.
+ * Models with integer variables go through branch-and-bound (optionally warm-started from a
+ * feasible variable vector `initial`); their result carries mip = { status, gap, nodes, elapsedMs,
+ * bound } and no shadow prices (LP duals do not apply). `variables` is the full solution vector.
+ * With a workforce layer, a second solve holds the objective at its optimum and minimizes the
+ * workforce cost, so modes that do not price staffing (turnover, productivity, weightings with
+ * little cost weight) do not return an arbitrary hire-and-fire vertex. Objective, status, shadow
+ * prices and mip describe the first solve.
+ * @returns {Plan} without `values`
+ * @throws {MCDMError} INFEASIBLE, UNBOUNDED or SOLVER_LIMIT
+ */
+export function optimizeProductionPlan(model, objective, maximize, initial = null) {
+  const { x: optimal, ...extra } = solveProductionModel(model, objective, maximize, initial);
+  let x = optimal;
+  if (model.workforce) {
+    // relative slack for LP round-off; the caller's model is reused (frontier, goals), so extend a copy
+    const slack = 1e-7 * Math.max(1, Math.abs(extra.objective));
+    const level = { coeffs: objective, op: maximize ? '>=' : '<=', rhs: extra.objective + (maximize ? -slack : slack), family: 'objectiveLevel', period: null };
+    try {
+      x = solveProductionModel({ ...model, constraints: [...model.constraints, level] }, model.workforceCoeffs, false, optimal).x;
+    } catch (err) {
+      // a branch-and-bound limit on the tie-break keeps the first plan, which is optimal already
+      if (!(err instanceof MCDMError) || err.code !== 'SOLVER_LIMIT') throw err;
+    }
+  }
+  return {
+    solution: x.slice(0, model.n),
+    inventory: model.inventory ? x.slice(model.n, 2 * model.n) : null,
+    setups: model.setups ? x.slice(model.setupOffset, model.setupOffset + model.n).map(v => Math.round(v)) : null,
+    variables: x,
+    holdingCost: x.reduce((s, v, k) => s + model.holdingCoeffs[k] * v, 0),
+    setupCost: x.reduce((s, v, k) => s + model.setupCoeffs[k] * v, 0),
+    workforceCost: x.reduce((s, v, k) => s + model.workforceCoeffs[k] * v, 0),
+    workforce: model.workforce ? workforcePlan(model, x) : null,
+    shortfall: model.shortfall,
+    ...(model.productVars ? { mix: productMix(model, x) } : {}),
+    ...extra
+  };
+}
+
+// Holding, setup and workforce costs of a plan, keyed by the criterion they are charged to
+export function planSurcharges(plan, settings) {
+  const surcharges = { [settings.holdingCriterion]: plan.holdingCost };
+  surcharges[settings.setupCriterion] = (surcharges[settings.setupCriterion] || 0) + plan.setupCost;
+  if (plan.workforceCost) surcharges[settings.workforceCriterion] = (surcharges[settings.workforceCriterion] || 0) + plan.workforceCost;
+  return surcharges;
+}
+
+/**
+ * Compute Z_k = scale_k * sum(v_ki * x_i) for every criterion given x.
+ * `surcharges` adds plan costs outside the per-unit coefficients (e.g. inventory holding) to a criterion.
+ * @param {Criterion[]} criteria
+ * @param {number[]} x
+ * @param {Object<string, number>} [surcharges]
+ * @returns {Object<string, number>}
+ */
+export function computeObjectives(criteria, x, surcharges = {}) {
+  const values = {};
+  criteria.forEach(c => {
+    values[c.id] = c.scale * x.reduce((s, xi, i) => s + c.values[i] * xi, 0) + (surcharges[c.id] || 0);
+  });
+  return values;
+}
+
+/**
+ * Solve one optimization mode over the constraint model.
+ *   mode: a criterion id (optimized alone, in its own direction) or 'multiObjective'
+ *   multiObjective maximizes Z = sum_k sign_k * w_k * weightScale_k * Z_k with sign_k = -1 for cost
+ *     criteria, or
+ *     Z = sum_k w_k * N_k when `normalization` ({ method, payoff? }, see NORMALIZATION_METHODS) is
+ *     given; the payoff table is solved first unless passed in
+ * Returns the plan plus values (Z_k per criterion id); normalized multi-objective plans also carry
+ * normalized (N_k) and normalization = { method, payoff, factors }.
+ * @param {string} mode
+ * @param {{ data: ProblemData, weights?: number[], settings: typeof DEFAULT_CONSTRAINT_SETTINGS,
+ *   normalization?: { method: string, payoff?: Object }|null }} input
+ * @returns {Plan}
+ * @throws {MCDMError} INVALID_INPUT for an unknown mode or bad weights, or a solver error code
+ */
+export function solveMode(mode, { data, weights, settings, normalization = null }) {
+  const { criteria } = data;
+  const model = buildConstraintModel(data, settings);
+
+  let plan;
+  let norm = null;
+  if (mode === 'multiObjective') {
+    if (!weights || weights.length !== criteria.length || weights.some(w => !Number.isFinite(w))) {
+      throw new MCDMError('INVALID_INPUT', `multi-objective mode needs ${criteria.length} finite weights`, { weights });
+    }
+    norm = resolveNormalization(data, settings, normalization);
+    const w = scaledWeights(criteria, weights, norm);
+    const rows = criteria.map(c => criterionObjectiveRow(model, c, settings));
+    const combined = Array.from({ length: model.numVars }, (_, j) =>
+      criteria.reduce((s, c, k) => s + directionSign(c) * w[k] * rows[k][j], 0)
+    );
+    plan = optimizeProductionPlan(model, combined, true);
+  } else {
+    const c = criteria.find(cr => cr.id === mode);
+    if (!c) throw new MCDMError('INVALID_INPUT', `Unknown criterion "${mode}"`, { mode });
+    plan = optimizeProductionPlan(model, criterionObjectiveRow(model, c, settings), c.direction !== 'cost');
+  }
+
+  const evaluated = evaluatePlan(model, criteria, plan, settings);
+  if (!norm) return evaluated;
+  return { ...evaluated, normalized: normalizeValues(criteria, evaluated.values, norm.factors), normalization: norm };
+}
+
+/**
+ * % improvement of each criterion over the baseline plan (x_i = orders_i); positive is better.
+ * The baseline has no holding, setup or workforce costs, so the plan's `surcharges` (see
+ * planSurcharges) are taken off its values first and both sides compare the per-unit part.
+ * @param {Criterion[]} criteria
+ * @param {Object<string, number>} values
+ * @param {number[]} orders
+ * @param {Object<string, number>} [surcharges] keyed by criterion id
+ * @returns {Object<string, string>} percentages with two decimals, keyed by criterion id
+ */
+export function computeImprovements(criteria, values, orders, surcharges = {}) {
+  const baseline = computeObjectives(criteria, orders);
+  const improvements = {};
+  criteria.forEach(c => {
+    const base = baseline[c.id];
+    const value = values[c.id] - (surcharges[c.id] || 0);
+    improvements[c.id] = base ? (directionSign(c) * (value - base) / Math.abs(base) * 100).toFixed(2) : '0.00';
+  });
+  return improvements;
+}
+
+/**
+ * Average relative deviation of the single-objective plans from the multi-objective plan,
+ * across all criteria (lower means the compromise sits closer to every extreme).
+ * Criteria without a single-objective result count as Infinity; null without a multi-objective result.
+ * @param {Criterion[]} criteria
+ * @param {Object<string, {values: Object<string, number>}>} results keyed by mode
+ * @returns {number|null}
+ */
+export function multiObjectiveImbalance(criteria, results) {
+  if (!results.multiObjective) return null;
+  const multi = criteria.map(c => results.multiObjective.values[c.id] || 1);
+  const singles = criteria.map(single => criteria.map(c => (results[single.id] ? results[single.id].values[c.id] : 0) || 0));
+  const imbalanceScores = singles.map(s => {
+    if (s.every(v => !v)) return Infinity;
+    const diffs = s.map((val, i) => Math.abs((val - multi[i]) / (multi[i] || 1)));
+    return diffs.reduce((a, b) => a + b, 0) / diffs.length;
+  });
+  return imbalanceScores.reduce((a, b) => a + b, 0) / imbalanceScores.length;
+}
+
+// ---------------------- Strategy comparison ----------------------
+// Compromise-programming view of the solved modes: per criterion, achievement a_k = (Z_k - nadir_k) /
+// (ideal_k - nadir_k) over the compared plans, shortfall d_k = 1 - a_k, and weighted distances to
+// the ideal point L1 = sum w_k d_k, L2 = sqrt(sum (w_k d_k)^2), L∞ = max w_k d_k.
+export const DISTANCE_METRICS = {
+  L1: { label: 'L1 (Manhattan)', description: 'sum of the weighted shortfalls' },
+  L2: { label: 'L2 (Euclidean)', description: 'root of the summed squared weighted shortfalls' },
+  Linf: { label: 'L∞ (Chebyshev)', description: 'largest weighted shortfall' }
+};
+export const STRATEGY_STATUS = {
+  compromise: { label: 'Best compromise', description: 'non-dominated and closest to the ideal point' },
+  balanced: { label: 'Balanced', description: 'non-dominated, every criterion within the spread threshold' },
+  imbalanced: { label: 'Imbalanced', description: 'non-dominated, but some criteria are far behind the others' },
+  dominated: { label: 'Dominated', description: 'another solved plan is at least as good everywhere and better somewhere' }
+};
+// Achievement spread (best minus worst criterion, percentage points) above which a plan is imbalanced
+export const BALANCE_SPREAD_THRESHOLD = 50;
+
+const COMPARED_MODES = ['multiObjective', 'goalProgramming', 'robust'];
+
+/**
+ * Dominance and compromise metrics of every solved strategy in `results` (single-objective modes,
+ * multiObjective, goalProgramming, robust). Ideal and nadir are the best and worst value each
+ * criterion reaches over the compared plans, i.e. the payoff table once every single-objective mode has run.
+ * Weights default to equal; ranks are competition ranks by `rankBy` (ties share a rank).
+ * @param {Criterion[]} criteria
+ * @param {Object<string, {values: Object<string, number>}>} results keyed by mode
+ * @param {{ weights?: number[]|null, rankBy?: 'L1'|'L2'|'Linf', tolerance?: number }} [options]
+ * @returns {{ ideal: Object<string, number>, nadir: Object<string, number>, weights: number[], rankBy: string,
+ *   strategies: { mode: string, values: Object<string, number>, achievement: Object<string, number>,
+ *     distance: { L1: number, L2: number, Linf: number }, dominatedBy: string[], dominates: string[],
+ *     spread: number, rank: number, status: string }[] }|null} null when nothing has been solved
+ */
+export function compareStrategies(criteria, results, { weights = null, rankBy = 'L2', tolerance = 1e-9 } = {}) {
+  if (!DISTANCE_METRICS[rankBy]) throw new MCDMError('INVALID_INPUT', `unknown distance metric "${rankBy}"`, { rankBy });
+  const modes = [...criteria.map(c => c.id), ...COMPARED_MODES].filter(m => results[m] && results[m].values);
+  if (!modes.length) return null;
+  const w = weights && weights.length === criteria.length ? weights : criteria.map(() => 1 / criteria.length);
+  const ideal = {};
+  const nadir = {};
+  criteria.forEach(c => {
+    const reached = modes.map(m => directionSign(c) * results[m].values[c.id]);
+    ideal[c.id] = directionSign(c) * Math.max(...reached);
+    nadir[c.id] = directionSign(c) * Math.min(...reached);
+  });
+  const strategies = modes.map(mode => {
+    const values = results[mode].values;
+    const achievement = {};
+    const shortfalls = criteria.map((c, k) => {
+      const range = ideal[c.id] - nadir[c.id];
+      const a = Math.abs(range) > tolerance * Math.max(1, Math.abs(ideal[c.id])) ? (values[c.id] - nadir[c.id]) / range : 1;
+      achievement[c.id] = a * 100;
+      return w[k] * (1 - a);
+    });
+    const percents = Object.values(achievement);
+    return {
+      mode,
+      values,
+      achievement,
+      distance: {
+        L1: shortfalls.reduce((s, d) => s + d, 0),
+        L2: Math.sqrt(shortfalls.reduce((s, d) => s + d * d, 0)),
+        Linf: Math.max(...shortfalls)
+      },
+      dominatedBy: modes.filter(other => other !== mode && dominates(results[other].values, values, criteria, tolerance)),
+      dominates: modes.filter(other => other !== mode && dominates(values, results[other].values, criteria, tolerance)),
+      spread: Math.max(...percents) - Math.min(...percents)
+    };
+  });
+  strategies.forEach(s => {
+    s.rank = 1 + strategies.filter(o => o.distance[rankBy] < s.distance[rankBy] - tolerance).length;
+  });
+  strategies.forEach(s => {
+    if (s.dominatedBy.length) s.status = 'dominated';
+    else if (s.rank === 1) s.status = 'compromise';
+    else s.status = s.spread > BALANCE_SPREAD_THRESHOLD ? 'imbalanced' : 'balanced';
+  });
+  return { ideal, nadir, weights: w, rankBy, strategies };
+}
+
+/**
+ * Plain-text conclusions drawn from a compareStrategies() result (and the results it was built from):
+ * the best compromise, dominated plans, where the multi-objective plan stands and what the
+ * single-objective plans give up.
+ * @returns {string[]}
+ */
+export function strategyConclusions(criteria, comparison, results) {
+  if (!comparison) return [];
+  const { strategies, rankBy } = comparison;
+  const label = mode => modeLabel(mode, criteria);
+  const pct = v => `${v.toFixed(1)}%`;
+  const weakest = s => criteria.reduce((worst, c) => (s.achievement[c.id] < s.achievement[worst.id] ? c : worst), criteria[0]);
+  const out = [];
+  const best = strategies.filter(s => s.rank === 1);
+  const bestLow = weakest(best[0]);
+  out.push(`${best.map(s => label(s.mode)).join(' and ')} ${best.length > 1 ? 'sit' : 'sits'} closest to the ideal point `
+    + `(${DISTANCE_METRICS[rankBy].label} distance ${best[0].distance[rankBy].toFixed(4)}); the weakest criterion there is `
+    + `${bestLow.name} at ${pct(best[0].achievement[bestLow.id])} of its achievable range.`);
+  const dominated = strategies.filter(s => s.dominatedBy.length);
+  if (dominated.length) {
+    dominated.forEach(s => out.push(`${label(s.mode)} is dominated by ${s.dominatedBy.map(label).join(', ')}: `
+      + 'that plan is at least as good on every criterion and strictly better on one, so it should not be chosen.'));
+  } else if (strategies.length > 1) {
+    out.push('No solved plan dominates another: each one is a genuine trade-off between the criteria.');
+  }
+  const multi = strategies.find(s => s.mode === 'multiObjective');
+  if (multi) {
+    const low = weakest(multi);
+    const high = criteria.reduce((top, c) => (multi.achievement[c.id] > multi.achievement[top.id] ? c : top), criteria[0]);
+    out.push(`The multi-objective plan ranks ${multi.rank} of ${strategies.length} by ${DISTANCE_METRICS[rankBy].label} distance; `
+      + `its achievement ranges from ${pct(multi.achievement[low.id])} (${low.name}) to ${pct(multi.achievement[high.id])} (${high.name}).`);
+    const twin = strategies.find(s => s.mode !== 'multiObjective' && criteria.every(c =>
+      Math.abs(s.values[c.id] - multi.values[c.id]) <= 1e-6 * Math.max(1, Math.abs(multi.values[c.id]))));
+    if (twin) {
+      out.push(`It coincides with the ${label(twin.mode)} plan: with these weights and scaling no trade-off is worth leaving that corner of the feasible region.`);
+    }
+    const imbalance = multiObjectiveImbalance(criteria, results);
+    if (Number.isFinite(imbalance)) {
+      out.push(`The single-objective plans deviate on average ${(imbalance * 100).toFixed(2)}% from the multi-objective plan across all criteria.`);
+    }
+  } else {
+    out.push('Run the multi-objective mode to see where the AHP-weighted compromise stands.');
+  }
+  strategies.filter(s => s.status === 'imbalanced').forEach(s => {
+    const low = weakest(s);
+    out.push(`${label(s.mode)} keeps only ${pct(s.achievement[low.id])} of the achievable ${low.name.toLowerCase()} range (spread ${s.spread.toFixed(1)} points).`);
+  });
+  return out;
+}
+
+// ---------------------- Goal programming ----------------------
+// Append `count` non-negative continuous variables with zero cost to a model (in place);
+// returns the index of the first new variable.
+export function appendModelVariables(model, count) {
+  const first = model.numVars;
+  const zeros = Array(count).fill(0);
+  model.numVars += count;
+  model.lower.push(...zeros);
+  model.upper.push(...Array(count).fill(Infinity));
+  model.holdingCoeffs.push(...zeros);
+  model.setupCoeffs.push(...zeros);
+  model.workforceCoeffs.push(...zeros);
+  model.constraints.forEach(con => con.coeffs.push(...zeros));
+  return first;
+}
+
+/**
+ * Goal programming over the constraint model.
+ *   goals: [{ criterionId, target, under, over, priority }], target in criterion units (not M),
+ *     under/over the penalty weights on falling short of / exceeding the target
+ *   method 'weighted': one LP minimizing sum_k (under_k d-_k + over_k d+_k)
+ *   method 'lexicographic': minimize that sum one priority level at a time (1 first), fixing
+ *     each level's optimum before moving to the next
+ * Each goal adds relative deviations d-_k, d+_k >= 0 (fractions of the target, so penalties on
+ * different units are comparable) with Z_k(x) + N_k d-_k - N_k d+_k = target_k, N_k = max(1, |target_k|).
+ * Returns the plan plus values, goals ([{ ...goal, name, value, shortfall, excess, penalty }]) and
+ * levels ([{ priority, penalty }]).
+ * @param {{ criterionId: string, target: number, under?: number, over?: number, priority?: number }[]} goals
+ * @param {{ data: ProblemData, settings: typeof DEFAULT_CONSTRAINT_SETTINGS, method?: 'weighted'|'lexicographic' }} input
+ * @returns {Plan & { goals: Object[], levels: Object[], method: string }}
+ */
+export function solveGoalProgram(goals, { data, settings, method = 'weighted' }) {
+  const { criteria } = data;
+  if (!goals.length) throw new MCDMError('INVALID_INPUT', 'set a target for at least one objective');
+  const model = buildConstraintModel(data, settings);
+  const first = appendModelVariables(model, 2 * goals.length);
+  const resolved = goals.map((g, k) => {
+    const c = criteria.find(cr => cr.id === g.criterionId);
+    if (!c) throw new MCDMError('INVALID_INPUT', `goal ${k + 1} refers to unknown criterion "${g.criterionId}"`, { goal: k });
+    if (!Number.isFinite(g.target)) throw new MCDMError('INVALID_INPUT', `the ${c.name} target is not a number`, { goal: k });
+    const coeffs = criterionObjectiveRow(model, c, settings);
+    const norm = Math.max(1, Math.abs(g.target));
+    coeffs[first + 2 * k] = norm;
+    coeffs[first + 2 * k + 1] = -norm;
+    model.constraints.push({ coeffs, op: '=', rhs: g.target, family: 'goal', period: null, label: c.name });
+    return { ...g, name: c.name, norm };
+  });
+
+  const penaltyRow = (inLevel) => {
+    const row = Array(model.numVars).fill(0);
+    resolved.forEach((g, k) => {
+      if (!inLevel(g)) return;
+      row[first + 2 * k] = Number(g.under) || 0;
+      row[first + 2 * k + 1] = Number(g.over) || 0;
+    });
+    return row;
+  };
+
+  const levels = [];
+  let plan;
+  if (method === 'lexicographic') {
+    const priorities = [...new Set(resolved.map(g => Number(g.priority) || 1))].sort((a, b) => a - b);
+    priorities.forEach(priority => {
+      const row = penaltyRow(g => (Number(g.priority) || 1) === priority);
+      // the previous level's plan satisfies every fixed level, so it warm-starts branch-and-bound
+      plan = optimizeProductionPlan(model, row, false, plan ? plan.variables : null);
+      levels.push({ priority, penalty: plan.objective });
+      // later levels may not worsen this one (relative slack for LP round-off)
+      model.constraints.push({ coeffs: row, op: '<=', rhs: plan.objective + 1e-9 * Math.max(1, Math.abs(plan.objective)), family: 'goalLevel', period: null });
+    });
+  } else {
+    plan = optimizeProductionPlan(model, penaltyRow(() => true), false);
+    levels.push({ priority: null, penalty: plan.objective });
+  }
+
+  const { values, mix } = evaluatePlan(model, criteria, plan, settings);
+  const achieved = resolved.map(({ norm, ...g }) => {
+    const value = values[g.criterionId];
+    const shortfall = Math.max(0, g.target - value);
+    const excess = Math.max(0, value - g.target);
+    return { ...g, value, shortfall, excess, penalty: ((Number(g.under) || 0) * shortfall + (Number(g.over) || 0) * excess) / norm };
+  });
+  return { ...plan, values, ...(mix ? { mix } : {}), goals: achieved, levels, method };
+}
+
+// ---------------------- Uncertainty ----------------------
+// Uncertainty models per series, keyed by 'orders', 'capacity' or a criterion id. Spreads are
+// percentages of each period's nominal value v:
+//   normal      { sd }         N(v, (sd% * v)^2), truncated at 0
+//   triangular  { low, high }  mode v on [v * (1 - low%), v * (1 + high%)]
+//   interval    { low, high }  uniform on the same range
+export const UNCERTAINTY_DISTRIBUTIONS = {
+  normal: { label: 'Normal', params: ['sd'] },
+  triangular: { label: 'Triangular', params: ['low', 'high'] },
+  interval: { label: 'Interval (uniform)', params: ['low', 'high'] }
+};
+export const DEFAULT_UNCERTAINTY_MODEL = { type: 'normal', sd: 10, low: 15, high: 15 };
+export const MONTE_CARLO_MAX_SAMPLES = 100000;
+
+// Normal models enter the robust uncertainty set as their central 95% band
+const NORMAL_BAND_Z = 1.959964;
+
+// Models that apply to the current series, checked; stale keys (e.g. removed criteria) are dropped
+function resolveUncertainty(uncertainty, criteria) {
+  const keys = ['orders', 'capacity', ...criteria.map(c => c.id)];
+  const models = {};
+  Object.entries(uncertainty || {}).forEach(([key, m]) => {
+    if (!keys.includes(key) || !m) return;
+    if (!UNCERTAINTY_DISTRIBUTIONS[m.type]) {
+      throw new MCDMError('INVALID_INPUT', `unknown distribution "${m.type}" for ${key}`, { series: key });
+    }
+    const spread = UNCERTAINTY_DISTRIBUTIONS[m.type].params.map(p => Number(m[p]));
+    if (spread.some(v => !Number.isFinite(v) || v < 0) || (m.type !== 'normal' && Number(m.low) > 100)) {
+      throw new MCDMError('INVALID_INPUT', `${key}: spreads must be percentages ≥ 0 (low at most 100)`, { series: key });
+    }
+    models[key] = { type: m.type, sd: Number(m.sd) || 0, low: Number(m.low) || 0, high: Number(m.high) || 0 };
+  });
+  return models;
+}
+
+// Per-period [low, high] of a series under its model; the nominal series when it has none
+function uncertaintyBand(values, model) {
+  if (!model) return { low: [...values], high: [...values] };
+  const down = model.type === 'normal' ? NORMAL_BAND_Z * model.sd : model.low;
+  const up = model.type === 'normal' ? NORMAL_BAND_Z * model.sd : model.high;
+  return {
+    low: values.map(v => Math.max(0, v - Math.abs(v) * down / 100)),
+    high: values.map(v => v + Math.abs(v) * up / 100)
+  };
+}
+
+// mulberry32: small seedable PRNG so simulations are reproducible across runs and machines
+function seededRandom(seed) {
+  let a = (Number(seed) >>> 0) || 0x9e3779b9;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleValue(v, model, random) {
+  if (!model) return v;
+  const u = random();
+  if (model.type === 'normal') {
+    const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * random());
+    return Math.max(0, v + z * Math.abs(v) * model.sd / 100);
+  }
+  const lo = v - Math.abs(v) * model.low / 100;
+  const hi = v + Math.abs(v) * model.high / 100;
+  if (model.type === 'interval' || hi === lo) return lo + u * (hi - lo);
+  // triangular with mode v by inverse CDF
+  const split = (v - lo) / (hi - lo);
+  return u < split ? lo + Math.sqrt(u * (hi - lo) * (v - lo)) : hi - Math.sqrt((1 - u) * (hi - lo) * (hi - v));
+}
+
+// Linear-interpolated percentile of an ascending array
+const percentileOf = (sorted, p) => {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+};
+
+function distributionSummary(samples, nominal, bins = 20) {
+  const sorted = Float64Array.from(samples).sort();
+  const count = sorted.length;
+  const mean = sorted.reduce((s, v) => s + v, 0) / count;
+  const sd = Math.sqrt(sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(1, count - 1));
+  const min = sorted[0];
+  const max = sorted[count - 1];
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, b) => ({ from: min + b * width, to: min + (b + 1) * width, count: 0 }));
+  sorted.forEach(v => { histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count++; });
+  return {
+    nominal, mean, sd, min, max,
+    p5: percentileOf(sorted, 0.05),
+    p25: percentileOf(sorted, 0.25),
+    p50: percentileOf(sorted, 0.5),
+    p75: percentileOf(sorted, 0.75),
+    p95: percentileOf(sorted, 0.95),
+    histogram
+  };
+}
+
+/**
+ * Monte Carlo evaluation of a fixed plan: each sample draws orders, capacity and criterion
+ * coefficients from their models and evaluates Z_k for the planned x (holding cost on the
+ * simulated stock when inventory carry-over is on, setup and workforce costs as planned).
+ *   shortfall: the plan plus carried stock misses a period's sampled orders
+ *   capacity breach: covering those orders would need more than the sampled capacity in some
+ *     period (or the plan itself exceeds it)
+ * Returns { samples, seed, stats: { [criterionId]: { nominal, mean, sd, min, max, p5, p25, p50,
+ * p75, p95, histogram } }, breachProbability, breachByPeriod, shortfallProbability, expectedShortfall }.
+ * @param {Plan} plan
+ * @param {{ data: ProblemData, settings: typeof DEFAULT_CONSTRAINT_SETTINGS, uncertainty: Object,
+ *   samples?: number, seed?: number, onProgress?: (done: number, total: number) => void }} input
+ * @throws {MCDMError} INVALID_INPUT for a bad model, sample count or plan length
+ */
+export function simulatePlan(plan, { data, settings, uncertainty, samples = 1000, seed = 1, onProgress = null }) {
+  validateProblemData(data);
+  const { criteria, orders, capacity } = data;
+  const n = orders.length;
+  const x = plan.solution;
+  if (!Array.isArray(x) || x.length !== n) throw new MCDMError('INVALID_INPUT', `the plan has ${x ? x.length : 0} periods, the data ${n}`);
+  if (!Number.isInteger(samples) || samples < 1 || samples > MONTE_CARLO_MAX_SAMPLES) {
+    throw new MCDMError('INVALID_INPUT', `samples must be a whole number from 1 to ${MONTE_CARLO_MAX_SAMPLES}`, { samples });
+  }
+  const models = resolveUncertainty(uncertainty, criteria);
+  // a product-model plan is evaluated at its own mix: per-period coefficients sum_p v_kpi q_pi / x_i
+  const nominalCriteria = plan.mix && plan.mix.contributions
+    ? criteria.map(c => ({ ...c, values: c.values.map((v, i) => (x[i] > 0 ? plan.mix.contributions[c.id][i] / x[i] : v)) }))
+    : criteria;
+  const random = seededRandom(seed);
+  const holding = settings.inventory ? Number(settings.holdingCost) || 0 : 0;
+  const draws = Object.fromEntries(criteria.map(c => [c.id, new Float64Array(samples)]));
+  const breachByPeriod = Array(n).fill(0);
+  let breaches = 0;
+  let shortfalls = 0;
+  let shortfallTotal = 0;
+
+  for (let s = 0; s < samples; s++) {
+    const sampledOrders = orders.map(v => sampleValue(v, models.orders, random));
+    const sampledCapacity = capacity.map(v => sampleValue(v, models.capacity, random));
+    const sampledCriteria = nominalCriteria.map(c => ({ ...c, values: c.values.map(v => sampleValue(v, models[c.id], random)) }));
+    let stock = settings.inventory ? Number(settings.initialInventory) || 0 : 0;
+    let held = 0;
+    let breached = false;
+    let short = 0;
+    for (let i = 0; i < n; i++) {
+      const missing = Math.max(0, sampledOrders[i] - stock - x[i]);
+      if (x[i] + missing > sampledCapacity[i] * (1 + 1e-9)) {
+        breachByPeriod[i]++;
+        breached = true;
+      }
+      short += missing;
+      stock = settings.inventory ? Math.max(0, stock + x[i] - sampledOrders[i]) : 0;
+      held += holding * stock;
+    }
+    if (breached) breaches++;
+    if (short > 0) shortfalls++;
+    shortfallTotal += short;
+    const surcharges = { [settings.holdingCriterion]: held };
+    surcharges[settings.setupCriterion] = (surcharges[settings.setupCriterion] || 0) + (plan.setupCost || 0);
+    if (plan.workforceCost) surcharges[settings.workforceCriterion] = (surcharges[settings.workforceCriterion] || 0) + plan.workforceCost;
+    const values = computeObjectives(sampledCriteria, x, surcharges);
+    criteria.forEach(c => { draws[c.id][s] = values[c.id]; });
+    if (onProgress && ((s + 1) % 100 === 0 || s + 1 === samples)) onProgress(s + 1, samples);
+  }
+
+  const nominal = plan.values || computeObjectives(criteria, x, planSurcharges(plan, settings));
+  return {
+    samples,
+    seed,
+    stats: Object.fromEntries(criteria.map(c => [c.id, distributionSummary(draws[c.id], nominal[c.id])])),
+    breachProbability: breaches / samples,
+    breachByPeriod: breachByPeriod.map(k => k / samples),
+    shortfallProbability: shortfalls / samples,
+    expectedShortfall: shortfallTotal / samples
+  };
+}
+
+// Bertsimas–Sim protection of a right-hand side: the worst total deviation when at most `gamma`
+// of the terms move (the largest ones, the last one fractionally)
+function budgetProtection(deviations, gamma) {
+  const sorted = [...deviations].sort((a, b) => b - a);
+  const whole = Math.min(sorted.length, Math.floor(gamma));
+  const protection = sorted.slice(0, whole).reduce((s, d) => s + d, 0);
+  return protection + (whole < sorted.length ? (gamma - whole) * sorted[whole] : 0);
+}
+
+/**
+ * Robust plan over the uncertainty set with Bertsimas–Sim budgets (Γ = how many periods may
+ * deviate to the edge of their band at once; default the whole horizon, i.e. box uncertainty).
+ *   demand:    orders at the high edge — per-period cover x_i >= o_i + d_i without carry-over,
+ *              cumulative cover sum_{k<=i} x_k >= sum_{k<=i} o_k - I_{-1} + protection with it
+ *   capacity:  capacity at the low edge on the per-period, cumulative and total-horizon rows
+ *   objective: the weighted objective of `mode` (multiObjective, or one criterion) loses the
+ *              largest Γ adverse coefficient moves, linearized with z and p_i >= 0:
+ *              max c·x - Γ z - sum_i p_i  s.t.  z + p_i >= d_i x_i
+ * Single-period rows use min(Γ, 1). Without carry-over, periods whose worst-case orders exceed the
+ * worst-case capacity are produced at that capacity and listed in robust.uncovered.
+ * Returns the plan (values at nominal coefficients) plus robust = { budget, worstCase,
+ * nominalOptimum, priceOfRobustness, absolutePriceOfRobustness, uncovered }, worstCase,
+ * nominalOptimum and the absolute price in the units of the weighted objective sum_k ±w_k Z_k
+ * (weights rescaled by `normalization` in multiObjective mode, as in solveMode). The relative
+ * price is null when the nominal optimum is 0.
+ * @param {{ data: ProblemData, settings: typeof DEFAULT_CONSTRAINT_SETTINGS, uncertainty: Object,
+ *   weights?: number[], mode?: string, budget?: { demand?: number, capacity?: number, objective?: number },
+ *   normalization?: { method: string, payoff?: Object }|null }} input
+ * @returns {Plan & { robust: Object }}
+ * @throws {MCDMError} INVALID_INPUT, or INFEASIBLE when no plan is feasible across the set
+ */
+export function solveRobust({ data, settings, uncertainty, weights = null, mode = 'multiObjective', budget = {}, normalization = null }) {
+  if (hasProducts(data)) {
+    throw new MCDMError('INVALID_INPUT', 'robust mode protects the single-product model — remove the products to use it', { setting: 'products' });
+  }
+  const { criteria, orders, capacity } = data;
+  const model = buildConstraintModel(data, settings);
+  const { n } = model;
+  const models = resolveUncertainty(uncertainty, criteria);
+  let w;
+  let norm = null;
+  if (mode === 'multiObjective') {
+    if (!weights || weights.length !== criteria.length || weights.some(v => !Number.isFinite(v))) {
+      throw new MCDMError('INVALID_INPUT', `robust multi-objective mode needs ${criteria.length} finite weights`, { weights });
+    }
+    norm = resolveNormalization(data, settings, normalization);
+    w = scaledWeights(criteria, weights, norm);
+  } else {
+    if (!criteria.some(c => c.id === mode)) throw new MCDMError('INVALID_INPUT', `Unknown criterion "${mode}"`, { mode });
+    w = criteria.map(c => (c.id === mode ? 1 : 0));
+  }
+  const gamma = {};
+  ['demand', 'capacity', 'objective'].forEach(key => {
+    const g = budget[key] === undefined || budget[key] === null || budget[key] === '' ? n : Number(budget[key]);
+    if (!Number.isFinite(g) || g < 0) throw new MCDMError('INVALID_INPUT', `the ${key} budget Γ must be a number ≥ 0`, { budget });
+    gamma[key] = Math.min(g, n);
+  });
+
+  const demandUp = uncertaintyBand(orders, models.orders).high.map((v, i) => v - orders[i]);
+  const capacityDown = uncertaintyBand(capacity, models.capacity).low.map((v, i) => capacity[i] - v);
+  const mip = !!settings.integerLots;
+  const lot = mip && Number(settings.lotSize) > 0 ? Number(settings.lotSize) : 1;
+  const single = Math.min(gamma.demand, 1);
+  const uncovered = [];
+  for (let i = 0; i < n; i++) {
+    const cap = capacity[i] - Math.min(gamma.capacity, 1) * capacityDown[i];
+    if (settings.periodCapacity) model.upper[i] = cap;
+    if (!settings.inventory) {
+      const need = orders[i] + single * demandUp[i];
+      const reachable = settings.periodCapacity ? (mip ? Math.floor(cap / lot) * lot : cap) : Infinity;
+      model.lower[i] = Math.min(need, reachable);
+      if (need > reachable + 1e-9) uncovered.push({ period: i, shortfall: need - reachable });
+    }
+  }
+  model.constraints.forEach(con => {
+    if (con.family === 'cumulativeCapacity') con.rhs -= budgetProtection(capacityDown.slice(0, con.period + 1), gamma.capacity);
+    if (con.family === 'totalCapacity') con.rhs -= budgetProtection(capacityDown, gamma.capacity);
+  });
+  if (settings.inventory) {
+    let cumOrders = -(Number(settings.initialInventory) || 0);
+    for (let i = 0; i < n; i++) {
+      cumOrders += orders[i];
+      model.constraints.push({
+        coeffs: prefixRow(model.numVars, i),
+        op: '>=',
+        rhs: cumOrders + budgetProtection(demandUp.slice(0, i + 1), gamma.demand),
+        family: 'robustCover',
+        period: i
+      });
+    }
+  }
+
+  // adverse move of each period's weighted objective coefficient
+  const deviation = Array.from({ length: n }, (_, i) => criteria.reduce((s, c, k) => {
+    if (!w[k] || !models[c.id]) return s;
+    const band = uncertaintyBand([c.values[i]], models[c.id]);
+    const adverse = c.direction === 'cost' ? band.high[0] - c.values[i] : c.values[i] - band.low[0];
+    return s + Math.abs(w[k]) * c.scale * adverse;
+  }, 0));
+  const protect = gamma.objective > 0 && deviation.some(d => d > 0);
+  const first = protect ? appendModelVariables(model, n + 1) : model.numVars;
+
+  const rows = criteria.map(c => criterionObjectiveRow(model, c, settings));
+  const objective = Array.from({ length: model.numVars }, (_, j) =>
+    criteria.reduce((s, c, k) => s + directionSign(c) * w[k] * rows[k][j], 0));
+  if (protect) {
+    objective[first] = -gamma.objective;
+    for (let i = 0; i < n; i++) {
+      objective[first + 1 + i] = -1;
+      const coeffs = Array(model.numVars).fill(0);
+      coeffs[first] = 1;
+      coeffs[first + 1 + i] = 1;
+      coeffs[i] = -deviation[i];
+      model.constraints.push({ coeffs, op: '>=', rhs: 0, family: 'robustObjective', period: i });
+    }
+  }
+
+  let plan;
+  try {
+    plan = optimizeProductionPlan(model, objective, true);
+  } catch (err) {
+    if (err.code === ERROR_CODES.INFEASIBLE) {
+      throw new MCDMError('INFEASIBLE', 'no plan stays feasible across the uncertainty set — lower the budgets Γ or the spreads', { budget: gamma });
+    }
+    throw err;
+  }
+  const values = computeObjectives(criteria, plan.solution, planSurcharges(plan, settings));
+  const weighted = (v) => criteria.reduce((s, c, k) => s + directionSign(c) * w[k] * v[c.id], 0);
+  let nominalOptimum = null;
+  try {
+    nominalOptimum = weighted(solveMode(mode, { data, weights, settings, normalization: norm }).values);
+  } catch (err) {
+    // the nominal model can only fail where the robust one already did; keep the comparison empty
+  }
+  return {
+    ...plan,
+    values,
+    weights: mode === 'multiObjective' ? weights : null,
+    ...(norm ? { normalized: normalizeValues(criteria, values, norm.factors), normalization: norm } : {}),
+    robust: {
+      mode,
+      budget: gamma,
+      worstCase: plan.objective,
+      nominal: weighted(values),
+      nominalOptimum,
+      priceOfRobustness: nominalOptimum ? (nominalOptimum - weighted(values)) / Math.abs(nominalOptimum) : null,
+      absolutePriceOfRobustness: nominalOptimum === null ? null : nominalOptimum - weighted(values),
+      uncovered
+    }
+  };
+}
+
+// ---------------------- Pareto frontier ----------------------
+// Payoff table: optimize every criterion alone; ideal/nadir are the best/worst value each criterion
+// reaches over those single-objective plans.
+export function computePayoffTable(data, settings) {
+  const { criteria } = data;
+  const plans = {};
+  criteria.forEach(c => { plans[c.id] = solveMode(c.id, { data, weights: null, settings }); });
+  const ideal = {};
+  const nadir = {};
+  criteria.forEach(c => {
+    const reached = criteria.map(row => plans[row.id].values[c.id]);
+    const sign = directionSign(c);
+    ideal[c.id] = sign > 0 ? Math.max(...reached) : Math.min(...reached);
+    nadir[c.id] = sign > 0 ? Math.min(...reached) : Math.max(...reached);
+  });
+  return { plans, ideal, nadir };
+}
+
+// a dominates b if it is no worse on every criterion and strictly better on at least one
+export function dominates(a, b, criteria, tolerance = 1e-9) {
+  let strictlyBetter = false;
+  for (const c of criteria) {
+    const diff = directionSign(c) * (a[c.id] - b[c.id]);
+    const tol = tolerance * Math.max(1, Math.abs(a[c.id]), Math.abs(b[c.id]));
+    if (diff < -tol) return false;
+    if (diff > tol) strictlyBetter = true;
+  }
+  return strictlyBetter;
+}
+
+// Keep the non-dominated points (by point.values), dropping duplicates of an already kept point.
+export function filterNonDominated(points, criteria) {
+  const kept = [];
+  points.forEach(p => {
+    if (points.some(q => q !== p && dominates(q.values, p.values, criteria))) return;
+    if (kept.some(q => criteria.every(c =>
+      Math.abs(q.values[c.id] - p.values[c.id]) <= 1e-9 * Math.max(1, Math.abs(p.values[c.id]))))) return;
+    kept.push(p);
+  });
+  return kept;
+}
+
+// All weight vectors on the unit simplex with components k / steps.
+export function simplexWeightGrid(m, steps) {
+  const grid = [];
+  const walk = (prefix, remaining) => {
+    if (prefix.length === m - 1) { grid.push([...prefix, remaining].map(k => k / steps)); return; }
+    for (let k = 0; k <= remaining; k++) walk([...prefix, k], remaining - k);
+  };
+  walk([], steps);
+  return grid;
+}
+
+// Optimize `primaryId` subject to every other criterion reaching at least (benefit) or at most (cost)
+// its bound in `epsilon` ({ criterionId: value }). Returns the solveMode-shaped plan.
+export function solveEpsilonConstraint(primaryId, epsilon, { data, settings }) {
+  const { criteria } = data;
+  const model = buildConstraintModel(data, settings);
+  Object.entries(epsilon).forEach(([id, bound]) => {
+    const c = criteria.find(cr => cr.id === id);
+    model.constraints.push({ coeffs: criterionObjectiveRow(model, c, settings), op: c.direction === 'cost' ? '<=' : '>=', rhs: bound, family: 'epsilon', period: null });
+  });
+  const primary = criteria.find(cr => cr.id === primaryId);
+  const plan = optimizeProductionPlan(model, criterionObjectiveRow(model, primary, settings), primary.direction !== 'cost');
+  return evaluatePlan(model, criteria, plan, settings);
+}
+
+/**
+ * Generate the non-dominated set by repeated LP solves.
+ *   method 'weights': weighted sum over a simplex grid (steps per axis); each Z_k is divided by its
+ *     payoff-table range so the weights act on comparable scales
+ *   method 'epsilon': optimize the first criterion while bounding the others on an even grid
+ *     (steps + 1 levels) between their nadir and ideal values
+ * Returns { points: [{ id, name, values, solution, inventory, weights | epsilon }], evaluated, infeasible, removed }
+ * where removed counts dominated or duplicate solutions. onProgress(done, total) is called after every solve.
+ * @param {ProblemData} data
+ * @param {typeof DEFAULT_CONSTRAINT_SETTINGS} settings
+ * @param {{ method?: 'weights'|'epsilon', steps?: number, onProgress?: (done: number, total: number) => void }} [options]
+ */
+export function generateParetoFrontier(data, settings, { method = 'weights', steps = 10, onProgress = null } = {}) {
+  const { criteria } = data;
+  const payoff = computePayoffTable(data, settings);
+  const range = criteria.map(c => Math.abs(payoff.ideal[c.id] - payoff.nadir[c.id]) || 1);
+  const candidates = [];
+  let evaluated = 0;
+  let infeasible = 0;
+  let total = 0;
+  const tryPlan = (solve, extra) => {
+    evaluated++;
+    try {
+      const plan = solve();
+      candidates.push({ values: plan.values, solution: plan.solution, inventory: plan.inventory, ...extra });
+    } catch (err) {
+      infeasible++;
+    }
+    if (onProgress) onProgress(evaluated, total);
+  };
+
+  if (method === 'epsilon') {
+    const [primary, ...bounded] = criteria;
+    let levels = [{}];
+    bounded.forEach(c => {
+      levels = levels.flatMap(eps => Array.from({ length: steps + 1 }, (_, k) => ({
+        ...eps,
+        [c.id]: payoff.nadir[c.id] + (payoff.ideal[c.id] - payoff.nadir[c.id]) * k / steps
+      })));
+    });
+    total = levels.length;
+    levels.forEach(eps => tryPlan(() => solveEpsilonConstraint(primary.id, eps, { data, settings }), { epsilon: eps }));
+  } else {
+    const grid = simplexWeightGrid(criteria.length, steps);
+    total = grid.length;
+    grid.forEach(w => {
+      tryPlan(() => solveMode('multiObjective', { data, weights: w.map((wk, k) => wk / (range[k] * weightScaleOf(criteria[k]))), settings }), { weights: w });
+    });
+  }
+
+  const points = filterNonDominated(candidates, criteria).map((p, idx) => ({
+    ...p,
+    id: `frontier-${idx}`,
+    name: p.weights
+      ? `Frontier point (w = ${p.weights.map(w => w.toFixed(2)).join(', ')})`
+      : `Frontier point (ε: ${Object.entries(p.epsilon).map(([id, v]) => `${criteria.find(c => c.id === id).name} ${fmtM(v)}M`).join(', ')})`
+  }));
+  return { method, steps, points, evaluated, infeasible, removed: candidates.length - points.length, payoff };
+}
+
+// ---------------------- Trade-off views ----------------------
+/**
+ * Plot coordinates for the multi-criteria views (parallel coordinates, radar, 3-D scatter, scatter
+ * matrix): each item's criterion values rescaled to [0, 1] over the items shown, oriented so 1 is the
+ * best value (cost criteria are flipped). A criterion on which every item ties plots at 1.
+ * @param {Criterion[]} criteria
+ * @param {{ id: string, values: Object<string, number> }[]} items
+ * @returns {{ points: object[], bounds: Object<string, { best: number, worst: number }> }}
+ *   points are the items plus `scaled` (criterion id → 0..1)
+ */
+export function tradeoffCoordinates(criteria, items) {
+  const bounds = {};
+  criteria.forEach(c => {
+    const oriented = items.map(item => directionSign(c) * item.values[c.id]).filter(Number.isFinite);
+    bounds[c.id] = oriented.length
+      ? { best: directionSign(c) * Math.max(...oriented), worst: directionSign(c) * Math.min(...oriented) }
+      : { best: 0, worst: 0 };
+  });
+  const points = items.map(item => ({
+    ...item,
+    scaled: Object.fromEntries(criteria.map(c => {
+      const { best, worst } = bounds[c.id];
+      const range = best - worst;
+      return [c.id, Math.abs(range) > 1e-12 * Math.max(1, Math.abs(best)) ? (item.values[c.id] - worst) / range : 1];
+    }))
+  }));
+  return { points, bounds };
+}
+
+// true when a point's scaled values lie inside every brushed interval { [criterionId]: [from, to] } (0..1, either order)
+export const brushMatches = (point, brushes) => Object.entries(brushes).every(([id, [from, to]]) =>
+  point.scaled[id] >= Math.min(from, to) - 1e-9 && point.scaled[id] <= Math.max(from, to) + 1e-9);
+
+/**
+ * Perspective projection of [x, y, z] (y up, cube centred on the origin), rotated by `yaw` around the
+ * vertical axis and then by `pitch` around the horizontal one (radians), viewed from `distance` along -z.
+ * Returns screen offsets (y down) multiplied by `size`, the perspective factor and the depth
+ * (larger is farther, for back-to-front painting).
+ */
+export function projectPoint([x, y, z], { yaw = 0, pitch = 0, distance = 3, size = 1 } = {}) {
+  const x1 = x * Math.cos(yaw) + z * Math.sin(yaw);
+  const z1 = -x * Math.sin(yaw) + z * Math.cos(yaw);
+  const y2 = y * Math.cos(pitch) - z1 * Math.sin(pitch);
+  const z2 = y * Math.sin(pitch) + z1 * Math.cos(pitch);
+  const factor = distance / Math.max(1e-6, distance + z2);
+  return { x: x1 * factor * size, y: -y2 * factor * size, depth: z2, factor };
+}
+
+// ---------------------- Objective normalization ----------------------
+// Every method is affine per criterion, N_k = (Z_k - offset_k) / divisor_k, oriented so that
+// higher N is better (the divisor carries the criterion's direction). Constants come from the
+// payoff table, so w_k * N_k weighs criteria on comparable scales whatever their units.
+export const NORMALIZATION_METHODS = {
+  minMax: { label: 'Min-max', description: 'nadir → 0, ideal → 1' },
+  idealDistance: { label: 'Ideal distance', description: '1 − relative distance to the ideal' },
+  zScore: { label: 'Z-score', description: 'standardized over the payoff table column' },
+  vector: { label: 'Vector', description: 'divided by the Euclidean norm of the payoff table column' },
+  none: { label: 'Raw units', description: '±Z_k unscaled (legacy behaviour)' }
+};
+export const DEFAULT_NORMALIZATION = 'minMax';
+
+// Compact payoff table: ideal, nadir and the values each single-objective plan reaches
+const payoffSummary = ({ plans, ideal, nadir }) => ({
+  ideal,
+  nadir,
+  table: Object.fromEntries(Object.entries(plans).map(([id, plan]) => [id, plan.values]))
+});
+
+/**
+ * Offset and signed divisor of every criterion for `method`, from a payoff table
+ * ({ ideal, nadir, table } with table[rowId][criterionId]). A zero spread falls back to
+ * max(1, |ideal|) so a criterion no plan can move stays finite.
+ * @returns {Object<string, { offset: number, divisor: number }>}
+ */
+export function normalizationFactors(payoff, criteria, method = DEFAULT_NORMALIZATION) {
+  if (!NORMALIZATION_METHODS[method]) throw new MCDMError('INVALID_INPUT', `unknown normalization "${method}"`, { method });
+  const factors = {};
+  criteria.forEach(c => {
+    const sign = directionSign(c);
+    const ideal = payoff.ideal[c.id];
+    const column = Object.values(payoff.table).map(values => values[c.id]);
+    let offset = 0;
+    let divisor = sign;
+    if (method === 'minMax') {
+      offset = payoff.nadir[c.id];
+      divisor = ideal - payoff.nadir[c.id];
+    } else if (method === 'idealDistance') {
+      offset = ideal - sign * Math.abs(ideal);
+      divisor = sign * Math.abs(ideal);
+    } else if (method === 'zScore') {
+      const mean = column.reduce((s, v) => s + v, 0) / column.length;
+      offset = mean;
+      divisor = sign * Math.sqrt(column.reduce((s, v) => s + (v - mean) ** 2, 0) / column.length);
+    } else if (method === 'vector') {
+      divisor = sign * Math.sqrt(column.reduce((s, v) => s + v * v, 0));
+    }
+    if (method !== 'none' && !(Math.abs(divisor) > 1e-12 * Math.max(1, Math.abs(ideal)))) divisor = sign * Math.max(1, Math.abs(ideal));
+    factors[c.id] = { offset, divisor };
+  });
+  return factors;
+}
+
+// N_k of a plan's criterion values
+export const normalizeValues = (criteria, values, factors) =>
+  Object.fromEntries(criteria.map(c => [c.id, (values[c.id] - factors[c.id].offset) / factors[c.id].divisor]));
+
+// { method, payoff, factors } for a { method, payoff? } request (payoff solved when missing); null passes through
+function resolveNormalization(data, settings, normalization) {
+  if (!normalization) return null;
+  const method = normalization.method || DEFAULT_NORMALIZATION;
+  const payoff = normalization.payoff || payoffSummary(computePayoffTable(data, settings));
+  return { method, payoff, factors: normalizationFactors(payoff, data.criteria, method) };
+}
+
+// Weights on raw Z_k that rank plans exactly like sum_k w_k N_k (the offsets are constants),
+// or w_k times the criterion's weightScale without normalization
+const scaledWeights = (criteria, weights, norm) =>
+  criteria.map((c, k) => (norm ? weights[k] / Math.abs(norm.factors[c.id].divisor) : weights[k] * weightScaleOf(c)));
+
+// ---------------------- Sensitivity analysis ----------------------
+// Set w_k to `value` and rescale the other weights proportionally so the vector still sums to 1.
+export function renormalizeWeights(weights, k, value) {
+  const v = Math.min(1, Math.max(0, value));
+  const rest = weights.reduce((s, w, j) => (j === k ? s : s + w), 0);
+  return weights.map((w, j) => {
+    if (j === k) return v;
+    return rest > 0 ? w / rest * (1 - v) : (1 - v) / (weights.length - 1);
+  });
+}
+
+// Combined objective Z = sum_k sign_k * w_k * weightScale_k * Z_k of a plan's criterion values
+export const combinedScore = (criteria, weights, values) =>
+  criteria.reduce((s, c, k) => s + directionSign(c) * weights[k] * weightScaleOf(c) * values[c.id], 0);
+
+// Relative L1 change between two production plans (0 = identical)
+export function planDistance(a, b) {
+  const total = a.reduce((s, v) => s + Math.abs(v), 0) || 1;
+  return a.reduce((s, v, i) => s + Math.abs(v - b[i]), 0) / total;
+}
+
+// Widest interval around `current` within [lower, upper] on which isStable(t) holds, assuming the
+// stable set is an interval: scan outward in `step` increments, then bisect each boundary.
+export function stabilityInterval(current, isStable, { lower = 0, upper = 1, step = 0.05, tolerance = 1e-3 } = {}) {
+  const edge = (direction) => {
+    let good = current;
+    let bad = null;
+    while (bad === null) {
+      const next = direction < 0 ? Math.max(lower, good - step) : Math.min(upper, good + step);
+      if (next === good) return good;
+      if (isStable(next)) good = next; else bad = next;
+    }
+    while (Math.abs(bad - good) > tolerance) {
+      const mid = (good + bad) / 2;
+      if (isStable(mid)) good = mid; else bad = mid;
+    }
+    return good;
+  };
+  return { lower: edge(-1), upper: edge(1) };
+}
+
+/**
+ * Weight-stability intervals: for each criterion k, the range of w_k (others renormalized) over
+ * which the multi-objective plan stays the same and, if candidates are given, over which their
+ * ranking by `rankingMethod` stays the same.
+ * Returns [{ index, id, weight, plan: { lower, upper }, ranking: { lower, upper } | null }].
+ */
+export function weightStabilityIntervals(data, settings, weights, { candidates = [], rankingMethod = 'saw', planTolerance = 1e-6, onProgress = null, normalization = null } = {}) {
+  const { criteria } = data;
+  const norm = resolveNormalization(data, settings, normalization);
+  const base = solveMode('multiObjective', { data, weights, settings, normalization: norm });
+  const method = RANKING_METHODS[rankingMethod];
+  const ranksAt = (w) => ranksFromScores(method.score(candidates.map(cand => criteria.map(c => cand.values[c.id])), w, criteria), method.higherIsBetter);
+  const baseRanks = candidates.length > 1 ? ranksAt(weights) : null;
+
+  return criteria.map((c, k) => {
+    const samePlan = (t) => {
+      try {
+        const plan = solveMode('multiObjective', { data, weights: renormalizeWeights(weights, k, t), settings, normalization: norm });
+        return planDistance(base.solution, plan.solution) <= planTolerance;
+      } catch (err) {
+        return false;
+      }
+    };
+    const sameRanking = (t) => ranksAt(renormalizeWeights(weights, k, t)).every((r, i) => r === baseRanks[i]);
+    const interval = {
+      index: k,
+      id: c.id,
+      weight: weights[k],
+      plan: stabilityInterval(weights[k], samePlan),
+      ranking: baseRanks ? stabilityInterval(weights[k], sameRanking) : null
+    };
+    if (onProgress) onProgress(k + 1, criteria.length);
+    return interval;
+  });
+}
+
+/**
+ * One-at-a-time (tornado) analysis of the multi-objective plan. Each AHP weight (others
+ * renormalized) and each per-period criterion coefficient is moved to (1 - range) and (1 + range)
+ * times its value and the plan re-solved.
+ * With `normalization` the plans weigh normalized objectives and `combined` is sum_k w_k N_k with
+ * the baseline payoff table (kept fixed so every entry is measured on the same scale).
+ * Returns { baseline: { values, combined, solution }, entries: [{ kind, criterionId, period, low, high }], normalization }
+ * where low/high are { value, values, combined, planShift } or { error } if that LP failed.
+ */
+export function tornadoAnalysis(data, settings, weights, { range = 0.1, onProgress = null, normalization = null } = {}) {
+  const { criteria } = data;
+  const norm = resolveNormalization(data, settings, normalization);
+  const score = (values) => (norm
+    ? criteria.reduce((s, c, k) => s + weights[k] * (values[c.id] - norm.factors[c.id].offset) / norm.factors[c.id].divisor, 0)
+    : combinedScore(criteria, weights, values));
+  const base = solveMode('multiObjective', { data, weights, settings, normalization: norm });
+  const total = 2 * criteria.reduce((s, c) => s + 1 + c.values.length, 0);
+  let done = 0;
+  const evaluate = (solveData, solveWeights, value) => {
+    if (onProgress) onProgress(++done, total);
+    try {
+      const plan = solveMode('multiObjective', { data: solveData, weights: solveWeights, settings, normalization: norm });
+      // the combined score is always measured with the baseline weights so entries are comparable
+      return { value, values: plan.values, combined: score(plan.values), planShift: planDistance(base.solution, plan.solution) };
+    } catch (err) {
+      return { value, error: err.message };
+    }
+  };
+
+  const entries = [];
+  criteria.forEach((c, k) => {
+    const [lo, hi] = [1 - range, 1 + range].map(f => Math.min(1, weights[k] * f));
+    entries.push({
+      kind: 'weight',
+      criterionId: c.id,
+      period: null,
+      low: evaluate(data, renormalizeWeights(weights, k, lo), lo),
+      high: evaluate(data, renormalizeWeights(weights, k, hi), hi)
+    });
+  });
+  criteria.forEach((c, k) => {
+    c.values.forEach((v, i) => {
+      // product models move the coefficient of every product in that period by the same factor
+      const withCoefficient = (f) => ({
+        ...data,
+        criteria: criteria.map((cr, j) => (j === k ? { ...cr, values: cr.values.map((val, t) => (t === i ? val * f : val)) } : cr)),
+        ...(hasProducts(data) ? {
+          products: data.products.map(p => ({
+            ...p,
+            values: { ...p.values, [c.id]: p.values[c.id].map((val, t) => (t === i ? val * f : val)) }
+          }))
+        } : {})
+      });
+      entries.push({
+        kind: 'coefficient',
+        criterionId: c.id,
+        period: i,
+        low: evaluate(withCoefficient(1 - range), weights, v * (1 - range)),
+        high: evaluate(withCoefficient(1 + range), weights, v * (1 + range))
+      });
+    });
+  });
+
+  return { baseline: { values: base.values, combined: score(base.values), solution: base.solution }, entries, normalization: norm ? norm.method : null };
+}
+
+// ---------------------- MCDM ranking methods ----------------------
+// Each method scores the candidate plans (rows of `matrix`, one column per criterion, in
+// registry order) with the AHP weights. `higherIsBetter` tells how scores map to ranks.
+
+// Column j of a row-major matrix
+export const column = (matrix, j) => matrix.map(row => row[j]);
+
+// Competition ranking (1 = best, ties share the better rank)
+export function ranksFromScores(scores, higherIsBetter = true) {
+  return scores.map(s => 1 + scores.filter(o => (higherIsBetter ? o > s + 1e-12 : o < s - 1e-12)).length);
+}
+
+// Simple Additive Weighting with linear max normalization (cost criteria: min / x)
+export function scoreSAW(matrix, weights, criteria) {
+  const norm = criteria.map((c, j) => {
+    const col = column(matrix, j);
+    const max = Math.max(...col);
+    const min = Math.min(...col);
+    return col.map(v => (c.direction === 'cost' ? (v ? min / v : 1) : (max ? v / max : 1)));
+  });
+  return matrix.map((_, i) => criteria.reduce((s, c, j) => s + weights[j] * norm[j][i], 0));
+}
+
+// TOPSIS: closeness to the ideal solution on vector-normalized, weighted values
+export function scoreTOPSIS(matrix, weights, criteria) {
+  const v = criteria.map((c, j) => {
+    const col = column(matrix, j);
+    const norm = Math.sqrt(col.reduce((s, x) => s + x * x, 0)) || 1;
+    return col.map(x => weights[j] * x / norm);
+  });
+  const best = v.map((col, j) => (criteria[j].direction === 'cost' ? Math.min(...col) : Math.max(...col)));
+  const worst = v.map((col, j) => (criteria[j].direction === 'cost' ? Math.max(...col) : Math.min(...col)));
+  return matrix.map((_, i) => {
+    const dPlus = Math.sqrt(v.reduce((s, col, j) => s + (col[i] - best[j]) ** 2, 0));
+    const dMinus = Math.sqrt(v.reduce((s, col, j) => s + (col[i] - worst[j]) ** 2, 0));
+    return dPlus + dMinus ? dMinus / (dPlus + dMinus) : 0.5;
+  });
+}
+
+// VIKOR: Q = v*(S - S*)/(S- - S*) + (1 - v)*(R - R*)/(R- - R*); lower Q is better
+export function scoreVIKOR(matrix, weights, criteria, { v = 0.5 } = {}) {
+  const gaps = matrix.map(row => criteria.map((c, j) => {
+    const col = column(matrix, j);
+    const fBest = c.direction === 'cost' ? Math.min(...col) : Math.max(...col);
+    const fWorst = c.direction === 'cost' ? Math.max(...col) : Math.min(...col);
+    return fBest === fWorst ? 0 : weights[j] * (fBest - row[j]) / (fBest - fWorst);
+  }));
+  const S = gaps.map(g => g.reduce((a, b) => a + b, 0));
+  const R = gaps.map(g => Math.max(...g));
+  const spread = (arr, x) => {
+    const lo = Math.min(...arr);
+    const hi = Math.max(...arr);
+    return hi > lo ? (x - lo) / (hi - lo) : 0;
+  };
+  return S.map((s, i) => v * spread(S, s) + (1 - v) * spread(R, R[i]));
+}
+
+// PROMETHEE II net outranking flow with a linear (V-shape) preference over each criterion's range
+export function scorePROMETHEE(matrix, weights, criteria) {
+  const m = matrix.length;
+  if (m < 2) return matrix.map(() => 0);
+  const ranges = criteria.map((_, j) => {
+    const col = column(matrix, j);
+    return Math.max(...col) - Math.min(...col);
+  });
+  const pi = (a, b) => criteria.reduce((s, c, j) => {
+    const d = directionSign(c) * (matrix[a][j] - matrix[b][j]);
+    return s + weights[j] * (ranges[j] ? Math.min(1, Math.max(0, d / ranges[j])) : 0);
+  }, 0);
+  return matrix.map((_, a) => {
+    let plus = 0;
+    let minus = 0;
+    for (let b = 0; b < m; b++) {
+      if (a === b) continue;
+      plus += pi(a, b);
+      minus += pi(b, a);
+    }
+    return (plus - minus) / (m - 1);
+  });
+}
+
+export const RANKING_METHODS = {
+  saw: { label: 'SAW', scoreLabel: 'weighted score', higherIsBetter: true, score: scoreSAW },
+  topsis: { label: 'TOPSIS', scoreLabel: 'closeness C*', higherIsBetter: true, score: scoreTOPSIS },
+  vikor: { label: 'VIKOR', scoreLabel: 'Q (v = 0.5)', higherIsBetter: false, score: scoreVIKOR },
+  promethee: { label: 'PROMETHEE II', scoreLabel: 'net flow φ', higherIsBetter: true, score: scorePROMETHEE }
+};
+
+/**
+ * Score and rank candidates ({ name, values: { [criterionId]: number } }) with every registered method.
+ * @param {{ name: string, values: Object<string, number> }[]} candidates
+ * @param {number[]} weights
+ * @param {Criterion[]} criteria
+ * @returns {Object<string, { scores: number[], ranks: number[] }>} keyed by RANKING_METHODS id
+ */
+export function rankCandidates(candidates, weights, criteria) {
+  const matrix = candidates.map(cand => criteria.map(c => cand.values[c.id] || 0));
+  const byMethod = {};
+  Object.entries(RANKING_METHODS).forEach(([id, method]) => {
+    const scores = method.score(matrix, weights, criteria);
+    byMethod[id] = { scores, ranks: ranksFromScores(scores, method.higherIsBetter) };
+  });
+  return byMethod;
+}
+
+// ---------------------- Import parsing ----------------------
+export const IMPORT_DELIMITERS = { ',': 'Comma (,)', ';': 'Semicolon (;)', '\t': 'Tab' };
+export const PERIOD_HEADERS = ['period', 'month', 'week', 'quarter', 'day', 'date', 'luna', 'perioada'];
+
+/**
+ * RFC 4180 parser: quoted fields may contain the delimiter, line breaks and doubled quotes ("").
+ * Accepts CRLF or LF line ends and a leading BOM; drops rows whose cells are all empty.
+ * Returns an array of rows, each an array of raw cell strings.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {string[][]}
+ * @throws {MCDMError} PARSE_ERROR for an unterminated quoted field
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  if (quoted) throw new MCDMError('PARSE_ERROR', 'unterminated quoted field at end of file', { row: rows.length + 1 });
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Pick the delimiter that splits the header line into the most fields (quotes respected)
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(l => l.trim() !== '') || '';
+  let best = ',';
+  let bestCount = 0;
+  Object.keys(IMPORT_DELIMITERS).forEach(d => {
+    const count = parseDelimited(firstLine, d)[0]?.length || 0;
+    if (count > bestCount) { best = d; bestCount = count; }
+  });
+  return best;
+}
+
+/**
+ * Parse one cell as a number with '.' or ',' as the decimal separator. Spaces, apostrophes and the
+ * other separator in 3-digit groups (1.234,5 / 1,234.5) are thousands grouping; anything else
+ * (e.g. "12,5" read with '.') is rejected. Returns null for an empty cell, NaN if unparseable.
+ */
+export function parseNumber(raw, decimal = '.') {
+  if (typeof raw === 'number') return raw;
+  let str = String(raw ?? '').trim().replace(/[\s\u00a0']/g, '');
+  if (str === '') return null;
+  const group = decimal === ',' ? '.' : ',';
+  if (str.includes(group)) {
+    const grouped = decimal === ',' ? /^[+-]?\d{1,3}(\.\d{3})+$/ : /^[+-]?\d{1,3}(,\d{3})+$/;
+    if (!grouped.test(str.split(decimal)[0])) return NaN;
+    str = str.split(group).join('');
+  }
+  const normalized = str.replace(decimal, '.');
+  return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+// ',' if more numeric-looking cells read as decimal commas (1234,5 or 1.234,5) than decimal points
+export function detectDecimalSeparator(rows) {
+  let comma = 0;
+  let point = 0;
+  rows.forEach(r => r.forEach(cell => {
+    const str = String(cell).trim();
+    if (/^[+-]?\d{1,3}(\.\d{3})*,\d+$|^[+-]?\d+,\d+$/.test(str)) comma++;
+    else if (/^[+-]?\d{1,3}(,\d{3})*\.\d+$|^[+-]?\d+\.\d+$/.test(str)) point++;
+  }));
+  return comma > point ? ',' : '.';
+}
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Suggest a target per column by exact (normalized) header match, each target used at most once:
+ * 'period', 'orders', 'capacity', a criterion id, or 'ignore'. Units in brackets are ignored,
+ * so "Turnover (1000 RON)" maps to turnover but "Capital" does not map to capacity.
+ */
+export function suggestColumnMapping(headers, criteria) {
+  const targets = [
+    { target: 'period', keys: PERIOD_HEADERS },
+    { target: 'orders', keys: ['orders', 'order', 'demand', 'comenzi'] },
+    { target: 'capacity', keys: ['capacity', 'capacitate'] },
+    ...criteria.map(c => ({ target: c.id, keys: [c.id, c.name, ...(c.aliases || [])] }))
+  ].map(t => ({ ...t, keys: t.keys.map(normalizeHeader) }));
+  const used = new Set();
+  return headers.map(h => {
+    const key = normalizeHeader(h);
+    const match = targets.find(t => !used.has(t.target) && t.keys.includes(key));
+    if (!match) return 'ignore';
+    used.add(match.target);
+    return match.target;
+  });
+}
+
+/**
+ * Validate the data rows against a column mapping.
+ * Returns { series: { target: number[] }, errors: [{ row, column, message }], warnings: [string], rowCount }
+ * with row numbers counted from 1 for the first data row (column null for row-level errors).
+ */
+export function validateImport(rows, headers, mapping, { decimal = '.', criteria = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  const series = {};
+  const seen = {};
+  mapping.forEach((target, col) => {
+    if (target === 'ignore' || target === 'period') return;
+    if (seen[target] !== undefined) {
+      errors.push({ row: null, column: headers[col], message: `also mapped to ${target} by column "${headers[seen[target]]}"` });
+    } else {
+      seen[target] = col;
+      series[target] = [];
+    }
+  });
+  if (!Object.keys(series).length) errors.push({ row: null, column: null, message: 'no column is mapped to orders, capacity or a criterion' });
+  ['orders', 'capacity', ...criteria.map(c => c.id)].forEach(target => {
+    if (series[target] === undefined) warnings.push(`${criteria.find(c => c.id === target)?.name || target} is not mapped — current values are kept (resized to the imported row count)`);
+  });
+
+  rows.forEach((cells, r) => {
+    if (cells.length !== headers.length) {
+      errors.push({ row: r + 1, column: null, message: `has ${cells.length} cells, header has ${headers.length}` });
+    }
+    Object.entries(seen).forEach(([target, col]) => {
+      const value = parseNumber(cells[col], decimal);
+      if (value === null) errors.push({ row: r + 1, column: headers[col], message: 'empty cell' });
+      else if (Number.isNaN(value)) errors.push({ row: r + 1, column: headers[col], message: `"${cells[col]}" is not a number` });
+      else if ((target === 'orders' || target === 'capacity') && value < 0) errors.push({ row: r + 1, column: headers[col], message: 'must not be negative' });
+      series[target].push(Number.isFinite(value) ? value : 0);
+    });
+  });
+  if (!rows.length) errors.push({ row: null, column: null, message: 'the file has no data rows' });
+  return { series, errors, warnings, rowCount: rows.length };
+}
+
+// New data object holding the validated series; unmapped series are resized to the row count.
+// Imported files carry single-product series, so a product model is dropped (disableProducts).
+export function applyImport(data, { series, rowCount }) {
+  const next = disableProducts(data);
+  next.criteria.forEach(c => { c.values = series[c.id] ? [...series[c.id]] : resizeSeries(c.values, rowCount); });
+  next.orders = series.orders ? [...series.orders] : resizeSeries(next.orders, rowCount);
+  next.capacity = series.capacity ? [...series.capacity] : resizeSeries(next.capacity, rowCount);
+  return next;
+}
+
+// ---------------------- Spreadsheet editing ----------------------
+// Per-period series addressed by category: a criterion id, 'orders' or 'capacity', or in a product
+// model 'product:<id>:min', 'product:<id>:max', 'product:<id>:<criterionId>' and 'line:<id>'
+export function seriesOf(data, category) {
+  if (category === 'orders' || category === 'capacity') return data[category];
+  const [kind, id, field] = String(category).split(':');
+  if (kind === 'line') return (data.lines || []).find(l => l.id === id)?.capacity;
+  if (kind === 'product') {
+    const product = (data.products || []).find(p => p.id === id);
+    if (!product) return undefined;
+    if (field === 'min') return product.minOrders;
+    if (field === 'max') return product.maxOrders || undefined;
+    return product.values[field];
+  }
+  return data.criteria.find(c => c.id === category)?.values;
+}
+
+// New data with edits [{ category, index, value }] applied; edits outside the current series are skipped.
+// Product-model aggregates are re-derived afterwards.
+export function applyCellEdits(data, edits) {
+  const copy = deepCopyData(data);
+  edits.forEach(({ category, index, value }) => {
+    const series = seriesOf(copy, category);
+    if (series && index >= 0 && index < series.length) series[index] = value;
+  });
+  return syncProductData(copy);
+}
+
+// Clipboard text (tab-separated rows, as copied from Excel) → 2-D array of numbers, null (empty) or NaN
+export function parseClipboardGrid(text) {
+  const rows = parseDelimited(text.replace(/\r?\n$/, ''), '\t');
+  const decimal = detectDecimalSeparator(rows);
+  return rows.map(r => r.map(cell => parseNumber(cell, decimal)));
+}
+
+// ---------------------- Scenario store ----------------------
+// Named snapshots of the full working state, persisted to localStorage as one JSON array.
+export const SCENARIO_STORAGE_KEY = 'mcdm-optimization.scenarios.v1';
+
+export function loadScenarios(storage = typeof window !== 'undefined' ? window.localStorage : null) {
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Throws if the browser refuses the write (e.g. storage quota exceeded)
+export function persistScenarios(scenarios, storage = typeof window !== 'undefined' ? window.localStorage : null) {
+  if (!storage) return;
+  storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+}
+
+// Snapshot of the working state; JSON round-trip so later edits never alias the stored copy
+export function makeScenario(name, { horizon, data, pairwise, constraintSettings, goalSettings, ahp, results, savedPlans }) {
+  const now = new Date().toISOString();
+  return {
+    id: `scn-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    ...JSON.parse(JSON.stringify({ horizon, data, pairwise, constraintSettings, goalSettings, ahp, results, savedPlans }))
+  };
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Differences between two scenarios (or scenario-shaped states).
+ * Returns {
+ *   inputs: [{ section, label, before, after }]   (undefined before/after = added/removed)
+ *   objectives: [{ mode, criterionId, name, before, after, delta, improved }]
+ * } where improved is true/false by the criterion's direction, null if either side is missing.
+ */
+export function diffScenarios(a, b) {
+  const inputs = [];
+  const push = (section, label, before, after) => {
+    if (!sameValue(before, after)) inputs.push({ section, label, before, after });
+  };
+
+  Object.keys({ ...a.horizon, ...b.horizon }).forEach(key => push('Horizon', key, a.horizon[key], b.horizon[key]));
+  Object.keys({ ...a.constraintSettings, ...b.constraintSettings }).forEach(key =>
+    push('Constraints', key, a.constraintSettings[key], b.constraintSettings[key]));
+
+  const periodLabels = buildPeriods(b.horizon).map(p => p.label);
+  const seriesDiff = (section, before = [], after = []) => {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      push(section, periodLabels[i] || `#${i + 1}`, before[i], after[i]);
+    }
+  };
+
+  const criteriaA = a.data.criteria;
+  const criteriaB = b.data.criteria;
+  [...criteriaA, ...criteriaB.filter(c => !criteriaA.some(ca => ca.id === c.id))].forEach(c => {
+    const ca = criteriaA.find(x => x.id === c.id);
+    const cb = criteriaB.find(x => x.id === c.id);
+    if (!ca || !cb) {
+      push('Criteria', c.name, ca ? 'present' : undefined, cb ? 'present' : undefined);
+      return;
+    }
+    ['name', 'unit', 'direction', 'scale'].forEach(field => push('Criteria', `${cb.name} ${field}`, ca[field], cb[field]));
+    seriesDiff(cb.name, ca.values, cb.values);
+  });
+  seriesDiff('Orders', a.data.orders, b.data.orders);
+  seriesDiff('Capacity', a.data.capacity, b.data.capacity);
+
+  const goalsA = a.goalSettings || { goals: {} };
+  const goalsB = b.goalSettings || { goals: {} };
+  push('Goals', 'priorities', goalsA.method, goalsB.method);
+  criteriaB.forEach(c => {
+    const ga = goalsA.goals[c.id] || {};
+    const gb = goalsB.goals[c.id] || {};
+    ['enabled', 'target', 'under', 'over', 'priority'].forEach(field => push('Goals', `${c.name} ${field}`, ga[field], gb[field]));
+  });
+
+  // pairwise judgments are compared by criterion id so added/removed criteria do not shift cells
+  criteriaB.forEach((ci, i) => criteriaB.forEach((cj, j) => {
+    if (j <= i) return;
+    const ia = criteriaA.findIndex(c => c.id === ci.id);
+    const ja = criteriaA.findIndex(c => c.id === cj.id);
+    if (ia < 0 || ja < 0) return;
+    push('AHP matrix', `${ci.name} vs ${cj.name}`, Number(a.pairwise[ia][ja]), Number(b.pairwise[i][j]));
+  }));
+
+  const objectives = [];
+  const modes = [...new Set([...Object.keys(a.results || {}), ...Object.keys(b.results || {})])];
+  modes.forEach(mode => {
+    criteriaB.forEach(c => {
+      const before = a.results?.[mode]?.values?.[c.id];
+      const after = b.results?.[mode]?.values?.[c.id];
+      if (before === undefined && after === undefined) return;
+      const both = before !== undefined && after !== undefined;
+      objectives.push({
+        mode,
+        criterionId: c.id,
+        name: c.name,
+        before,
+        after,
+        delta: both ? after - before : null,
+        improved: both ? directionSign(c) * (after - before) >= 0 : null
+      });
+    });
+  });
+
+  return { inputs, objectives };
+}
+
+// ---------------------- Project files ----------------------
+// Versioned JSON exchange format for a whole session. History:
+//   1  original app state: flat data { turnover, cost, productivity, orders, capacity } and results
+//      carrying turnoverVal / costVal / productivityVal
+//   2  criteria registry, planning horizon and constraint settings (the scenario snapshot shape)
+//   3  format tag and metadata, goal settings, expert panel, saved plans
+//   4  uncertainty models and robust budgets
+//   5  objective normalization method (older files were solved in raw units)
+//   6  optional products, lines and routing in data (older files are single-product as they are)
+//   7  criterion weightScale (older files weighed the cost criterion ×1000 in the raw weighted sum)
+export const PROJECT_FORMAT = 'mcdm-optimization-project';
+export const PROJECT_VERSION = 8;
+export const PROJECT_SHARE_PARAM = 'project';
+
+const LEGACY_SERIES = ['turnover', 'cost', 'productivity'];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Version of a parsed file; unversioned files are recognized by their data layout
+function projectVersion(raw) {
+  if (raw.format !== undefined) {
+    if (raw.format !== PROJECT_FORMAT) {
+      throw new MCDMError(ERROR_CODES.PARSE_ERROR, `Not an MCDM project file (format "${raw.format}").`, { format: raw.format });
+    }
+    if (!Number.isInteger(raw.version) || raw.version < 1) {
+      throw new MCDMError(ERROR_CODES.PARSE_ERROR, `Invalid project version "${raw.version}".`, { version: raw.version });
+    }
+    return raw.version;
+  }
+  if (isPlainObject(raw.data) && Array.isArray(raw.data.criteria)) return 2;
+  if (isPlainObject(raw.data) && LEGACY_SERIES.every(id => Array.isArray(raw.data[id]))) return 1;
+  throw new MCDMError(ERROR_CODES.PARSE_ERROR, 'Not an MCDM project file: no "format" field and no recognizable data.');
+}
+
+// Each migration takes version k to k + 1 and never mutates its input
+const PROJECT_MIGRATIONS = {
+  1: (p) => {
+    const n = p.data.orders.length;
+    const criteria = DEFAULT_CRITERIA.map(c => ({ ...c, aliases: [...c.aliases], values: [...p.data[c.id]] }));
+    const results = {};
+    Object.entries(p.results || {}).forEach(([mode, res]) => {
+      if (!res) return;
+      const { turnoverVal, costVal, productivityVal, ...rest } = res;
+      results[mode] = { ...rest, values: { turnover: turnoverVal, cost: costVal, productivity: productivityVal } };
+    });
+    return {
+      ...p,
+      horizon: { ...DEFAULT_HORIZON, periods: n },
+      data: { criteria, orders: [...p.data.orders], capacity: [...p.data.capacity] },
+      constraintSettings: { ...DEFAULT_CONSTRAINT_SETTINGS },
+      results
+    };
+  },
+  2: (p) => {
+    const { name, createdAt, updatedAt, ...state } = p;
+    delete state.id; // the scenario store's key, not part of a file
+    return {
+      ...state,
+      metadata: { name: name || '', createdAt: createdAt || null, savedAt: updatedAt || null },
+      constraintSettings: { ...DEFAULT_CONSTRAINT_SETTINGS, ...p.constraintSettings },
+      goalSettings: p.goalSettings || { method: 'weighted', goals: {} },
+      experts: [],
+      groupOptions: { aggregation: 'AIJ', fuzzy: '', spread: 1 },
+      savedPlans: p.savedPlans || []
+    };
+  },
+  3: (p) => ({ ...p, uncertainty: { models: {}, budget: {} } }),
+  4: (p) => ({ ...p, normalization: 'none' }),
+  5: (p) => p,
+  6: (p) => ({
+    ...p,
+    data: { ...p.data, criteria: p.data.criteria.map(c => (c.weightScale === undefined && c.id === 'cost' ? { ...c, weightScale: 1000 } : c)) }
+  }),
+  // Workforce limits of 0 used to mean "no limit"; that is null now
+  7: (p) => ({
+    ...p,
+    constraintSettings: {
+      ...p.constraintSettings,
+      ...Object.fromEntries(WORKFORCE_LIMITS.filter(key => p.constraintSettings[key] === 0).map(key => [key, null]))
+    }
+  })
+};
+
+/**
+ * Schema check of a current-version project. Returns a list of { path, message } (empty when
+ * valid); paths use dotted/indexed notation such as "data.criteria[1].values".
+ * @param {object} project
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateProject(project) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const finiteArray = (v) => Array.isArray(v) && v.every(Number.isFinite);
+
+  if (!isPlainObject(project)) return [{ path: '', message: 'must be an object' }];
+  if (!isPlainObject(project.metadata)) fail('metadata', 'must be an object');
+
+  const { horizon, data } = project;
+  if (!isPlainObject(horizon)) fail('horizon', 'must be an object');
+  else {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(horizon.startDate))) fail('horizon.startDate', 'must be a YYYY-MM-DD date');
+    if (!GRANULARITIES[horizon.granularity]) fail('horizon.granularity', `must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+    if (!Number.isInteger(horizon.periods) || horizon.periods < 1) fail('horizon.periods', 'must be a positive integer');
+  }
+
+  if (!isPlainObject(data) || !Array.isArray(data.criteria)) {
+    fail('data', 'must be an object with a criteria array');
+    return errors;
+  }
+  const n = Array.isArray(data.orders) ? data.orders.length : 0;
+  const ids = new Set();
+  data.criteria.forEach((c, k) => {
+    const at = `data.criteria[${k}]`;
+    if (!isPlainObject(c)) { fail(at, 'must be an object'); return; }
+    if (typeof c.id !== 'string' || !c.id) fail(`${at}.id`, 'must be a non-empty string');
+    else if (ids.has(c.id)) fail(`${at}.id`, `duplicate id "${c.id}"`);
+    ids.add(c.id);
+    if (typeof c.name !== 'string') fail(`${at}.name`, 'must be a string');
+    if (c.direction !== 'benefit' && c.direction !== 'cost') fail(`${at}.direction`, 'must be "benefit" or "cost"');
+    if (!Number.isFinite(c.scale) || c.scale <= 0) fail(`${at}.scale`, 'must be a positive number');
+    if (c.weightScale !== undefined && (!Number.isFinite(c.weightScale) || c.weightScale <= 0)) fail(`${at}.weightScale`, 'must be a positive number');
+    if (!finiteArray(c.values)) fail(`${at}.values`, 'must be an array of numbers');
+    else if (c.values.length !== n) fail(`${at}.values`, `has ${c.values.length} entries, expected ${n}`);
+  });
+  if (!data.criteria.length) fail('data.criteria', 'must list at least one criterion');
+  ['orders', 'capacity'].forEach(key => {
+    if (!finiteArray(data[key])) fail(`data.${key}`, 'must be an array of numbers');
+    else if (data[key].length !== n) fail(`data.${key}`, `has ${data[key].length} entries, expected ${n}`);
+  });
+  if (Array.isArray(data.orders) && !n) fail('data.orders', 'must have at least one period');
+  if (isPlainObject(horizon) && Number.isInteger(horizon.periods) && n && horizon.periods !== n) {
+    fail('horizon.periods', `is ${horizon.periods} but the data has ${n} periods`);
+  }
+  if (data.products !== undefined && !Array.isArray(data.products)) fail('data.products', 'must be an array');
+  else if (hasProducts(data)) {
+    try {
+      validateProductData(data, n);
+    } catch (err) {
+      fail('data.products', err.message);
+    }
+  }
+
+  const m = data.criteria.length;
+  const { pairwise } = project;
+  if (!Array.isArray(pairwise) || pairwise.length !== m) fail('pairwise', `must be a ${m} × ${m} matrix`);
+  else {
+    pairwise.forEach((row, i) => {
+      if (!Array.isArray(row) || row.length !== m) fail(`pairwise[${i}]`, `must have ${m} entries`);
+      else row.forEach((v, j) => {
+        const num = parseFloat(v);
+        if (!(num > 0) || !Number.isFinite(num)) fail(`pairwise[${i}][${j}]`, 'must be a positive number');
+      });
+    });
+  }
+
+  if (project.ahp !== null && project.ahp !== undefined) {
+    if (!isPlainObject(project.ahp) || !finiteArray(project.ahp.weights)) fail('ahp.weights', 'must be an array of numbers');
+    else if (project.ahp.weights.length !== m) fail('ahp.weights', `has ${project.ahp.weights.length} entries, expected ${m}`);
+  }
+
+  const settings = project.constraintSettings;
+  if (!isPlainObject(settings)) fail('constraintSettings', 'must be an object');
+  else {
+    Object.entries(DEFAULT_CONSTRAINT_SETTINGS).forEach(([key, def]) => {
+      if (WORKFORCE_LIMITS.includes(key)) {
+        if (settings[key] !== undefined && settings[key] !== null && !Number.isFinite(settings[key])) fail(`constraintSettings.${key}`, 'must be a number or null');
+      } else if (settings[key] !== undefined && typeof settings[key] !== typeof def) fail(`constraintSettings.${key}`, `must be a ${typeof def}`);
+    });
+  }
+
+  if (!isPlainObject(project.results)) fail('results', 'must be an object keyed by mode');
+  else {
+    Object.entries(project.results).forEach(([mode, res]) => {
+      const at = `results.${mode}`;
+      if (!isPlainObject(res)) { fail(at, 'must be an object'); return; }
+      if (!finiteArray(res.solution) || res.solution.length !== n) fail(`${at}.solution`, `must be ${n} numbers`);
+      if (!isPlainObject(res.values)) fail(`${at}.values`, 'must be an object keyed by criterion id');
+    });
+  }
+
+  if (!isPlainObject(project.goalSettings) || !isPlainObject(project.goalSettings.goals)) fail('goalSettings', 'must be an object with goals');
+  if (!Array.isArray(project.experts)) fail('experts', 'must be an array');
+  else {
+    project.experts.forEach((e, k) => {
+      if (!isPlainObject(e) || !Array.isArray(e.matrix) || e.matrix.length !== m) fail(`experts[${k}].matrix`, `must be a ${m} × ${m} matrix`);
+    });
+  }
+  if (!Array.isArray(project.savedPlans)) fail('savedPlans', 'must be an array');
+
+  if (!NORMALIZATION_METHODS[project.normalization]) {
+    fail('normalization', `must be one of ${Object.keys(NORMALIZATION_METHODS).join(', ')}`);
+  }
+
+  const { uncertainty } = project;
+  if (!isPlainObject(uncertainty) || !isPlainObject(uncertainty.models) || !isPlainObject(uncertainty.budget)) {
+    fail('uncertainty', 'must be an object with models and budget');
+  } else {
+    Object.entries(uncertainty.models).forEach(([key, model]) => {
+      if (!isPlainObject(model) || !UNCERTAINTY_DISTRIBUTIONS[model.type]) {
+        fail(`uncertainty.models.${key}.type`, `must be one of ${Object.keys(UNCERTAINTY_DISTRIBUTIONS).join(', ')}`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Current-version project from the working state; JSON round-trip so the file never aliases it.
+ * @returns {object}
+ */
+export function makeProject({ name = '', createdAt = null, horizon, data, pairwise, ahp = null, results = {}, constraintSettings,
+  goalSettings = { method: 'weighted', goals: {} }, experts = [], groupOptions = { aggregation: 'AIJ', fuzzy: '', spread: 1 }, savedPlans = [],
+  uncertainty = { models: {}, budget: {} }, normalization = DEFAULT_NORMALIZATION }) {
+  const savedAt = new Date().toISOString();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    metadata: { name, createdAt: createdAt || savedAt, savedAt },
+    ...JSON.parse(JSON.stringify({ horizon, data, pairwise, ahp, results, constraintSettings, goalSettings, experts, groupOptions, savedPlans, uncertainty, normalization }))
+  };
+}
+
+/**
+ * Parse a project file (JSON text or an already-parsed object), migrate it to PROJECT_VERSION
+ * and validate it. Throws MCDMError PARSE_ERROR for malformed JSON, foreign or newer formats and
+ * INVALID_INPUT with details.errors ({ path, message }[]) when the schema check fails.
+ * @param {string|object} input
+ * @returns {object & { migratedFrom: number|null }} migratedFrom is the original version when it was older
+ */
+export function parseProject(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input);
+    } catch (err) {
+      throw new MCDMError(ERROR_CODES.PARSE_ERROR, `Project file is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!isPlainObject(raw)) throw new MCDMError(ERROR_CODES.PARSE_ERROR, 'Project file must contain a JSON object.');
+
+  const original = projectVersion(raw);
+  if (original > PROJECT_VERSION) {
+    throw new MCDMError(ERROR_CODES.PARSE_ERROR,
+      `Project version ${original} is newer than this app supports (${PROJECT_VERSION}); update the app to open it.`, { version: original });
+  }
+  let project = JSON.parse(JSON.stringify(raw));
+  for (let v = original; v < PROJECT_VERSION; v++) project = PROJECT_MIGRATIONS[v](project);
+  project = { ...project, format: PROJECT_FORMAT, version: PROJECT_VERSION };
+
+  const errors = validateProject(project);
+  if (errors.length) {
+    const shown = errors.slice(0, 5).map(e => `${e.path}: ${e.message}`).join('; ');
+    throw new MCDMError(ERROR_CODES.INVALID_INPUT,
+      `Invalid project file — ${shown}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`, { errors });
+  }
+  return { ...project, migratedFrom: original < PROJECT_VERSION ? original : null };
+}
+
+const toBase64URL = (bytes) => {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64URL = (text) => {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+/**
+ * Compact URL-safe token for a project: "z" + base64url(deflate-raw(JSON)) where
+ * CompressionStream exists, "j" + base64url(JSON) otherwise.
+ * @param {object} project
+ * @returns {Promise<string>}
+ */
+export async function encodeProjectToken(project) {
+  const bytes = new TextEncoder().encode(JSON.stringify(project));
+  if (typeof CompressionStream === 'undefined') return `j${toBase64URL(bytes)}`;
+  return `z${toBase64URL(await pipeThrough(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Inverse of encodeProjectToken followed by parseProject (so shared links migrate and validate too).
+ * @param {string} token
+ * @returns {Promise<object>}
+ */
+export async function decodeProjectToken(token) {
+  const kind = String(token).charAt(0);
+  let bytes;
+  try {
+    bytes = fromBase64URL(String(token).slice(1));
+    if (kind === 'z') bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+    else if (kind !== 'j') throw new Error(`unknown encoding "${kind}"`);
+  } catch (err) {
+    throw new MCDMError(ERROR_CODES.PARSE_ERROR, `Share link is damaged or truncated: ${err.message}`);
+  }
+  return parseProject(new TextDecoder().decode(bytes));
+}
+
+// Share link for `baseURL` (query and hash replaced); the token travels in the hash so it never reaches a server
+export async function projectShareURL(project, baseURL) {
+  return `${String(baseURL).split(/[?#]/)[0]}#${PROJECT_SHARE_PARAM}=${await encodeProjectToken(project)}`;
+}
+
+// Token of a share link's hash ("#project=..."), or null
+export function shareTokenFromHash(hash) {
+  const match = new RegExp(`(?:^#?|&)${PROJECT_SHARE_PARAM}=([^&]+)`).exec(String(hash || ''));
+  return match ? match[1] : null;
+}
+
+// Format million with 2 decimals
+export const fmtM = (v) => (v / 1e6).toFixed(2);
+
+// ---------------------- Results export ----------------------
+const exportColumnName = (c) => c.name.replace(/[^A-Za-z0-9]+/g, '');
+
+// CSV field, quoted only when it contains a delimiter, quote or line break (RFC 4180)
+const csvField = (v) => (/[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+/**
+ * Per-period export of a solved plan: the period label, planned production (then one column per
+ * product for product-model plans, then the staffing plan with the workforce layer) and each
+ * criterion's contribution v_ki * x_i (sum_p v_kpi q_pi), followed by one total Z_k per criterion.
+ * Shared by the Results tab download and mcdm-cli.mjs so both write the same columns.
+ * @param {Criterion[]} criteria
+ * @param {{ solution: number[], values: Object<string, number>, mix?: Object, workforce?: Object }} plan
+ * @param {string[]} periodLabels
+ * @param {string} [periodUnit]  header of the period column ('Month', 'Week', ...)
+ * @returns {{ columns: string[], rows: Array<Array<string|number>>, totals: Array<[string, string]> }}
+ */
+export function resultsTable(criteria, plan, periodLabels, periodUnit = 'Month') {
+  const products = plan.mix ? plan.mix.products : [];
+  const staff = plan.workforce;
+  const contribution = (c, i) => (plan.mix ? plan.mix.contributions[c.id][i] : c.values[i] * plan.solution[i]);
+  const staffing = (i) => (staff ? [staff.headcount[i], staff.shiftsUsed[i], staff.hires[i], staff.fires[i], staff.overtime[i], staff.cost[i].toFixed(2)] : []);
+  return {
+    columns: [periodUnit, 'PlannedProduction', ...products.map(p => `Production${exportColumnName(p)}`),
+      ...(staff ? ['Headcount', 'Shifts', 'Hires', 'Separations', 'OvertimeWorkerPeriods', 'WorkforceCost'] : []),
+      ...criteria.map(c => `${exportColumnName(c)}Contribution`)],
+    rows: plan.solution.map((val, i) => [periodLabels[i], val, ...products.map(p => p.quantities[i]), ...staffing(i), ...criteria.map(c => contribution(c, i).toFixed(2))]),
+    totals: criteria.map(c => [`Total${exportColumnName(c)}`, plan.values[c.id].toFixed(2)])
+  };
+}
+
+// The table as CSV: header, one line per period, a blank line, then Total<Criterion>,value lines
+export function resultsToCSV({ columns, rows, totals }) {
+  const line = (cells) => cells.map(csvField).join(',') + '\n';
+  return line(columns) + rows.map(line).join('') + '\n' + totals.map(line).join('');
+}
+
+// ---------------------- HTML report ----------------------
+const escapeHTML = (v) => String(v).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const fmtNumber = (v, digits = 0) => (Number.isFinite(v)
+  ? v.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })
+  : '—');
+
+// "Nice" axis ticks (1, 2, 5 x 10^k steps) covering [min, max]
+function axisTicks(min, max, count = 5) {
+  if (min === max) { min -= 1; max += 1; }
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(f => f * mag).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(Number(t.toPrecision(12)));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+/**
+ * Stacked bar chart as inline SVG (same encoding as the Comparison tab's chart).
+ * @param {{ categories: string[], series: { name: string, color: string, values: (number|null)[] }[], yLabel?: string }} chart
+ * @returns {string} SVG markup
+ */
+export function svgBarChart({ categories, series, yLabel = '', width = 760, height = 340 }) {
+  const m = { top: 20, right: 20, bottom: 70, left: 90 };
+  const w = width - m.left - m.right;
+  const h = height - m.top - m.bottom;
+  const totals = categories.map((_, k) => series.reduce((s, se) => s + Math.max(0, se.values[k] || 0), 0));
+  const ticks = axisTicks(0, Math.max(...totals, 0));
+  const top = ticks[ticks.length - 1] || 1;
+  const y = (v) => m.top + h - v / top * h;
+  const band = w / Math.max(1, categories.length);
+  const bars = categories.map((cat, k) => {
+    let base = 0;
+    const rects = series.map(se => {
+      const v = Math.max(0, se.values[k] || 0);
+      const rect = `<rect x="${(m.left + k * band + band * 0.2).toFixed(1)}" y="${y(base + v).toFixed(1)}" width="${(band * 0.6).toFixed(1)}" height="${(y(base) - y(base + v)).toFixed(1)}" fill="${escapeHTML(se.color)}"><title>${escapeHTML(`${cat} — ${se.name}: ${fmtNumber(v, 2)}`)}</title></rect>`;
+      base += v;
+      return rect;
+    }).join('');
+    const label = `<text x="${(m.left + k * band + band / 2).toFixed(1)}" y="${m.top + h + 16}" text-anchor="middle" font-size="11">${escapeHTML(cat)}</text>`;
+    return rects + label;
+  }).join('');
+  const grid = ticks.map(t => `<line x1="${m.left}" x2="${m.left + w}" y1="${y(t).toFixed(1)}" y2="${y(t).toFixed(1)}" stroke="#e5e7eb"/><text x="${m.left - 6}" y="${(y(t) + 4).toFixed(1)}" text-anchor="end" font-size="10">${fmtNumber(t, 0)}</text>`).join('');
+  const legend = series.map((se, k) => `<rect x="${m.left + k * 170}" y="${height - 22}" width="12" height="12" fill="${escapeHTML(se.color)}"/><text x="${m.left + k * 170 + 16}" y="${height - 12}" font-size="11">${escapeHTML(se.name)}</text>`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`
+    + `${grid}<line x1="${m.left}" x2="${m.left}" y1="${m.top}" y2="${m.top + h}" stroke="#64748b"/>`
+    + `<text transform="translate(16 ${m.top + h / 2}) rotate(-90)" text-anchor="middle" font-size="11">${escapeHTML(yLabel)}</text>`
+    + `${bars}${legend}</svg>`;
+}
+
+/**
+ * Scatter chart as inline SVG; `curve` points (sorted by x) are joined by a line.
+ * @param {{ points: { x: number, y: number, label: string, color?: string, r?: number }[], curve?: { x: number, y: number }[], xLabel?: string, yLabel?: string }} chart
+ * @returns {string} SVG markup
+ */
+export function svgScatterChart({ points, curve = [], xLabel = '', yLabel = '', width = 760, height = 380 }) {
+  const m = { top: 20, right: 30, bottom: 50, left: 90 };
+  const w = width - m.left - m.right;
+  const h = height - m.top - m.bottom;
+  const all = [...points, ...curve];
+  const pad = (lo, hi) => { const d = (hi - lo) * 0.05 || Math.abs(lo) * 0.05 || 1; return [lo - d, hi + d]; };
+  const xt = axisTicks(...pad(Math.min(...all.map(p => p.x)), Math.max(...all.map(p => p.x))));
+  const yt = axisTicks(...pad(Math.min(...all.map(p => p.y)), Math.max(...all.map(p => p.y))));
+  const sx = (v) => m.left + (v - xt[0]) / (xt[xt.length - 1] - xt[0]) * w;
+  const sy = (v) => m.top + h - (v - yt[0]) / (yt[yt.length - 1] - yt[0]) * h;
+  const grid = xt.map(t => `<line x1="${sx(t).toFixed(1)}" x2="${sx(t).toFixed(1)}" y1="${m.top}" y2="${m.top + h}" stroke="#f1f5f9"/><text x="${sx(t).toFixed(1)}" y="${m.top + h + 14}" text-anchor="middle" font-size="10">${fmtNumber(t, 2)}</text>`).join('')
+    + yt.map(t => `<line x1="${m.left}" x2="${m.left + w}" y1="${sy(t).toFixed(1)}" y2="${sy(t).toFixed(1)}" stroke="#f1f5f9"/><text x="${m.left - 6}" y="${(sy(t) + 4).toFixed(1)}" text-anchor="end" font-size="10">${fmtNumber(t, 2)}</text>`).join('');
+  const line = curve.length > 1
+    ? `<polyline fill="none" stroke="#1e40af" stroke-width="1.5" points="${curve.map(p => `${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(' ')}"/>`
+    : '';
+  const dots = points.map(p => `<circle cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="${p.r || 6}" fill="${escapeHTML(p.color || '#1e40af')}" fill-opacity="0.85"><title>${escapeHTML(`${p.label}: (${fmtNumber(p.x, 2)}, ${fmtNumber(p.y, 2)})`)}</title></circle>`
+    + (p.r === undefined || p.r > 4 ? `<text x="${(sx(p.x) + 8).toFixed(1)}" y="${(sy(p.y) - 8).toFixed(1)}" font-size="10">${escapeHTML(p.label)}</text>` : '')).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`
+    + `${grid}<rect x="${m.left}" y="${m.top}" width="${w}" height="${h}" fill="none" stroke="#64748b"/>${line}${dots}`
+    + `<text x="${m.left + w / 2}" y="${height - 10}" text-anchor="middle" font-size="11">${escapeHTML(xLabel)}</text>`
+    + `<text transform="translate(16 ${m.top + h / 2}) rotate(-90)" text-anchor="middle" font-size="11">${escapeHTML(yLabel)}</text></svg>`;
+}
+
+/**
+ * The constraint set a model is built with, as formula strings (one per enabled family, in the
+ * order buildConstraintModel adds them). `products` selects the products × lines model.
+ * @param {typeof DEFAULT_CONSTRAINT_SETTINGS} settings
+ * @param {Criterion[]} criteria
+ * @param {boolean} [products]
+ * @returns {string[]}
+ */
+export function describeConstraintSet(settings, criteria, products = false) {
+  const nameOf = (id) => (criteria.find(c => c.id === id) || { name: id }).name;
+  const mip = !!settings.integerLots;
+  const lot = mip && Number(settings.lotSize) > 0 ? Number(settings.lotSize) : 1;
+  const setupCost = mip ? Number(settings.setupCost) || 0 : 0;
+  const minRun = mip ? Number(settings.minRun) || 0 : 0;
+  const lines = [];
+  if (products) {
+    lines.push('X_i = Σ_{p,l} x_{p,l,i}, with x_{p,l,i} only where line l is routed to product p (total production)');
+    lines.push(`Σ_l x_{p,l,i} ≥ ${settings.periodCapacity ? 't_i × ' : ''}MinOrders_{p,i} — firm orders${settings.periodCapacity ? ', t_i ≤ 1 the largest share of every product\'s orders the lines can make together' : ''}`);
+    lines.push('Σ_l x_{p,l,i} ≤ MaxOrders_{p,i} for products with a market cap');
+    if (settings.periodCapacity) lines.push('Σ_p x_{p,l,i} ≤ Cap_{l,i} for every line l and period i (line capacity)');
+    if (settings.cumulativeCapacity) lines.push('Σ_{k≤i} X_k ≤ Σ_{k≤i} Σ_l Cap_{l,k} for every period i (cumulative capacity)');
+    if (settings.totalCapacity) lines.push('Σ_i X_i ≤ Σ_i Σ_l Cap_{l,i} (total-horizon capacity)');
+    if (mip) lines.push(`x_{p,l,i} = ${fmtNumber(lot)} × n_{p,l,i}, n ∈ ℤ≥0 (whole lots, branch-and-bound, time limit ${Number(settings.mipTimeLimit) || 10} s)`);
+    lines.push(...describeWorkforce(settings, nameOf, 'Σ_{p,l} x_{p,l,i} / P_{p,i}'));
+    lines.push('x_{p,l,i} ≥ 0');
+    return lines;
+  }
+  if (settings.periodCapacity) lines.push('x_i ≤ Cap_i for every period i (per-period capacity)');
+  if (!settings.inventory) {
+    lines.push(`x_i ≥ min(Orders_i, ${settings.periodCapacity ? (mip && lot > 1 ? `⌊Cap_i / ${lot}⌋ × ${lot}` : 'Cap_i') : '∞'}) — each period covers its own orders`);
+  }
+  if (settings.cumulativeCapacity) lines.push('Σ_{k≤i} x_k ≤ Σ_{k≤i} Cap_k for every period i (cumulative capacity)');
+  if (settings.totalCapacity) lines.push('Σ_i x_i ≤ Σ_i Cap_i (total-horizon capacity)');
+  if (settings.inventory) {
+    lines.push(`I_{i-1} + x_i − I_i = Orders_i, I_i ≥ 0, I_{-1} = ${fmtNumber(Number(settings.initialInventory) || 0)} (inventory balance)`);
+    if (Number(settings.holdingCost)) lines.push(`holding cost ${fmtNumber(Number(settings.holdingCost), 2)} × Σ_i I_i added to ${nameOf(settings.holdingCriterion)}`);
+  }
+  if (mip) {
+    lines.push(`x_i = ${fmtNumber(lot)} × n_i, n_i ∈ ℤ≥0 (whole lots, branch-and-bound, time limit ${Number(settings.mipTimeLimit) || 10} s)`);
+    if (setupCost > 0 || minRun > 0) {
+      lines.push(`x_i ≤ M_i × y_i, y_i ∈ {0, 1} with M_i = ${settings.periodCapacity ? 'Cap_i' : 'max(Σ Cap, Σ Orders)'} (setup link)`);
+      if (minRun > 0) lines.push(`x_i ≥ ${fmtNumber(minRun)} × y_i (minimum run)`);
+      if (setupCost > 0) lines.push(`setup cost ${fmtNumber(setupCost, 2)} × Σ_i y_i added to ${nameOf(settings.setupCriterion)}`);
+    }
+  }
+  lines.push(...describeWorkforce(settings, nameOf, 'x_i / P_i'));
+  lines.push('x_i ≥ 0');
+  return lines;
+}
+
+// Workforce-layer rows of describeConstraintSet; `staffing` is the worker-periods production needs
+function describeWorkforce(settings, nameOf, staffing) {
+  if (!settings.workforce) return [];
+  const num = (key) => Math.max(0, Number(settings[key]) || 0);
+  const shifts = Math.max(1, Math.floor(num('shifts')) || 1);
+  const lines = [
+    `W_i = Σ_{s≤${shifts}} W_{s,i} = W_{i-1} + H_i − F_i, W_{-1} = ${fmtNumber(num('initialWorkers'))} (workforce balance)`,
+    `${staffing} ≤ W_i + V_i with P the ${nameOf(settings.productivityCriterion)} coefficients (staffed output)`,
+    `V_i ≤ ${num('overtimeShare')} × W_i (overtime in worker-periods)`
+  ];
+  const limit = (key) => workforceLimit(settings, key);
+  if (num('minWorkers') > 0 || limit('maxWorkers') !== null) {
+    lines.push(`${num('minWorkers') > 0 ? `${fmtNumber(num('minWorkers'))} ≤ ` : ''}W_i${limit('maxWorkers') !== null ? ` ≤ ${fmtNumber(limit('maxWorkers'))}` : ''} (headcount limits)`);
+  }
+  const bounds = [
+    limit('workersPerShift') !== null ? `W_{s,i} ≤ ${fmtNumber(limit('workersPerShift'))}` : null,
+    limit('maxHires') !== null ? `H_i ≤ ${fmtNumber(limit('maxHires'))}` : null,
+    limit('maxFires') !== null ? `F_i ≤ ${fmtNumber(limit('maxFires'))}` : null
+  ].filter(Boolean);
+  if (bounds.length) lines.push(`${bounds.join(', ')} (shift, hiring and firing limits)`);
+  lines.push(`${fmtNumber(num('wage'), 2)} × (W_{1,i} + ${1 + num('shiftPremium')} × Σ_{s>1} W_{s,i} + ${1 + num('overtimePremium')} × V_i) + `
+    + `${fmtNumber(num('hireCost'), 2)} × H_i + ${fmtNumber(num('fireCost'), 2)} × F_i summed over i added to ${nameOf(settings.workforceCriterion)}`);
+  return lines;
+}
+
+const REPORT_CSS = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1e3a8a; margin: 32px auto; max-width: 1000px; padding: 0 24px; }
+h1 { color: #0f172a; margin-bottom: 4px; } h2 { border-bottom: 2px solid #1e40af; padding-bottom: 4px; margin-top: 36px; }
+h3 { color: #0f172a; } p, li { color: #334155; font-size: 14px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; font-size: 12px; }
+th, td { border: 1px solid #cbd5e1; padding: 4px 8px; text-align: right; } th { background: #f1f5f9; }
+th:first-child, td:first-child { text-align: left; }
+.formula { font-family: monospace; background: #f8fafc; padding: 6px 10px; border-left: 3px solid #1e40af; color: #0f172a; }
+.ok { color: #047857; font-weight: 600; } .warn { color: #b91c1c; font-weight: 600; }
+.meta { color: #64748b; font-size: 12px; } .print { float: right; }
+section { page-break-inside: avoid; } .mode { page-break-before: always; }
+@media print { .print { display: none; } body { margin: 0; } }
+`;
+
+const htmlTable = (headers, rows) => `<table><thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>`
+  + `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHTML(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+/**
+ * Standalone HTML report (inline CSS and SVG, no scripts beyond a print button), printable to PDF:
+ * input data, AHP matrix and consistency, plan and metrics of every mode in `results`, the
+ * performance comparison and Pareto charts, the multi-objective analysis and a methodology
+ * appendix with the objective formulas and the constraint set of `settings`.
+ * @param {{ title?: string, generatedAt?: Date, horizon: object, data: ProblemData, pairwise: number[][],
+ *   ahp?: AHPResult|null, settings: typeof DEFAULT_CONSTRAINT_SETTINGS, results: Object<string, Plan>,
+ *   frontier?: { points: object[] }|null, axes?: { x: string, y: string } }} input
+ * @returns {string}
+ */
+export function buildReportHTML({ title = 'MCDM Production Planning Report', generatedAt = new Date(), horizon, data, pairwise, ahp = null, settings, results, frontier = null, axes = null }) {
+  const { criteria } = data;
+  const periods = buildPeriods({ ...horizon, periods: data.orders.length });
+  const labels = periods.map(p => p.label);
+  const unit = GRANULARITIES[horizon.granularity] ? GRANULARITIES[horizon.granularity].unit : 'Period';
+  const matrix = pairwise.map(row => row.map(v => parseFloat(v) || 1));
+  const weightsAHP = ahp && ahp.weights.length === criteria.length ? ahp : computeAHPFromMatrix(matrix);
+  const modes = [...criteria.map(c => c.id), 'multiObjective', 'goalProgramming', 'robust'].filter(mode => results[mode]);
+  const out = [];
+
+  out.push(`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${escapeHTML(title)}</title><style>${REPORT_CSS}</style></head><body>`);
+  out.push(`<button class="print" onclick="window.print()">Print / Save as PDF</button><h1>${escapeHTML(title)}</h1>`);
+  out.push(`<p class="meta">Generated ${escapeHTML(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC · ${data.orders.length} ${escapeHTML(unit.toLowerCase())}s from ${escapeHTML(horizon.startDate)} · modes run: ${modes.length ? modes.map(mode => escapeHTML(modeLabel(mode, criteria))).join(', ') : 'none'}</p>`);
+
+  // 1. inputs
+  out.push('<section><h2>1. Input data</h2>');
+  out.push(htmlTable([unit, 'Orders', 'Capacity', ...criteria.map(c => `${c.name} (${c.unit}, ${c.direction})`)],
+    labels.map((label, i) => [label, fmtNumber(data.orders[i]), fmtNumber(data.capacity[i]), ...criteria.map(c => fmtNumber(c.values[i], 2))])));
+  if (hasProducts(data)) {
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+    out.push(`<p>Orders, capacity and coefficients above are derived from ${data.products.length} products on ${data.lines.length} lines:</p>`);
+    out.push(htmlTable(['Product', 'Firm orders', 'Market cap', ...criteria.map(c => `Mean ${c.name}`), 'Lines'], data.products.map((p, pi) => [
+      p.name, fmtNumber(sum(p.minOrders)), p.maxOrders ? fmtNumber(sum(p.maxOrders)) : '—',
+      ...criteria.map(c => fmtNumber(sum(p.values[c.id]) / p.values[c.id].length, 2)),
+      data.lines.filter((l, li) => data.routing[li][pi]).map(l => l.name).join(', ') || 'none'
+    ])));
+    out.push(htmlTable(['Line', 'Capacity', 'Products'], data.lines.map((l, li) => [
+      l.name, fmtNumber(sum(l.capacity)), data.products.filter((p, pi) => data.routing[li][pi]).map(p => p.name).join(', ') || 'none'
+    ])));
+  }
+  out.push('</section>');
+
+  // 2. AHP
+  out.push('<section><h2>2. AHP pairwise comparison</h2>');
+  out.push(htmlTable(['', ...criteria.map(c => c.name), 'Weight'],
+    criteria.map((c, i) => [c.name, ...matrix[i].map(v => Number(v.toFixed(3))), weightsAHP.weights[i].toFixed(4)])));
+  out.push(`<p>λ<sub>max</sub> = ${weightsAHP.lambdaMax.toFixed(4)}, CI = ${weightsAHP.CI.toFixed(4)}, RI = ${weightsAHP.RI.toFixed(2)}, `
+    + `CR = <span class="${weightsAHP.CR < CR_THRESHOLD ? 'ok' : 'warn'}">${weightsAHP.CR.toFixed(4)} ${weightsAHP.CR < CR_THRESHOLD ? '(consistent)' : `(inconsistent, ≥ ${CR_THRESHOLD})`}</span>`
+    + `${ahp && ahp.source ? ` · weights from ${escapeHTML(ahp.source)}` : ''}</p></section>`);
+
+  // 3. per-mode plans and metrics
+  out.push('<h2>3. Plans and metrics by mode</h2>');
+  modes.forEach(mode => {
+    const res = results[mode];
+    const improvements = res.improvements || computeImprovements(criteria, res.values, data.orders, planSurcharges(res, settings));
+    out.push(`<section class="mode"><h3>${escapeHTML(modeLabel(mode, criteria))}</h3>`);
+    out.push(htmlTable(['Criterion', 'Total', 'vs. order baseline'],
+      criteria.map(c => [c.name, `${fmtM(res.values[c.id])}M ${c.unit}`, `${parseFloat(improvements[c.id]) > 0 ? '+' : ''}${improvements[c.id]}%`])));
+    const extra = [`status ${res.status}`];
+    if (res.weights) extra.push(`weights [${res.weights.map(w => w.toFixed(3)).join(', ')}]`);
+    if (res.mip) extra.push(`branch-and-bound: ${res.mip.nodes} nodes, gap ${Number.isFinite(res.mip.gap) ? `${(res.mip.gap * 100).toFixed(2)}%` : 'unknown'}`);
+    if (res.holdingCost) extra.push(`holding cost ${fmtNumber(res.holdingCost, 2)}`);
+    if (res.setupCost) extra.push(`setup cost ${fmtNumber(res.setupCost, 2)}`);
+    if (res.workforce) {
+      const { wages, overtime, hiring, firing } = res.workforce.costs;
+      extra.push(`workforce cost ${fmtNumber(res.workforceCost, 2)} (wages ${fmtNumber(wages, 2)}, overtime ${fmtNumber(overtime, 2)}, hiring ${fmtNumber(hiring, 2)}, firing ${fmtNumber(firing, 2)})`);
+    }
+    if (res.shortfall && res.shortfall.length) {
+      extra.push(`orders exceed capacity in ${res.shortfall.map(s => `${labels[s.period]} (${fmtNumber(s.shortfall)} short)`).join(', ')}, planned at capacity`);
+    }
+    if (res.robust) {
+      extra.push(`budgets Γ demand ${res.robust.budget.demand}, capacity ${res.robust.budget.capacity}, objective ${res.robust.budget.objective}`);
+      if (res.robust.absolutePriceOfRobustness !== null) {
+        const relative = res.robust.priceOfRobustness === null ? '' : ` (${(res.robust.priceOfRobustness * 100).toFixed(2)}%)`;
+        extra.push(`price of robustness ${fmtNumber(res.robust.absolutePriceOfRobustness, 4)}${relative}`);
+      }
+      if (res.robust.uncovered.length) extra.push(`${res.robust.uncovered.length} period(s) cannot cover worst-case orders`);
+    }
+    out.push(`<p class="meta">${extra.map(escapeHTML).join(' · ')}</p>`);
+    if (res.goals) {
+      out.push(htmlTable(['Goal', 'Target', 'Achieved', 'Shortfall', 'Excess'],
+        res.goals.map(g => [g.name, `${fmtM(g.target)}M`, `${fmtM(g.value)}M`, `${fmtM(g.shortfall)}M`, `${fmtM(g.excess)}M`])));
+    }
+    const table = resultsTable(criteria, res, labels, unit);
+    const columns = [...table.columns.slice(0, 2), ...(res.inventory ? ['Inventory'] : []), ...(res.setups ? ['Setup'] : []), ...table.columns.slice(2)];
+    out.push(htmlTable(columns, table.rows.map((row, i) => [
+      row[0], fmtNumber(row[1]),
+      ...(res.inventory ? [fmtNumber(res.inventory[i])] : []),
+      ...(res.setups ? [res.setups[i] > 0.5 ? 'yes' : 'no'] : []),
+      ...row.slice(2).map(v => fmtNumber(Number(v), 2))
+    ])));
+    if (res.mix) {
+      out.push(htmlTable(['Line utilization', ...labels], res.mix.lines.map(l => [
+        l.name, ...l.load.map((load, i) => (l.capacity[i] > 0 ? `${Math.round((load / l.capacity[i]) * 100)}%` : '—'))
+      ])));
+    }
+    out.push('</section>');
+  });
+
+  // 4. comparison chart and table
+  if (modes.length) {
+    out.push('<section class="mode"><h2>4. Performance comparison across strategies</h2>');
+    out.push(svgBarChart({
+      categories: modes.map(mode => (mode === 'multiObjective' ? 'Multi-Objective' : modeLabel(mode, criteria))),
+      series: criteria.map(c => ({ name: `${c.name} (M)`, color: c.color || '#1e40af', values: modes.map(mode => results[mode].values[c.id] / 1e6) })),
+      yLabel: 'Million RON / Units'
+    }));
+    out.push(htmlTable(['Strategy', ...criteria.map(c => `${c.name} (M ${c.unit})`)],
+      modes.map(mode => [modeLabel(mode, criteria), ...criteria.map(c => fmtM(results[mode].values[c.id]))])));
+    out.push('</section>');
+  }
+
+  // 5. Pareto scatter
+  const [xId, yId] = axes && criteria.some(c => c.id === axes.x) && criteria.some(c => c.id === axes.y)
+    ? [axes.x, axes.y]
+    : [criteria[0].id, (criteria[1] || criteria[0]).id];
+  const xC = criteria.find(c => c.id === xId);
+  const yC = criteria.find(c => c.id === yId);
+  const frontierPoints = frontier ? frontier.points : [];
+  if (modes.length || frontierPoints.length) {
+    const curve = xId === yId ? [] : filterNonDominated(frontierPoints, [xC, yC]).map(p => ({ x: p.values[xId] / 1e6, y: p.values[yId] / 1e6 })).sort((a, b) => a.x - b.x);
+    out.push('<section><h2>5. Pareto trade-off</h2>');
+    out.push(svgScatterChart({
+      points: [
+        ...frontierPoints.map(p => ({ x: p.values[xId] / 1e6, y: p.values[yId] / 1e6, label: p.name, color: '#94a3b8', r: 3 })),
+        ...modes.map(mode => ({
+          x: results[mode].values[xId] / 1e6,
+          y: results[mode].values[yId] / 1e6,
+          label: mode === 'multiObjective' ? 'Multi-Objective' : modeLabel(mode, criteria),
+          color: mode === 'multiObjective' ? '#1e40af' : ((criteria.find(c => c.id === mode) || {}).color || '#0f172a')
+        }))
+      ],
+      curve,
+      xLabel: `${xC.name} (M ${xC.unit})`,
+      yLabel: `${yC.name} (M ${yC.unit})`
+    }));
+    out.push(`<p class="meta">${frontierPoints.length ? `${frontierPoints.length} generated frontier points (grey) with their 2-D non-dominated curve; ` : ''}coloured points are the optimized modes.</p></section>`);
+  }
+
+  // 6. strategy comparison and conclusions
+  out.push('<section><h2>6. Strategy comparison and conclusions</h2>');
+  out.push(`<p>Single-objective solutions prioritize one metric; the multi-objective plan uses the AHP weights to balance ${criteria.map(c => escapeHTML(c.name)).join(', ')} with</p>`);
+  const norm = results.multiObjective && results.multiObjective.normalization;
+  out.push(`<p class="formula">${escapeHTML(combinedFormula(criteria, norm ? norm.method : 'none'))}</p>`);
+  out.push(`<ul>${criteria.map(c => `<li>${escapeHTML(c.name)} focus: ${c.direction === 'cost' ? 'lowest' : 'highest'} ${escapeHTML(c.name.toLowerCase())}, other criteria are ignored${results[c.id] && results.multiObjective
+    ? ` — versus the multi-objective plan: ${criteria.filter(o => o.id !== c.id).map(o => {
+      const delta = (results[c.id].values[o.id] - results.multiObjective.values[o.id]) / Math.abs(results.multiObjective.values[o.id] || 1) * 100;
+      return `${escapeHTML(o.name)} ${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+    }).join(', ')}`
+    : ''}</li>`).join('')}</ul>`);
+  const comparison = compareStrategies(criteria, results, {
+    weights: (results.multiObjective && results.multiObjective.weights) || weightsAHP.weights
+  });
+  if (comparison) {
+    out.push(htmlTable(['Strategy', ...criteria.map(c => `${c.name} (% of ideal)`), 'L1', 'L2', 'L∞', 'Rank', 'Dominated by', 'Balance'],
+      comparison.strategies.map(s => [
+        modeLabel(s.mode, criteria), ...criteria.map(c => `${s.achievement[c.id].toFixed(1)}%`),
+        s.distance.L1.toFixed(4), s.distance.L2.toFixed(4), s.distance.Linf.toFixed(4), s.rank,
+        s.dominatedBy.map(m => modeLabel(m, criteria)).join(', ') || '—', STRATEGY_STATUS[s.status].label
+      ])));
+    out.push(`<ul>${strategyConclusions(criteria, comparison, results).map(line => `<li>${escapeHTML(line)}</li>`).join('')}</ul>`);
+  }
+  out.push('</section>');
+
+  // appendix
+  const weights = (results.multiObjective && results.multiObjective.weights) || weightsAHP.weights;
+  out.push('<section class="mode"><h2>Appendix — Methodology</h2>');
+  out.push('<h3>Objectives</h3><p>With x_i the production planned in period i and v_ki the coefficient of criterion k in period i:</p>');
+  out.push(`<ul>${criteria.map((c, k) => `<li class="formula">Z${k + 1} = ${c.scale !== 1 ? `${c.scale} × ` : ''}Σ_i v_${k + 1},i × x_i  — ${escapeHTML(c.name)} (${escapeHTML(c.unit)}), ${c.direction === 'cost' ? 'minimized' : 'maximized'}</li>`).join('')}</ul>`);
+  if (norm && norm.method !== 'none') {
+    out.push(`<p>Multi-objective mode maximizes Z = Σ_k w_k N_k over objectives normalized with the payoff table (${escapeHTML(NORMALIZATION_METHODS[norm.method].label)}: ${escapeHTML(NORMALIZATION_METHODS[norm.method].description)}), N_k = (Z_k − offset_k) / divisor_k:</p>`);
+    out.push(htmlTable(['Criterion', 'Ideal', 'Nadir', 'Offset', 'Divisor', 'Weight'], criteria.map((c, k) => [
+      c.name, fmtNumber(norm.payoff.ideal[c.id], 2), fmtNumber(norm.payoff.nadir[c.id], 2),
+      fmtNumber(norm.factors[c.id].offset, 2), fmtNumber(norm.factors[c.id].divisor, 2), weights[k].toFixed(4)
+    ])));
+  } else {
+    out.push(`<p>Multi-objective mode maximizes Z = Σ_k s_k w_k Z_k with s_k = −1 for cost criteria and the weights used:</p><p class="formula">Z = ${criteria
+      .map((c, k) => `${k === 0 ? (directionSign(c) < 0 ? '−' : '') : (directionSign(c) < 0 ? ' − ' : ' + ')}${weights[k].toFixed(4)}·Z${k + 1}`).join('')}</p>`);
+  }
+  out.push('<p>Single-objective modes optimize one Z_k alone in its own direction. Goal programming minimizes the weighted relative deviations from the per-criterion targets (weighted) or does so one priority level at a time (lexicographic).</p>');
+  if (results.robust) {
+    out.push('<p>Robust mode (Bertsimas–Sim) tightens the demand and capacity rows by the largest Γ deviations of the uncertainty set and maximizes the weighted objective net of its Γ largest adverse coefficient moves (max c·x − Γz − Σ_i p_i with z + p_i ≥ d_i x_i).</p>');
+  }
+  out.push('<h3>Constraint set</h3>');
+  out.push(`<ul>${describeConstraintSet(settings, criteria, hasProducts(data)).map(l => `<li class="formula">${escapeHTML(l)}</li>`).join('')}</ul>`);
+  out.push('<h3>Solution methods</h3><ul>'
+    + '<li>AHP weights: principal eigenvector of the pairwise matrix by power iteration; CR = CI / RI with CI = (λ<sub>max</sub> − n) / (n − 1) and Saaty\'s random index RI.</li>'
+    + `<li>${settings.integerLots ? 'Mixed-integer plans: branch-and-bound over LP relaxations solved' : 'Plans: exact optimum'} by dense two-phase simplex.</li>`
+    + '<li>Improvements are measured against the baseline plan x_i = Orders_i.</li></ul>');
+  out.push('</section></body></html>');
+  return out.join('\n');
+}
+
+// ---------------------- Background jobs (Web Worker) ----------------------
+// Job types the worker accepts: task(payload, progress) returns a structured-cloneable result.
+// progress(done, total) reports determinate progress; jobs that never call it show as indeterminate.
+export const WORKER_TASKS = {
+  ahp: ({ matrix }) => computeAHPFromMatrix(matrix),
+  solveMode: ({ mode, data, weights, settings, normalization }) => solveMode(mode, { data, weights, settings, normalization }),
+  goalProgram: ({ goals, data, settings, method }) => solveGoalProgram(goals, { data, settings, method }),
+  robust: ({ data, settings, uncertainty, weights, mode, budget, normalization }) =>
+    solveRobust({ data, settings, uncertainty, weights, mode, budget, normalization }),
+  monteCarlo: ({ plan, data, settings, uncertainty, samples, seed }, progress) =>
+    simulatePlan(plan, { data, settings, uncertainty, samples, seed, onProgress: progress }),
+  frontier: ({ data, settings, method, steps }, progress) =>
+    generateParetoFrontier(data, settings, { method, steps, onProgress: progress }),
+  sensitivity: ({ data, settings, weights, range, candidates, rankingMethod, normalization }, progress) => {
+    // tornado solves and stability criteria as one bar: 2 solves per parameter, then one step per criterion
+    const tornadoTotal = 2 * data.criteria.reduce((s, c) => s + 1 + c.values.length, 0);
+    const total = tornadoTotal + data.criteria.length;
+    const tornado = tornadoAnalysis(data, settings, weights, { range, normalization, onProgress: (done) => progress(done, total) });
+    const stability = weightStabilityIntervals(data, settings, weights, {
+      candidates,
+      rankingMethod,
+      normalization: tornado.normalization ? { method: tornado.normalization } : null,
+      onProgress: (done) => progress(tornadoTotal + done, total)
+    });
+    return { tornado, stability };
+  }
+};
+
+const JOB_PROGRESS_INTERVAL = 100; // ms between progress messages from a running job
+
+// Message loop of the worker (and of the in-thread fallback): { id, task, payload } in;
+// { id, type: 'progress' | 'result' | 'error', ... } out.
+export function workerMain(scope) {
+  scope.onmessage = (event) => {
+    const { id, task, payload } = event.data;
+    let last = 0;
+    const progress = (done, total) => {
+      const now = Date.now();
+      if (now - last < JOB_PROGRESS_INTERVAL && done < total) return;
+      last = now;
+      scope.postMessage({ id, type: 'progress', done, total });
+    };
+    try {
+      if (!WORKER_TASKS[task]) throw new MCDMError('INVALID_INPUT', `unknown job type "${task}"`, { task });
+      scope.postMessage({ id, type: 'result', result: WORKER_TASKS[task](payload, progress) });
+    } catch (err) {
+      scope.postMessage({ id, type: 'error', ...errorToMessage(err) });
+    }
+  };
+}
+
+// Module worker running workerMain (mcdmWorker.mjs); without Worker support (or if the page forbids
+// module workers) jobs run through the same message loop on the main thread, where cancel cannot
+// interrupt a solve.
+export function spawnEngineWorker() {
+  if (typeof Worker !== 'undefined') {
+    try {
+      return new Worker(new URL('./mcdmWorker.mjs', import.meta.url), { type: 'module' });
+    } catch (err) {
+      // fall through to the in-thread runner
+    }
+  }
+  const fallback = { onmessage: null, terminate: () => { fallback.onmessage = null; } };
+  const scope = { onmessage: null, postMessage: (data) => fallback.onmessage && fallback.onmessage({ data }) };
+  workerMain(scope);
+  fallback.postMessage = (data) => setTimeout(() => scope.onmessage({ data }), 0);
+  return fallback;
+}
+
+const JOB_HISTORY_LIMIT = 20;
+
+/**
+ * FIFO job queue over one engine worker. Jobs run one at a time; a running job is cancelled by
+ * terminating the worker (a fresh one is spawned for the next job), a queued one by dropping it.
+ * Each job is { id, task, label, status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled',
+ * progress: { done, total } | null, error, submittedAt, startedAt, finishedAt }; onChange(jobs)
+ * receives a fresh array on every transition.
+ * submit() returns { id, promise }; the promise resolves with the result or rejects with an
+ * MCDMError (code 'CANCELLED' for a cancellation).
+ * @param {{ onChange?: (jobs: object[]) => void, spawn?: () => object }} [options]
+ */
+export function createJobQueue({ onChange = () => {}, spawn = spawnEngineWorker } = {}) {
+  let worker = null;
+  let jobs = [];
+  let nextId = 1;
+  const pending = {}; // id -> { payload, resolve, reject }
+
+  const publish = () => onChange(jobs.slice());
+  const update = (id, patch) => {
+    jobs = jobs.map(j => (j.id === id ? { ...j, ...patch } : j));
+  };
+  const settle = (id, status, patch = {}) => {
+    update(id, { status, finishedAt: Date.now(), ...patch });
+    const finished = jobs.filter(j => !['queued', 'running'].includes(j.status));
+    if (finished.length > JOB_HISTORY_LIMIT) {
+      const drop = new Set(finished.slice(0, finished.length - JOB_HISTORY_LIMIT).map(j => j.id));
+      jobs = jobs.filter(j => !drop.has(j.id));
+    }
+    delete pending[id];
+  };
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    worker = spawn();
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+      const job = pending[id];
+      if (!job) return;
+      if (type === 'progress') {
+        update(id, { progress: { done: event.data.done, total: event.data.total } });
+        publish();
+        return;
+      }
+      if (type === 'result') {
+        job.resolve(event.data.result);
+        settle(id, 'done');
+      } else {
+        job.reject(errorFromMessage(event.data));
+        settle(id, 'failed', { error: event.data.message });
+      }
+      startNext();
+    };
+    return worker;
+  };
+
+  function startNext() {
+    if (jobs.some(j => j.status === 'running')) {
+      publish();
+      return;
+    }
+    const job = jobs.find(j => j.status === 'queued');
+    if (job) {
+      update(job.id, { status: 'running', startedAt: Date.now() });
+      try {
+        ensureWorker().postMessage({ id: job.id, task: job.task, payload: pending[job.id].payload });
+      } catch (err) {
+        // e.g. a DataCloneError for a payload the worker cannot receive
+        pending[job.id].reject(new MCDMError('INVALID_INPUT', err.message, { task: job.task }));
+        settle(job.id, 'failed', { error: err.message });
+        startNext();
+        return;
+      }
+    }
+    publish();
+  }
+
+  return {
+    submit(task, payload, { label = task } = {}) {
+      const id = nextId++;
+      const promise = new Promise((resolve, reject) => {
+        pending[id] = { payload, resolve, reject };
+      });
+      jobs = [...jobs, { id, task, label, status: 'queued', progress: null, error: null, submittedAt: Date.now(), startedAt: null, finishedAt: null }];
+      startNext();
+      return { id, promise };
+    },
+    cancel(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || !pending[id]) return;
+      if (job.status === 'running' && worker) {
+        worker.terminate();
+        worker = null;
+      }
+      pending[id].reject(new MCDMError('CANCELLED', `${job.label} cancelled`, { jobId: id }));
+      settle(id, 'cancelled');
+      startNext();
+    },
+    clearFinished() {
+      jobs = jobs.filter(j => ['queued', 'running'].includes(j.status));
+      publish();
+    },
+    dispose() {
+      // queued jobs first so cancelling the running one does not start the next
+      [...jobs.filter(j => j.status === 'queued'), ...jobs.filter(j => j.status === 'running')].forEach(j => this.cancel(j.id));
+      if (worker) worker.terminate();
+      worker = null;
+    }
+  };
+}
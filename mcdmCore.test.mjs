@@ -0,0 +1,537 @@
+// mcdmCore.test.mjs — run with: node --test
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MCDMError, ERROR_CODES, DEFAULT_DATA, DEFAULT_PAIRWISE, DEFAULT_HORIZON, DEFAULT_CONSTRAINT_SETTINGS,
+  CR_THRESHOLD, buildPeriods, reaggregateData, deepCopyData, computeAHPFromMatrix, suggestConsistencyRepairs,
+  computeGroupAHP, solveLP, solveMIP, buildConstraintModel, retargetCostCriteria, validateProblemData, computeObjectives, solveMode,
+  computeImprovements, planSurcharges, multiObjectiveImbalance, solveGoalProgram, generateParetoFrontier, dominates,
+  rankCandidates, parseDelimited, parseNumber, createJobQueue, buildReportHTML, describeConstraintSet,
+  PROJECT_VERSION, makeProject, parseProject, validateProject, encodeProjectToken, decodeProjectToken, shareTokenFromHash,
+  simulatePlan, solveRobust, computePayoffTable, normalizationFactors, normalizeValues, compareStrategies,
+  strategyConclusions, tradeoffCoordinates, brushMatches, projectPoint, enableProducts, addProduct, addLine,
+  syncProductData, applyCellEdits
+} from './mcdmCore.mjs';
+
+const settings = DEFAULT_CONSTRAINT_SETTINGS;
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} !≈ ${expected}`);
+const throwsCode = (fn, code) => assert.throws(fn, err => err instanceof MCDMError && err.code === code);
+
+describe('AHP', () => {
+  test('default pairwise matrix', () => {
+    const res = computeAHPFromMatrix(DEFAULT_PAIRWISE);
+    close(res.weights[0], 0.0971497, 1e-5);
+    close(res.weights[1], 0.7007336, 1e-5);
+    close(res.weights[2], 0.2021167, 1e-5);
+    close(res.lambdaMax, 3.1353797, 1e-6);
+    close(res.CR, 0.1167066, 1e-5);
+    assert.ok(res.CR >= CR_THRESHOLD, 'the shipped matrix is slightly inconsistent');
+  });
+
+  test('perfectly consistent matrix has lambda_max = n and CR = 0', () => {
+    const res = computeAHPFromMatrix([[1, 2, 4], [1 / 2, 1, 2], [1 / 4, 1 / 2, 1]]);
+    [4 / 7, 2 / 7, 1 / 7].forEach((w, i) => close(res.weights[i], w, 1e-9));
+    close(res.lambdaMax, 3, 1e-9);
+    close(res.CR, 0, 1e-9);
+  });
+
+  test('one and two criteria are always consistent', () => {
+    assert.deepEqual(computeAHPFromMatrix([[1]]).weights, [1]);
+    const two = computeAHPFromMatrix([[1, 3], [1 / 3, 1]]);
+    close(two.weights[0], 0.75, 1e-9);
+    assert.equal(two.CR, 0);
+  });
+
+  test('degenerate matrices are rejected', () => {
+    throwsCode(() => computeAHPFromMatrix([]), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => computeAHPFromMatrix([[1, 2], [0.5]]), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => computeAHPFromMatrix([[1, 0], [1, 1]]), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => computeAHPFromMatrix([[1, NaN], [1, 1]]), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('repair suggestions bring the default matrix under the threshold', () => {
+    const repair = suggestConsistencyRepairs(DEFAULT_PAIRWISE);
+    assert.ok(repair.suggestions.length > 0);
+    assert.ok(repair.resolved);
+    assert.ok(repair.finalCR < CR_THRESHOLD);
+  });
+
+  test('group AHP of identical experts equals the single result', () => {
+    const single = computeAHPFromMatrix(DEFAULT_PAIRWISE);
+    const group = computeGroupAHP([{ name: 'A', matrix: DEFAULT_PAIRWISE }, { name: 'B', matrix: DEFAULT_PAIRWISE }]);
+    group.group.weights.forEach((w, i) => close(w, single.weights[i], 1e-9));
+    close(group.consensus.index, 1, 1e-9);
+    throwsCode(() => computeGroupAHP([]), ERROR_CODES.INVALID_INPUT);
+  });
+});
+
+describe('LP and branch-and-bound', () => {
+  test('Wyndor Glass reference problem', () => {
+    const res = solveLP({
+      objective: [3, 5],
+      constraints: [
+        { coeffs: [1, 0], op: '<=', rhs: 4 },
+        { coeffs: [0, 2], op: '<=', rhs: 12 },
+        { coeffs: [3, 2], op: '<=', rhs: 18 }
+      ]
+    });
+    assert.equal(res.status, 'optimal');
+    close(res.objective, 36);
+    close(res.x[0], 2);
+    close(res.x[1], 6);
+    [0, 1.5, 1].forEach((d, k) => close(res.duals[k], d));
+  });
+
+  test('minimization with >= rows', () => {
+    const res = solveLP({
+      objective: [2, 3],
+      maximize: false,
+      constraints: [{ coeffs: [1, 1], op: '>=', rhs: 4 }, { coeffs: [1, 3], op: '>=', rhs: 6 }]
+    });
+    close(res.objective, 9);
+    close(res.x[0], 3);
+    close(res.x[1], 1);
+  });
+
+  test('infeasible and unbounded problems report their status', () => {
+    assert.equal(solveLP({ objective: [1], constraints: [{ coeffs: [1], op: '>=', rhs: 5 }, { coeffs: [1], op: '<=', rhs: 2 }] }).status, 'infeasible');
+    assert.equal(solveLP({ objective: [1, 0], constraints: [{ coeffs: [1, -1], op: '<=', rhs: 1 }] }).status, 'unbounded');
+    throwsCode(() => solveLP({ objective: [1], lower: [-Infinity] }), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('integer program differs from its relaxation', () => {
+    const problem = {
+      objective: [5, 4],
+      constraints: [{ coeffs: [6, 4], op: '<=', rhs: 24 }, { coeffs: [1, 2], op: '<=', rhs: 6 }]
+    };
+    close(solveLP(problem).objective, 21);
+    const mip = solveMIP({ ...problem, integer: [{ index: 0 }, { index: 1 }] });
+    assert.equal(mip.status, 'optimal');
+    close(mip.objective, 20);
+    assert.deepEqual(mip.x, [4, 0]);
+  });
+});
+
+describe('production planning on the default dataset', () => {
+  const data = deepCopyData(DEFAULT_DATA);
+  const weights = computeAHPFromMatrix(DEFAULT_PAIRWISE).weights;
+
+  test('single-objective optima', () => {
+    assert.equal(solveMode('cost', { data, settings }).objective, 1634237795);
+    const turnover = solveMode('turnover', { data, settings });
+    assert.equal(turnover.values.turnover, 39126800000000);
+    assert.deepEqual(turnover.solution, data.capacity);
+  });
+
+  test('multi-objective plan respects orders and capacity', () => {
+    const plan = solveMode('multiObjective', { data, weights, settings });
+    plan.solution.forEach((x, i) => {
+      assert.ok(x >= Math.min(data.orders[i], data.capacity[i]) - 1e-6);
+      assert.ok(x <= data.capacity[i] + 1e-6);
+    });
+    assert.deepEqual(plan.values, computeObjectives(data.criteria, plan.solution));
+    // the original weighting w1*T*1000 - w2*C*1000 + w3*P: cost keeps its ×1000 in the raw sum
+    const { turnover, cost, productivity } = plan.values;
+    close(plan.objective, weights[0] * turnover - weights[1] * 1000 * cost + weights[2] * productivity);
+  });
+
+  test('improvements over the order baseline', () => {
+    const plan = solveMode('multiObjective', { data, weights, settings });
+    assert.deepEqual(computeImprovements(data.criteria, plan.values, data.orders), { turnover: '4.68', cost: '-4.56', productivity: '4.32' });
+    assert.deepEqual(computeImprovements(data.criteria, computeObjectives(data.criteria, data.orders), data.orders),
+      { turnover: '0.00', cost: '0.00', productivity: '0.00' });
+    const staffed = { ...settings, workforce: true };
+    const priced = solveMode('multiObjective', { data, weights, settings: staffed });
+    assert.deepEqual(computeImprovements(data.criteria, priced.values, data.orders, planSurcharges(priced, staffed)),
+      computeImprovements(data.criteria, computeObjectives(data.criteria, priced.solution), data.orders));
+  });
+
+  test('imbalance of the compromise plan', () => {
+    assert.equal(multiObjectiveImbalance(data.criteria, {}), null);
+    const results = Object.fromEntries(['turnover', 'cost', 'productivity', 'multiObjective']
+      .map(mode => [mode, solveMode(mode, { data, weights, settings })]));
+    assert.ok(multiObjectiveImbalance(data.criteria, results) >= 0);
+  });
+
+  test('strategy comparison: dominance, distances to the ideal point and badges', () => {
+    const plan = (turnover, cost, productivity) => ({ values: { turnover, cost, productivity } });
+    const results = {
+      turnover: plan(100, 80, 50), cost: plan(40, 20, 20), productivity: plan(70, 60, 100),
+      multiObjective: plan(90, 40, 80), robust: plan(60, 60, 40)
+    };
+    const cmp = compareStrategies(data.criteria, results, { weights: [0.5, 0.25, 0.25], rankBy: 'Linf' });
+    const by = Object.fromEntries(cmp.strategies.map(s => [s.mode, s]));
+    assert.deepEqual(cmp.ideal, { turnover: 100, cost: 20, productivity: 100 });
+    assert.deepEqual(by.robust.dominatedBy, ['productivity', 'multiObjective']);
+    assert.equal(by.robust.status, 'dominated');
+    close(by.multiObjective.achievement.cost, 100 * 40 / 60);
+    close(by.multiObjective.distance.L1, 0.5 * 10 / 60 + 0.25 * 20 / 60 + 0.25 * 20 / 80);
+    close(by.multiObjective.distance.Linf, 0.25 * 20 / 60);
+    assert.equal(by.multiObjective.rank, 1);
+    assert.equal(by.multiObjective.status, 'compromise');
+    assert.equal(by.cost.status, 'imbalanced');
+    const lines = strategyConclusions(data.criteria, cmp, results);
+    assert.ok(lines[0].startsWith('Multi-Objective'));
+    assert.ok(lines.some(l => l.startsWith('Robust (Bertsimas–Sim) is dominated by')));
+    assert.equal(compareStrategies(data.criteria, {}), null);
+    throwsCode(() => compareStrategies(data.criteria, results, { rankBy: 'L3' }), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('invalid weights, modes and data are structured errors', () => {
+    throwsCode(() => solveMode('multiObjective', { data, weights: [1], settings }), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => solveMode('nope', { data, settings }), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => validateProblemData({ ...data, orders: [] }), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => buildConstraintModel({ ...data, capacity: data.capacity.slice(1) }, settings), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => buildConstraintModel({ ...data, orders: data.orders.map((v, i) => (i ? v : NaN)) }, settings), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('orders above capacity are planned at capacity and reported as shortfall', () => {
+    const over = { criteria: data.criteria.map(c => ({ ...c, values: c.values.slice(0, 2) })), orders: [100, 100], capacity: [50, 50] };
+    const plan = solveMode('cost', { data: over, settings });
+    assert.deepEqual(plan.solution, [50, 50]);
+    assert.deepEqual(plan.shortfall, [{ period: 0, shortfall: 50 }, { period: 1, shortfall: 50 }]);
+    throwsCode(() => solveMode('cost', { data: over, settings: { ...settings, inventory: true } }), ERROR_CODES.INFEASIBLE);
+    assert.deepEqual(solveMode('cost', { data, settings }).shortfall.map(s => s.period), [1, 2, 11]);
+  });
+
+  test('costs charged to a removed criterion move to the first cost criterion', () => {
+    const charged = { ...settings, holdingCriterion: 'scrap', setupCriterion: 'scrap', workforceCriterion: 'productivity' };
+    const moved = retargetCostCriteria(charged, data.criteria);
+    assert.deepEqual([moved.holdingCriterion, moved.setupCriterion, moved.workforceCriterion], ['cost', 'cost', 'productivity']);
+    const benefitsOnly = data.criteria.filter(c => c.direction === 'benefit');
+    assert.equal(retargetCostCriteria(settings, benefitsOnly).holdingCriterion, 'turnover');
+  });
+
+  test('infeasible models throw INFEASIBLE', () => {
+    const tight = { ...data, capacity: data.capacity.map(() => 1) };
+    throwsCode(() => solveMode('cost', { data: tight, settings: { ...settings, periodCapacity: false } }), ERROR_CODES.INFEASIBLE);
+  });
+
+  test('goal programming meets reachable targets exactly', () => {
+    const cost = solveMode('cost', { data, settings });
+    const plan = solveGoalProgram([{ criterionId: 'cost', target: cost.values.cost, under: 0, over: 1 }], { data, settings });
+    close(plan.goals[0].penalty, 0, 1e-9);
+    throwsCode(() => solveGoalProgram([], { data, settings }), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('Pareto frontier points are mutually non-dominated', () => {
+    const { points } = generateParetoFrontier(data, settings, { steps: 2 });
+    assert.ok(points.length > 0);
+    points.forEach(a => points.forEach(b => assert.ok(!dominates(a.values, b.values, data.criteria))));
+  });
+});
+
+describe('horizon, ranking and parsing', () => {
+  test('monthly horizon labels and re-aggregation totals', () => {
+    assert.deepEqual(buildPeriods(DEFAULT_HORIZON).map(p => p.label).slice(0, 3), ['Jan', 'Feb', 'Mar']);
+    const quarterly = { ...DEFAULT_HORIZON, granularity: 'quarter', periods: 4 };
+    const data = reaggregateData(DEFAULT_DATA, DEFAULT_HORIZON, quarterly);
+    close(data.orders.reduce((a, b) => a + b, 0), DEFAULT_DATA.orders.reduce((a, b) => a + b, 0), 1e-9);
+  });
+
+  test('a dominating candidate ranks first under every method', () => {
+    const { criteria } = DEFAULT_DATA;
+    const candidates = [
+      { name: 'best', values: { turnover: 10, cost: 1, productivity: 10 } },
+      { name: 'mid', values: { turnover: 5, cost: 5, productivity: 5 } },
+      { name: 'worst', values: { turnover: 1, cost: 10, productivity: 1 } }
+    ];
+    Object.values(rankCandidates(candidates, [1 / 3, 1 / 3, 1 / 3], criteria)).forEach(({ ranks }) => assert.deepEqual(ranks, [1, 2, 3]));
+  });
+
+  test('RFC 4180 parsing and strict numbers', () => {
+    assert.deepEqual(parseDelimited('a,"b,c"\n"say ""hi""",2\n'), [['a', 'b,c'], ['say "hi"', '2']]);
+    throwsCode(() => parseDelimited('a,"b\n'), ERROR_CODES.PARSE_ERROR);
+    assert.equal(parseNumber('1,234.5'), 1234.5);
+    assert.equal(parseNumber('1.234,5', ','), 1234.5);
+    assert.ok(Number.isNaN(parseNumber('12,5')));
+  });
+});
+
+describe('products and lines', () => {
+  // Standard on both lines, Premium (higher turnover and cost, capped market) only on Line 2
+  const build = () => {
+    const data = addLine(addProduct(enableProducts(deepCopyData(DEFAULT_DATA)), 'Premium'));
+    data.products[0].minOrders = DEFAULT_DATA.orders.map(o => Math.round(o * 0.7));
+    data.products[1].minOrders = DEFAULT_DATA.orders.map(o => Math.round(o * 0.3));
+    data.products[1].maxOrders = DEFAULT_DATA.orders.map(o => Math.round(o * 0.5));
+    data.products[1].values.turnover = data.products[1].values.turnover.map(v => v * 1.3);
+    data.products[1].values.cost = data.products[1].values.cost.map(v => v * 1.2);
+    data.lines[0].capacity = DEFAULT_DATA.capacity.map(c => Math.round(c * 0.6));
+    data.lines[1].capacity = DEFAULT_DATA.capacity.map(c => Math.round(c * 0.4));
+    data.routing = [[true, false], [true, true]];
+    return syncProductData(data);
+  };
+
+  test('plans respect routing, line capacity and per-product bounds', () => {
+    const data = build();
+    const n = data.orders.length;
+    const plan = solveMode('turnover', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings });
+    assert.deepEqual(plan.mix.allocation[1][0], Array(n).fill(0), 'Premium is not routed to Line 1');
+    plan.mix.lines.forEach(l => l.load.forEach((load, i) => assert.ok(load <= l.capacity[i] + 1e-6)));
+    plan.mix.products[1].quantities.forEach((q, i) => assert.ok(q <= data.products[1].maxOrders[i] + 1e-6));
+    for (let i = 0; i < n; i++) {
+      const fits = data.orders[i] <= data.capacity[i];
+      data.products.forEach((p, pi) => { if (fits) assert.ok(plan.mix.products[pi].quantities[i] >= p.minOrders[i] - 1e-6); });
+      close(plan.solution[i], plan.mix.products.reduce((s, p) => s + p.quantities[i], 0));
+    }
+    data.criteria.forEach(c => close(plan.values[c.id], c.scale * plan.mix.contributions[c.id].reduce((a, b) => a + b, 0)));
+    // turnover pushes the capped, more profitable Premium to its market cap wherever Line 2 has room
+    assert.ok(plan.mix.products[1].quantities.some((q, i) => q > data.products[1].minOrders[i] + 1));
+  });
+
+  test('aggregates follow product edits; single-product features are refused', () => {
+    const data = build();
+    const edited = applyCellEdits(data, [{ category: `product:${data.products[1].id}:min`, index: 0, value: 0 }]);
+    assert.equal(edited.orders[0], data.products[0].minOrders[0]);
+    close(edited.criteria[0].values[0], data.products[0].values.turnover[0]);
+    throwsCode(() => buildConstraintModel(data, { ...settings, inventory: true }), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => solveRobust({ data, settings, uncertainty: {}, weights: [1 / 3, 1 / 3, 1 / 3] }), ERROR_CODES.INVALID_INPUT);
+    data.routing[1][1] = false;
+    throwsCode(() => validateProblemData(data), ERROR_CODES.INVALID_INPUT);
+  });
+});
+
+describe('workforce layer', () => {
+  const staffed = { ...settings, workforce: true };
+
+  test('headcount, overtime and hiring cover the plan at the productivity coefficients', () => {
+    const data = deepCopyData(DEFAULT_DATA);
+    const productivity = data.criteria.find(c => c.id === 'productivity').values;
+    const plan = solveMode('cost', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: staffed });
+    const w = plan.workforce;
+    plan.solution.forEach((x, i) => {
+      assert.ok(x / productivity[i] <= w.headcount[i] + w.overtime[i] + 1e-6, `period ${i + 1} is understaffed`);
+      assert.ok(w.overtime[i] <= staffed.overtimeShare * w.headcount[i] + 1e-6);
+      w.byShift.forEach(shift => assert.ok(shift[i] <= staffed.workersPerShift + 1e-6));
+      close(w.headcount[i], (i ? w.headcount[i - 1] : staffed.initialWorkers) + w.hires[i] - w.fires[i]);
+    });
+    close(plan.workforceCost, w.costs.wages + w.costs.overtime + w.costs.hiring + w.costs.firing);
+    close(plan.values.cost, computeObjectives(data.criteria, plan.solution).cost + plan.workforceCost);
+    assert.ok(describeConstraintSet(staffed, data.criteria).some(line => line.includes('staffed output')));
+  });
+
+  test('modes that do not price staffing still get the cheapest workforce for their plan', () => {
+    const data = deepCopyData(DEFAULT_DATA);
+    ['turnover', 'productivity', 'multiObjective'].forEach(mode => {
+      const plan = solveMode(mode, { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: staffed });
+      plan.workforce.hires.forEach((h, i) => assert.ok(h < 1e-6 || plan.workforce.fires[i] < 1e-6, `${mode} hires and fires in period ${i + 1}`));
+      const unstaffed = solveMode(mode, { data, weights: [1 / 3, 1 / 3, 1 / 3], settings });
+      close(plan.values.turnover, unstaffed.values.turnover, 1e-6);
+    });
+  });
+
+  test('limits bind and a missing productivity criterion is rejected', () => {
+    const data = deepCopyData(DEFAULT_DATA);
+    // 200 workers without overtime make about 2M pieces, short of every month's orders
+    throwsCode(() => solveMode('cost', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: { ...staffed, maxWorkers: 200, overtimeShare: 0 } }), ERROR_CODES.INFEASIBLE);
+    const frozen = solveMode('cost', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: { ...staffed, maxFires: 1 } });
+    frozen.workforce.fires.forEach(f => assert.ok(f <= 1 + 1e-6));
+    // 0 is a real bound: no hires from an empty workforce, no separations at all
+    throwsCode(() => solveMode('cost', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: { ...staffed, initialWorkers: 0, maxHires: 0 } }), ERROR_CODES.INFEASIBLE);
+    const kept = solveMode('cost', { data, weights: [1 / 3, 1 / 3, 1 / 3], settings: { ...staffed, maxFires: 0 } });
+    kept.workforce.fires.forEach(f => assert.ok(f < 1e-6));
+    assert.ok(describeConstraintSet({ ...staffed, maxFires: 0 }, data.criteria).some(line => line.includes('F_i ≤ 0')));
+    assert.ok(!describeConstraintSet(staffed, data.criteria).some(line => line.includes('H_i ≤')));
+    throwsCode(() => buildConstraintModel(data, { ...staffed, productivityCriterion: 'nope' }), ERROR_CODES.INVALID_INPUT);
+  });
+});
+
+describe('uncertainty', () => {
+  const data = deepCopyData(DEFAULT_DATA);
+  const weights = computeAHPFromMatrix(DEFAULT_PAIRWISE).weights;
+  const uncertainty = { orders: { type: 'normal', sd: 10 }, turnover: { type: 'triangular', low: 10, high: 20 }, capacity: { type: 'interval', low: 5, high: 0 } };
+
+  test('Monte Carlo is reproducible per seed and degenerate without spread', () => {
+    const plan = solveMode('multiObjective', { data, weights, settings });
+    const a = simulatePlan(plan, { data, settings, uncertainty, samples: 300, seed: 42 });
+    const b = simulatePlan(plan, { data, settings, uncertainty, samples: 300, seed: 42 });
+    assert.deepEqual(a, b);
+    const t = a.stats.turnover;
+    assert.ok(t.p5 <= t.p25 && t.p25 <= t.p50 && t.p50 <= t.p75 && t.p75 <= t.p95);
+    assert.equal(t.histogram.reduce((s, bin) => s + bin.count, 0), 300);
+    assert.ok(a.breachProbability >= 0 && a.breachProbability <= 1);
+    const exact = simulatePlan(plan, { data, settings, uncertainty: { cost: { type: 'interval', low: 0, high: 0 } }, samples: 10 });
+    close(exact.stats.cost.mean, plan.values.cost, 1e-9);
+    assert.equal(exact.stats.cost.sd, 0);
+    throwsCode(() => simulatePlan(plan, { data, settings, uncertainty, samples: 0 }), ERROR_CODES.INVALID_INPUT);
+    throwsCode(() => simulatePlan(plan, { data, settings, uncertainty: { orders: { type: 'lognormal' } } }), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('zero budgets reproduce the nominal plan, positive budgets protect it', () => {
+    const nominal = solveMode('multiObjective', { data, weights, settings });
+    const zero = solveRobust({ data, settings, uncertainty, weights, budget: { demand: 0, capacity: 0, objective: 0 } });
+    close(zero.values.turnover, nominal.values.turnover, 1e-9);
+    close(zero.robust.priceOfRobustness, 0, 1e-9);
+    const robust = solveRobust({ data, settings, uncertainty: { ...uncertainty, orders: { type: 'interval', low: 0, high: 2 } }, weights, budget: { objective: 4 } });
+    robust.solution.forEach((x, i) => assert.ok(x <= data.capacity[i] * 0.95 + 1e-6));
+    assert.ok(robust.robust.worstCase <= robust.robust.nominal + 1e-6);
+    const inventory = { ...settings, inventory: true };
+    throwsCode(() => solveRobust({ data, settings: inventory, uncertainty: { orders: { type: 'interval', low: 0, high: 20 } }, weights }), ERROR_CODES.INFEASIBLE);
+  });
+
+  test('a zero nominal optimum still reports the absolute price of robustness', () => {
+    // max x_1 - x_2 with x_1 <= 10 and x_2 >= orders: 0 nominally, -5 once orders may rise 50%
+    const margin = { criteria: [{ id: 'margin', name: 'Margin', direction: 'benefit', scale: 1, values: [1, -1] }], orders: [0, 10], capacity: [10, 20] };
+    const res = solveRobust({ data: margin, settings, uncertainty: { orders: { type: 'interval', low: 0, high: 50 } }, mode: 'margin' });
+    close(res.robust.nominalOptimum, 0, 1e-9);
+    assert.equal(res.robust.priceOfRobustness, null);
+    close(res.robust.absolutePriceOfRobustness, 5, 1e-9);
+    const html = buildReportHTML({ horizon: DEFAULT_HORIZON, data: margin, pairwise: [[1]], settings, results: { robust: res } });
+    assert.ok(html.includes('price of robustness 5.0000'));
+  });
+});
+
+describe('objective normalization', () => {
+  const data = deepCopyData(DEFAULT_DATA);
+  const weights = computeAHPFromMatrix(DEFAULT_PAIRWISE).weights;
+
+  test('min-max maps every payoff plan into [0, 1] with the ideal at 1', () => {
+    const { plans, ideal, nadir } = computePayoffTable(data, settings);
+    const payoff = { ideal, nadir, table: Object.fromEntries(Object.entries(plans).map(([id, plan]) => [id, plan.values])) };
+    const factors = normalizationFactors(payoff, data.criteria, 'minMax');
+    Object.entries(payoff.table).forEach(([id, values]) => {
+      const n = normalizeValues(data.criteria, values, factors);
+      data.criteria.forEach(c => assert.ok(n[c.id] >= -1e-9 && n[c.id] <= 1 + 1e-9));
+      close(n[id], 1, 1e-9);
+    });
+    const none = normalizationFactors(payoff, data.criteria, 'none');
+    const raw = normalizeValues(data.criteria, payoff.table.cost, none);
+    data.criteria.forEach(c => assert.equal(raw[c.id], (c.direction === 'cost' ? -1 : 1) * payoff.table.cost[c.id]));
+    throwsCode(() => normalizationFactors(payoff, data.criteria, 'log'), ERROR_CODES.INVALID_INPUT);
+  });
+
+  test('normalized weights let the dominant criterion drive the plan', () => {
+    const raw = solveMode('multiObjective', { data, weights, settings });
+    assert.equal(raw.normalization, undefined);
+    const plan = solveMode('multiObjective', { data, weights, settings, normalization: { method: 'minMax' } });
+    assert.equal(plan.normalization.method, 'minMax');
+    const cost = solveMode('cost', { data, weights, settings });
+    close(plan.values.cost, cost.values.cost, 1e-6);
+    const none = solveMode('multiObjective', { data, weights, settings, normalization: { method: 'none' } });
+    close(none.values.turnover, raw.values.turnover, 1e-9);
+  });
+});
+
+describe('trade-off views', () => {
+  test('coordinates are oriented 0 = worst, 1 = best and brushing filters on them', () => {
+    const { criteria } = DEFAULT_DATA;
+    const items = [
+      { id: 'a', values: { turnover: 10, cost: 5, productivity: 7 } },
+      { id: 'b', values: { turnover: 20, cost: 15, productivity: 7 } }
+    ];
+    const { points, bounds } = tradeoffCoordinates(criteria, items);
+    assert.deepEqual(bounds.cost, { best: 5, worst: 15 });
+    [[0, 1, 1], [1, 0, 1]].forEach((expected, i) => criteria.forEach((c, k) => close(points[i].scaled[c.id], expected[k])));
+    assert.deepEqual(points.filter(p => brushMatches(p, { cost: [1, 0.5] })).map(p => p.id), ['a']);
+    assert.equal(points.filter(p => brushMatches(p, {})).length, 2);
+  });
+
+  test('projection keeps the front view and turns x into depth at a quarter turn', () => {
+    const front = projectPoint([0.5, 0.25, 0], { size: 100 });
+    close(front.x, 50);
+    close(front.y, -25);
+    const side = projectPoint([0.5, 0, 0], { yaw: -Math.PI / 2 });
+    close(side.x, 0, 1e-12);
+    close(side.depth, 0.5);
+    assert.ok(side.factor < 1);
+  });
+});
+
+describe('HTML report', () => {
+  test('contains every run mode, both charts and the methodology appendix', () => {
+    const data = deepCopyData(DEFAULT_DATA);
+    data.criteria[0].name = 'Turnover <&>';
+    const weights = computeAHPFromMatrix(DEFAULT_PAIRWISE).weights;
+    const results = Object.fromEntries(['cost', 'multiObjective'].map(mode => [mode, solveMode(mode, { data, weights, settings })]));
+    const html = buildReportHTML({ horizon: DEFAULT_HORIZON, data, pairwise: DEFAULT_PAIRWISE, settings, results });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes('Turnover &lt;&amp;&gt;') && !html.includes('Turnover <&>'));
+    assert.equal((html.match(/<svg /g) || []).length, 2);
+    ['Input data', 'AHP pairwise comparison', 'Cost Minimization', 'Multi-Objective', 'closest to the ideal point', 'Methodology'].forEach(s => assert.ok(html.includes(s), s));
+    describeConstraintSet(settings, data.criteria).forEach(line => assert.ok(html.includes(line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')), line));
+  });
+
+  test('constraint set follows the enabled families', () => {
+    const base = describeConstraintSet(settings, DEFAULT_DATA.criteria);
+    assert.ok(base.some(l => l.includes('cumulative')) && !base.some(l => l.includes('inventory')));
+    const mip = describeConstraintSet({ ...settings, inventory: true, integerLots: true, lotSize: 50, minRun: 100 }, DEFAULT_DATA.criteria);
+    assert.ok(mip.some(l => l.includes('inventory balance')) && mip.some(l => l.includes('minimum run')));
+    assert.ok(!mip.some(l => l.includes('covers its own orders')));
+  });
+});
+
+describe('project files', () => {
+  const project = makeProject({
+    name: 'Q3 plan', horizon: DEFAULT_HORIZON, data: DEFAULT_DATA, pairwise: DEFAULT_PAIRWISE,
+    results: { cost: solveMode('cost', { data: DEFAULT_DATA, settings }) }, constraintSettings: settings
+  });
+
+  test('share tokens round-trip the whole project', async () => {
+    const token = await encodeProjectToken(project);
+    assert.equal(shareTokenFromHash(`#project=${token}`), token);
+    const restored = await decodeProjectToken(token);
+    assert.equal(restored.migratedFrom, null);
+    assert.deepEqual(restored.data, project.data);
+    assert.deepEqual(restored.results, project.results);
+    await assert.rejects(decodeProjectToken(`${token.slice(0, 40)}`), err => err.code === ERROR_CODES.PARSE_ERROR);
+  });
+
+  test('version 1 files are migrated to the criteria registry', () => {
+    const legacy = {
+      data: { turnover: [1, 2], cost: [3, 4], productivity: [5, 6], orders: [10, 10], capacity: [20, 20] },
+      pairwise: DEFAULT_PAIRWISE,
+      ahp: null,
+      results: { cost: { solution: [10, 10], turnoverVal: 30000, costVal: 70, productivityVal: 110 }, turnover: null }
+    };
+    const migrated = parseProject(JSON.stringify(legacy));
+    assert.equal(migrated.migratedFrom, 1);
+    assert.equal(migrated.version, PROJECT_VERSION);
+    assert.deepEqual(migrated.data.criteria.map(c => c.values), [[1, 2], [3, 4], [5, 6]]);
+    assert.deepEqual(migrated.results.cost.values, { turnover: 30000, cost: 70, productivity: 110 });
+    assert.equal(migrated.horizon.periods, 2);
+  });
+
+  test('files from before normalization keep raw-unit weighting', () => {
+    const v4 = { ...JSON.parse(JSON.stringify(project)), version: 4 };
+    delete v4.normalization;
+    const migrated = parseProject(v4);
+    assert.equal(migrated.migratedFrom, 4);
+    assert.equal(migrated.normalization, 'none');
+    delete v4.data.criteria.find(c => c.id === 'cost').weightScale;
+    assert.equal(parseProject(v4).data.criteria.find(c => c.id === 'cost').weightScale, 1000);
+  });
+
+  test('workforce limits of 0 from older files become "no limit"', () => {
+    const v7 = { ...JSON.parse(JSON.stringify(project)), version: 7 };
+    v7.constraintSettings = { ...v7.constraintSettings, maxWorkers: 0, maxHires: 0, maxFires: 5 };
+    const migrated = parseProject(v7);
+    assert.equal(migrated.constraintSettings.maxWorkers, null);
+    assert.equal(migrated.constraintSettings.maxHires, null);
+    assert.equal(migrated.constraintSettings.maxFires, 5);
+    assert.deepEqual(validateProject({ ...migrated, constraintSettings: { ...migrated.constraintSettings, maxHires: 'many' } }).map(e => e.path), ['constraintSettings.maxHires']);
+  });
+
+  test('malformed, foreign, newer and invalid files are rejected', () => {
+    throwsCode(() => parseProject('{'), ERROR_CODES.PARSE_ERROR);
+    throwsCode(() => parseProject({ format: 'other' }), ERROR_CODES.PARSE_ERROR);
+    throwsCode(() => parseProject({ ...project, version: PROJECT_VERSION + 1 }), ERROR_CODES.PARSE_ERROR);
+    assert.throws(() => parseProject({ ...project, pairwise: [[1]] }),
+      err => err.code === ERROR_CODES.INVALID_INPUT && err.details.errors[0].path === 'pairwise');
+  });
+});
+
+describe('job queue (in-thread fallback under Node)', () => {
+  test('runs jobs in order, cancels queued jobs and keeps error codes', async () => {
+    const queue = createJobQueue();
+    const ahp = queue.submit('ahp', { matrix: DEFAULT_PAIRWISE });
+    const cancelled = queue.submit('ahp', { matrix: DEFAULT_PAIRWISE });
+    const unknown = queue.submit('nope', {});
+    queue.cancel(cancelled.id);
+    await assert.rejects(cancelled.promise, err => err.code === ERROR_CODES.CANCELLED);
+    close((await ahp.promise).CR, 0.1167066, 1e-5);
+    await assert.rejects(unknown.promise, err => err instanceof MCDMError && err.code === ERROR_CODES.INVALID_INPUT);
+    queue.dispose();
+  });
+});
@@ -0,0 +1,302 @@
+// src/mcdmViews.jsx
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Legend, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { tradeoffCoordinates, brushMatches, projectPoint, fmtM } from './mcdmCore.mjs';
+
+/**
+ * mcdmViews.jsx
+ * Trade-off views over every criterion at once, for the optimized modes and generated frontier points:
+ * - parallel coordinates with per-axis brushing (drag along an axis; click it to clear)
+ * - normalized radar of each optimized strategy (plus the selected frontier point)
+ * - rotatable 3-D scatter of three criteria (drag to rotate)
+ * - pairwise scatter matrix
+ * All views plot tradeoffCoordinates() (0 = worst, 1 = best over the points shown), share one brush
+ * and highlight / report the selected point through `selectedId` / `onSelect`, so selection stays in
+ * sync with the Pareto chart and its metrics card.
+ */
+
+const DIMMED = '#cbd5e1';
+const SELECTED = '#0f172a';
+
+// multi-objective green, frontier orange, single-objective modes in their criterion colour
+const pointColor = (point, criteria) => {
+  if (point.id === 'multi') return '#10b981';
+  if (point.id.startsWith('frontier')) return '#f59e0b';
+  const c = criteria.find(cr => cr.id === point.id);
+  return c ? c.color : '#3b82f6';
+};
+
+const pointTitle = (point, criteria) =>
+  `${point.name}\n${criteria.map(c => `${c.name}: ${fmtM(point.values[c.id])} M ${c.unit}`).join('\n')}`;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// SVG user-space coordinates of a pointer event (the SVG scales with its container)
+const svgPoint = (svg, e, width, height) => {
+  const r = svg.getBoundingClientRect();
+  return { x: (e.clientX - r.left) * width / r.width, y: (e.clientY - r.top) * height / r.height };
+};
+
+// ---------------------- Parallel coordinates ----------------------
+function ParallelCoordinates({ criteria, points, bounds, brushes, setBrush, inBrush, selectedId, onSelect, colorOf }) {
+  const width = 760;
+  const height = 300;
+  const pad = { top: 40, bottom: 40, left: 70, right: 70 };
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const axisX = (k) => pad.left + (criteria.length > 1 ? k * (width - pad.left - pad.right) / (criteria.length - 1) : (width - pad.left - pad.right) / 2);
+  const yOf = (v) => pad.top + (1 - v) * (height - pad.top - pad.bottom);
+  const valueAt = (e) => clamp01(1 - (svgPoint(svgRef.current, e, width, height).y - pad.top) / (height - pad.top - pad.bottom));
+  const path = (p) => criteria.map((c, k) => `${k ? 'L' : 'M'}${axisX(k)},${yOf(p.scaled[c.id])}`).join(' ');
+  const ordered = [...points].sort((a, b) => (inBrush(a) - inBrush(b)) || ((a.id === selectedId) - (b.id === selectedId)));
+
+  const endDrag = () => {
+    if (!drag) return;
+    setBrush(drag.id, Math.abs(drag.to - drag.from) < 0.01 ? null : [Math.min(drag.from, drag.to), Math.max(drag.from, drag.to)]);
+    setDrag(null);
+  };
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} className="w-full" style={{ touchAction: 'none' }}>
+      {ordered.map(p => {
+        const selected = p.id === selectedId;
+        const active = inBrush(p);
+        return (
+          <g key={p.id} onClick={() => onSelect(p)} style={{ cursor: 'pointer' }}>
+            <title>{pointTitle(p, criteria)}</title>
+            <path d={path(p)} fill="none" stroke="transparent" strokeWidth={8} />
+            <path d={path(p)} fill="none" stroke={selected ? SELECTED : active ? colorOf(p) : DIMMED}
+              strokeWidth={selected ? 3.5 : p.id.startsWith('frontier') ? 1.2 : 2.5} strokeOpacity={active || selected ? 0.9 : 0.5} />
+          </g>
+        );
+      })}
+      {criteria.map((c, k) => {
+        const brush = drag && drag.id === c.id ? [Math.min(drag.from, drag.to), Math.max(drag.from, drag.to)] : brushes[c.id];
+        return (
+          <g key={c.id}>
+            <line x1={axisX(k)} x2={axisX(k)} y1={pad.top} y2={height - pad.bottom} stroke="#1e3a8a" strokeWidth={1.5} />
+            <text x={axisX(k)} y={pad.top - 22} textAnchor="middle" fontSize={12} fontWeight="600" fill="#1e3a8a">{c.name}</text>
+            <text x={axisX(k)} y={pad.top - 8} textAnchor="middle" fontSize={10} fill="#475569">{fmtM(bounds[c.id].best)} M (best)</text>
+            <text x={axisX(k)} y={height - pad.bottom + 16} textAnchor="middle" fontSize={10} fill="#475569">{fmtM(bounds[c.id].worst)} M (worst)</text>
+            {brush && (
+              <rect x={axisX(k) - 9} width={18} y={yOf(brush[1])} height={Math.max(1, yOf(brush[0]) - yOf(brush[1]))}
+                fill="#1e40af" fillOpacity={0.18} stroke="#1e40af" />
+            )}
+            <rect x={axisX(k) - 12} width={24} y={pad.top} height={height - pad.top - pad.bottom} fill="transparent" style={{ cursor: 'ns-resize' }}
+              onPointerDown={(e) => {
+                e.currentTarget.setPointerCapture(e.pointerId);
+                const v = valueAt(e);
+                setDrag({ id: c.id, from: v, to: v });
+              }}
+              onPointerMove={(e) => { if (drag && drag.id === c.id) setDrag({ ...drag, to: valueAt(e) }); }}
+              onPointerUp={endDrag}
+              onPointerCancel={() => setDrag(null)} />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// ---------------------- Radar ----------------------
+function RadarView({ criteria, points, selectedId, onSelect, inBrush, colorOf }) {
+  const shown = points.filter(p => !p.id.startsWith('frontier') || p.id === selectedId);
+  const data = criteria.map(c => ({ criterion: c.name, ...Object.fromEntries(shown.map(p => [p.id, p.scaled[c.id] * 100])) }));
+  if (!shown.length) return <div className="bg-gray-50 p-4 rounded text-sm">Run an optimization mode to compare strategies on the radar.</div>;
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <RadarChart data={data} outerRadius="70%">
+        <PolarGrid />
+        <PolarAngleAxis dataKey="criterion" tick={{ fontSize: 11 }} />
+        <PolarRadiusAxis domain={[0, 100]} tick={{ fontSize: 9 }} tickFormatter={(v) => `${v}%`} />
+        {shown.map(p => {
+          const selected = p.id === selectedId;
+          const color = inBrush(p) ? colorOf(p) : DIMMED;
+          return (
+            <Radar key={p.id} dataKey={p.id} name={p.name} stroke={selected ? SELECTED : color} fill={color}
+              fillOpacity={selected ? 0.35 : 0.08} strokeWidth={selected ? 3 : 1.5} isAnimationActive={false} />
+          );
+        })}
+        <Tooltip formatter={(v) => `${v.toFixed(1)}% of range`} />
+        <Legend wrapperStyle={{ fontSize: 11, cursor: 'pointer' }} onClick={(entry) => {
+          const p = shown.find(pt => pt.id === entry.dataKey);
+          if (p) onSelect(p);
+        }} />
+      </RadarChart>
+    </ResponsiveContainer>
+  );
+}
+
+// ---------------------- 3-D scatter ----------------------
+const CUBE_EDGES = [
+  [[-1, -1, -1], [1, -1, -1]], [[-1, 1, -1], [1, 1, -1]], [[-1, -1, 1], [1, -1, 1]], [[-1, 1, 1], [1, 1, 1]],
+  [[-1, -1, -1], [-1, 1, -1]], [[1, -1, -1], [1, 1, -1]], [[-1, -1, 1], [-1, 1, 1]], [[1, -1, 1], [1, 1, 1]],
+  [[-1, -1, -1], [-1, -1, 1]], [[1, -1, -1], [1, -1, 1]], [[-1, 1, -1], [-1, 1, 1]], [[1, 1, -1], [1, 1, 1]]
+].map(edge => edge.map(v => v.map(c => c / 2)));
+
+function Scatter3D({ criteria, points, axes, setAxes, selectedId, onSelect, inBrush, colorOf }) {
+  const width = 380;
+  const height = 340;
+  const svgRef = useRef(null);
+  const [view, setView] = useState({ yaw: -0.7, pitch: 0.35 });
+  const [drag, setDrag] = useState(null);
+  const camera = { ...view, distance: 3, size: 210 };
+  const screen = (v) => {
+    const p = projectPoint(v, camera);
+    return { ...p, x: width / 2 + p.x, y: height / 2 + p.y };
+  };
+  // x = first axis, depth = second, up = third; scaled 0..1 mapped onto the cube [-0.5, 0.5]
+  const position = (p) => [p.scaled[axes[0]] - 0.5, p.scaled[axes[2]] - 0.5, p.scaled[axes[1]] - 0.5];
+  const projected = points.map(p => ({ p, ...screen(position(p)) })).sort((a, b) => b.depth - a.depth);
+  const name = (id) => (criteria.find(c => c.id === id) || {}).name;
+  const axisEnds = [[0.6, -0.5, -0.5], [-0.5, -0.5, 0.6], [-0.5, 0.6, -0.5]].map(screen);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 text-xs mb-1" style={{ color: '#0f172a' }}>
+        {['X', 'Depth', 'Up'].map((label, i) => (
+          <label key={label} className="flex items-center gap-1">
+            {label}:
+            <select value={axes[i]} onChange={(e) => setAxes(axes.map((id, j) => (j === i ? e.target.value : id)))} className="px-1 py-0.5 border rounded">
+              {criteria.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </label>
+        ))}
+        <button onClick={() => setView({ yaw: -0.7, pitch: 0.35 })} className="px-2 py-0.5 border rounded hover:bg-gray-50">Reset view</button>
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} className="w-full" style={{ touchAction: 'none', cursor: drag ? 'grabbing' : 'grab' }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          setDrag({ start: svgPoint(svgRef.current, e, width, height), view });
+        }}
+        onPointerMove={(e) => {
+          if (!drag) return;
+          const at = svgPoint(svgRef.current, e, width, height);
+          setView({
+            yaw: drag.view.yaw + (at.x - drag.start.x) * 0.01,
+            pitch: Math.max(-1.5, Math.min(1.5, drag.view.pitch + (at.y - drag.start.y) * 0.01))
+          });
+        }}
+        onPointerUp={() => setDrag(null)}
+        onPointerCancel={() => setDrag(null)}>
+        {CUBE_EDGES.map(([a, b], i) => {
+          const [pa, pb] = [screen(a), screen(b)];
+          return <line key={i} x1={pa.x} y1={pa.y} x2={pb.x} y2={pb.y} stroke="#e2e8f0" />;
+        })}
+        {axisEnds.map((end, i) => {
+          const origin = screen([-0.5, -0.5, -0.5]);
+          return (
+            <g key={i}>
+              <line x1={origin.x} y1={origin.y} x2={end.x} y2={end.y} stroke="#1e3a8a" strokeWidth={1.5} />
+              <text x={end.x} y={end.y - 4} fontSize={11} fontWeight="600" fill="#1e3a8a" textAnchor="middle">{name(axes[i])} →</text>
+            </g>
+          );
+        })}
+        {projected.map(({ p, x, y, factor }) => {
+          const selected = p.id === selectedId;
+          const frontier = p.id.startsWith('frontier');
+          return (
+            <circle key={p.id} cx={x} cy={y} r={(selected ? 8 : frontier ? 4 : 6) * factor}
+              fill={inBrush(p) ? colorOf(p) : DIMMED} stroke={selected ? SELECTED : '#ffffff'} strokeWidth={selected ? 2.5 : 1}
+              style={{ cursor: 'pointer' }}
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={() => onSelect(p)}>
+              <title>{pointTitle(p, criteria)}</title>
+            </circle>
+          );
+        })}
+      </svg>
+      <p className="text-xs text-gray-500">Drag to rotate. Axes run from the worst to the best value of each criterion.</p>
+    </div>
+  );
+}
+
+// ---------------------- Scatter matrix ----------------------
+function ScatterMatrix({ criteria, points, selectedId, onSelect, inBrush, colorOf }) {
+  const cell = 120;
+  const pad = 8;
+  const n = criteria.length;
+  const ordered = [...points].sort((a, b) => (inBrush(a) - inBrush(b)) || ((a.id === selectedId) - (b.id === selectedId)));
+  return (
+    <svg viewBox={`0 0 ${n * cell} ${n * cell}`} className="w-full" style={{ maxWidth: Math.max(360, n * 150) }}>
+      {criteria.map((row, i) => criteria.map((col, j) => (
+        <g key={`${row.id}-${col.id}`} transform={`translate(${j * cell},${i * cell})`}>
+          <rect x={2} y={2} width={cell - 4} height={cell - 4} fill={i === j ? '#eff6ff' : '#ffffff'} stroke="#e2e8f0" />
+          {i === j ? (
+            <text x={cell / 2} y={cell / 2} textAnchor="middle" dominantBaseline="middle" fontSize={12} fontWeight="600" fill="#1e3a8a">{row.name}</text>
+          ) : ordered.map(p => {
+            const selected = p.id === selectedId;
+            return (
+              <circle key={p.id} cx={pad + p.scaled[col.id] * (cell - 2 * pad)} cy={cell - pad - p.scaled[row.id] * (cell - 2 * pad)}
+                r={selected ? 5 : p.id.startsWith('frontier') ? 2.5 : 3.5} fill={inBrush(p) ? colorOf(p) : DIMMED}
+                stroke={selected ? SELECTED : 'none'} strokeWidth={2} style={{ cursor: 'pointer' }} onClick={() => onSelect(p)}>
+                <title>{pointTitle(p, criteria)}</title>
+              </circle>
+            );
+          })}
+        </g>
+      )))}
+    </svg>
+  );
+}
+
+/**
+ * All four views over `items` ({ id, name, values } — optimized modes and frontier points).
+ * @param {{ criteria: object[], items: object[], selectedId: string|null, onSelect: (item: object) => void }} props
+ */
+export function TradeoffViews({ criteria, items, selectedId, onSelect }) {
+  const { points, bounds } = useMemo(() => tradeoffCoordinates(criteria, items), [criteria, items]);
+  const [brushes, setBrushes] = useState({});
+  const [axes3d, setAxes3d] = useState(() => criteria.slice(0, 3).map(c => c.id));
+  const axes = axes3d.length === 3 && axes3d.every(id => criteria.some(c => c.id === id)) ? axes3d : criteria.slice(0, 3).map(c => c.id);
+  const activeBrushes = Object.fromEntries(Object.entries(brushes).filter(([id]) => criteria.some(c => c.id === id)));
+  const inBrush = (p) => brushMatches(p, activeBrushes);
+  const colorOf = (p) => pointColor(p, criteria);
+  const setBrush = (id, range) => setBrushes(prev => {
+    const next = { ...prev };
+    if (range) next[id] = range;
+    else delete next[id];
+    return next;
+  });
+  const select = (p) => onSelect(items.find(item => item.id === p.id) || p);
+  const shared = { criteria, points, selectedId, onSelect: select, inBrush, colorOf };
+  const brushed = points.filter(inBrush).length;
+
+  if (!points.length) {
+    return <div className="bg-gray-50 p-4 rounded text-sm">Run the optimizations or generate a frontier to explore the trade-offs across all criteria.</div>;
+  }
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+          <h4 className="font-semibold" style={{ color: '#0f172a' }}>Parallel coordinates</h4>
+          <div className="flex items-center gap-3 text-sm text-gray-600">
+            <span>{Object.keys(activeBrushes).length ? `${brushed} of ${points.length} points inside the brush` : 'Drag along an axis to brush; click an axis to clear it'}</span>
+            {Object.keys(activeBrushes).length > 0 && (
+              <button onClick={() => setBrushes({})} className="px-2 py-0.5 border rounded hover:bg-gray-50">Clear brushes</button>
+            )}
+          </div>
+        </div>
+        <ParallelCoordinates {...shared} bounds={bounds} brushes={activeBrushes} setBrush={setBrush} />
+      </div>
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-semibold mb-1" style={{ color: '#0f172a' }}>Normalized radar (% of the range between worst and best)</h4>
+          <RadarView {...shared} />
+        </div>
+        <div>
+          <h4 className="font-semibold mb-1" style={{ color: '#0f172a' }}>3-D trade-off space</h4>
+          {criteria.length >= 3
+            ? <Scatter3D {...shared} axes={axes} setAxes={setAxes3d} />
+            : <div className="bg-gray-50 p-4 rounded text-sm">The 3-D view needs at least three criteria.</div>}
+        </div>
+      </div>
+      <div>
+        <h4 className="font-semibold mb-1" style={{ color: '#0f172a' }}>Scatter matrix</h4>
+        <ScatterMatrix {...shared} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,6 @@
+// mcdmWorker.mjs
+// Module worker spawned by createJobQueue (mcdmCore.mjs): runs the engine jobs in WORKER_TASKS
+// off the main thread and posts progress, results and structured errors back.
+import { workerMain } from './mcdmCore.mjs';
+
+workerMain(self);